@@ -0,0 +1,377 @@
+// admin-routes.js - Admin dashboard API (mounted at /api/admin)
+const express = require('express');
+
+const { getRepositories } = require('./repositories');
+const { authenticateToken, requireRole } = require('./auth');
+const { getStorage, sendStoredObject } = require('./storage');
+const { IMAGE_SIZES, DEFAULT_IMAGE_SIZE, pickRendition, snapMediaKeys } = require('./images');
+const { emitSnapDeleted, emitNotification } = require('./socket');
+const { revokeUserSessions } = require('./sessions');
+const { rules, validate } = require('./validation');
+const { SNAP_ACTIONS, USER_ACTIONS } = require('./moderation');
+const { logger } = require('./logger');
+
+const router = express.Router();
+
+// Every admin route requires an authenticated admin
+router.use(authenticateToken, requireRole('admin'));
+
+const MEDIA_SIZES = [...Object.keys(IMAGE_SIZES), 'poster'];
+
+// Remove a deleted snap's stored media and take it off open feeds
+function removeDeletedSnap(row) {
+    for (const key of snapMediaKeys(row)) {
+        getStorage(row.storage_backend).delete(key)
+            .catch(err => logger.error('Error removing stored image', { err }));
+    }
+    emitSnapDeleted({ id: row.id, userId: row.user_id, isPublic: row.is_public });
+}
+
+// Tell a user about a moderation action taken against them
+function notifyModeration(action) {
+    emitNotification(action.user_id, {
+        type: 'moderation',
+        actionId: action.id,
+        action: action.action,
+        snapId: action.snap_id,
+        reason: action.reason,
+        createdAt: action.created_at
+    });
+}
+
+// Optional moderator note attached to an action
+const reasonRule = rules.string({ max: 500, optional: true });
+
+// The reason as stored: blank notes are left out
+const noteOrNull = (reason) => (reason || '').trim() || null;
+
+// ?limit= on the admin lists
+const listLimit = rules.integer({ min: 1, max: 200, optional: true, default: 50 });
+
+// List all snaps with their uploader
+router.get('/snaps', async (req, res) => {
+    try {
+        res.json(await getRepositories().admin.listSnaps());
+    } catch (error) {
+        logger.error('Error fetching admin snaps', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch snaps',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+const snapParams = { id: rules.uuid() };
+
+// The same limits as an upload; a field left out keeps its value
+const snapUpdateSchema = {
+    params: snapParams,
+    body: {
+        caption: rules.string({ max: 2200, optional: true }),
+        hashtags: rules.string({ max: 1000, optional: true })
+    }
+};
+
+// Edit a snap's caption and hashtags
+router.put('/snap/:id', validate(snapUpdateSchema, { notFound: 'Snap not found' }), async (req, res) => {
+    const { caption, hashtags } = req.body;
+    try {
+        const updated = await getRepositories().admin.updateSnap(req.params.id, { caption, hashtags }, req.user.id);
+        if (!updated) {
+            return res.status(404).json({ success: false, message: 'Snap not found' });
+        }
+
+        res.json({ success: true, message: 'Snap updated successfully' });
+    } catch (error) {
+        logger.error('Error updating snap', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update snap',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Permanently delete a snap
+router.delete('/snap/:id', validate({ params: snapParams }, { notFound: 'Snap not found' }), async (req, res) => {
+    try {
+        const deleted = await getRepositories().admin.deleteSnap(req.params.id, req.user.id);
+        if (!deleted) {
+            return res.status(404).json({ success: false, message: 'Snap not found' });
+        }
+
+        removeDeletedSnap(deleted);
+
+        res.json({ success: true, message: 'Snap deleted successfully' });
+    } catch (error) {
+        logger.error('Error deleting snap', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete snap',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Serve any snap's media, including hidden, expired and view-once snaps,
+// without claiming it. ?size= works as on /api/snaps/image/:id.
+const mediaSchema = {
+    params: snapParams,
+    query: { size: rules.oneOf(MEDIA_SIZES, { optional: true, default: DEFAULT_IMAGE_SIZE }) }
+};
+
+router.get('/snaps/:id/media', validate(mediaSchema, { notFound: 'Snap not found' }), async (req, res) => {
+    try {
+        const { size } = req.query;
+
+        const row = await getRepositories().admin.findMedia(req.params.id);
+        if (!row) return res.status(404).send('Snap not found');
+
+        const acceptsWebp = (req.get('accept') || '').includes('image/webp');
+        const rendition = pickRendition(row, size, acceptsWebp);
+
+        res.set('Content-Type', rendition.mimeType);
+        res.set('Cache-Control', 'private, no-store');
+
+        if (!row.storage_key) {
+            if (!row.image_data) return res.status(404).send('Snap not found');
+            return res.send(row.image_data);
+        }
+
+        const sent = await sendStoredObject(req, res, getStorage(row.storage_backend), rendition.key);
+        if (!sent) return res.status(404).send('Snap not found');
+    } catch (error) {
+        logger.error('Error serving admin snap media', { err: error });
+        res.status(500).send('Error serving snap');
+    }
+});
+
+// The moderation queue: reported snaps with their report counts and reasons,
+// most reported first. ?status= is open (default), actioned or dismissed.
+// ownerActionCount is how many actions were taken against the owner before,
+// so repeat offenders stand out.
+const reportsSchema = {
+    query: {
+        status: rules.oneOf(['open', 'actioned', 'dismissed'], { optional: true, default: 'open' }),
+        limit: listLimit
+    }
+};
+
+router.get('/reports', validate(reportsSchema), async (req, res) => {
+    try {
+        const { status, limit } = req.query;
+        const reports = await getRepositories().admin.listReports(status, limit);
+
+        res.json({ success: true, status, reports });
+    } catch (error) {
+        logger.error('Error fetching reports', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch reports',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Every report filed against one snap, newest first
+const reportedSnapParams = { snapId: rules.uuid() };
+
+router.get('/reports/:snapId', validate({ params: reportedSnapParams }, { notFound: 'Snap not found' }), async (req, res) => {
+    try {
+        const reports = await getRepositories().admin.listSnapReports(req.params.snapId);
+
+        res.json({ success: true, reports });
+    } catch (error) {
+        logger.error('Error fetching snap reports', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch snap reports',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Act on a reported snap and close its open reports. `action` is one of
+// SNAP_ACTIONS: dismiss (reports were unfounded; also unhides the snap), hide,
+// delete, warn (the owner) or suspend (the owner). Body: { action, reason }.
+const reportActionSchema = {
+    params: reportedSnapParams,
+    body: { action: rules.oneOf(SNAP_ACTIONS), reason: reasonRule }
+};
+
+router.post('/reports/:snapId/action', validate(reportActionSchema, { notFound: 'Snap not found' }), async (req, res) => {
+    const { action } = req.body;
+    const reason = noteOrNull(req.body.reason);
+
+    try {
+        const result = await getRepositories().admin.actOnReport({
+            snapId: req.params.snapId,
+            action,
+            reason,
+            moderatorId: req.user.id
+        });
+        if (!result) {
+            return res.status(404).json({ success: false, message: 'Snap not found' });
+        }
+
+        const { snap, recorded, hidden, deleted } = result;
+
+        if (hidden) emitSnapDeleted({ id: hidden.id, userId: hidden.user_id, isPublic: hidden.is_public });
+        if (deleted) removeDeletedSnap(deleted);
+        if (action === 'suspend') await revokeUserSessions(snap.user_id, 'suspended');
+        if (recorded) notifyModeration(recorded);
+
+        res.json({ success: true, message: 'Reports resolved', action: recorded });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        logger.error('Error acting on report', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to act on report',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Warn, suspend or reinstate a user directly. Body: { action, reason }.
+const userParams = { id: rules.uuid() };
+
+const userActionSchema = {
+    params: userParams,
+    body: { action: rules.oneOf(USER_ACTIONS), reason: reasonRule }
+};
+
+router.post('/users/:id/moderation', validate(userActionSchema, { notFound: 'User not found' }), async (req, res) => {
+    const { action } = req.body;
+    const reason = noteOrNull(req.body.reason);
+
+    try {
+        const recorded = await getRepositories().admin.moderateUser({
+            userId: req.params.id,
+            action,
+            reason,
+            moderatorId: req.user.id
+        });
+
+        if (action === 'suspend') await revokeUserSessions(req.params.id, 'suspended');
+        if (action !== 'unsuspend') notifyModeration(recorded);
+
+        res.json({ success: true, action: recorded });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        logger.error('Error moderating user', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to moderate user',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// A user's moderation history: every action taken against them, how often
+// their snaps were reported and how many reports they filed
+router.get('/users/:id/moderation', validate({ params: userParams }, { notFound: 'User not found' }), async (req, res) => {
+    try {
+        const history = await getRepositories().admin.userModeration(req.params.id);
+        if (!history) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        res.json({ success: true, ...history });
+    } catch (error) {
+        logger.error('Error fetching moderation history', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch moderation history',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Appeals, oldest first. ?status= is pending (default), upheld or overturned.
+const appealsSchema = {
+    query: {
+        status: rules.oneOf(['pending', 'upheld', 'overturned'], { optional: true, default: 'pending' }),
+        limit: listLimit
+    }
+};
+
+router.get('/appeals', validate(appealsSchema), async (req, res) => {
+    try {
+        const { status, limit } = req.query;
+        const appeals = await getRepositories().admin.listAppeals(status, limit);
+
+        res.json({ success: true, status, appeals });
+    } catch (error) {
+        logger.error('Error fetching appeals', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch appeals',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Decide a pending appeal. Overturning undoes what can be undone: a hidden
+// snap is unhidden and a suspended user reinstated; deleted snaps stay gone.
+// Body: { decision: 'upheld' | 'overturned' }.
+const appealDecisionSchema = {
+    params: { id: rules.string({ pattern: /^\d{1,18}$/ }) },
+    body: { decision: rules.oneOf(['upheld', 'overturned']) }
+};
+
+router.post('/appeals/:id', validate(appealDecisionSchema, { notFound: 'Appeal not found' }), async (req, res) => {
+    const { decision } = req.body;
+
+    try {
+        const appeal = await getRepositories().admin.decideAppeal({
+            actionId: req.params.id,
+            decision,
+            moderatorId: req.user.id
+        });
+        if (!appeal) {
+            return res.status(404).json({ success: false, message: 'Appeal not found or already decided' });
+        }
+
+        emitNotification(appeal.user_id, {
+            type: 'appeal',
+            actionId: appeal.id,
+            action: appeal.action,
+            decision,
+            createdAt: appeal.appeal_resolved_at
+        });
+
+        res.json({ success: true, appeal });
+    } catch (error) {
+        logger.error('Error deciding appeal', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to decide appeal',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Read the audit log, newest first
+router.get('/audit-log', validate({ query: { limit: listLimit } }), async (req, res) => {
+    try {
+        const { limit } = req.query;
+        const entries = await getRepositories().admin.auditLog(limit);
+
+        res.json({ success: true, entries });
+    } catch (error) {
+        logger.error('Error fetching audit log', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch audit log',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,113 @@
+// auth.js - Authentication and authorization middleware
+const jwt = require('jsonwebtoken');
+require('dotenv').config();
+
+const { getRepositories } = require('./repositories');
+const { sendError } = require('./validation');
+const { logger } = require('./logger');
+
+// JWT Secret. The placeholder is only tolerated outside production.
+const PLACEHOLDER_JWT_SECRET = 'your_jwt_secret_here';
+const MIN_JWT_SECRET_LENGTH = 32;
+const JWT_SECRET = process.env.JWT_SECRET || PLACEHOLDER_JWT_SECRET;
+
+if (JWT_SECRET === PLACEHOLDER_JWT_SECRET || JWT_SECRET.length < MIN_JWT_SECRET_LENGTH) {
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error(`JWT_SECRET must be set to a random value of at least ${MIN_JWT_SECRET_LENGTH} characters in production`);
+    }
+    logger.warn('JWT_SECRET is missing or weak; set a strong value before deploying');
+}
+
+const sendMissingToken = (res) => sendError(res, 401, 'Authentication required');
+const sendInvalidToken = (res) => sendError(res, 403, 'Invalid or expired token', { code: 'INVALID_TOKEN' });
+
+const bearerToken = (req) => {
+    const authHeader = req.headers['authorization'];
+    return authHeader && authHeader.split(' ')[1];
+};
+
+// The payload of a valid access token whose session is still live, or null.
+// Access tokens outlive a logout, suspension or deactivation by up to their
+// TTL otherwise.
+async function verifyAccessToken(token) {
+    let user;
+    try {
+        user = jwt.verify(token, JWT_SECRET);
+    } catch (err) {
+        return null;
+    }
+    return (await getRepositories().sessions.isLive(user.sid)) ? user : null;
+}
+
+// Resolve req.user from the bearer token. Answers for the request and returns
+// false when the token is invalid or cannot be checked.
+async function resolveUser(req, res, token) {
+    try {
+        const user = await verifyAccessToken(token);
+        if (!user) {
+            sendInvalidToken(res);
+            return false;
+        }
+        req.user = user;
+        return true;
+    } catch (error) {
+        logger.error('Token check error', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Error checking the token',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+        return false;
+    }
+}
+
+// Authentication middleware
+const authenticateToken = async (req, res, next) => {
+    const token = bearerToken(req);
+    if (!token) return sendMissingToken(res);
+
+    if (await resolveUser(req, res, token)) next();
+};
+
+// Like authenticateToken, but lets anonymous requests through without req.user.
+// For public routes whose response differs for a signed-in viewer.
+const optionalAuth = async (req, res, next) => {
+    const token = bearerToken(req);
+    if (!token) return next();
+
+    if (await resolveUser(req, res, token)) next();
+};
+
+// Authorization middleware - must run after authenticateToken.
+// The role is read from the database on every request rather than trusted
+// from the token, so demoting or deactivating a user takes effect immediately.
+const requireRole = (...roles) => async (req, res, next) => {
+    try {
+        const user = await getRepositories().users.findById(req.user.id);
+
+        if (!user || user.is_active === false || !roles.includes(user.role)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Insufficient privileges.'
+            });
+        }
+
+        req.user.role = user.role;
+        next();
+    } catch (error) {
+        logger.error('Role check error', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Error checking permissions',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+module.exports = {
+    JWT_SECRET,
+    verifyAccessToken,
+    authenticateToken,
+    optionalAuth,
+    requireRole
+};
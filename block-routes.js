@@ -0,0 +1,141 @@
+// block-routes.js - Blocking and muting users (mounted at /api)
+const express = require('express');
+
+const { getRepositories } = require('./repositories');
+const { authenticateToken } = require('./auth');
+const { syncFollowerRoom, syncBlockRoom, syncMuteRoom } = require('./socket');
+const { logger } = require('./logger');
+
+const router = express.Router();
+
+const userNotFound = (res) => res.status(404).json({ success: false, message: 'User not found' });
+
+// Any user by name, deactivated or not, so old blocks can still be undone
+const findUser = (username) => getRepositories().blocks.findUser(username);
+
+// Block a user (idempotent). Follows between us are removed both ways, and a
+// mute of them becomes a block.
+router.post('/users/:username/block', authenticateToken, async (req, res) => {
+    try {
+        const target = await findUser(req.params.username);
+        if (!target) return userNotFound(res);
+        if (target.id === req.user.id) {
+            return res.status(400).json({ success: false, message: 'You cannot block yourself' });
+        }
+
+        const unfollowed = await getRepositories().blocks.block(req.user.id, target.id);
+
+        for (const follow of unfollowed) {
+            syncFollowerRoom(follow.follower_id, follow.followee_id, false);
+        }
+        syncMuteRoom(req.user.id, target.id, false);
+        syncBlockRoom(req.user.id, target.id, true);
+
+        res.json({ success: true, blocked: true });
+    } catch (error) {
+        logger.error('Error blocking user', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to block user',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Unblock a user (idempotent). Follows removed by the block are not restored.
+router.delete('/users/:username/block', authenticateToken, async (req, res) => {
+    try {
+        const target = await findUser(req.params.username);
+        if (!target) return userNotFound(res);
+
+        const { blocks } = getRepositories();
+        const unblocked = await blocks.unblock(req.user.id, target.id);
+
+        // They may have blocked me too, in which case we stay apart
+        if (unblocked && !(await blocks.isBlockedBetween(req.user.id, target.id))) {
+            syncBlockRoom(req.user.id, target.id, false);
+        }
+
+        res.json({ success: true, blocked: false });
+    } catch (error) {
+        logger.error('Error unblocking user', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to unblock user',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Mute a user (idempotent): their snaps leave my feeds and story rings. They
+// are not told. Muting someone I blocked leaves the block in place.
+router.post('/users/:username/mute', authenticateToken, async (req, res) => {
+    try {
+        const target = await findUser(req.params.username);
+        if (!target) return userNotFound(res);
+        if (target.id === req.user.id) {
+            return res.status(400).json({ success: false, message: 'You cannot mute yourself' });
+        }
+
+        const muted = await getRepositories().blocks.mute(req.user.id, target.id);
+
+        if (muted) {
+            syncMuteRoom(req.user.id, target.id, true);
+        }
+
+        res.json({ success: true, muted: true });
+    } catch (error) {
+        logger.error('Error muting user', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to mute user',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Unmute a user (idempotent)
+router.delete('/users/:username/mute', authenticateToken, async (req, res) => {
+    try {
+        const target = await findUser(req.params.username);
+        if (!target) return userNotFound(res);
+
+        const unmuted = await getRepositories().blocks.unmute(req.user.id, target.id);
+
+        if (unmuted) {
+            syncMuteRoom(req.user.id, target.id, false);
+        }
+
+        res.json({ success: true, muted: false });
+    } catch (error) {
+        logger.error('Error unmuting user', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to unmute user',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// The users I blocked and muted, most recent first
+router.get('/me/blocks', authenticateToken, async (req, res) => {
+    try {
+        const rows = await getRepositories().blocks.list(req.user.id);
+
+        const strip = ({ kind, ...user }) => user;
+        res.json({
+            success: true,
+            blocked: rows.filter(row => row.kind === 'block').map(strip),
+            muted: rows.filter(row => row.kind === 'mute').map(strip)
+        });
+    } catch (error) {
+        logger.error('Error fetching blocked users', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch blocked users',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,34 @@
+// blocks.js - Blocked and muted users
+//
+// user_blocks holds at most one row per (blocker, blocked) pair, of kind
+// 'block' or 'mute'. A block works both ways: neither user sees the other's
+// snaps, comments or profile, and neither can follow or send snaps to the
+// other. A mute is private to the muter and only keeps the muted user's snaps
+// out of their feeds and story rings; profiles and direct links still work.
+
+// SQL condition that is true unless the user in `userColumn` and the viewer
+// bound to `$<viewerParam>` have blocked each other, in either direction.
+// Anonymous viewers (NULL) are never blocked.
+function notBlockedCondition(userColumn, viewerParam) {
+    const viewer = `$${viewerParam}`;
+    return `NOT EXISTS (
+            SELECT 1 FROM user_blocks ub
+            WHERE ub.kind = 'block'
+              AND ((ub.blocker_id = ${userColumn} AND ub.blocked_id = ${viewer})
+                OR (ub.blocker_id = ${viewer} AND ub.blocked_id = ${userColumn}))
+        )`;
+}
+
+// SQL condition that is true unless the viewer bound to `$<viewerParam>` has
+// muted the user in `userColumn`
+function notMutedCondition(userColumn, viewerParam) {
+    return `NOT EXISTS (
+            SELECT 1 FROM user_blocks um
+            WHERE um.kind = 'mute' AND um.blocker_id = $${viewerParam} AND um.blocked_id = ${userColumn}
+        )`;
+}
+
+module.exports = {
+    notBlockedCondition,
+    notMutedCondition
+};
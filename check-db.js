@@ -1,9 +1,31 @@
-const db = require('./db');
+// check-db.js - Print what the PostgreSQL database holds
+//
+// Usage: node check-db.js
+const db = require('./db-pg');
 
-// Check if there are any snaps in the database
-const allSnaps = db.getAllSnaps();
-console.log('All snaps in database:', allSnaps);
+async function main() {
+    const users = await db.query(
+        `SELECT id, username, email, role, is_active, created_at
+         FROM users
+         ORDER BY created_at`
+    );
+    console.log(`Users (${users.rows.length}):`);
+    console.table(users.rows);
 
-// Check if there are any users
-const allUsers = db.prepare('SELECT * FROM users').all();
-console.log('All users in database:', allUsers);
+    const snaps = await db.query(
+        `SELECT s.id, u.username, s.caption, s.media_type, s.is_public, s.is_direct,
+                s.created_at, s.expires_at, s.expires_at <= NOW() AS expired
+         FROM snaps s
+         LEFT JOIN users u ON u.id = s.user_id
+         ORDER BY s.created_at DESC`
+    );
+    console.log(`Snaps (${snaps.rows.length}):`);
+    console.table(snaps.rows);
+}
+
+main()
+    .catch(error => {
+        console.error('Error checking database:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => db.pool.end());
@@ -1,56 +1,48 @@
-// check-schema.js
-const Database = require('better-sqlite3');
-const path = require('path');
-require('dotenv').config();
+// check-schema.js - Compare the PostgreSQL schema with schema.js and report drift
+//
+// Usage: node check-schema.js [--json]
+//
+// Lists missing and unexpected tables, columns, indexes and foreign keys and
+// columns whose type changed. Exits with status 1 when the schema has drifted
+// (or cannot be read), so it can gate a deploy or startup.
+const db = require('./db-pg');
+const { parseDatabaseUrl } = require('./repositories');
+const { checkSchema } = require('./schema-check');
 
-const dbPath = process.env.DATABASE_PATH || path.resolve(__dirname, 'snapchat.db');
-const db = new Database(dbPath, { readonly: true });
+function printReport(drift) {
+    if (drift.length === 0) {
+        console.log('Database schema matches schema.js');
+        return;
+    }
 
-console.log('Database schema verification');
-console.log('===========================');
+    console.log(`Database schema has drifted from schema.js (${drift.length} differences):`);
+    let table = null;
+    for (const difference of drift) {
+        if (difference.table !== table) {
+            table = difference.table;
+            console.log(`\n${table}`);
+        }
+        console.log(`  ${difference.kind.padEnd(20)} ${difference.message}`);
+    }
+}
 
-// Get list of tables
-const tables = db.prepare(
-    "SELECT name FROM sqlite_master WHERE type='table'"
-).all();
+async function main() {
+    if (parseDatabaseUrl().driver !== 'postgres') {
+        throw new Error('check-schema only inspects PostgreSQL; the SQLite driver checks its own schema version');
+    }
 
-console.log('\nTables in database:');
-console.log('------------------');
-tables.forEach(table => {
-    console.log(`\nTable: ${table.name}`);
-    console.log('Columns:');
-    try {
-        const columns = db.pragma(`table_info(${table.name})`);
-        columns.forEach(col => {
-            console.log(`  ${col.name} (${col.type}${col.notnull ? ' NOT NULL' : ''}${col.pk ? ' PRIMARY KEY' : ''}${col.dflt_value ? ` DEFAULT ${col.dflt_value}` : ''})`);
-        });
-        
-        // Show indexes for the table
-        const indexes = db.prepare(
-            "SELECT name, sql FROM sqlite_master WHERE type='index' AND tbl_name=?"
-        ).all(table.name);
-        
-        if (indexes.length > 0) {
-            console.log('\n  Indexes:');
-            indexes.forEach(idx => {
-                console.log(`    ${idx.name}: ${idx.sql}`);
-            });
-        }
-        
-        // Show foreign key constraints
-        if (table.name !== 'sqlite_sequence') {
-            const fkInfo = db.pragma(`foreign_key_list(${table.name})`);
-            if (fkInfo.length > 0) {
-                console.log('\n  Foreign Keys:');
-                fkInfo.forEach(fk => {
-                    console.log(`    ${fk.from} -> ${fk.table}.${fk.to} (on update: ${fk.on_update}, on delete: ${fk.on_delete})`);
-                });
-            }
-        }
-    } catch (error) {
-        console.error(`  Error getting schema for ${table.name}:`, error.message);
+    const drift = await checkSchema(db);
+    if (process.argv.includes('--json')) {
+        console.log(JSON.stringify({ drift }, null, 2));
+    } else {
+        printReport(drift);
     }
-});
+    if (drift.length > 0) process.exitCode = 1;
+}
 
-// Close the database connection
-db.close();
+main()
+    .catch(error => {
+        console.error('Error checking schema:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => db.pool.end());
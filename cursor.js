@@ -0,0 +1,35 @@
+// cursor.js - Opaque keyset cursors over (created_at, id)
+//
+// A cursor marks a row's position in a newest-first listing. created_at is
+// carried as the database's own text (PostgreSQL's keeps microseconds) so it
+// survives the round trip exactly.
+const { validate: isUuid } = require('uuid');
+
+// Build a cursor from the created_at text and id of a row
+function encodeCursor(createdAt, id) {
+    return Buffer.from(JSON.stringify([createdAt, id])).toString('base64url');
+}
+
+// Parse a cursor from a query string. Returns null for a missing cursor and
+// throws an error with status 400 for a malformed one.
+function decodeCursor(value) {
+    if (value === undefined || value === '') return null;
+
+    try {
+        const [createdAt, id] = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+        if (typeof createdAt === 'string' && isUuid(id) && !Number.isNaN(Date.parse(createdAt))) {
+            return { createdAt, id };
+        }
+    } catch (e) {
+        // Fall through to the error below
+    }
+
+    const error = new Error('Invalid cursor');
+    error.status = 400;
+    throw error;
+}
+
+module.exports = {
+    encodeCursor,
+    decodeCursor
+};
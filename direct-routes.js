@@ -0,0 +1,194 @@
+// direct-routes.js - Inbox, opening and delivery status of direct snaps (mounted at /api/direct)
+//
+// Direct snaps are sent with `recipients` on POST /api/snaps. They never show
+// up in feeds or through /api/snaps/image. Each recipient opens a snap once:
+// opening returns a media URL that works for DIRECT_SNAP_VIEW_SECONDS, after
+// which the media is unreachable for them. Once every recipient has opened
+// it, the snap expires at the end of that window and the cleanup job reaps it.
+const crypto = require('crypto');
+const express = require('express');
+
+const { getRepositories } = require('./repositories');
+const { authenticateToken } = require('./auth');
+const { getStorage, sendStoredObject } = require('./storage');
+const { IMAGE_SIZES, DEFAULT_IMAGE_SIZE, pickRendition } = require('./images');
+const { emitDirectSnapStatus } = require('./socket');
+const { logger } = require('./logger');
+const { rules, validate } = require('./validation');
+
+const router = express.Router();
+
+const DIRECT_SNAP_VIEW_SECONDS = 120;
+const MEDIA_SIZES = [...Object.keys(IMAGE_SIZES), 'poster'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Unopened snaps sent to me, grouped by sender (most recent sender first).
+// Listing them marks them delivered and tells their senders. Snaps from users
+// blocked either way since sending are left out.
+router.get('/inbox', authenticateToken, async (req, res) => {
+    try {
+        const { direct } = getRepositories();
+        const delivered = await direct.markDelivered(req.user.id);
+
+        for (const row of delivered) {
+            emitDirectSnapStatus(row.user_id, {
+                snapId: row.snap_id,
+                recipientId: req.user.id,
+                status: 'delivered',
+                at: row.delivered_at
+            });
+        }
+
+        const unopened = await direct.inbox(req.user.id);
+
+        const senders = new Map();
+        for (const row of unopened) {
+            const {
+                sender_id,
+                sender_username,
+                sender_display_name,
+                sender_profile_picture_url,
+                ...snap
+            } = row;
+
+            if (!senders.has(sender_id)) {
+                senders.set(sender_id, {
+                    sender: {
+                        id: sender_id,
+                        username: sender_username,
+                        displayName: sender_display_name,
+                        profilePictureUrl: sender_profile_picture_url
+                    },
+                    unopenedCount: 0,
+                    latestAt: snap.createdAt,
+                    snaps: []
+                });
+            }
+            const entry = senders.get(sender_id);
+            entry.unopenedCount++;
+            entry.snaps.push(snap);
+        }
+
+        res.json({ success: true, inbox: [...senders.values()] });
+    } catch (error) {
+        logger.error('Error fetching inbox', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch inbox',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Direct snaps I sent that are still around, with each recipient's status:
+// sent, delivered or opened
+const sentSchema = {
+    query: { limit: rules.integer({ min: 1, max: 100, optional: true, default: 50 }) }
+};
+
+router.get('/sent', authenticateToken, validate(sentSchema), async (req, res) => {
+    try {
+        const { limit } = req.query;
+        const snaps = await getRepositories().direct.sent(req.user.id, limit);
+
+        res.json({ success: true, snaps });
+    } catch (error) {
+        logger.error('Error fetching sent snaps', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch sent snaps',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Open a direct snap sent to me. Works once: the response carries the caption
+// and a media URL that stops working after DIRECT_SNAP_VIEW_SECONDS.
+const validateOpen = validate({ params: { id: rules.uuid() } }, { notFound: 'Snap not found or already opened' });
+
+router.post('/:id/open', authenticateToken, validateOpen, async (req, res) => {
+    try {
+        const token = crypto.randomBytes(32).toString('base64url');
+        const snap = await getRepositories().direct.open(req.params.id, req.user.id, {
+            tokenHash: hashToken(token),
+            viewSeconds: DIRECT_SNAP_VIEW_SECONDS
+        });
+        if (!snap) {
+            return res.status(404).json({ success: false, message: 'Snap not found or already opened' });
+        }
+
+        emitDirectSnapStatus(snap.user_id, {
+            snapId: req.params.id,
+            recipientId: req.user.id,
+            status: 'opened',
+            at: snap.opened_at
+        });
+
+        const mediaUrl = `/api/direct/${req.params.id}/media?token=${token}`;
+        res.set('Cache-Control', 'no-store');
+        res.json({
+            success: true,
+            snap: {
+                id: req.params.id,
+                caption: snap.caption,
+                location: snap.location,
+                mediaType: snap.media_type,
+                duration: snap.duration_seconds,
+                width: snap.width,
+                height: snap.height,
+                mediaUrl,
+                posterUrl: `${mediaUrl}&size=poster`,
+                viewableUntil: new Date(new Date(snap.opened_at).getTime() + DIRECT_SNAP_VIEW_SECONDS * 1000)
+            }
+        });
+    } catch (error) {
+        logger.error('Error opening direct snap', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to open snap',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Media of a direct snap, for the recipient who opened it and only within the
+// viewing window. ?size= works as on /api/snaps/image/:id, as do byte ranges.
+// No auth header is needed so <img>/<video> can load it; the token is the key.
+const mediaSchema = {
+    params: { id: rules.uuid() },
+    query: {
+        token: rules.string({ max: 100 }),
+        size: rules.oneOf(MEDIA_SIZES, { optional: true, default: DEFAULT_IMAGE_SIZE })
+    }
+};
+
+router.get('/:id/media', validate(mediaSchema, { notFound: 'Snap not found' }), async (req, res) => {
+    try {
+        const { token, size } = req.query;
+
+        const row = await getRepositories().direct.findMedia(req.params.id, {
+            tokenHash: hashToken(token),
+            viewSeconds: DIRECT_SNAP_VIEW_SECONDS
+        });
+        if (!row) {
+            return res.status(404).send('Snap not found');
+        }
+
+        const acceptsWebp = (req.get('accept') || '').includes('image/webp');
+        const rendition = pickRendition(row, size, acceptsWebp);
+
+        // Never redirect to a public storage URL: it would outlive the window
+        res.set('Content-Type', rendition.mimeType);
+        res.set('Cache-Control', 'private, no-store');
+        const sent = await sendStoredObject(req, res, getStorage(row.storage_backend), rendition.key);
+        if (!sent) {
+            return res.status(404).send('Snap not found');
+        }
+    } catch (error) {
+        logger.error('Error serving direct snap media', { err: error });
+        res.status(500).send('Error serving snap');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+// direct-snaps.js - Recipients of direct snaps
+const { getRepositories } = require('./repositories');
+
+// Most users one direct snap can be sent to
+const MAX_RECIPIENTS = 50;
+
+// Usernames from the upload form's `recipients` field: a comma or space
+// separated string, or the field repeated
+function parseRecipientUsernames(raw) {
+    const values = Array.isArray(raw) ? raw : [raw];
+    const usernames = values
+        .filter(value => typeof value === 'string')
+        .flatMap(value => value.split(/[\s,]+/))
+        .map(name => name.replace(/^@/, ''))
+        .filter(Boolean);
+    return [...new Set(usernames)];
+}
+
+// Look up the recipients of a direct snap from `senderId`. Throws an error
+// with status 400 when a name is unknown, is the sender, is blocked by the
+// sender or there are too many. Users who blocked the sender look unknown.
+async function resolveRecipients(senderId, usernames) {
+    if (usernames.length > MAX_RECIPIENTS) {
+        throw badRecipients(`A snap can be sent to at most ${MAX_RECIPIENTS} people`);
+    }
+
+    const users = await getRepositories().direct.findRecipients(usernames, senderId);
+
+    const found = new Set(users.map(user => user.username));
+    const missing = usernames.filter(name => !found.has(name));
+    if (missing.length > 0) {
+        throw badRecipients(`Unknown recipients: ${missing.join(', ')}`);
+    }
+    if (users.some(user => user.id === senderId)) {
+        throw badRecipients('You cannot send a snap to yourself');
+    }
+    const blocked = users.filter(user => user.blocked_by_sender).map(user => user.username);
+    if (blocked.length > 0) {
+        throw badRecipients(`Unblock these users to send them snaps: ${blocked.join(', ')}`);
+    }
+
+    return users.map(({ id, username }) => ({ id, username }));
+}
+
+function badRecipients(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// Record who a direct snap was sent to. Expects a client inside a transaction.
+async function addRecipients(client, snapId, recipientIds) {
+    await client.query(
+        `INSERT INTO snap_recipients (snap_id, recipient_id)
+         SELECT $1, unnest($2::uuid[])`,
+        [snapId, recipientIds]
+    );
+}
+
+module.exports = {
+    MAX_RECIPIENTS,
+    parseRecipientUsernames,
+    resolveRecipients,
+    addRecipients
+};
@@ -0,0 +1,30 @@
+// feed-routes.js - Snap feeds (mounted at /api/feed)
+const express = require('express');
+
+const { authenticateToken, optionalAuth } = require('./auth');
+const { feedHandler } = require('./feed');
+
+const router = express.Router();
+
+// Feeds served here (see feedHandler in feed.js for the scope format)
+const FEEDS = {
+    // Everything the viewer may see (the original global feed)
+    all: { name: 'all' },
+
+    // The viewer's own snaps and snaps from people they follow
+    home: { name: 'home' },
+
+    // Public snaps from everyone
+    discover: { name: 'discover' }
+};
+
+// Get paginated feed of snaps
+router.get('/', optionalAuth, feedHandler(FEEDS.all));
+
+// Snaps from people I follow, plus mine
+router.get('/home', authenticateToken, feedHandler(FEEDS.home));
+
+// Public snaps from everyone
+router.get('/discover', optionalAuth, feedHandler(FEEDS.discover));
+
+module.exports = router;
@@ -0,0 +1,133 @@
+// feed.js - Paginated snap listings shared by the feed, hashtag and profile routes
+const { getRepositories } = require('./repositories');
+const { encodeCursor, decodeCursor } = require('./cursor');
+const { parseHashtags } = require('./hashtags');
+const { rules, validate } = require('./validation');
+const { logger } = require('./logger');
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+
+// Query parameters every feed accepts. Routes calling fetchFeedPage
+// themselves validate them with validateFeedQuery first.
+const feedQuerySchema = {
+    limit: rules.integer({ min: 1, max: MAX_PAGE_SIZE, optional: true, default: DEFAULT_PAGE_SIZE }),
+    page: rules.integer({ min: 1, optional: true }),
+    cursor: rules.cursor({ optional: true }),
+    since: rules.cursor({ optional: true })
+};
+const validateFeedQuery = validate({ query: feedQuerySchema });
+
+// Build the handlers that serve one page of a feed. `scope` describes it:
+//   name       the feed the snaps repository lists: 'all', 'home', 'discover',
+//              'hashtag' or 'profile'
+//   params     (req) => what the feed needs besides the viewer:
+//              { hashtag } or { userId }
+//   showMuted  keep snaps of users the viewer muted (default false)
+// Every feed only lists snaps the viewer may see.
+//
+// Pages are addressed by keyset cursors on (created_at, id):
+//   ?cursor=<nextCursor>  the next page of older snaps
+//   ?since=<prevCursor>   snaps newer than the ones the client already has
+// The old ?page=N form still works and still reports totals.
+function feedHandler(scope) {
+    return [validateFeedQuery, async (req, res) => {
+        try {
+            const page = await fetchFeedPage(scope, req);
+            logger.debug('Feed page served', { feed: scope.name, snaps: page.snaps.length });
+
+            res.json({ success: true, ...page });
+
+        } catch (error) {
+            logger.error('Error fetching feed', { feed: scope.name, err: error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to fetch feed',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }];
+}
+
+// Load the page of a feed that `req` asks for, once validateFeedQuery has
+// checked its query. Returns { snaps, nextCursor, prevCursor, pagination }.
+async function fetchFeedPage({ name, params = () => ({}), showMuted = false }, req) {
+    const pageMode = req.query.page !== undefined && req.query.cursor === undefined && req.query.since === undefined;
+    const page = req.query.page || 1;
+    const limit = req.query.limit || DEFAULT_PAGE_SIZE;
+
+    const after = decodeCursor(req.query.cursor);
+    const since = decodeCursor(req.query.since);
+
+    const query = {
+        feed: { name, ...params(req) },
+        viewerId: req.user ? req.user.id : null,
+        showMuted
+    };
+
+    // Walk forward from the client's newest snap nearest first, or backward
+    // from the last snap of the previous page. Fetch one extra row to learn
+    // whether another page exists.
+    const snaps = getRepositories().snaps;
+    const rows = await snaps.listFeed({
+        ...query,
+        position: since || after,
+        direction: since ? 'newer' : 'older',
+        limit: limit + 1,
+        offset: pageMode ? (page - 1) * limit : 0
+    });
+
+    // Drop the extra row: the newest one when walking forward, else the oldest
+    const hasMore = rows.length > limit;
+    const pageRows = hasMore
+        ? (since ? rows.slice(1) : rows.slice(0, limit))
+        : rows;
+
+    // Process the rows to ensure proper format
+    const processedSnaps = pageRows.map(row => {
+        const { cursor_created_at, ...snap } = row;
+
+        // Ensure hashtag_list is an array
+        if (!Array.isArray(snap.hashtag_list)) {
+            // If we have a hashtags string but no list, parse it
+            snap.hashtag_list = parseHashtags(snap.hashtags);
+        }
+
+        return snap;
+    });
+
+    // nextCursor continues toward older snaps, prevCursor toward newer ones.
+    // With no rows, the cursor the client sent still marks its position.
+    const first = pageRows[0];
+    const last = pageRows[pageRows.length - 1];
+    const olderExist = since ? true : hasMore;
+    const nextCursor = last && olderExist
+        ? encodeCursor(last.cursor_created_at, last.id)
+        : (since && !last ? req.query.since : null);
+    const prevCursor = first
+        ? encodeCursor(first.cursor_created_at, first.id)
+        : (req.query.since || req.query.cursor || null);
+
+    const pagination = { limit, hasMore, nextCursor, prevCursor };
+
+    // Totals cost a full count, so only the page-number form pays for them
+    if (pageMode) {
+        const totalSnaps = await snaps.countFeed(query);
+        pagination.page = page;
+        pagination.totalItems = totalSnaps;
+        pagination.totalPages = Math.ceil(totalSnaps / limit);
+    }
+
+    return {
+        snaps: processedSnaps,
+        nextCursor,
+        prevCursor,
+        pagination
+    };
+}
+
+module.exports = {
+    feedHandler,
+    fetchFeedPage,
+    validateFeedQuery
+};
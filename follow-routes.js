@@ -0,0 +1,126 @@
+// follow-routes.js - Follow and unfollow users (mounted at /api/users)
+const express = require('express');
+
+const { getRepositories } = require('./repositories');
+const { authenticateToken, optionalAuth } = require('./auth');
+const { emitNotification, syncFollowerRoom } = require('./socket');
+const { logger } = require('./logger');
+const { rules, validate } = require('./validation');
+
+const router = express.Router();
+
+// An active user, unless they blocked the viewer (who then cannot find them)
+const findActiveUser = (username, viewerId) => getRepositories().follows.findUser(username, viewerId);
+
+const userNotFound = (res) => res.status(404).json({ success: false, message: 'User not found' });
+
+// Follow a user (idempotent)
+router.post('/:username/follow', authenticateToken, async (req, res) => {
+    try {
+        const target = await findActiveUser(req.params.username, req.user.id);
+        if (!target) return userNotFound(res);
+
+        if (target.id === req.user.id) {
+            return res.status(400).json({ success: false, message: 'You cannot follow yourself' });
+        }
+        if (target.blocked_by_viewer) {
+            return res.status(400).json({ success: false, message: 'Unblock this user to follow them' });
+        }
+
+        const followedAt = await getRepositories().follows.add(req.user.id, target.id);
+
+        if (followedAt) {
+            syncFollowerRoom(req.user.id, target.id, true);
+            emitNotification(target.id, {
+                type: 'follow',
+                from: { id: req.user.id, username: req.user.username },
+                createdAt: followedAt
+            });
+        }
+
+        res.json({ success: true, following: true });
+    } catch (error) {
+        logger.error('Error following user', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to follow user',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Unfollow a user (idempotent)
+router.delete('/:username/follow', authenticateToken, async (req, res) => {
+    try {
+        const target = await findActiveUser(req.params.username, req.user.id);
+        if (!target) return userNotFound(res);
+
+        const removed = await getRepositories().follows.remove(req.user.id, target.id);
+
+        if (removed) {
+            syncFollowerRoom(req.user.id, target.id, false);
+        }
+
+        res.json({ success: true, following: false });
+    } catch (error) {
+        logger.error('Error unfollowing user', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to unfollow user',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+const validateFollowList = validate({
+    query: {
+        page: rules.integer({ min: 1, optional: true, default: 1 }),
+        limit: rules.integer({ min: 1, max: 100, optional: true, default: 20 })
+    }
+});
+
+// Build a handler listing one side of a user's follow graph. `direction` is
+// 'followers' (who follows them) or 'following' (who they follow). Users
+// blocked either way with the viewer are left out.
+function followListHandler(direction) {
+    return async (req, res) => {
+        try {
+            const viewerId = req.user ? req.user.id : null;
+            const target = await findActiveUser(req.params.username, viewerId);
+            if (!target) return userNotFound(res);
+
+            const { page, limit } = req.query;
+            const offset = (page - 1) * limit;
+
+            const { users, totalItems } = await getRepositories().follows.list(
+                target.id, direction, viewerId, { limit, offset }
+            );
+
+            res.json({
+                success: true,
+                users,
+                pagination: {
+                    page,
+                    limit,
+                    totalItems,
+                    totalPages: Math.ceil(totalItems / limit)
+                }
+            });
+        } catch (error) {
+            logger.error(`Error fetching ${direction}`, { err: error });
+            res.status(500).json({
+                success: false,
+                message: `Failed to fetch ${direction}`,
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    };
+}
+
+// Who follows a user
+router.get('/:username/followers', optionalAuth, validateFollowList, followListHandler('followers'));
+
+// Who a user follows
+router.get('/:username/following', optionalAuth, validateFollowList, followListHandler('following'));
+
+module.exports = router;
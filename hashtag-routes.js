@@ -0,0 +1,96 @@
+// hashtag-routes.js - Hashtag search, trending tags and tag feeds (mounted at /api/hashtags)
+const express = require('express');
+
+const { getRepositories } = require('./repositories');
+const { optionalAuth } = require('./auth');
+const { feedHandler } = require('./feed');
+const { normalizeHashtag } = require('./hashtags');
+const { rules, validate } = require('./validation');
+const { logger } = require('./logger');
+
+const router = express.Router();
+
+// Sliding windows accepted by /trending, in milliseconds
+const HOUR = 60 * 60 * 1000;
+const TRENDING_WINDOWS = {
+    '1h': HOUR,
+    '6h': 6 * HOUR,
+    '24h': 24 * HOUR,
+    '7d': 7 * 24 * HOUR
+};
+const DEFAULT_TRENDING_WINDOW = '24h';
+
+// Tags used by the most people on live public snaps in the window
+const trendingSchema = {
+    query: {
+        window: rules.oneOf(Object.keys(TRENDING_WINDOWS), { optional: true, default: DEFAULT_TRENDING_WINDOW }),
+        limit: rules.integer({ min: 1, max: 50, optional: true, default: 10 })
+    }
+};
+
+router.get('/trending', validate(trendingSchema), async (req, res) => {
+    const { window, limit } = req.query;
+
+    try {
+        const hashtags = await getRepositories().hashtags.trending({
+            since: new Date(Date.now() - TRENDING_WINDOWS[window]),
+            limit
+        });
+
+        res.json({ success: true, window, hashtags });
+    } catch (error) {
+        logger.error('Error fetching trending hashtags', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch trending hashtags',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Prefix suggestions for the upload form, most used first
+const autocompleteSchema = {
+    query: {
+        q: rules.string({ optional: true, label: 'Query' }),
+        limit: rules.integer({ min: 1, max: 20, optional: true, default: 8 })
+    }
+};
+
+router.get('/autocomplete', validate(autocompleteSchema), async (req, res) => {
+    const prefix = normalizeHashtag(req.query.q);
+    const { limit } = req.query;
+
+    if (!prefix) {
+        return res.json({ success: true, hashtags: [] });
+    }
+
+    try {
+        const hashtags = await getRepositories().hashtags.autocomplete(prefix, limit);
+
+        res.json({ success: true, hashtags });
+    } catch (error) {
+        logger.error('Error fetching hashtag suggestions', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch hashtag suggestions',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Snaps tagged with :tag, paginated like /api/feed. The tag may be given
+// with or without '#' and in any case.
+const tagFeed = feedHandler({
+    name: 'hashtag',
+    params: (req) => ({ hashtag: req.hashtag })
+});
+
+router.get('/:tag/snaps', optionalAuth, (req, res, next) => {
+    req.hashtag = normalizeHashtag(req.params.tag);
+    if (!req.hashtag) {
+        return res.status(400).json({ success: false, message: 'Invalid hashtag' });
+    }
+    next();
+}, tagFeed);
+
+module.exports = router;
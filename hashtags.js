@@ -0,0 +1,50 @@
+// hashtags.js - Hashtag parsing and snaps_hashtags maintenance
+
+const MAX_HASHTAG_LENGTH = 100;
+
+// A tag is '#' followed by letters, digits, combining marks or underscores in any script
+const HASHTAG_PATTERN = /(?<![\p{L}\p{M}\p{N}_])#([\p{L}\p{M}\p{N}_]+)/gu;
+
+// Canonical form of a tag: NFKC-normalized, lower-cased and prefixed with '#',
+// so '#Beach', '#beach' and the full-width '#Ｂｅａｃｈ' are the same tag.
+// Returns null when nothing usable is left.
+function normalizeHashtag(tag) {
+    if (typeof tag !== 'string') return null;
+    const body = tag.normalize('NFKC').replace(/^#+/, '').toLowerCase();
+    if (!body || !/^[\p{L}\p{M}\p{N}_]+$/u.test(body)) return null;
+    return `#${body}`.slice(0, MAX_HASHTAG_LENGTH);
+}
+
+// Pull the unique, normalized tags out of a raw hashtags string
+// such as '#Beach, #sunset #beach'
+function parseHashtags(hashtags) {
+    if (!hashtags || typeof hashtags !== 'string') return [];
+    const tags = [...hashtags.normalize('NFKC').matchAll(HASHTAG_PATTERN)]
+        .map(match => normalizeHashtag(match[0]))
+        .filter(Boolean);
+    return [...new Set(tags)];
+}
+
+// Replace the snaps_hashtags rows of a snap with the tags in `hashtags`.
+// Expects a client that is already inside a transaction.
+async function syncSnapHashtags(client, snapId, hashtags) {
+    await client.query('DELETE FROM snaps_hashtags WHERE snap_id = $1', [snapId]);
+
+    const tags = parseHashtags(hashtags);
+    for (const tag of tags) {
+        await client.query(
+            `INSERT INTO snaps_hashtags (snap_id, hashtag)
+             VALUES ($1, $2)
+             ON CONFLICT DO NOTHING`,
+            [snapId, tag]
+        );
+    }
+
+    return tags;
+}
+
+module.exports = {
+    normalizeHashtag,
+    parseHashtags,
+    syncSnapHashtags
+};
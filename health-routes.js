@@ -0,0 +1,107 @@
+// health-routes.js - Liveness, readiness and Prometheus metrics (mounted at /)
+//
+//   GET /healthz  the process is up and serving requests
+//   GET /readyz   the database answers, migrations are current and the upload
+//                 directory is writable; 503 until all three hold
+//   GET /metrics  Prometheus text format; needs `Authorization: Bearer <METRICS_TOKEN>`
+//                 when METRICS_TOKEN is set
+const express = require('express');
+const fs = require('fs');
+
+const db = require('./db-pg');
+const { getRepositories } = require('./repositories');
+const { getPendingVersions } = require('./migrator');
+const { getConnectionCount } = require('./socket');
+const { gauge, renderMetrics } = require('./metrics');
+const { sendError } = require('./validation');
+
+// A readiness check that has not answered by then counts as failed
+const CHECK_TIMEOUT_MS = parseInt(process.env.READINESS_TIMEOUT_MS) || 2000;
+
+gauge('socket_connections', 'Open Socket.IO connections', getConnectionCount);
+
+gauge('db_pool_connections', 'PostgreSQL pool clients by state (total, idle, waiting)', () => (
+    getRepositories().driver === 'postgres'
+        ? [
+            { labels: { state: 'total' }, value: db.pool.totalCount },
+            { labels: { state: 'idle' }, value: db.pool.idleCount },
+            { labels: { state: 'waiting' }, value: db.pool.waitingCount }
+        ]
+        : []
+));
+
+function withTimeout(promise) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${CHECK_TIMEOUT_MS}ms`)), CHECK_TIMEOUT_MS);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Run the named checks side by side. Each resolves to extra details or
+// throws; the result maps names to { ok, ...details } or { ok: false, error }.
+async function runChecks(checks) {
+    const names = Object.keys(checks);
+    const settled = await Promise.allSettled(names.map(name => withTimeout(checks[name]())));
+    const results = {};
+    names.forEach((name, i) => {
+        const outcome = settled[i];
+        results[name] = outcome.status === 'fulfilled'
+            ? { ok: true, ...outcome.value }
+            : { ok: false, error: outcome.reason.message };
+    });
+    return results;
+}
+
+// Build the router. `uploadDir` is where multer writes incoming files.
+function createHealthRoutes({ uploadDir }) {
+    const router = express.Router();
+
+    const checks = {
+        async database() {
+            await getRepositories().ping();
+            return { driver: getRepositories().driver };
+        },
+
+        // The SQLite driver creates its schema itself; migrations are PostgreSQL's
+        async migrations() {
+            if (getRepositories().driver !== 'postgres') return { skipped: true };
+            const pending = await getPendingVersions(db.pool);
+            if (pending.length > 0) {
+                throw new Error(`Pending migrations: ${pending.join(', ')}`);
+            }
+            return {};
+        },
+
+        async uploads() {
+            await fs.promises.access(uploadDir, fs.constants.W_OK);
+            return {};
+        }
+    };
+
+    router.get('/healthz', (req, res) => {
+        res.json({ success: true, status: 'ok', uptime: Math.round(process.uptime()) });
+    });
+
+    router.get('/readyz', async (req, res) => {
+        const results = await runChecks(checks);
+        if (Object.values(results).every(result => result.ok)) {
+            return res.json({ success: true, status: 'ready', checks: results });
+        }
+        sendError(res, 503, 'Not ready', { status: 'not_ready', checks: results });
+    });
+
+    router.get('/metrics', (req, res) => {
+        const token = process.env.METRICS_TOKEN;
+        if (token && req.get('authorization') !== `Bearer ${token}`) {
+            return sendError(res, 401, 'Authentication required');
+        }
+
+        res.set('Content-Type', 'text/plain; version=0.0.4');
+        res.send(renderMetrics());
+    });
+
+    return router;
+}
+
+module.exports = { createHealthRoutes };
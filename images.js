@@ -0,0 +1,139 @@
+// images.js - Normalize uploaded snap images and generate their renditions
+//
+// Every upload is auto-oriented, stripped of EXIF/GPS metadata and re-encoded
+// at three sizes, each in the uploaded format plus WebP:
+//   full   the normalized original (longest edge capped)
+//   feed   what feed cards show
+//   thumb  small previews such as the admin dashboard
+//
+// A snap's renditions column maps size -> mime type -> storage key, e.g.
+//   { "thumb": { "image/jpeg": "snaps/2024/05/<id>_thumb.jpg", "image/webp": "..." } }
+// Rows written before this pipeline have no renditions and serve storage_key.
+const sharp = require('sharp');
+
+const { snapMediaKey } = require('./storage');
+
+// Longest edge in pixels of each rendition. Smaller images are never enlarged.
+const IMAGE_SIZES = {
+    full: 2048,
+    feed: 1080,
+    thumb: 320
+};
+const DEFAULT_IMAGE_SIZE = 'full';
+
+const WEBP = 'image/webp';
+
+const encoders = {
+    'image/jpeg': image => image.jpeg({ quality: 82, mozjpeg: true }),
+    'image/png': image => image.png({ compressionLevel: 9 }),
+    'image/gif': image => image.gif(),
+    'image/webp': image => image.webp({ quality: 80 })
+};
+
+// Decode, orient and encode every rendition of an image (`sizes` maps size
+// name to longest edge and must include full). Metadata is dropped because
+// sharp only copies it when asked to. Throws an error with status 400 when the
+// bytes are not a readable image.
+async function processImage(buffer, mimeType, sizes = IMAGE_SIZES) {
+    if (!encoders[mimeType]) {
+        throw invalidImage(`Unsupported image type: ${mimeType}`);
+    }
+
+    let metadata;
+    try {
+        metadata = await sharp(buffer).metadata();
+    } catch (error) {
+        throw invalidImage('The uploaded file is not a readable image');
+    }
+
+    // Animated GIF/WebP keep every frame; EXIF orientation only exists on stills
+    const animated = (metadata.pages || 1) > 1;
+    const formats = mimeType === WEBP ? [WEBP] : [mimeType, WEBP];
+
+    const renditions = {};
+    for (const [size, maxEdge] of Object.entries(sizes)) {
+        renditions[size] = {};
+        for (const format of formats) {
+            let image = sharp(buffer, { animated });
+            if (!animated) image = image.rotate();
+            image = image.resize({ width: maxEdge, height: maxEdge, fit: 'inside', withoutEnlargement: true });
+
+            const { data, info } = await encoders[format](image).toBuffer({ resolveWithObject: true });
+            renditions[size][format] = {
+                data,
+                width: info.width,
+                height: info.pageHeight || info.height
+            };
+        }
+    }
+
+    const full = renditions.full[mimeType];
+    return { width: full.width, height: full.height, renditions };
+}
+
+function invalidImage(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// Write every rendition of a processed image to `storage`, naming each with
+// keyFor(format, size) where size is null for the full-size image. Returns the
+// key of the full-size image in the uploaded format and the renditions map.
+// `storedKeys` collects each written key so the caller can remove them if the
+// upload fails later on.
+async function storeImage(storage, keyFor, mimeType, processed, storedKeys = []) {
+    const renditions = {};
+    for (const [size, formats] of Object.entries(processed.renditions)) {
+        renditions[size] = {};
+        for (const [format, { data }] of Object.entries(formats)) {
+            const key = keyFor(format, size === DEFAULT_IMAGE_SIZE ? null : size);
+            await storage.put(key, data, { contentType: format });
+            storedKeys.push(key);
+            renditions[size][format] = key;
+        }
+    }
+
+    return { storageKey: renditions[DEFAULT_IMAGE_SIZE][mimeType], renditions };
+}
+
+// storeImage for a snap; the full-size key becomes the snap's storage_key.
+// `isPrivate` stores it under keys that never get a public URL.
+function storeSnapImage(storage, snapId, mimeType, processed, storedKeys = [], { isPrivate = false } = {}) {
+    const createdAt = new Date();
+    const keyFor = (format, size) => snapMediaKey(snapId, format, createdAt, size, { isPrivate });
+    return storeImage(storage, keyFor, mimeType, processed, storedKeys);
+}
+
+// Pick what to serve for a size: WebP when the client accepts it, else the
+// uploaded format (or, for video posters, the JPEG), else the original
+// storage_key for sizes the snap has no rendition of.
+function pickRendition(row, size, acceptsWebp) {
+    const formats = (row.renditions && row.renditions[size]) || {};
+    const fallback = formats[row.mime_type] ? row.mime_type : Object.keys(formats).find(type => type !== WEBP);
+    const mimeType = acceptsWebp && formats[WEBP] ? WEBP : fallback || (formats[WEBP] && WEBP);
+
+    if (!mimeType) {
+        return { key: row.storage_key, mimeType: row.mime_type };
+    }
+    return { key: formats[mimeType], mimeType };
+}
+
+// Every stored object of a snap, for deleting them together
+function snapMediaKeys(row) {
+    const keys = new Set(row.storage_key ? [row.storage_key] : []);
+    for (const formats of Object.values(row.renditions || {})) {
+        Object.values(formats).forEach(key => keys.add(key));
+    }
+    return [...keys];
+}
+
+module.exports = {
+    IMAGE_SIZES,
+    DEFAULT_IMAGE_SIZE,
+    processImage,
+    storeImage,
+    storeSnapImage,
+    pickRendition,
+    snapMediaKeys
+};
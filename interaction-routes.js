@@ -0,0 +1,303 @@
+// interaction-routes.js - Likes, comments and views of snaps (mounted at /api/snaps)
+const express = require('express');
+
+const { getRepositories } = require('./repositories');
+const { authenticateToken, optionalAuth } = require('./auth');
+const { VIEW_SOURCES, recordSnapView } = require('./views');
+const { rules, validate, uuidParam } = require('./validation');
+const {
+    emitSnapLiked,
+    emitCommentAdded,
+    emitCommentDeleted,
+    emitNotification
+} = require('./socket');
+const { rateLimit } = require('./rate-limit');
+const { logger } = require('./logger');
+
+const router = express.Router();
+
+// Snap and comment ids are UUIDs; anything else cannot exist
+router.param('id', uuidParam('Snap not found'));
+router.param('commentId', uuidParam('Comment not found'));
+
+const MAX_COMMENT_LENGTH = 500;
+
+const commentListSchema = {
+    query: {
+        page: rules.integer({ min: 1, optional: true, default: 1 }),
+        limit: rules.integer({ min: 1, max: 100, optional: true, default: 20 })
+    }
+};
+
+const commentSchema = {
+    body: { body: rules.string({ min: 1, max: MAX_COMMENT_LENGTH, label: 'Comment text' }) }
+};
+
+const viewSchema = {
+    body: {
+        source: rules.oneOf(VIEW_SOURCES, { optional: true, default: 'other' }),
+        completed: rules.boolean({ optional: true, default: false }),
+        watchedSeconds: rules.number({ min: 0, optional: true })
+    }
+};
+
+// Snap shape expected by the socket emitters
+const socketSnap = (snap) => ({ id: snap.id, userId: snap.user_id, isPublic: snap.is_public });
+
+const snapNotFound = (res) => res.status(404).json({ success: false, message: 'Snap not found' });
+
+// The snap as the viewer may see it ({ id, user_id, is_public }), or null
+const findSnap = (id, viewerId) => getRepositories().snaps.findAccessible(id, viewerId);
+
+// Like a snap (idempotent)
+router.post('/:id/like', authenticateToken, async (req, res) => {
+    try {
+        const snap = await findSnap(req.params.id, req.user.id);
+        if (!snap) return snapNotFound(res);
+
+        const { likes } = getRepositories();
+        const likedAt = await likes.add(snap.id, req.user.id);
+        const likeCount = await likes.count(snap.id);
+
+        if (likedAt) {
+            emitSnapLiked(socketSnap(snap), { userId: req.user.id, liked: true, likeCount });
+
+            if (snap.user_id !== req.user.id) {
+                emitNotification(snap.user_id, {
+                    type: 'like',
+                    snapId: snap.id,
+                    from: { id: req.user.id, username: req.user.username },
+                    createdAt: likedAt
+                });
+            }
+        }
+
+        res.json({ success: true, liked: true, likeCount });
+    } catch (error) {
+        logger.error('Error liking snap', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to like snap',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Remove a like (idempotent)
+router.delete('/:id/like', authenticateToken, async (req, res) => {
+    try {
+        const snap = await findSnap(req.params.id, req.user.id);
+        if (!snap) return snapNotFound(res);
+
+        const { likes } = getRepositories();
+        const removed = await likes.remove(snap.id, req.user.id);
+        const likeCount = await likes.count(snap.id);
+
+        if (removed) {
+            emitSnapLiked(socketSnap(snap), { userId: req.user.id, liked: false, likeCount });
+        }
+
+        res.json({ success: true, liked: false, likeCount });
+    } catch (error) {
+        logger.error('Error unliking snap', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to unlike snap',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// List comments, oldest first. Comments by users blocked either way with me
+// are left out.
+router.get('/:id/comments', optionalAuth, validate(commentListSchema), async (req, res) => {
+    try {
+        const viewerId = req.user ? req.user.id : null;
+        const snap = await findSnap(req.params.id, viewerId);
+        if (!snap) return snapNotFound(res);
+
+        const { page, limit } = req.query;
+        const offset = (page - 1) * limit;
+
+        const { comments } = getRepositories();
+        const rows = await comments.list(snap.id, viewerId, { limit, offset });
+        const totalItems = await comments.count(snap.id);
+
+        res.json({
+            success: true,
+            comments: rows,
+            pagination: {
+                page,
+                limit,
+                totalItems,
+                totalPages: Math.ceil(totalItems / limit)
+            }
+        });
+    } catch (error) {
+        logger.error('Error fetching comments', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch comments',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Add a comment
+router.post('/:id/comments', authenticateToken, validate(commentSchema), async (req, res) => {
+    const { body } = req.body;
+
+    try {
+        const snap = await findSnap(req.params.id, req.user.id);
+        if (!snap) return snapNotFound(res);
+
+        const { comments } = getRepositories();
+        const added = await comments.add(snap.id, req.user.id, body);
+        const commentCount = await comments.count(snap.id);
+
+        const comment = {
+            id: added.id,
+            body: added.body,
+            createdAt: added.created_at,
+            userId: req.user.id,
+            username: req.user.username
+        };
+
+        emitCommentAdded(socketSnap(snap), comment, commentCount);
+
+        if (snap.user_id !== req.user.id) {
+            emitNotification(snap.user_id, {
+                type: 'comment',
+                snapId: snap.id,
+                commentId: comment.id,
+                from: { id: req.user.id, username: req.user.username },
+                createdAt: comment.createdAt
+            });
+        }
+
+        res.status(201).json({ success: true, comment, commentCount });
+    } catch (error) {
+        logger.error('Error adding comment', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add comment',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Delete a comment. Allowed for its author and the snap's owner.
+router.delete('/:id/comments/:commentId', authenticateToken, async (req, res) => {
+    try {
+        const snap = await findSnap(req.params.id, req.user.id);
+        if (!snap) return snapNotFound(res);
+
+        const { comments } = getRepositories();
+        const authorId = await comments.findAuthorId(req.params.commentId, snap.id);
+        if (!authorId) {
+            return res.status(404).json({ success: false, message: 'Comment not found' });
+        }
+
+        if (authorId !== req.user.id && snap.user_id !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the comment author or the snap owner can delete this comment'
+            });
+        }
+
+        await comments.remove(req.params.commentId);
+        const commentCount = await comments.count(snap.id);
+
+        emitCommentDeleted(socketSnap(snap), req.params.commentId, commentCount);
+
+        res.json({ success: true, message: 'Comment deleted', commentCount });
+    } catch (error) {
+        logger.error('Error deleting comment', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete comment',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Anonymous viewers are told apart only by address and user agent, which a
+// client can vary at will, so their views are capped per IP
+const limitAnonymousViews = rateLimit('view_ip');
+
+// Record that I viewed a snap. Each viewer (or anonymous browser) counts once
+// per snap; reporting again only updates completion and watch time. Views of
+// my own snaps are not counted. Body: { source, completed, watchedSeconds }.
+router.post('/:id/view', optionalAuth, (req, res, next) => {
+    if (req.user) return next();
+    limitAnonymousViews(req, res, next);
+}, validate(viewSchema), async (req, res) => {
+    const { source, completed, watchedSeconds } = req.body;
+
+    try {
+        const snap = await findSnap(req.params.id, req.user && req.user.id);
+        if (!snap) return snapNotFound(res);
+
+        const { counted, viewCount } = await recordSnapView(snap, req, {
+            source,
+            completed,
+            watchedSeconds: watchedSeconds ?? null
+        });
+
+        res.json({ success: true, counted, viewCount });
+    } catch (error) {
+        logger.error('Error recording snap view', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to record view',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Insights for one of my snaps: unique viewers, hourly views since posting,
+// completion and where the views came from
+router.get('/:id/insights', authenticateToken, async (req, res) => {
+    try {
+        const { snaps, views, likes, comments } = getRepositories();
+        const snap = await snaps.findOwn(req.params.id, req.user.id);
+        if (!snap) return snapNotFound(res);
+
+        const [summary, likeCount, commentCount] = await Promise.all([
+            views.insights(snap.id),
+            likes.count(snap.id),
+            comments.count(snap.id)
+        ]);
+
+        res.json({
+            success: true,
+            insights: {
+                snapId: snap.id,
+                mediaType: snap.media_type,
+                createdAt: snap.created_at,
+                viewCount: snap.view_count,
+                uniqueViewers: summary.uniqueViewers,
+                signedInViewers: summary.signedInViewers,
+                anonymousViewers: summary.uniqueViewers - summary.signedInViewers,
+                completedViews: summary.completedViews,
+                completionRate: summary.uniqueViewers > 0
+                    ? summary.completedViews / summary.uniqueViewers
+                    : null,
+                averageWatchedSeconds: summary.averageWatchedSeconds,
+                viewsOverTime: summary.viewsOverTime,
+                sources: summary.sources,
+                likeCount,
+                commentCount
+            }
+        });
+    } catch (error) {
+        logger.error('Error fetching snap insights', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch insights',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
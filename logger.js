@@ -0,0 +1,152 @@
+// logger.js - Structured JSON logging with request ids and secret redaction
+//
+// Every entry is one line of JSON on stdout (errors and warnings on stderr):
+//   {"time":"...","level":"info","msg":"Snap uploaded","requestId":"...","snapId":"..."}
+//
+//   logger.info('Snap uploaded', { snapId });
+//   logger.error('Error uploading snap', { err: error });
+//
+// LOG_LEVEL picks the lowest level written: debug, info (default), warn,
+// error or silent. Fields named like credentials (authorization, cookie,
+// password, *token, *secret) are replaced with '[REDACTED]', as are bearer
+// tokens and JWTs inside strings; Buffers (image bytes) are logged as their
+// length only.
+//
+// requestContext() gives each HTTP request an id, taken from a sane incoming
+// X-Request-Id header or generated, and sends it back in X-Request-Id. Entries
+// logged while the request is handled carry it as `requestId`, and so do
+// socket events the request triggers (see socket.js).
+const { AsyncLocalStorage } = require('async_hooks');
+const { v4: uuidv4 } = require('uuid');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const REDACTED = '[REDACTED]';
+const SENSITIVE_KEY = /^(authorization|cookie|set-cookie|password|.*token|.*secret|.*password_hash)$/i;
+const BEARER = /\bBearer\s+[^\s,;"]+/gi;
+const JWT = /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g;
+const MAX_DEPTH = 6;
+
+const INCOMING_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+const context = new AsyncLocalStorage();
+
+// The id of the request being handled, or undefined outside one
+function currentRequestId() {
+    const store = context.getStore();
+    return store && store.requestId;
+}
+
+function redactString(value) {
+    return value.replace(BEARER, `Bearer ${REDACTED}`).replace(JWT, REDACTED);
+}
+
+// Copy of `value` that is safe to log
+function redact(value, depth = 0) {
+    if (typeof value === 'string') return redactString(value);
+    if (value === null || typeof value !== 'object') return value;
+    if (Buffer.isBuffer(value) || ArrayBuffer.isView(value)) return `[${value.byteLength} bytes]`;
+    if (value instanceof Error) {
+        return redact({ name: value.name, message: value.message, code: value.code, stack: value.stack }, depth);
+    }
+    if (value instanceof Date) return value.toISOString();
+    if (depth >= MAX_DEPTH) return '[Object]';
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        if (item === undefined) continue;
+        copy[key] = SENSITIVE_KEY.test(key) ? REDACTED : redact(item, depth + 1);
+    }
+    return copy;
+}
+
+// A query key as the app sees it; badly encoded keys are checked as sent
+function decodeKey(key) {
+    try {
+        return decodeURIComponent(key);
+    } catch (error) {
+        return key;
+    }
+}
+
+// A path with credential-looking query parameters (?token=...) masked
+function redactUrl(url) {
+    return url.replace(/([?&])([^=&]*)=([^&]*)/g, (match, separator, key) => (
+        SENSITIVE_KEY.test(decodeKey(key)) ? `${separator}${key}=${REDACTED}` : match
+    ));
+}
+
+function levelThreshold(level) {
+    const name = String(level || 'info').toLowerCase();
+    return name in LEVELS ? LEVELS[name] : LEVELS.info;
+}
+
+function defaultWrite(level, line) {
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+// Build a logger. `fields` are added to every entry; `write(level, line)`
+// receives each formatted line. The level is read from LOG_LEVEL unless given.
+function createLogger({ level, fields = {}, write = defaultWrite } = {}) {
+    const threshold = () => levelThreshold(level || process.env.LOG_LEVEL);
+
+    const log = (entryLevel) => (msg, entryFields = {}) => {
+        if (LEVELS[entryLevel] < threshold()) return;
+        const entry = {
+            time: new Date().toISOString(),
+            level: entryLevel,
+            msg: redactString(String(msg)),
+            requestId: currentRequestId(),
+            ...redact({ ...fields, ...entryFields })
+        };
+        write(entryLevel, JSON.stringify(entry));
+    };
+
+    return {
+        debug: log('debug'),
+        info: log('info'),
+        warn: log('warn'),
+        error: log('error'),
+        isLevelEnabled: (entryLevel) => LEVELS[entryLevel] >= threshold(),
+        child: (childFields) => createLogger({ level, fields: { ...fields, ...childFields }, write })
+    };
+}
+
+const logger = createLogger();
+
+// Middleware giving the request an id and logging it once answered, with its
+// status and duration. Mount it first so every later entry carries the id.
+function requestContext(req, res, next) {
+    const incoming = req.get('x-request-id');
+    const requestId = incoming && INCOMING_REQUEST_ID.test(incoming) ? incoming : uuidv4();
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    const start = process.hrtime.bigint();
+    res.on('finish', () => {
+        const level = res.statusCode >= 500 ? 'error' : 'info';
+        if (!logger.isLevelEnabled(level)) return;
+        const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+        logger[level]('Request completed', {
+            requestId,
+            method: req.method,
+            path: redactUrl(req.originalUrl),
+            status: res.statusCode,
+            durationMs: Math.round(durationMs * 10) / 10,
+            userId: req.user ? req.user.id : undefined,
+            ip: req.ip
+        });
+    });
+
+    context.run({ requestId }, next);
+}
+
+module.exports = {
+    logger,
+    createLogger,
+    requestContext,
+    currentRequestId,
+    redact,
+    redactUrl
+};
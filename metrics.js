@@ -0,0 +1,156 @@
+// metrics.js - Process metrics in the Prometheus text format (served at /metrics)
+//
+// A small registry of counters, gauges and histograms with labels. Values that
+// are cheap to read when scraped (pool usage, socket connections) are gauges
+// with a `collect` function instead of being updated as they change.
+
+const metrics = [];
+
+// Label set as it appears in the exposition format, e.g. {method="GET",status="200"}
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+}
+
+// Values are kept per label set, keyed by the formatted labels
+function createSeries() {
+    const series = new Map();
+    return {
+        get(labels, create) {
+            const key = formatLabels(labels);
+            if (!series.has(key)) series.set(key, { labels, value: create() });
+            return series.get(key).value;
+        },
+        entries: () => [...series.values()]
+    };
+}
+
+function register(metric) {
+    metrics.push(metric);
+    return metric;
+}
+
+function counter(name, help) {
+    const series = createSeries();
+    return register({
+        name,
+        help,
+        type: 'counter',
+        inc(labels = {}, amount = 1) {
+            series.get(labels, () => ({ count: 0 })).count += amount;
+        },
+        lines: () => series.entries().map(({ labels, value }) => `${name}${formatLabels(labels)} ${value.count}`)
+    });
+}
+
+// `collect()` may return a number, or [{ labels, value }] for several series
+function gauge(name, help, collect = null) {
+    const series = createSeries();
+    return register({
+        name,
+        help,
+        type: 'gauge',
+        set(labels, value) {
+            series.get(labels, () => ({ value: 0 })).value = value;
+        },
+        lines() {
+            if (collect) {
+                const collected = collect();
+                const values = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+                return values.map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`);
+            }
+            return series.entries().map(({ labels, value }) => `${name}${formatLabels(labels)} ${value.value}`);
+        }
+    });
+}
+
+function histogram(name, help, buckets) {
+    const series = createSeries();
+    return register({
+        name,
+        help,
+        type: 'histogram',
+        observe(labels, value) {
+            const entry = series.get(labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+            buckets.forEach((bound, i) => {
+                if (value <= bound) entry.counts[i]++;
+            });
+            entry.sum += value;
+            entry.count++;
+        },
+        lines() {
+            const lines = [];
+            for (const { labels, value } of series.entries()) {
+                buckets.forEach((bound, i) => {
+                    lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${value.counts[i]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+                lines.push(`${name}_sum${formatLabels(labels)} ${value.sum}`);
+                lines.push(`${name}_count${formatLabels(labels)} ${value.count}`);
+            }
+            return lines;
+        }
+    });
+}
+
+// Every registered metric, ready to serve as text/plain; version=0.0.4
+function renderMetrics() {
+    const blocks = [];
+    for (const metric of metrics) {
+        const lines = metric.lines();
+        if (lines.length === 0) continue;
+        blocks.push([`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...lines].join('\n'));
+    }
+    return blocks.join('\n') + '\n';
+}
+
+const MB = 1024 * 1024;
+
+const httpRequestDuration = histogram(
+    'http_request_duration_seconds',
+    'Time to answer HTTP requests, by route pattern',
+    [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+);
+
+const uploadSize = histogram(
+    'snap_upload_size_bytes',
+    'Size of uploaded snap media',
+    [100 * 1024, 500 * 1024, MB, 2 * MB, 5 * MB, 10 * MB, 25 * MB, 50 * MB]
+);
+
+const cleanupRuns = counter('snap_cleanup_runs_total', 'Expired snap cleanup runs by result (ok, skipped, error)');
+const cleanupDeleted = counter('snap_cleanup_deleted_total', 'Expired snaps deleted by the cleanup job');
+const cleanupMediaErrors = counter('snap_cleanup_media_errors_total', 'Stored media the cleanup job failed to delete');
+const cleanupLastRun = gauge('snap_cleanup_last_run_timestamp_seconds', 'When the cleanup job last finished');
+
+const processStart = Date.now();
+gauge('process_uptime_seconds', 'Seconds since the process started', () => (Date.now() - processStart) / 1000);
+gauge('process_resident_memory_bytes', 'Resident memory size', () => process.memoryUsage().rss);
+
+// Middleware that times every request. Routes are labelled by their pattern
+// (/api/snaps/:id), so ids do not create a series each; requests no route
+// handled (static files, 404s) share the label 'unmatched'.
+function trackRequests(req, res, next) {
+    const start = process.hrtime.bigint();
+    res.on('finish', () => {
+        const route = req.route ? (req.baseUrl + req.route.path).replace(/(.)\/$/, '$1') : 'unmatched';
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        httpRequestDuration.observe({ method: req.method, route, status: res.statusCode }, seconds);
+    });
+    next();
+}
+
+module.exports = {
+    counter,
+    gauge,
+    histogram,
+    renderMetrics,
+    trackRequests,
+    uploadSize,
+    cleanupRuns,
+    cleanupDeleted,
+    cleanupMediaErrors,
+    cleanupLastRun
+};
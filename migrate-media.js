@@ -0,0 +1,109 @@
+// migrate-media.js - Move snap images out of snaps.image_data
+//
+// Copies every snap that still stores its bytes in the snaps table into the
+// backend selected by STORAGE_BACKEND (or --backend), then clears image_data.
+//
+// Usage:
+//   node migrate-media.js [--backend local|database|s3] [--batch-size <n>] [--dry-run]
+require('dotenv').config();
+
+const { pool } = require('./db-pg');
+const { getStorage, snapMediaKey } = require('./storage');
+
+function parseArgs(argv) {
+    const options = { backend: process.env.STORAGE_BACKEND || 'local', batchSize: 50, dryRun: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '--backend') {
+            options.backend = argv[++i];
+        } else if (arg === '--batch-size') {
+            options.batchSize = parseInt(argv[++i], 10);
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (!(options.batchSize > 0)) {
+        throw new Error('--batch-size must be a positive number');
+    }
+
+    return options;
+}
+
+// Move one batch. Rows are locked with SKIP LOCKED so several copies of this
+// script (or a rerun after a crash) never process the same snap twice.
+async function migrateBatch(storage, batchSize) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const result = await client.query(
+            `SELECT id, image_data, mime_type, created_at, is_public, view_once
+             FROM snaps
+             WHERE storage_key IS NULL AND image_data IS NOT NULL
+             ORDER BY created_at
+             LIMIT $1
+             FOR UPDATE SKIP LOCKED`,
+            [batchSize]
+        );
+
+        for (const row of result.rows) {
+            const isPrivate = !row.is_public || row.view_once;
+            const key = snapMediaKey(row.id, row.mime_type, row.created_at, null, { isPrivate });
+            await storage.put(key, row.image_data, { contentType: row.mime_type });
+
+            await client.query(
+                `UPDATE snaps
+                 SET storage_backend = $1, storage_key = $2, image_url = $3, image_data = NULL
+                 WHERE id = $4`,
+                [storage.name, key, storage.publicUrl(key) || `/api/snaps/image/${row.id}`, row.id]
+            );
+            console.log(`Moved ${row.id} -> ${storage.name}:${key}`);
+        }
+
+        await client.query('COMMIT');
+        return result.rows.length;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+async function main() {
+    const { backend, batchSize, dryRun } = parseArgs(process.argv.slice(2));
+
+    const pending = await pool.query(
+        `SELECT COUNT(*) AS count, COALESCE(SUM(octet_length(image_data)), 0) AS bytes
+         FROM snaps
+         WHERE storage_key IS NULL AND image_data IS NOT NULL`
+    );
+    const { count, bytes } = pending.rows[0];
+    console.log(`${count} snaps (${bytes} bytes) still stored in snaps.image_data`);
+
+    if (dryRun || parseInt(count, 10) === 0) {
+        return;
+    }
+
+    const storage = getStorage(backend);
+    let moved = 0;
+    let batch;
+    do {
+        batch = await migrateBatch(storage, batchSize);
+        moved += batch;
+    } while (batch === batchSize);
+
+    console.log(`Moved ${moved} snaps to the ${storage.name} backend`);
+}
+
+main()
+    .then(() => pool.end())
+    .catch(async (error) => {
+        console.error('Media migration failed:', error);
+        await pool.end();
+        process.exit(1);
+    });
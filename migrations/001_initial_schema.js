@@ -0,0 +1,39 @@
+// migrations/001_initial_schema.js
+// Baseline users and snaps tables (previously created by initDb() in db-pg.js)
+module.exports = {
+    description: 'Initial schema: users and snaps',
+
+    up: [
+        `CREATE EXTENSION IF NOT EXISTS "uuid-ossp"`,
+
+        `CREATE TABLE IF NOT EXISTS users (
+            id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+            username VARCHAR(50) UNIQUE NOT NULL,
+            email VARCHAR(255) UNIQUE NOT NULL,
+            password_hash VARCHAR(255) NOT NULL,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            last_login TIMESTAMPTZ,
+            profile_picture_url VARCHAR(512),
+            bio TEXT,
+            is_active BOOLEAN DEFAULT true
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS snaps (
+            id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+            user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            image_url VARCHAR(512) NOT NULL,
+            caption TEXT,
+            location VARCHAR(255),
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            expires_at TIMESTAMPTZ,
+            view_count INTEGER DEFAULT 0,
+            is_public BOOLEAN DEFAULT true
+        )`
+    ],
+
+    down: [
+        `DROP TABLE IF EXISTS snaps`,
+        `DROP TABLE IF EXISTS users`
+    ]
+};
@@ -0,0 +1,22 @@
+// migrations/002_add_auth_columns.js
+// Brings databases created before authentication existed up to date.
+// On a fresh database 001 already creates password_hash, so there is
+// nothing for this step to undo.
+module.exports = {
+    description: 'Add password_hash to users',
+
+    up: [
+        `DO $$
+        BEGIN
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                          WHERE table_name='users' AND column_name='password_hash') THEN
+                ALTER TABLE users ADD COLUMN password_hash TEXT;
+                UPDATE users SET password_hash = 'dummyhash' WHERE password_hash IS NULL;
+                ALTER TABLE users ALTER COLUMN password_hash SET NOT NULL;
+                RAISE NOTICE 'Added password_hash column to users table';
+            END IF;
+        END $$`
+    ],
+
+    down: []
+};
@@ -0,0 +1,14 @@
+// migrations/003_fix_snaps_schema.js
+// Adds columns missing from early snaps tables. They are part of the
+// baseline in 001, so the down step leaves them in place.
+module.exports = {
+    description: 'Add caption, location and is_public to snaps',
+
+    up: [
+        `ALTER TABLE snaps ADD COLUMN IF NOT EXISTS caption TEXT`,
+        `ALTER TABLE snaps ADD COLUMN IF NOT EXISTS location VARCHAR(255)`,
+        `ALTER TABLE snaps ADD COLUMN IF NOT EXISTS is_public BOOLEAN DEFAULT true`
+    ],
+
+    down: []
+};
@@ -0,0 +1,26 @@
+// migrations/004_add_image_data_to_snaps.js
+module.exports = {
+    description: 'Store image bytes and MIME type on snaps',
+
+    up: [
+        `ALTER TABLE snaps ADD COLUMN IF NOT EXISTS image_data BYTEA`,
+        `ALTER TABLE snaps ADD COLUMN IF NOT EXISTS mime_type VARCHAR(50)`,
+
+        // Set mime_type for existing images based on file extension
+        `UPDATE snaps
+         SET mime_type =
+            CASE
+                WHEN image_url LIKE '%.jpg' OR image_url LIKE '%.jpeg' THEN 'image/jpeg'
+                WHEN image_url LIKE '%.png' THEN 'image/png'
+                WHEN image_url LIKE '%.gif' THEN 'image/gif'
+                WHEN image_url LIKE '%.webp' THEN 'image/webp'
+                ELSE 'application/octet-stream'
+            END
+         WHERE mime_type IS NULL`
+    ],
+
+    down: [
+        `ALTER TABLE snaps DROP COLUMN IF EXISTS mime_type`,
+        `ALTER TABLE snaps DROP COLUMN IF EXISTS image_data`
+    ]
+};
@@ -0,0 +1,35 @@
+// migrations/005_add_roles_and_audit_log.js
+module.exports = {
+    description: 'Add users.role and the admin_audit_log table',
+
+    up: [
+        `ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'user'`,
+
+        `DO $$
+        BEGIN
+            IF NOT EXISTS (SELECT 1 FROM information_schema.table_constraints
+                          WHERE table_name='users' AND constraint_name='users_role_check') THEN
+                ALTER TABLE users ADD CONSTRAINT users_role_check CHECK (role IN ('user', 'admin'));
+            END IF;
+        END $$`,
+
+        `CREATE TABLE IF NOT EXISTS admin_audit_log (
+            id BIGSERIAL PRIMARY KEY,
+            actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+            action VARCHAR(50) NOT NULL,
+            target_type VARCHAR(50) NOT NULL,
+            target_id UUID,
+            details JSONB,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )`,
+
+        `CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created_at
+            ON admin_audit_log (created_at DESC)`
+    ],
+
+    down: [
+        `DROP TABLE IF EXISTS admin_audit_log`,
+        `ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check`,
+        `ALTER TABLE users DROP COLUMN IF EXISTS role`
+    ]
+};
@@ -0,0 +1,22 @@
+// migrations/006_add_snap_hashtags.js
+module.exports = {
+    description: 'Add snaps.hashtags and the snaps_hashtags table',
+
+    up: [
+        `ALTER TABLE snaps ADD COLUMN IF NOT EXISTS hashtags TEXT`,
+
+        `CREATE TABLE IF NOT EXISTS snaps_hashtags (
+            snap_id UUID NOT NULL REFERENCES snaps(id) ON DELETE CASCADE,
+            hashtag VARCHAR(100) NOT NULL,
+            PRIMARY KEY (snap_id, hashtag)
+        )`,
+
+        `CREATE INDEX IF NOT EXISTS idx_snaps_hashtags_hashtag
+            ON snaps_hashtags (hashtag)`
+    ],
+
+    down: [
+        `DROP TABLE IF EXISTS snaps_hashtags`,
+        `ALTER TABLE snaps DROP COLUMN IF EXISTS hashtags`
+    ]
+};
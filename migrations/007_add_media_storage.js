@@ -0,0 +1,29 @@
+// migrations/007_add_media_storage.js
+// Media moves out of snaps.image_data into a storage backend (see storage.js).
+// image_data stays for rows that have not been moved yet by migrate-media.js.
+module.exports = {
+    description: 'Track the storage backend and key of snap media',
+
+    up: [
+        `ALTER TABLE snaps ADD COLUMN IF NOT EXISTS storage_backend VARCHAR(20)`,
+        `ALTER TABLE snaps ADD COLUMN IF NOT EXISTS storage_key VARCHAR(512)`,
+
+        `CREATE TABLE IF NOT EXISTS media_objects (
+            key VARCHAR(512) PRIMARY KEY,
+            data BYTEA NOT NULL,
+            content_type VARCHAR(100),
+            size INTEGER NOT NULL,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )`,
+
+        // Uploads used to store a placeholder URL that never resolved
+        `UPDATE snaps SET image_url = '/api/snaps/image/' || id
+         WHERE image_url LIKE '/api/snaps/image/%'`
+    ],
+
+    down: [
+        `DROP TABLE IF EXISTS media_objects`,
+        `ALTER TABLE snaps DROP COLUMN IF EXISTS storage_key`,
+        `ALTER TABLE snaps DROP COLUMN IF EXISTS storage_backend`
+    ]
+};
@@ -0,0 +1,18 @@
+// migrations/008_add_snap_lifetimes.js
+module.exports = {
+    description: 'Per-snap lifetimes: view_once flag and indexed expires_at',
+
+    up: [
+        `ALTER TABLE snaps ADD COLUMN IF NOT EXISTS view_once BOOLEAN NOT NULL DEFAULT false`,
+
+        // Snaps from before expires_at was written used a fixed 12 hour life
+        `UPDATE snaps SET expires_at = created_at + INTERVAL '12 hours' WHERE expires_at IS NULL`,
+
+        `CREATE INDEX IF NOT EXISTS idx_snaps_expires_at ON snaps (expires_at)`
+    ],
+
+    down: [
+        `DROP INDEX IF EXISTS idx_snaps_expires_at`,
+        `ALTER TABLE snaps DROP COLUMN IF EXISTS view_once`
+    ]
+};
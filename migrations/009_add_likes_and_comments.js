@@ -0,0 +1,29 @@
+// migrations/009_add_likes_and_comments.js
+module.exports = {
+    description: 'Add snap_likes and snap_comments',
+
+    up: [
+        `CREATE TABLE IF NOT EXISTS snap_likes (
+            snap_id UUID NOT NULL REFERENCES snaps(id) ON DELETE CASCADE,
+            user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            PRIMARY KEY (snap_id, user_id)
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS snap_comments (
+            id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+            snap_id UUID NOT NULL REFERENCES snaps(id) ON DELETE CASCADE,
+            user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            body TEXT NOT NULL,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )`,
+
+        `CREATE INDEX IF NOT EXISTS idx_snap_comments_snap_id_created_at
+            ON snap_comments (snap_id, created_at)`
+    ],
+
+    down: [
+        `DROP TABLE IF EXISTS snap_comments`,
+        `DROP TABLE IF EXISTS snap_likes`
+    ]
+};
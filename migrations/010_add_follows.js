@@ -0,0 +1,23 @@
+// migrations/010_add_follows.js
+module.exports = {
+    description: 'Add the follows table',
+
+    up: [
+        `CREATE TABLE IF NOT EXISTS follows (
+            follower_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            followee_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            PRIMARY KEY (follower_id, followee_id),
+            CHECK (follower_id <> followee_id)
+        )`,
+
+        `CREATE INDEX IF NOT EXISTS idx_follows_followee_id ON follows (followee_id)`,
+
+        `CREATE INDEX IF NOT EXISTS idx_snaps_user_id_created_at ON snaps (user_id, created_at DESC)`
+    ],
+
+    down: [
+        `DROP INDEX IF EXISTS idx_snaps_user_id_created_at`,
+        `DROP TABLE IF EXISTS follows`
+    ]
+};
@@ -0,0 +1,23 @@
+// migrations/011_add_feed_keyset_indexes.js
+// Indexes matching the feed's keyset order, (created_at DESC, id DESC)
+module.exports = {
+    description: 'Index snaps for keyset pagination on (created_at, id)',
+
+    up: [
+        `CREATE INDEX IF NOT EXISTS idx_snaps_created_at_id ON snaps (created_at DESC, id DESC)`,
+
+        `CREATE INDEX IF NOT EXISTS idx_snaps_public_created_at_id
+            ON snaps (created_at DESC, id DESC) WHERE is_public`,
+
+        `DROP INDEX IF EXISTS idx_snaps_user_id_created_at`,
+        `CREATE INDEX IF NOT EXISTS idx_snaps_user_id_created_at_id
+            ON snaps (user_id, created_at DESC, id DESC)`
+    ],
+
+    down: [
+        `DROP INDEX IF EXISTS idx_snaps_user_id_created_at_id`,
+        `CREATE INDEX IF NOT EXISTS idx_snaps_user_id_created_at ON snaps (user_id, created_at DESC)`,
+        `DROP INDEX IF EXISTS idx_snaps_public_created_at_id`,
+        `DROP INDEX IF EXISTS idx_snaps_created_at_id`
+    ]
+};
@@ -0,0 +1,27 @@
+// migrations/012_normalize_hashtags.js
+// Tags are now stored lower-cased (see normalizeHashtag in hashtags.js).
+// Lower-casing existing rows cannot be undone, so down only restores the index.
+module.exports = {
+    description: 'Lower-case stored hashtags and index them for prefix search',
+
+    up: [
+        // '#Beach' and '#beach' on the same snap collapse into one row
+        `DELETE FROM snaps_hashtags a
+         USING snaps_hashtags b
+         WHERE a.snap_id = b.snap_id
+           AND lower(a.hashtag) = lower(b.hashtag)
+           AND a.hashtag > b.hashtag`,
+
+        `UPDATE snaps_hashtags SET hashtag = lower(hashtag) WHERE hashtag <> lower(hashtag)`,
+
+        // text_pattern_ops lets LIKE 'prefix%' use the index under any collation
+        `DROP INDEX IF EXISTS idx_snaps_hashtags_hashtag`,
+        `CREATE INDEX IF NOT EXISTS idx_snaps_hashtags_hashtag_pattern
+            ON snaps_hashtags (hashtag text_pattern_ops)`
+    ],
+
+    down: [
+        `DROP INDEX IF EXISTS idx_snaps_hashtags_hashtag_pattern`,
+        `CREATE INDEX IF NOT EXISTS idx_snaps_hashtags_hashtag ON snaps_hashtags (hashtag)`
+    ]
+};
@@ -0,0 +1,36 @@
+// migrations/013_add_sessions.js
+module.exports = {
+    description: 'Add sessions and rotating refresh tokens',
+
+    up: [
+        `CREATE TABLE IF NOT EXISTS sessions (
+            id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+            user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            user_agent VARCHAR(512),
+            ip_address VARCHAR(64),
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            last_used_at TIMESTAMPTZ,
+            expires_at TIMESTAMPTZ NOT NULL,
+            revoked_at TIMESTAMPTZ,
+            revoked_reason VARCHAR(50)
+        )`,
+
+        `CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions (user_id)`,
+
+        // Only hashes are stored; a spent token keeps its row (used_at set)
+        // so that presenting it again can be recognized as reuse
+        `CREATE TABLE IF NOT EXISTS refresh_tokens (
+            token_hash CHAR(64) PRIMARY KEY,
+            session_id UUID NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            used_at TIMESTAMPTZ
+        )`,
+
+        `CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session_id ON refresh_tokens (session_id)`
+    ],
+
+    down: [
+        `DROP TABLE IF EXISTS refresh_tokens`,
+        `DROP TABLE IF EXISTS sessions`
+    ]
+};
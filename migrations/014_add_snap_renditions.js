@@ -0,0 +1,18 @@
+// migrations/014_add_snap_renditions.js
+// Uploads are now re-encoded into several sizes and formats (see images.js).
+// Older snaps keep a NULL renditions column and are served from storage_key.
+module.exports = {
+    description: 'Record image dimensions and renditions of snaps',
+
+    up: [
+        `ALTER TABLE snaps ADD COLUMN IF NOT EXISTS width INTEGER`,
+        `ALTER TABLE snaps ADD COLUMN IF NOT EXISTS height INTEGER`,
+        `ALTER TABLE snaps ADD COLUMN IF NOT EXISTS renditions JSONB`
+    ],
+
+    down: [
+        `ALTER TABLE snaps DROP COLUMN IF EXISTS renditions`,
+        `ALTER TABLE snaps DROP COLUMN IF EXISTS height`,
+        `ALTER TABLE snaps DROP COLUMN IF EXISTS width`
+    ]
+};
@@ -0,0 +1,24 @@
+// migrations/015_add_video_snaps.js
+// Snaps can now hold a short video instead of an image (see videos.js)
+module.exports = {
+    description: 'Add media type and duration to snaps for video snaps',
+
+    up: [
+        `ALTER TABLE snaps ADD COLUMN IF NOT EXISTS media_type VARCHAR(10) NOT NULL DEFAULT 'image'`,
+        `ALTER TABLE snaps ADD COLUMN IF NOT EXISTS duration_seconds REAL`,
+
+        `DO $$
+        BEGIN
+            IF NOT EXISTS (SELECT 1 FROM information_schema.table_constraints
+                          WHERE table_name='snaps' AND constraint_name='snaps_media_type_check') THEN
+                ALTER TABLE snaps ADD CONSTRAINT snaps_media_type_check CHECK (media_type IN ('image', 'video'));
+            END IF;
+        END $$`
+    ],
+
+    down: [
+        `ALTER TABLE snaps DROP CONSTRAINT IF EXISTS snaps_media_type_check`,
+        `ALTER TABLE snaps DROP COLUMN IF EXISTS duration_seconds`,
+        `ALTER TABLE snaps DROP COLUMN IF EXISTS media_type`
+    ]
+};
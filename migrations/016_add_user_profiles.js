@@ -0,0 +1,24 @@
+// migrations/016_add_user_profiles.js
+// Editable profiles: display names, uploaded profile pictures and
+// self-service deactivation (see profile-routes.js)
+module.exports = {
+    description: 'Add display names, avatar storage and deactivation to users',
+
+    up: [
+        `ALTER TABLE users ADD COLUMN IF NOT EXISTS display_name VARCHAR(50)`,
+
+        // Where the current profile picture and its renditions are stored
+        `ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar_backend VARCHAR(20)`,
+        `ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar_renditions JSONB`,
+
+        // Set when the user deactivated their own account; logging in again reactivates it
+        `ALTER TABLE users ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMPTZ`
+    ],
+
+    down: [
+        `ALTER TABLE users DROP COLUMN IF EXISTS deactivated_at`,
+        `ALTER TABLE users DROP COLUMN IF EXISTS avatar_renditions`,
+        `ALTER TABLE users DROP COLUMN IF EXISTS avatar_backend`,
+        `ALTER TABLE users DROP COLUMN IF EXISTS display_name`
+    ]
+};
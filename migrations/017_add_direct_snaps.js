@@ -0,0 +1,32 @@
+// migrations/017_add_direct_snaps.js
+// Snaps sent privately to chosen users instead of posted to feeds
+// (see direct-routes.js)
+module.exports = {
+    description: 'Add direct snaps and their recipients',
+
+    up: [
+        `ALTER TABLE snaps ADD COLUMN IF NOT EXISTS is_direct BOOLEAN NOT NULL DEFAULT false`,
+
+        // One row per recipient. delivered_at is set when the recipient's inbox
+        // first lists the snap, opened_at when they open it. Opening hands out a
+        // token (stored hashed) that can fetch the media for a short while.
+        `CREATE TABLE IF NOT EXISTS snap_recipients (
+            snap_id UUID NOT NULL REFERENCES snaps(id) ON DELETE CASCADE,
+            recipient_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            delivered_at TIMESTAMPTZ,
+            opened_at TIMESTAMPTZ,
+            view_token_hash CHAR(64),
+            PRIMARY KEY (snap_id, recipient_id)
+        )`,
+
+        `CREATE INDEX IF NOT EXISTS idx_snap_recipients_unopened
+         ON snap_recipients (recipient_id, created_at DESC)
+         WHERE opened_at IS NULL`
+    ],
+
+    down: [
+        `DROP TABLE IF EXISTS snap_recipients`,
+        `ALTER TABLE snaps DROP COLUMN IF EXISTS is_direct`
+    ]
+};
@@ -0,0 +1,22 @@
+// migrations/018_add_story_views.js
+// Which story items each viewer has seen (see story-routes.js)
+module.exports = {
+    description: 'Track story views per viewer',
+
+    up: [
+        `CREATE TABLE IF NOT EXISTS story_views (
+            snap_id UUID NOT NULL REFERENCES snaps(id) ON DELETE CASCADE,
+            viewer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            viewed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            PRIMARY KEY (snap_id, viewer_id)
+        )`,
+
+        // The owner's viewer list reads one snap's views newest first
+        `CREATE INDEX IF NOT EXISTS idx_story_views_snap_id_viewed_at
+         ON story_views (snap_id, viewed_at DESC)`
+    ],
+
+    down: [
+        `DROP TABLE IF EXISTS story_views`
+    ]
+};
@@ -0,0 +1,33 @@
+// migrations/019_add_snap_views.js
+// One row per viewer per snap, so snaps.view_count counts people rather
+// than page loads (see views.js)
+module.exports = {
+    description: 'Add deduplicated snap views for view counts and insights',
+
+    up: [
+        // viewer_key is 'user:<id>' for signed-in viewers and 'anon:<hash>'
+        // for anonymous ones; viewer_id is kept for the signed-in ones
+        `CREATE TABLE IF NOT EXISTS snap_views (
+            snap_id UUID NOT NULL REFERENCES snaps(id) ON DELETE CASCADE,
+            viewer_key VARCHAR(100) NOT NULL,
+            viewer_id UUID REFERENCES users(id) ON DELETE SET NULL,
+            source VARCHAR(20) NOT NULL DEFAULT 'other',
+            completed BOOLEAN NOT NULL DEFAULT false,
+            watched_seconds REAL,
+            first_viewed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            last_viewed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            PRIMARY KEY (snap_id, viewer_key)
+        )`,
+
+        `CREATE INDEX IF NOT EXISTS idx_snap_views_snap_id_first_viewed_at
+         ON snap_views (snap_id, first_viewed_at)`,
+
+        `UPDATE snaps SET view_count = 0 WHERE view_count IS NULL`,
+        `ALTER TABLE snaps ALTER COLUMN view_count SET NOT NULL`
+    ],
+
+    down: [
+        `ALTER TABLE snaps ALTER COLUMN view_count DROP NOT NULL`,
+        `DROP TABLE IF EXISTS snap_views`
+    ]
+};
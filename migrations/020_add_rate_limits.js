@@ -0,0 +1,20 @@
+// migrations/020_add_rate_limits.js
+// Shared counters for RATE_LIMIT_STORE=database (see rate-limit.js)
+module.exports = {
+    description: 'Add shared rate limit counters',
+
+    up: [
+        // Counters are disposable, so skip the write-ahead log
+        `CREATE UNLOGGED TABLE IF NOT EXISTS rate_limits (
+            key VARCHAR(255) PRIMARY KEY,
+            count INTEGER NOT NULL,
+            reset_at TIMESTAMPTZ NOT NULL
+        )`,
+
+        `CREATE INDEX IF NOT EXISTS idx_rate_limits_reset_at ON rate_limits (reset_at)`
+    ],
+
+    down: [
+        `DROP TABLE IF EXISTS rate_limits`
+    ]
+};
@@ -0,0 +1,84 @@
+// migrations/021_add_moderation.js
+// User reports, moderator actions and appeals (see moderation.js)
+module.exports = {
+    description: 'Add snap reports, moderation actions and hidden snaps',
+
+    up: [
+        // Hidden snaps stay in the table for review but nobody else sees them
+        `ALTER TABLE snaps ADD COLUMN IF NOT EXISTS hidden_at TIMESTAMPTZ`,
+
+        `CREATE TABLE IF NOT EXISTS snap_reports (
+            id BIGSERIAL PRIMARY KEY,
+            snap_id UUID NOT NULL REFERENCES snaps(id) ON DELETE CASCADE,
+            reporter_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            reason VARCHAR(30) NOT NULL,
+            details TEXT,
+            status VARCHAR(20) NOT NULL DEFAULT 'open',
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            resolved_at TIMESTAMPTZ,
+            resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+            UNIQUE (snap_id, reporter_id)
+        )`,
+
+        `DO $$
+        BEGIN
+            IF NOT EXISTS (SELECT 1 FROM information_schema.table_constraints
+                          WHERE table_name='snap_reports' AND constraint_name='snap_reports_reason_check') THEN
+                ALTER TABLE snap_reports ADD CONSTRAINT snap_reports_reason_check CHECK (reason IN (
+                    'spam', 'harassment', 'hate', 'nudity', 'violence', 'self_harm', 'misinformation', 'other'
+                ));
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.table_constraints
+                          WHERE table_name='snap_reports' AND constraint_name='snap_reports_status_check') THEN
+                ALTER TABLE snap_reports ADD CONSTRAINT snap_reports_status_check
+                    CHECK (status IN ('open', 'actioned', 'dismissed'));
+            END IF;
+        END $$`,
+
+        `CREATE INDEX IF NOT EXISTS idx_snap_reports_open
+            ON snap_reports (snap_id) WHERE status = 'open'`,
+
+        // snap_id has no foreign key: the record outlives a deleted snap.
+        // moderator_id is NULL for automatic actions.
+        `CREATE TABLE IF NOT EXISTS moderation_actions (
+            id BIGSERIAL PRIMARY KEY,
+            user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            snap_id UUID,
+            moderator_id UUID REFERENCES users(id) ON DELETE SET NULL,
+            action VARCHAR(20) NOT NULL,
+            reason TEXT,
+            appeal_status VARCHAR(20) NOT NULL DEFAULT 'none',
+            appeal_message TEXT,
+            appealed_at TIMESTAMPTZ,
+            appeal_resolved_at TIMESTAMPTZ,
+            appeal_resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )`,
+
+        `DO $$
+        BEGIN
+            IF NOT EXISTS (SELECT 1 FROM information_schema.table_constraints
+                          WHERE table_name='moderation_actions' AND constraint_name='moderation_actions_action_check') THEN
+                ALTER TABLE moderation_actions ADD CONSTRAINT moderation_actions_action_check
+                    CHECK (action IN ('hide', 'unhide', 'delete', 'warn', 'suspend', 'unsuspend'));
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.table_constraints
+                          WHERE table_name='moderation_actions' AND constraint_name='moderation_actions_appeal_status_check') THEN
+                ALTER TABLE moderation_actions ADD CONSTRAINT moderation_actions_appeal_status_check
+                    CHECK (appeal_status IN ('none', 'pending', 'upheld', 'overturned'));
+            END IF;
+        END $$`,
+
+        `CREATE INDEX IF NOT EXISTS idx_moderation_actions_user_id
+            ON moderation_actions (user_id, created_at DESC)`,
+
+        `CREATE INDEX IF NOT EXISTS idx_moderation_actions_pending_appeals
+            ON moderation_actions (appealed_at) WHERE appeal_status = 'pending'`
+    ],
+
+    down: [
+        `DROP TABLE IF EXISTS moderation_actions`,
+        `DROP TABLE IF EXISTS snap_reports`,
+        `ALTER TABLE snaps DROP COLUMN IF EXISTS hidden_at`
+    ]
+};
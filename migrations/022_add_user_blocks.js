@@ -0,0 +1,31 @@
+// migrations/022_add_user_blocks.js
+// Blocked and muted users (see blocks.js)
+module.exports = {
+    description: 'Add user_blocks for blocking and muting users',
+
+    up: [
+        `CREATE TABLE IF NOT EXISTS user_blocks (
+            blocker_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            blocked_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            kind VARCHAR(10) NOT NULL DEFAULT 'block',
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            PRIMARY KEY (blocker_id, blocked_id),
+            CHECK (blocker_id <> blocked_id)
+        )`,
+
+        `DO $$
+        BEGIN
+            IF NOT EXISTS (SELECT 1 FROM information_schema.table_constraints
+                          WHERE table_name='user_blocks' AND constraint_name='user_blocks_kind_check') THEN
+                ALTER TABLE user_blocks ADD CONSTRAINT user_blocks_kind_check CHECK (kind IN ('block', 'mute'));
+            END IF;
+        END $$`,
+
+        // The primary key covers lookups by blocker; this covers "who blocked me"
+        `CREATE INDEX IF NOT EXISTS idx_user_blocks_blocked_id ON user_blocks (blocked_id)`
+    ],
+
+    down: [
+        `DROP TABLE IF EXISTS user_blocks`
+    ]
+};
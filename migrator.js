@@ -0,0 +1,195 @@
+// migrator.js - Versioned PostgreSQL migrations
+//
+// Each file in migrations/ is named NNN_description.js and exports
+// { description, up, down } where up and down are arrays of SQL statements.
+// Applied versions are recorded in the schema_migrations table. A migration
+// runs in a single transaction unless it exports `transaction: false`.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d{3,})_(.+)\.js$/;
+
+// Arbitrary key for pg_advisory_lock so two runners never overlap
+const MIGRATION_LOCK_ID = 727274;
+
+// Load all migration modules, ordered by version
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    return fs.readdirSync(dir)
+        .map(file => ({ file, match: file.match(MIGRATION_FILE) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => {
+            const migration = require(path.join(dir, file));
+            if (!Array.isArray(migration.up) || !Array.isArray(migration.down)) {
+                throw new Error(`Migration ${file} must export up and down arrays of SQL`);
+            }
+            return {
+                version: match[1],
+                name: match[2],
+                description: migration.description || match[2],
+                up: migration.up,
+                down: migration.down,
+                transaction: migration.transaction !== false
+            };
+        })
+        .sort((a, b) => a.version.localeCompare(b.version));
+}
+
+async function ensureLedger(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version VARCHAR(32) PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+    `);
+}
+
+// Map of applied version -> applied_at. Reads nothing (and creates nothing)
+// when the ledger does not exist yet, so dry runs leave the database untouched.
+async function getAppliedVersions(client) {
+    const exists = await client.query(`SELECT to_regclass('schema_migrations') AS name`);
+    if (!exists.rows[0].name) return new Map();
+
+    const result = await client.query('SELECT version, applied_at FROM schema_migrations');
+    return new Map(result.rows.map(row => [row.version, row.applied_at]));
+}
+
+// Run one direction of a migration and update the ledger
+async function runStep(client, migration, direction, log) {
+    const statements = migration[direction];
+
+    if (migration.transaction) await client.query('BEGIN');
+    try {
+        for (const sql of statements) {
+            await client.query(sql);
+        }
+
+        if (direction === 'up') {
+            await client.query(
+                'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+                [migration.version, migration.name]
+            );
+        } else {
+            await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        }
+
+        if (migration.transaction) await client.query('COMMIT');
+        log(`${direction === 'up' ? 'Applied' : 'Reverted'} ${migration.version}_${migration.name}`);
+    } catch (error) {
+        if (migration.transaction) await client.query('ROLLBACK');
+        error.message = `Migration ${migration.version}_${migration.name} (${direction}) failed: ${error.message}`;
+        throw error;
+    }
+}
+
+function printStep(migration, direction, log) {
+    log(`-- ${direction.toUpperCase()} ${migration.version}_${migration.name}: ${migration.description}`);
+    for (const sql of migration[direction]) {
+        log(`${sql.trim()};\n`);
+    }
+}
+
+// Hold the migration advisory lock for the duration of `fn`
+async function withLock(pool, fn) {
+    const client = await pool.connect();
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+        try {
+            return await fn(client);
+        } finally {
+            await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+        }
+    } finally {
+        client.release();
+    }
+}
+
+// Apply pending migrations, optionally stopping at version `to`
+async function migrateUp(pool, { dryRun = false, to, log = console.log } = {}) {
+    return withLock(pool, async (client) => {
+        const applied = await getAppliedVersions(client);
+        const pending = loadMigrations()
+            .filter(m => !applied.has(m.version))
+            .filter(m => !to || m.version <= to);
+
+        if (pending.length === 0) {
+            log('No pending migrations');
+            return [];
+        }
+
+        if (!dryRun) await ensureLedger(client);
+        for (const migration of pending) {
+            if (dryRun) {
+                printStep(migration, 'up', log);
+            } else {
+                await runStep(client, migration, 'up', log);
+            }
+        }
+        return pending.map(m => m.version);
+    });
+}
+
+// Revert the most recently applied `steps` migrations
+async function migrateDown(pool, { dryRun = false, steps = 1, log = console.log } = {}) {
+    return withLock(pool, async (client) => {
+        const applied = await getAppliedVersions(client);
+        const migrations = loadMigrations();
+        const known = new Set(migrations.map(m => m.version));
+
+        const missing = [...applied.keys()].filter(version => !known.has(version));
+        if (missing.length > 0) {
+            throw new Error(`Applied migrations have no file: ${missing.join(', ')}`);
+        }
+
+        const toRevert = migrations
+            .filter(m => applied.has(m.version))
+            .reverse()
+            .slice(0, steps);
+
+        if (toRevert.length === 0) {
+            log('No migrations to revert');
+            return [];
+        }
+
+        for (const migration of toRevert) {
+            if (dryRun) {
+                printStep(migration, 'down', log);
+            } else {
+                await runStep(client, migration, 'down', log);
+            }
+        }
+        return toRevert.map(m => m.version);
+    });
+}
+
+// List every known migration with whether and when it was applied
+async function getStatus(pool) {
+    return withLock(pool, async (client) => {
+        const appliedAt = await getAppliedVersions(client);
+
+        return loadMigrations().map(m => ({
+            version: m.version,
+            name: m.name,
+            description: m.description,
+            applied: appliedAt.has(m.version),
+            appliedAt: appliedAt.get(m.version) || null
+        }));
+    });
+}
+
+// Versions of migrations not applied yet. Unlike getStatus this takes no
+// lock, so health checks do not queue behind a running migration.
+async function getPendingVersions(pool) {
+    const appliedAt = await getAppliedVersions(pool);
+    return loadMigrations().filter(m => !appliedAt.has(m.version)).map(m => m.version);
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    loadMigrations,
+    migrateUp,
+    migrateDown,
+    getStatus,
+    getPendingVersions
+};
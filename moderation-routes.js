@@ -0,0 +1,111 @@
+// moderation-routes.js - Reporting snaps and appealing moderation (mounted at /api)
+const express = require('express');
+
+const { getRepositories } = require('./repositories');
+const { authenticateToken } = require('./auth');
+const { rateLimit } = require('./rate-limit');
+const { emitSnapDeleted } = require('./socket');
+const {
+    REPORT_REASONS,
+    MAX_REPORT_DETAILS_LENGTH,
+    MAX_APPEAL_LENGTH
+} = require('./moderation');
+const { rules, validate } = require('./validation');
+const { logger } = require('./logger');
+
+const router = express.Router();
+
+const snapNotFound = (res) => res.status(404).json({ success: false, message: 'Snap not found' });
+
+// Report a snap I can see, or a direct snap sent to me. Reporting the same
+// snap twice keeps the first report. Enough open reports hide the snap until
+// a moderator reviews it.
+const reportSchema = {
+    params: { id: rules.uuid() },
+    body: {
+        reason: rules.oneOf(REPORT_REASONS),
+        details: rules.string({ max: MAX_REPORT_DETAILS_LENGTH, optional: true })
+    }
+};
+
+router.post('/snaps/:id/report', authenticateToken, rateLimit('report_user'), validate(reportSchema, { notFound: 'Snap not found' }), async (req, res) => {
+    const { reason, details } = req.body;
+
+    try {
+        const { status, hidden } = await getRepositories().moderation.report({
+            snapId: req.params.id,
+            reporterId: req.user.id,
+            reason,
+            details
+        });
+        if (status === 'not_found') return snapNotFound(res);
+        if (status === 'own_snap') {
+            return res.status(400).json({ success: false, message: 'You cannot report your own snap' });
+        }
+
+        if (hidden) {
+            emitSnapDeleted({ id: hidden.id, userId: hidden.user_id, isPublic: hidden.is_public });
+        }
+
+        const alreadyReported = status === 'duplicate';
+        res.status(alreadyReported ? 200 : 201).json({
+            success: true,
+            message: 'Thanks for letting us know. A moderator will review this snap.',
+            alreadyReported
+        });
+    } catch (error) {
+        logger.error('Error reporting snap', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to report snap',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Moderation actions taken against me, newest first, with their appeal status
+router.get('/me/moderation', authenticateToken, async (req, res) => {
+    try {
+        const actions = await getRepositories().moderation.history(req.user.id);
+
+        res.json({ success: true, actions });
+    } catch (error) {
+        logger.error('Error fetching moderation history', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch moderation history',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Appeal an action taken against me. Each action can be appealed once.
+const appealSchema = {
+    params: { actionId: rules.string({ pattern: /^\d{1,18}$/ }) },
+    body: { message: rules.string({ max: MAX_APPEAL_LENGTH }) }
+};
+
+router.post('/me/moderation/:actionId/appeal', authenticateToken, validate(appealSchema, { notFound: 'Moderation action not found' }), async (req, res) => {
+    const { message } = req.body;
+
+    try {
+        const { status, appeal } = await getRepositories().moderation.appeal(req.params.actionId, req.user.id, message);
+        if (status === 'not_found') {
+            return res.status(404).json({ success: false, message: 'Moderation action not found' });
+        }
+        if (status === 'not_appealable') {
+            return res.status(409).json({ success: false, message: 'This action cannot be appealed' });
+        }
+
+        res.json({ success: true, appeal });
+    } catch (error) {
+        logger.error('Error appealing moderation action', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to submit appeal',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,119 @@
+// moderation.js - Snap reports, moderator actions and appeals
+//
+// Users report snaps with a reason code. Once a snap collects
+// REPORT_AUTO_HIDE_THRESHOLD open reports it is hidden until a moderator
+// reviews it. Every action taken against a user, automatic or not, is kept in
+// moderation_actions, which is both their history and what they can appeal.
+require('dotenv').config();
+
+const REPORT_REASONS = ['spam', 'harassment', 'hate', 'nudity', 'violence', 'self_harm', 'misinformation', 'other'];
+
+// Actions a moderator can take on a reported snap, and on a user directly.
+// Dismissing a snap's reports also unhides it.
+const SNAP_ACTIONS = ['dismiss', 'hide', 'delete', 'warn', 'suspend'];
+const USER_ACTIONS = ['warn', 'suspend', 'unsuspend'];
+
+// Actions the affected user may appeal
+const APPEALABLE_ACTIONS = ['hide', 'delete', 'warn', 'suspend'];
+
+const REPORT_AUTO_HIDE_THRESHOLD = parseInt(process.env.REPORT_AUTO_HIDE_THRESHOLD) || 5;
+
+const MAX_REPORT_DETAILS_LENGTH = 500;
+const MAX_APPEAL_LENGTH = 1000;
+
+// Error for a moderation request that cannot go ahead, such as suspending an
+// admin; `status` is the HTTP status to answer with
+function moderationError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Record an action against `userId`. `moderatorId` is null for automatic
+// actions. Returns the new row.
+async function recordModerationAction(client, { userId, snapId = null, moderatorId = null, action, reason = null }) {
+    const result = await client.query(
+        `INSERT INTO moderation_actions (user_id, snap_id, moderator_id, action, reason)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id, user_id, snap_id, action, reason, appeal_status, created_at`,
+        [userId, snapId, moderatorId, action, reason]
+    );
+    return result.rows[0];
+}
+
+// Hide or unhide a snap. Returns { id, user_id, is_public } when it changed,
+// or null when it was already in that state or does not exist.
+async function setSnapHidden(client, snapId, hidden) {
+    const result = await client.query(
+        hidden
+            ? 'UPDATE snaps SET hidden_at = NOW() WHERE id = $1 AND hidden_at IS NULL RETURNING id, user_id, is_public'
+            : 'UPDATE snaps SET hidden_at = NULL WHERE id = $1 AND hidden_at IS NOT NULL RETURNING id, user_id, is_public',
+        [snapId]
+    );
+    return result.rows[0] || null;
+}
+
+// Suspend or reinstate an account through users.is_active. Suspended
+// accounts cannot log in and, like deactivated ones, vanish from feeds;
+// clearing deactivated_at keeps a login from reactivating them. Returns
+// whether anything changed.
+async function setUserSuspended(client, userId, suspended) {
+    const result = await client.query(
+        suspended
+            ? `UPDATE users SET is_active = false, deactivated_at = NULL, updated_at = NOW()
+               WHERE id = $1 AND (is_active IS NOT FALSE OR deactivated_at IS NOT NULL)`
+            : `UPDATE users SET is_active = true, updated_at = NOW()
+               WHERE id = $1 AND is_active = false AND deactivated_at IS NULL`,
+        [userId]
+    );
+    return result.rowCount > 0;
+}
+
+// Close a snap's open reports as 'actioned' or 'dismissed'. Returns how many.
+async function resolveReports(client, snapId, status, moderatorId) {
+    const result = await client.query(
+        `UPDATE snap_reports
+         SET status = $2, resolved_at = NOW(), resolved_by = $3
+         WHERE snap_id = $1 AND status = 'open'`,
+        [snapId, status, moderatorId]
+    );
+    return result.rowCount;
+}
+
+// Hide a snap once it has enough open reports. Expects a client inside a
+// transaction. Returns the hidden snap, or null when nothing changed.
+async function autoHideIfReported(client, snapId) {
+    const reports = await client.query(
+        `SELECT COUNT(*)::int AS count FROM snap_reports WHERE snap_id = $1 AND status = 'open'`,
+        [snapId]
+    );
+    const count = reports.rows[0].count;
+    if (count < REPORT_AUTO_HIDE_THRESHOLD) return null;
+
+    const snap = await setSnapHidden(client, snapId, true);
+    if (!snap) return null;
+
+    await recordModerationAction(client, {
+        userId: snap.user_id,
+        snapId,
+        action: 'hide',
+        reason: `Automatically hidden after ${count} reports`
+    });
+    return snap;
+}
+
+module.exports = {
+    REPORT_REASONS,
+    SNAP_ACTIONS,
+    USER_ACTIONS,
+    APPEALABLE_ACTIONS,
+    REPORT_AUTO_HIDE_THRESHOLD,
+    MAX_REPORT_DETAILS_LENGTH,
+    MAX_APPEAL_LENGTH,
+    moderationError,
+    recordModerationAction,
+    setSnapHidden,
+    setUserSuspended,
+    resolveReports,
+    autoHideIfReported
+};
@@ -0,0 +1,307 @@
+// profile-routes.js - User profiles, profile pictures and account settings (mounted at /api)
+const express = require('express');
+const multer = require('multer');
+const bcrypt = require('bcrypt');
+
+const { getRepositories } = require('./repositories');
+const { authenticateToken, optionalAuth } = require('./auth');
+const { fetchFeedPage, validateFeedQuery } = require('./feed');
+const { getStorage, sendStoredObject, avatarMediaKey } = require('./storage');
+const { processImage, storeImage, pickRendition, snapMediaKeys } = require('./images');
+const { signAccessToken, revokeUserSessions, clearRefreshCookie } = require('./sessions');
+const { rateLimit } = require('./rate-limit');
+const { rules, validate } = require('./validation');
+const { logger } = require('./logger');
+
+const router = express.Router();
+
+// Profile pictures are small, so only two renditions are kept
+const AVATAR_SIZES = { full: 512, thumb: 128 };
+const MAX_AVATAR_SIZE = 5 * 1024 * 1024;
+
+const MAX_DISPLAY_NAME_LENGTH = 50;
+const MAX_BIO_LENGTH = 300;
+
+const avatarUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_AVATAR_SIZE },
+    fileFilter: (req, file, cb) => {
+        if (['image/jpeg', 'image/png', 'image/gif', 'image/webp'].includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            const error = new Error('Invalid file type. Only JPG, PNG, GIF and WebP are allowed.');
+            error.status = 400;
+            cb(error);
+        }
+    }
+});
+
+const userNotFound = (res) => res.status(404).json({ success: false, message: 'User not found' });
+
+// A user's own snaps, as a feed scope for fetchFeedPage.
+// Muting someone hides them from feeds, not from their own profile.
+const userSnapsScope = {
+    name: 'profile',
+    params: (req) => ({ userId: req.profileUserId }),
+    showMuted: true
+};
+
+// A user's profile, counts and the first page of their live snaps
+router.get('/users/:username', optionalAuth, validateFeedQuery, async (req, res) => {
+    try {
+        const viewerId = req.user ? req.user.id : null;
+        const profile = await getRepositories().profiles.find(req.params.username, viewerId);
+        if (!profile) return userNotFound(res);
+
+        req.profileUserId = profile.id;
+        const { snaps, nextCursor, pagination } = await fetchFeedPage(userSnapsScope, req);
+
+        res.json({
+            success: true,
+            user: { ...profile, isMe: profile.id === viewerId },
+            snaps,
+            nextCursor,
+            pagination
+        });
+    } catch (error) {
+        logger.error('Error fetching profile', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch profile',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// More of a user's snaps, paginated like /api/feed
+router.get('/users/:username/snaps', optionalAuth, validateFeedQuery, async (req, res) => {
+    try {
+        const userId = await getRepositories().profiles.findId(req.params.username, req.user ? req.user.id : null);
+        if (!userId) return userNotFound(res);
+
+        req.profileUserId = userId;
+        res.json({ success: true, ...(await fetchFeedPage(userSnapsScope, req)) });
+    } catch (error) {
+        logger.error('Error fetching user snaps', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch snaps',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// My own profile, including private fields
+router.get('/me', authenticateToken, async (req, res) => {
+    try {
+        const user = await getRepositories().profiles.findOwn(req.user.id);
+        if (!user) return userNotFound(res);
+
+        res.json({ success: true, user });
+    } catch (error) {
+        logger.error('Error fetching own profile', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch profile',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Update my display name, bio and/or username. Omitted fields are left alone;
+// an empty display name or bio clears it.
+const profileUpdateSchema = {
+    body: {
+        displayName: rules.string({ max: MAX_DISPLAY_NAME_LENGTH, optional: true }),
+        bio: rules.string({ max: MAX_BIO_LENGTH, optional: true }),
+        username: rules.username({ optional: true })
+    }
+};
+
+// Blank and null values pass validation untouched; they clear the field
+const textOrNull = (value) => (typeof value === 'string' && value.trim()) || null;
+
+router.patch('/me', authenticateToken, validate(profileUpdateSchema), async (req, res) => {
+    const { displayName, bio, username } = req.body;
+    const updates = {};
+
+    if (displayName !== undefined) updates.display_name = textOrNull(displayName);
+    if (bio !== undefined) updates.bio = textOrNull(bio);
+    if (textOrNull(username) && username !== req.user.username) updates.username = username;
+
+    if (Object.keys(updates).length === 0) {
+        return res.status(400).json({ success: false, message: 'Nothing to update' });
+    }
+
+    try {
+        const user = await getRepositories().profiles.update(req.user.id, updates);
+        if (!user) return userNotFound(res);
+
+        const response = { success: true, user };
+
+        // Access tokens carry the username, so hand out one with the new name
+        if (updates.username) {
+            response.token = signAccessToken(user, req.user.sid);
+        }
+
+        res.json(response);
+    } catch (error) {
+        // Usernames differing only in case count as taken
+        if (error.code === 'DUPLICATE') {
+            return res.status(409).json({ success: false, message: 'That username is already taken' });
+        }
+        logger.error('Error updating profile', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update profile',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Upload a new profile picture (multipart field `avatar`). It goes through the
+// same pipeline as snap images: oriented, stripped of metadata and resized.
+router.put('/me/avatar', authenticateToken, rateLimit('upload_ip', 'upload_user'), avatarUpload.single('avatar'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ success: false, message: 'No image file provided' });
+    }
+
+    const storage = getStorage();
+    const storedKeys = [];
+    try {
+        const version = Date.now().toString(36);
+        const processed = await processImage(req.file.buffer, req.file.mimetype, AVATAR_SIZES);
+        const keyFor = (format, size) => avatarMediaKey(req.user.id, version, format, size);
+        const { renditions } = await storeImage(storage, keyFor, req.file.mimetype, processed, storedKeys);
+
+        const profilePictureUrl = `/api/avatars/${req.user.id}?v=${version}`;
+        const previous = await getRepositories().profiles.setAvatar(req.user.id, {
+            backend: storage.name,
+            renditions,
+            url: profilePictureUrl
+        });
+        if (!previous) {
+            storedKeys.forEach(key => storage.delete(key).catch(() => {}));
+            return userNotFound(res);
+        }
+
+        removeAvatar(previous);
+        res.json({ success: true, profilePictureUrl });
+    } catch (error) {
+        for (const key of storedKeys) {
+            storage.delete(key).catch(err => logger.error('Error removing stored avatar', { err }));
+        }
+        if (error.status === 400) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        logger.error('Error uploading avatar', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to upload profile picture',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Remove my profile picture
+router.delete('/me/avatar', authenticateToken, async (req, res) => {
+    try {
+        const previous = await getRepositories().profiles.clearAvatar(req.user.id);
+        if (!previous) return userNotFound(res);
+
+        removeAvatar(previous);
+        res.json({ success: true, profilePictureUrl: null });
+    } catch (error) {
+        logger.error('Error removing avatar', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove profile picture',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Delete the stored files of a replaced or removed profile picture
+function removeAvatar({ avatar_backend, avatar_renditions }) {
+    if (!avatar_backend || !avatar_renditions) return;
+    for (const key of snapMediaKeys({ renditions: avatar_renditions })) {
+        getStorage(avatar_backend).delete(key)
+            .catch(err => logger.error('Error removing old avatar', { err }));
+    }
+}
+
+// Serve a profile picture. ?size=thumb|full (default full). The URL changes
+// with every upload, so responses can be cached for a long time.
+const avatarSchema = {
+    params: { userId: rules.uuid() },
+    query: { size: rules.oneOf(Object.keys(AVATAR_SIZES), { optional: true, default: 'full' }) }
+};
+
+router.get('/avatars/:userId', validate(avatarSchema, { notFound: 'Image not found' }), async (req, res) => {
+    try {
+        const { size } = req.query;
+
+        const avatar = await getRepositories().profiles.findAvatar(req.params.userId);
+        if (!avatar) {
+            return res.status(404).send('Image not found');
+        }
+
+        const { avatar_backend, avatar_renditions } = avatar;
+        const acceptsWebp = (req.get('accept') || '').includes('image/webp');
+        const rendition = pickRendition({ renditions: avatar_renditions }, size, acceptsWebp);
+
+        res.set('Content-Type', rendition.mimeType);
+        res.set('Vary', 'Accept');
+        res.set('Cache-Control', 'public, max-age=31536000, immutable');
+
+        const storage = getStorage(avatar_backend);
+        const publicUrl = storage.publicUrl(rendition.key);
+        if (publicUrl) {
+            return res.redirect(publicUrl);
+        }
+
+        const sent = await sendStoredObject(req, res, storage, rendition.key);
+        if (!sent) {
+            return res.status(404).send('Image not found');
+        }
+    } catch (error) {
+        logger.error('Error serving avatar', { err: error });
+        res.status(500).send('Error serving image');
+    }
+});
+
+// Deactivate my account. My snaps disappear from every feed and profile and
+// all my sessions end; logging in again reactivates the account.
+const deactivateSchema = {
+    body: { password: rules.string({ max: 1024, trim: false }) }
+};
+
+router.post('/me/deactivate', authenticateToken, rateLimit('password_user'), validate(deactivateSchema), async (req, res) => {
+    try {
+        const { password } = req.body;
+
+        const { users } = getRepositories();
+        const passwordHash = await users.findPasswordHash(req.user.id);
+        if (!passwordHash) return userNotFound(res);
+
+        const validPassword = await bcrypt.compare(password, passwordHash);
+        if (!validPassword) {
+            return res.status(401).json({ success: false, message: 'Incorrect password' });
+        }
+
+        await users.deactivate(req.user.id);
+        await revokeUserSessions(req.user.id, 'deactivated');
+
+        clearRefreshCookie(res);
+        res.json({ success: true, message: 'Account deactivated' });
+    } catch (error) {
+        logger.error('Error deactivating account', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to deactivate account',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,266 @@
+// rate-limit.js - Request rate limiting and failed-login lockout
+//
+// Counters live in a store chosen by RATE_LIMIT_STORE:
+//   memory    per-process counters (the default; fine for one instance)
+//   database  a shared rate_limits table, so every instance sees the same counts
+//
+// Every store implements:
+//   increment(key, windowMs, { sliding })
+//                             -> { count, resetAt } for the fixed window the
+//                                hit falls in; a new window starts once the
+//                                previous one has reset. With `sliding` every
+//                                hit pushes the reset out to windowMs from now.
+//                                Atomic, so concurrent hits are all counted.
+//   get(key)                  -> { count, resetAt } or null when absent/expired
+//   set(key, count, resetAt)  overwrite a counter
+//   reset(key)                forget a counter
+require('dotenv').config();
+
+const crypto = require('crypto');
+
+const db = require('./db-pg');
+const { logger } = require('./logger');
+
+// How often stale counters are swept from a store
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+function createMemoryStore() {
+    const counters = new Map();
+    const live = (key) => {
+        const entry = counters.get(key);
+        if (entry && entry.resetAt <= Date.now()) {
+            counters.delete(key);
+            return null;
+        }
+        return entry || null;
+    };
+
+    setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of counters) {
+            if (entry.resetAt <= now) counters.delete(key);
+        }
+    }, SWEEP_INTERVAL_MS).unref();
+
+    return {
+        async increment(key, windowMs, { sliding = false } = {}) {
+            const entry = live(key) || { count: 0, resetAt: Date.now() + windowMs };
+            entry.count++;
+            if (sliding) entry.resetAt = Date.now() + windowMs;
+            counters.set(key, entry);
+            return { count: entry.count, resetAt: entry.resetAt };
+        },
+
+        async get(key) {
+            const entry = live(key);
+            return entry ? { count: entry.count, resetAt: entry.resetAt } : null;
+        },
+
+        async set(key, count, resetAt) {
+            counters.set(key, { count, resetAt });
+        },
+
+        async reset(key) {
+            counters.delete(key);
+        }
+    };
+}
+
+function createDatabaseStore() {
+    const toEntry = (row) => row && { count: row.count, resetAt: new Date(row.reset_at).getTime() };
+
+    setInterval(() => {
+        db.query('DELETE FROM rate_limits WHERE reset_at <= NOW()')
+            .catch(error => logger.error('Error sweeping rate limits', { err: error }));
+    }, SWEEP_INTERVAL_MS).unref();
+
+    return {
+        async increment(key, windowMs, { sliding = false } = {}) {
+            const result = await db.query(
+                `INSERT INTO rate_limits (key, count, reset_at)
+                 VALUES ($1, 1, NOW() + make_interval(secs => $2))
+                 ON CONFLICT (key) DO UPDATE
+                 SET count = CASE WHEN rate_limits.reset_at <= NOW() THEN 1 ELSE rate_limits.count + 1 END,
+                     reset_at = CASE WHEN rate_limits.reset_at <= NOW() OR $3::boolean THEN EXCLUDED.reset_at ELSE rate_limits.reset_at END
+                 RETURNING count, reset_at`,
+                [key, windowMs / 1000, sliding]
+            );
+            return toEntry(result.rows[0]);
+        },
+
+        async get(key) {
+            const result = await db.query(
+                'SELECT count, reset_at FROM rate_limits WHERE key = $1 AND reset_at > NOW()',
+                [key]
+            );
+            return toEntry(result.rows[0]) || null;
+        },
+
+        async set(key, count, resetAt) {
+            await db.query(
+                `INSERT INTO rate_limits (key, count, reset_at)
+                 VALUES ($1, $2, $3)
+                 ON CONFLICT (key) DO UPDATE SET count = EXCLUDED.count, reset_at = EXCLUDED.reset_at`,
+                [key, count, new Date(resetAt)]
+            );
+        },
+
+        async reset(key) {
+            await db.query('DELETE FROM rate_limits WHERE key = $1', [key]);
+        }
+    };
+}
+
+const factories = {
+    memory: createMemoryStore,
+    database: createDatabaseStore
+};
+
+const instances = new Map();
+
+// Get the store for a name, creating it on first use
+function getRateLimitStore(name = process.env.RATE_LIMIT_STORE || 'memory') {
+    if (!factories[name]) {
+        throw new Error(`Unknown rate limit store: ${name}`);
+    }
+    if (!instances.has(name)) {
+        instances.set(name, factories[name]());
+    }
+    return instances.get(name);
+}
+
+// Default policies: at most `max` requests per `windowSeconds`, counted per
+// `by` ('ip' or 'user', the authenticated account). Each can be overridden
+// with RATE_LIMIT_<NAME>=<max>/<windowSeconds>, e.g. RATE_LIMIT_UPLOAD_USER=60/3600.
+const POLICIES = {
+    login_ip: { max: 20, windowSeconds: 15 * 60, by: 'ip' },
+    signup_ip: { max: 10, windowSeconds: 60 * 60, by: 'ip' },
+    refresh_ip: { max: 60, windowSeconds: 15 * 60, by: 'ip' },
+    password_user: { max: 5, windowSeconds: 15 * 60, by: 'user' },
+    upload_ip: { max: 100, windowSeconds: 60 * 60, by: 'ip' },
+    upload_user: { max: 30, windowSeconds: 60 * 60, by: 'user' },
+    report_user: { max: 30, windowSeconds: 60 * 60, by: 'user' },
+    view_ip: { max: 300, windowSeconds: 60 * 60, by: 'ip' }
+};
+
+function resolvePolicy(name) {
+    const policy = POLICIES[name];
+    if (!policy) {
+        throw new Error(`Unknown rate limit policy: ${name}`);
+    }
+
+    const override = process.env[`RATE_LIMIT_${name.toUpperCase()}`];
+    if (!override) return policy;
+
+    const match = /^(\d+)\/(\d+)$/.exec(override.trim());
+    if (!match) {
+        throw new Error(`RATE_LIMIT_${name.toUpperCase()} must look like <max>/<windowSeconds>`);
+    }
+    return { ...policy, max: parseInt(match[1]), windowSeconds: parseInt(match[2]) };
+}
+
+// Answer 429 with Retry-After set from `resetAt` (ms since the epoch)
+function sendTooManyRequests(res, resetAt, message = 'Too many requests. Please try again later.') {
+    const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ success: false, message, retryAfter });
+}
+
+// Middleware enforcing the named policies in order; the first one exceeded
+// answers 429. 'user' policies are skipped for unauthenticated requests, so
+// they belong after authenticateToken. When the store fails, requests are let
+// through rather than locking everyone out.
+function rateLimit(...names) {
+    const policies = names.map(name => ({ name, ...resolvePolicy(name) }));
+
+    return async (req, res, next) => {
+        try {
+            const store = getRateLimitStore();
+            for (const policy of policies) {
+                const subject = policy.by === 'user' ? req.user && req.user.id : req.ip;
+                if (!subject) continue;
+
+                const { count, resetAt } = await store.increment(
+                    `${policy.name}:${subject}`,
+                    policy.windowSeconds * 1000
+                );
+
+                res.set('RateLimit-Limit', String(policy.max));
+                res.set('RateLimit-Remaining', String(Math.max(0, policy.max - count)));
+                res.set('RateLimit-Reset', String(Math.max(0, Math.ceil((resetAt - Date.now()) / 1000))));
+
+                if (count > policy.max) {
+                    return sendTooManyRequests(res, resetAt);
+                }
+            }
+            next();
+        } catch (error) {
+            logger.error('Rate limiter error', { err: error });
+            next();
+        }
+    };
+}
+
+// Failed logins per account before it is locked, and how long lockouts last.
+// Each further failure while the count is above the threshold doubles the
+// lockout, up to LOGIN_LOCKOUT_MAX_SECONDS. The count is forgotten after
+// LOGIN_FAILURE_WINDOW_SECONDS without a failure or on a successful login.
+const LOGIN_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const LOGIN_LOCKOUT_BASE_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 60;
+const LOGIN_LOCKOUT_MAX_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 60 * 60;
+const LOGIN_FAILURE_WINDOW_SECONDS = parseInt(process.env.LOGIN_FAILURE_WINDOW_SECONDS) || 24 * 60 * 60;
+
+// Usernames ignore case. Hashed, so a key fits rate_limits.key whatever
+// username a login names.
+const accountKey = (username) =>
+    crypto.createHash('sha256').update(String(username).toLowerCase()).digest('hex');
+
+// When the account is locked, the time (ms since the epoch) the lock ends;
+// otherwise null
+async function loginLockedUntil(username) {
+    const lock = await getRateLimitStore().get(`login_lock:${accountKey(username)}`);
+    return lock ? lock.resetAt : null;
+}
+
+// Count a failed login. Returns the time the account is now locked until, or
+// null when it is still below the threshold.
+async function recordLoginFailure(username) {
+    const store = getRateLimitStore();
+    const account = accountKey(username);
+
+    // Sliding: every failure pushes the window out again
+    const { count: failures } = await store.increment(
+        `login_failures:${account}`,
+        LOGIN_FAILURE_WINDOW_SECONDS * 1000,
+        { sliding: true }
+    );
+
+    if (failures < LOGIN_LOCKOUT_THRESHOLD) return null;
+
+    const seconds = Math.min(
+        LOGIN_LOCKOUT_MAX_SECONDS,
+        LOGIN_LOCKOUT_BASE_SECONDS * 2 ** (failures - LOGIN_LOCKOUT_THRESHOLD)
+    );
+    const lockedUntil = Date.now() + seconds * 1000;
+    await store.set(`login_lock:${account}`, failures, lockedUntil);
+    return lockedUntil;
+}
+
+// Forget failed logins after a successful one
+async function clearLoginFailures(username) {
+    const store = getRateLimitStore();
+    const account = accountKey(username);
+    await store.reset(`login_failures:${account}`);
+    await store.reset(`login_lock:${account}`);
+}
+
+module.exports = {
+    POLICIES,
+    getRateLimitStore,
+    rateLimit,
+    sendTooManyRequests,
+    accountKey,
+    loginLockedUntil,
+    recordLoginFailure,
+    clearLoginFailures
+};
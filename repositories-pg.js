@@ -0,0 +1,1681 @@
+// repositories-pg.js - PostgreSQL implementation of the repositories
+// (see repositories.js for the interface)
+const db = require('./db-pg');
+const { duplicateError } = require('./repositories');
+const { visibleSnapCondition } = require('./snap-access');
+const { notBlockedCondition, notMutedCondition } = require('./blocks');
+const { syncSnapHashtags } = require('./hashtags');
+const { addRecipients } = require('./direct-snaps');
+const {
+    APPEALABLE_ACTIONS,
+    moderationError,
+    recordModerationAction,
+    setSnapHidden,
+    setUserSuspended,
+    resolveReports,
+    autoHideIfReported
+} = require('./moderation');
+
+// Key for pg_try_advisory_xact_lock so only one server instance reaps at a time
+const CLEANUP_LOCK_ID = 727275;
+
+// Run `fn(client)` in a transaction
+async function withTransaction(fn) {
+    const client = await db.pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+const users = {
+    async findById(id) {
+        const result = await db.query(
+            'SELECT id, username, email, role, is_active, deactivated_at FROM users WHERE id = $1',
+            [id]
+        );
+        return result.rows[0] || null;
+    },
+
+    async findByUsername(username) {
+        const result = await db.query(
+            `SELECT id, username, email, role, password_hash, is_active, deactivated_at
+             FROM users WHERE username = $1`,
+            [username]
+        );
+        return result.rows[0] || null;
+    },
+
+    async findTaken(username, email) {
+        const result = await db.query(
+            `SELECT LOWER(username) = LOWER($1) AS username_taken, LOWER(email) = LOWER($2) AS email_taken
+             FROM users WHERE LOWER(username) = LOWER($1) OR LOWER(email) = LOWER($2)`,
+            [username, email]
+        );
+        const taken = [];
+        if (result.rows.some(row => row.username_taken)) taken.push('username');
+        if (result.rows.some(row => row.email_taken)) taken.push('email');
+        return taken;
+    },
+
+    async create({ username, email, passwordHash }) {
+        try {
+            const result = await db.query(
+                'INSERT INTO users (username, password_hash, email) VALUES ($1, $2, $3) RETURNING id, username',
+                [username, passwordHash, email]
+            );
+            return result.rows[0];
+        } catch (error) {
+            if (error.code === '23505') {
+                throw duplicateError(error.constraint && error.constraint.includes('email') ? 'email' : 'username');
+            }
+            throw error;
+        }
+    },
+
+    async reactivate(id) {
+        const result = await db.query(
+            `UPDATE users SET is_active = true, deactivated_at = NULL, updated_at = NOW()
+             WHERE id = $1 AND is_active = false AND deactivated_at IS NOT NULL`,
+            [id]
+        );
+        return result.rowCount > 0;
+    },
+
+    async findPasswordHash(id) {
+        const result = await db.query('SELECT password_hash FROM users WHERE id = $1', [id]);
+        return result.rows.length > 0 ? result.rows[0].password_hash : null;
+    },
+
+    // A suspended account keeps its suspension: deactivating it would let
+    // the next login bring it back
+    async deactivate(id) {
+        await db.query(
+            `UPDATE users SET is_active = false, deactivated_at = NOW(), updated_at = NOW()
+             WHERE id = $1 AND is_active IS NOT FALSE`,
+            [id]
+        );
+    }
+};
+
+const sessions = {
+    start({ userId, userAgent, ipAddress, ttlDays, tokenHash }) {
+        return withTransaction(async (client) => {
+            const session = await client.query(
+                `INSERT INTO sessions (user_id, user_agent, ip_address, expires_at)
+                 VALUES ($1, $2, $3, NOW() + make_interval(days => $4))
+                 RETURNING id`,
+                [userId, userAgent, ipAddress, ttlDays]
+            );
+            const sessionId = session.rows[0].id;
+
+            await client.query(
+                'INSERT INTO refresh_tokens (token_hash, session_id) VALUES ($1, $2)',
+                [tokenHash, sessionId]
+            );
+            await client.query('UPDATE users SET last_login = NOW() WHERE id = $1', [userId]);
+            return sessionId;
+        });
+    },
+
+    rotate(tokenHash, nextHash) {
+        return withTransaction(async (client) => {
+            const result = await client.query(
+                `SELECT
+                    rt.session_id,
+                    rt.used_at,
+                    s.revoked_at,
+                    s.expires_at < NOW() AS expired,
+                    u.id AS user_id,
+                    u.username,
+                    u.is_active
+                FROM refresh_tokens rt
+                JOIN sessions s ON s.id = rt.session_id
+                JOIN users u ON u.id = s.user_id
+                WHERE rt.token_hash = $1
+                FOR UPDATE OF rt, s`,
+                [tokenHash]
+            );
+            const row = result.rows[0];
+
+            if (!row || row.revoked_at || row.expired || row.is_active === false) {
+                return { status: 'invalid' };
+            }
+
+            if (row.used_at) {
+                await client.query(
+                    `UPDATE sessions SET revoked_at = NOW(), revoked_reason = 'refresh_token_reuse'
+                     WHERE id = $1`,
+                    [row.session_id]
+                );
+                return { status: 'reused', sessionId: row.session_id };
+            }
+
+            await client.query('UPDATE refresh_tokens SET used_at = NOW() WHERE token_hash = $1', [tokenHash]);
+            await client.query('UPDATE sessions SET last_used_at = NOW() WHERE id = $1', [row.session_id]);
+            await client.query(
+                'INSERT INTO refresh_tokens (token_hash, session_id) VALUES ($1, $2)',
+                [nextHash, row.session_id]
+            );
+
+            return {
+                status: 'ok',
+                sessionId: row.session_id,
+                user: { id: row.user_id, username: row.username }
+            };
+        });
+    },
+
+    async findIdByToken(tokenHash) {
+        const result = await db.query('SELECT session_id FROM refresh_tokens WHERE token_hash = $1', [tokenHash]);
+        return result.rows[0] ? result.rows[0].session_id : null;
+    },
+
+    async listActive(userId) {
+        const result = await db.query(
+            `SELECT
+                id,
+                user_agent as "userAgent",
+                ip_address as "ipAddress",
+                created_at as "createdAt",
+                last_used_at as "lastUsedAt",
+                expires_at as "expiresAt"
+            FROM sessions
+            WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+            ORDER BY COALESCE(last_used_at, created_at) DESC`,
+            [userId]
+        );
+        return result.rows;
+    },
+
+    async isLive(sessionId) {
+        const result = await db.query(
+            `SELECT 1 FROM sessions s
+             JOIN users u ON u.id = s.user_id AND u.is_active IS NOT FALSE
+             WHERE s.id = $1 AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+            [sessionId || null]
+        );
+        return result.rows.length > 0;
+    },
+
+    async revoke(sessionId, reason, userId = null) {
+        const result = await db.query(
+            `UPDATE sessions SET revoked_at = NOW(), revoked_reason = $2
+             WHERE id = $1 AND revoked_at IS NULL AND ($3::uuid IS NULL OR user_id = $3)`,
+            [sessionId, reason, userId]
+        );
+        return result.rowCount > 0;
+    },
+
+    async revokeAll(userId, reason) {
+        const result = await db.query(
+            `UPDATE sessions SET revoked_at = NOW(), revoked_reason = $2
+             WHERE user_id = $1 AND revoked_at IS NULL`,
+            [userId, reason]
+        );
+        return result.rowCount;
+    }
+};
+
+// Extra SQL condition for each feed; `param` is the placeholder bound to the
+// feed's value (its hashtag or user id)
+const FEED_CONDITIONS = {
+    all: () => 'TRUE',
+    home: () => `(s.user_id = $1 OR EXISTS (
+        SELECT 1 FROM follows f WHERE f.follower_id = $1 AND f.followee_id = s.user_id
+    ))`,
+    discover: () => 's.is_public',
+    hashtag: (param) => `EXISTS (
+        SELECT 1 FROM snaps_hashtags h WHERE h.snap_id = s.id AND h.hashtag = ${param}
+    )`,
+    profile: (param) => `s.user_id = ${param}`
+};
+
+// WHERE clause and parameters shared by listFeed and countFeed. The viewer is $1.
+function feedWhere({ feed, viewerId, showMuted }) {
+    const params = [viewerId];
+    let param = null;
+    if (feed.hashtag !== undefined || feed.userId !== undefined) {
+        params.push(feed.hashtag !== undefined ? feed.hashtag : feed.userId);
+        param = `$${params.length}`;
+    }
+
+    const muted = showMuted ? 'TRUE' : notMutedCondition('s.user_id', 1);
+    const where = `${visibleSnapCondition(1)} AND ${muted} AND ${FEED_CONDITIONS[feed.name](param)}`;
+    return { where, params };
+}
+
+const snaps = {
+    create(snap, { hashtags, recipientIds = [] }) {
+        return withTransaction(async (client) => {
+            const result = await client.query(
+                `INSERT INTO snaps (
+                    id,
+                    user_id,
+                    caption,
+                    hashtags,
+                    location,
+                    storage_backend,
+                    storage_key,
+                    mime_type,
+                    image_url,
+                    expires_at,
+                    view_once,
+                    is_public,
+                    width,
+                    height,
+                    renditions,
+                    media_type,
+                    duration_seconds,
+                    is_direct
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+                RETURNING created_at, is_public`,
+                [
+                    snap.id,
+                    snap.user_id,
+                    snap.caption,
+                    snap.hashtags,
+                    snap.location,
+                    snap.storage_backend,
+                    snap.storage_key,
+                    snap.mime_type,
+                    snap.image_url,
+                    snap.expires_at,
+                    snap.view_once,
+                    snap.is_public,
+                    snap.width,
+                    snap.height,
+                    JSON.stringify(snap.renditions),
+                    snap.media_type,
+                    snap.duration_seconds,
+                    snap.is_direct
+                ]
+            );
+
+            await syncSnapHashtags(client, snap.id, hashtags);
+            if (recipientIds.length > 0) {
+                await addRecipients(client, snap.id, recipientIds);
+            }
+            return result.rows[0];
+        });
+    },
+
+    async findVisible(id, viewerId) {
+        const result = await db.query(
+            `SELECT
+                s.id,
+                s.image_url as "imageUrl",
+                '/api/snaps/image/' || s.id || '?size=feed' as "feedImageUrl",
+                '/api/snaps/image/' || s.id || '?size=thumb' as "thumbnailUrl",
+                '/api/snaps/image/' || s.id || '?size=poster' as "posterUrl",
+                s.media_type as "mediaType",
+                s.duration_seconds as duration,
+                s.width,
+                s.height,
+                s.caption,
+                s.hashtags,
+                (SELECT array_agg(hashtag) FROM snaps_hashtags sh WHERE sh.snap_id = s.id) as hashtag_list,
+                (SELECT COUNT(*) FROM snap_likes l WHERE l.snap_id = s.id)::int as "likeCount",
+                (SELECT COUNT(*) FROM snap_comments c WHERE c.snap_id = s.id)::int as "commentCount",
+                s.view_count as "viewCount",
+                EXISTS (
+                    SELECT 1 FROM snap_likes l WHERE l.snap_id = s.id AND l.user_id = $2
+                ) as "likedByMe",
+                s.location,
+                s.created_at as "createdAt",
+                s.expires_at as "expiresAt",
+                s.view_once as "viewOnce",
+                u.username,
+                u.profile_picture_url as "profilePictureUrl"
+            FROM snaps s
+            JOIN users u ON s.user_id = u.id
+            WHERE s.id = $1 AND ${visibleSnapCondition(2)}`,
+            [id, viewerId || null]
+        );
+        return result.rows[0] || null;
+    },
+
+    async findAccessible(id, viewerId) {
+        const result = await db.query(
+            `SELECT s.id, s.user_id, s.is_public
+             FROM snaps s
+             WHERE s.id = $1 AND ${visibleSnapCondition(2)}`,
+            [id, viewerId || null]
+        );
+        return result.rows[0] || null;
+    },
+
+    async findOwn(id, ownerId) {
+        const result = await db.query(
+            `SELECT id, user_id, view_count, media_type, created_at
+             FROM snaps WHERE id = $1 AND user_id = $2`,
+            [id, ownerId]
+        );
+        return result.rows[0] || null;
+    },
+
+    async findMedia(id, viewerId) {
+        const result = await db.query(
+            `SELECT s.user_id, s.storage_backend, s.storage_key, s.renditions, s.mime_type, s.expires_at, s.view_once,
+                    CASE WHEN s.storage_key IS NULL THEN s.image_data END AS image_data
+             FROM snaps s
+             JOIN users u ON u.id = s.user_id AND u.is_active IS NOT FALSE
+             WHERE s.id = $1 AND ${visibleSnapCondition(2)}`,
+            [id, viewerId || null]
+        );
+        return result.rows[0] || null;
+    },
+
+    async claimViewOnce(id) {
+        const result = await db.query(
+            'UPDATE snaps SET expires_at = NOW() WHERE id = $1 AND expires_at > NOW() RETURNING id',
+            [id]
+        );
+        return result.rows.length > 0;
+    },
+
+    async listFeed({ feed, viewerId, showMuted, position, direction, limit, offset }) {
+        const { where, params } = feedWhere({ feed, viewerId, showMuted });
+
+        params.push(limit);
+        const limitParam = `$${params.length}`;
+
+        let keyset = 'TRUE';
+        let offsetClause = '';
+        if (offset) {
+            params.push(offset);
+            offsetClause = `OFFSET $${params.length}`;
+        }
+        if (position) {
+            params.push(position.createdAt, position.id);
+            const [createdAtParam, idParam] = [params.length - 1, params.length];
+            keyset = `(s.created_at, s.id) ${direction === 'newer' ? '>' : '<'} ($${createdAtParam}::timestamptz, $${idParam}::uuid)`;
+        }
+        const order = direction === 'newer' ? 'ASC' : 'DESC';
+
+        const result = await db.query(
+            `WITH snap_data AS (
+                SELECT
+                    s.id,
+                    s.caption,
+                    s.hashtags,
+                    s.location,
+                    s.created_at,
+                    s.expires_at,
+                    s.view_once,
+                    s.is_public,
+                    s.image_url,
+                    s.width,
+                    s.height,
+                    s.media_type,
+                    s.duration_seconds,
+                    s.view_count,
+                    s.created_at::text as cursor_created_at,
+                    u.id as user_id,
+                    u.username,
+                    u.profile_picture_url
+                FROM snaps s
+                LEFT JOIN users u ON s.user_id = u.id
+                WHERE ${where} AND ${keyset}
+                ORDER BY s.created_at ${order}, s.id ${order}
+                LIMIT ${limitParam} ${offsetClause}
+            )
+            SELECT
+                sd.*,
+                (
+                    SELECT json_agg(h.hashtag)
+                    FROM snaps_hashtags h
+                    WHERE h.snap_id = sd.id
+                ) as hashtag_list,
+                (SELECT COUNT(*) FROM snap_likes l WHERE l.snap_id = sd.id)::int as "likeCount",
+                (SELECT COUNT(*) FROM snap_comments c WHERE c.snap_id = sd.id)::int as "commentCount",
+                sd.view_count as "viewCount",
+                EXISTS (
+                    SELECT 1 FROM snap_likes l WHERE l.snap_id = sd.id AND l.user_id = $1
+                ) as "likedByMe",
+                sd.image_url as "imageUrl",
+                '/api/snaps/image/' || sd.id || '?size=feed' as "feedImageUrl",
+                '/api/snaps/image/' || sd.id || '?size=thumb' as "thumbnailUrl",
+                '/api/snaps/image/' || sd.id || '?size=poster' as "posterUrl",
+                sd.media_type as "mediaType",
+                sd.duration_seconds as duration,
+                sd.created_at as "createdAt",
+                sd.expires_at as "expiresAt",
+                sd.view_once as "viewOnce",
+                sd.is_public as "isPublic",
+                sd.profile_picture_url as "profilePictureUrl"
+            FROM snap_data sd
+            ORDER BY sd.created_at DESC, sd.id DESC`,
+            params
+        );
+        return result.rows;
+    },
+
+    async countFeed(query) {
+        const { where, params } = feedWhere(query);
+        const result = await db.query(`SELECT COUNT(*)::int AS count FROM snaps s WHERE ${where}`, params);
+        return result.rows[0].count;
+    },
+
+    async deleteExpired(batchSize) {
+        return withTransaction(async (client) => {
+            // Another instance is already cleaning up; let it finish
+            const lock = await client.query('SELECT pg_try_advisory_xact_lock($1) AS acquired', [CLEANUP_LOCK_ID]);
+            if (!lock.rows[0].acquired) return null;
+
+            const expired = [];
+            let batch;
+            do {
+                // The recipients are read before the delete cascades to them
+                batch = await client.query(
+                    `DELETE FROM snaps s
+                     WHERE s.id IN (
+                         SELECT id FROM snaps
+                         WHERE expires_at <= NOW()
+                         LIMIT $1
+                     )
+                     RETURNING s.id, s.user_id, s.is_public, s.is_direct,
+                        s.storage_backend, s.storage_key, s.renditions,
+                        ARRAY(SELECT r.recipient_id FROM snap_recipients r WHERE r.snap_id = s.id) AS recipient_ids`,
+                    [batchSize]
+                );
+                expired.push(...batch.rows);
+            } while (batch.rowCount === batchSize);
+            return expired;
+        });
+    }
+};
+
+const hashtags = {
+    // Tags used by the most people on live public snaps since `since`. Ranking
+    // by distinct uploaders first keeps one account posting the same tag over
+    // and over from topping the list.
+    async trending({ since, limit }) {
+        const result = await db.query(
+            `SELECT
+                h.hashtag,
+                COUNT(DISTINCT s.user_id)::int as "userCount",
+                COUNT(*)::int as "snapCount"
+            FROM snaps_hashtags h
+            JOIN snaps s ON s.id = h.snap_id
+            JOIN users u ON u.id = s.user_id AND u.is_active IS NOT FALSE
+            WHERE s.created_at > $1
+              AND s.expires_at > NOW()
+              AND s.hidden_at IS NULL
+              AND s.is_public
+            GROUP BY h.hashtag
+            ORDER BY "userCount" DESC, "snapCount" DESC, h.hashtag
+            LIMIT $2`,
+            [since, limit]
+        );
+        return result.rows;
+    },
+
+    // `prefix` is a normalized tag; LIKE wildcards in it match literally
+    async autocomplete(prefix, limit) {
+        const result = await db.query(
+            `SELECT h.hashtag, COUNT(*)::int as "snapCount"
+            FROM snaps_hashtags h
+            JOIN snaps s ON s.id = h.snap_id
+            JOIN users u ON u.id = s.user_id AND u.is_active IS NOT FALSE
+            WHERE h.hashtag LIKE $1 || '%'
+              AND s.expires_at > NOW()
+              AND s.hidden_at IS NULL
+              AND s.is_public
+            GROUP BY h.hashtag
+            ORDER BY "snapCount" DESC, h.hashtag
+            LIMIT $2`,
+            [prefix.replace(/[\\%_]/g, '\\$&'), limit]
+        );
+        return result.rows;
+    }
+};
+
+const likes = {
+    async add(snapId, userId) {
+        const result = await db.query(
+            `INSERT INTO snap_likes (snap_id, user_id)
+             VALUES ($1, $2)
+             ON CONFLICT DO NOTHING
+             RETURNING created_at`,
+            [snapId, userId]
+        );
+        return result.rows[0] ? result.rows[0].created_at : null;
+    },
+
+    async remove(snapId, userId) {
+        const result = await db.query('DELETE FROM snap_likes WHERE snap_id = $1 AND user_id = $2', [snapId, userId]);
+        return result.rowCount > 0;
+    },
+
+    async count(snapId) {
+        const result = await db.query('SELECT COUNT(*)::int AS count FROM snap_likes WHERE snap_id = $1', [snapId]);
+        return result.rows[0].count;
+    }
+};
+
+const comments = {
+    async list(snapId, viewerId, { limit, offset }) {
+        const result = await db.query(
+            `SELECT
+                c.id,
+                c.body,
+                c.created_at as "createdAt",
+                u.id as "userId",
+                u.username,
+                u.profile_picture_url as "profilePictureUrl"
+            FROM snap_comments c
+            JOIN users u ON c.user_id = u.id
+            WHERE c.snap_id = $1 AND ${notBlockedCondition('c.user_id', 4)}
+            ORDER BY c.created_at ASC, c.id ASC
+            LIMIT $2 OFFSET $3`,
+            [snapId, limit, offset, viewerId || null]
+        );
+        return result.rows;
+    },
+
+    async count(snapId) {
+        const result = await db.query('SELECT COUNT(*)::int AS count FROM snap_comments WHERE snap_id = $1', [snapId]);
+        return result.rows[0].count;
+    },
+
+    async add(snapId, userId, body) {
+        const result = await db.query(
+            `INSERT INTO snap_comments (snap_id, user_id, body)
+             VALUES ($1, $2, $3)
+             RETURNING id, body, created_at`,
+            [snapId, userId, body]
+        );
+        return result.rows[0];
+    },
+
+    async findAuthorId(id, snapId) {
+        const result = await db.query('SELECT user_id FROM snap_comments WHERE id = $1 AND snap_id = $2', [id, snapId]);
+        return result.rows[0] ? result.rows[0].user_id : null;
+    },
+
+    async remove(id) {
+        await db.query('DELETE FROM snap_comments WHERE id = $1', [id]);
+    }
+};
+
+const views = {
+    async record({ snapId, viewerKey, viewerId, source, completed, watchedSeconds }) {
+        const result = await db.query(
+            `WITH upserted AS (
+                INSERT INTO snap_views (snap_id, viewer_key, viewer_id, source, completed, watched_seconds)
+                VALUES ($1, $2, $3, $4, $5, $6)
+                ON CONFLICT (snap_id, viewer_key) DO UPDATE
+                SET completed = snap_views.completed OR EXCLUDED.completed,
+                    watched_seconds = GREATEST(snap_views.watched_seconds, EXCLUDED.watched_seconds),
+                    last_viewed_at = NOW()
+                RETURNING (xmax = 0) AS inserted
+            ),
+            counted AS (
+                UPDATE snaps SET view_count = view_count + 1
+                WHERE id = $1 AND (SELECT inserted FROM upserted)
+                RETURNING view_count
+            )
+            SELECT
+                (SELECT inserted FROM upserted) AS counted,
+                COALESCE((SELECT view_count FROM counted), (SELECT view_count FROM snaps WHERE id = $1)) AS view_count`,
+            [snapId, viewerKey, viewerId, source, completed, watchedSeconds]
+        );
+
+        const row = result.rows[0];
+        return { counted: row.counted, viewCount: row.view_count };
+    },
+
+    async insights(snapId) {
+        const [totals, overTime, sources] = await Promise.all([
+            db.query(
+                `SELECT
+                    COUNT(*)::int as "uniqueViewers",
+                    COUNT(viewer_id)::int as "signedInViewers",
+                    COUNT(*) FILTER (WHERE completed)::int as "completedViews",
+                    AVG(watched_seconds)::real as "averageWatchedSeconds"
+                FROM snap_views
+                WHERE snap_id = $1`,
+                [snapId]
+            ),
+            db.query(
+                `SELECT date_trunc('hour', first_viewed_at) as hour, COUNT(*)::int as views
+                 FROM snap_views
+                 WHERE snap_id = $1
+                 GROUP BY hour
+                 ORDER BY hour ASC`,
+                [snapId]
+            ),
+            db.query(
+                `SELECT source, COUNT(*)::int as views
+                 FROM snap_views
+                 WHERE snap_id = $1
+                 GROUP BY source
+                 ORDER BY views DESC, source ASC`,
+                [snapId]
+            )
+        ]);
+        return { ...totals.rows[0], viewsOverTime: overTime.rows, sources: sources.rows };
+    }
+};
+
+const follows = {
+    async findUser(username, viewerId) {
+        const result = await db.query(
+            `SELECT
+                u.id,
+                u.username,
+                EXISTS (
+                    SELECT 1 FROM user_blocks b WHERE b.blocker_id = $2 AND b.blocked_id = u.id AND b.kind = 'block'
+                ) as blocked_by_viewer
+             FROM users u
+             WHERE u.username = $1 AND u.is_active IS NOT FALSE
+               AND NOT EXISTS (
+                   SELECT 1 FROM user_blocks b WHERE b.blocker_id = u.id AND b.blocked_id = $2 AND b.kind = 'block'
+               )`,
+            [username, viewerId || null]
+        );
+        return result.rows[0] || null;
+    },
+
+    async add(followerId, followeeId) {
+        const result = await db.query(
+            `INSERT INTO follows (follower_id, followee_id)
+             VALUES ($1, $2)
+             ON CONFLICT DO NOTHING
+             RETURNING created_at`,
+            [followerId, followeeId]
+        );
+        return result.rows[0] ? result.rows[0].created_at : null;
+    },
+
+    async remove(followerId, followeeId) {
+        const result = await db.query(
+            'DELETE FROM follows WHERE follower_id = $1 AND followee_id = $2',
+            [followerId, followeeId]
+        );
+        return result.rowCount > 0;
+    },
+
+    async list(userId, direction, viewerId, { limit, offset }) {
+        const [matchColumn, listColumn] = direction === 'followers'
+            ? ['followee_id', 'follower_id']
+            : ['follower_id', 'followee_id'];
+
+        const result = await db.query(
+            `SELECT
+                u.id,
+                u.username,
+                u.profile_picture_url as "profilePictureUrl",
+                f.created_at as "followedAt",
+                EXISTS (
+                    SELECT 1 FROM follows mine
+                    WHERE mine.follower_id = $4 AND mine.followee_id = u.id
+                ) as "followedByMe"
+            FROM follows f
+            JOIN users u ON u.id = f.${listColumn}
+            WHERE f.${matchColumn} = $1 AND u.is_active IS NOT FALSE
+              AND ${notBlockedCondition('u.id', 4)}
+            ORDER BY f.created_at DESC
+            LIMIT $2 OFFSET $3`,
+            [userId, limit, offset, viewerId || null]
+        );
+
+        const countResult = await db.query(
+            `SELECT COUNT(*)::int AS count
+             FROM follows f
+             JOIN users u ON u.id = f.${listColumn}
+             WHERE f.${matchColumn} = $1 AND u.is_active IS NOT FALSE
+               AND ${notBlockedCondition('u.id', 2)}`,
+            [userId, viewerId || null]
+        );
+        return { users: result.rows, totalItems: countResult.rows[0].count };
+    },
+
+    async followingIds(userId) {
+        const result = await db.query('SELECT followee_id FROM follows WHERE follower_id = $1', [userId]);
+        return result.rows.map(row => row.followee_id);
+    }
+};
+
+const blocks = {
+    async findUser(username) {
+        const result = await db.query('SELECT id, username FROM users WHERE username = $1', [username]);
+        return result.rows[0] || null;
+    },
+
+    block(blockerId, blockedId) {
+        return withTransaction(async (client) => {
+            await client.query(
+                `INSERT INTO user_blocks (blocker_id, blocked_id, kind)
+                 VALUES ($1, $2, 'block')
+                 ON CONFLICT (blocker_id, blocked_id) DO UPDATE SET kind = 'block', created_at = NOW()
+                 WHERE user_blocks.kind <> 'block'`,
+                [blockerId, blockedId]
+            );
+            const unfollowed = await client.query(
+                `DELETE FROM follows
+                 WHERE (follower_id = $1 AND followee_id = $2) OR (follower_id = $2 AND followee_id = $1)
+                 RETURNING follower_id, followee_id`,
+                [blockerId, blockedId]
+            );
+            return unfollowed.rows;
+        });
+    },
+
+    async unblock(blockerId, blockedId) {
+        const result = await db.query(
+            `DELETE FROM user_blocks WHERE blocker_id = $1 AND blocked_id = $2 AND kind = 'block'`,
+            [blockerId, blockedId]
+        );
+        return result.rowCount > 0;
+    },
+
+    async mute(muterId, mutedId) {
+        const result = await db.query(
+            `INSERT INTO user_blocks (blocker_id, blocked_id, kind)
+             VALUES ($1, $2, 'mute')
+             ON CONFLICT (blocker_id, blocked_id) DO NOTHING
+             RETURNING kind`,
+            [muterId, mutedId]
+        );
+        return result.rows.length > 0;
+    },
+
+    async unmute(muterId, mutedId) {
+        const result = await db.query(
+            `DELETE FROM user_blocks WHERE blocker_id = $1 AND blocked_id = $2 AND kind = 'mute'`,
+            [muterId, mutedId]
+        );
+        return result.rowCount > 0;
+    },
+
+    async isBlockedBetween(userId, otherId) {
+        const result = await db.query(
+            `SELECT 1 FROM user_blocks
+             WHERE kind = 'block'
+               AND ((blocker_id = $1 AND blocked_id = $2) OR (blocker_id = $2 AND blocked_id = $1))
+             LIMIT 1`,
+            [userId, otherId]
+        );
+        return result.rows.length > 0;
+    },
+
+    async list(userId) {
+        const result = await db.query(
+            `SELECT
+                b.kind,
+                u.id,
+                u.username,
+                u.display_name as "displayName",
+                u.profile_picture_url as "profilePictureUrl",
+                b.created_at as "since"
+            FROM user_blocks b
+            JOIN users u ON u.id = b.blocked_id
+            WHERE b.blocker_id = $1
+            ORDER BY b.created_at DESC`,
+            [userId]
+        );
+        return result.rows;
+    },
+
+    async blockedIds(userId) {
+        const result = await db.query(
+            `SELECT blocked_id AS id FROM user_blocks WHERE kind = 'block' AND blocker_id = $1
+             UNION
+             SELECT blocker_id FROM user_blocks WHERE kind = 'block' AND blocked_id = $1`,
+            [userId]
+        );
+        return result.rows.map(row => row.id);
+    },
+
+    async mutedIds(userId) {
+        const result = await db.query(
+            `SELECT blocked_id FROM user_blocks WHERE kind = 'mute' AND blocker_id = $1`,
+            [userId]
+        );
+        return result.rows.map(row => row.blocked_id);
+    }
+};
+
+// Public profile columns, with counts. The viewer id is $2 (NULL when anonymous).
+const PROFILE_COLUMNS = `
+    u.id,
+    u.username,
+    u.display_name as "displayName",
+    u.bio,
+    u.profile_picture_url as "profilePictureUrl",
+    u.created_at as "createdAt",
+    (SELECT COUNT(*) FROM follows f
+     JOIN users fu ON fu.id = f.follower_id AND fu.is_active IS NOT FALSE
+     WHERE f.followee_id = u.id)::int as "followerCount",
+    (SELECT COUNT(*) FROM follows f
+     JOIN users fu ON fu.id = f.followee_id AND fu.is_active IS NOT FALSE
+     WHERE f.follower_id = u.id)::int as "followingCount",
+    (SELECT COUNT(*) FROM snaps s
+     WHERE s.user_id = u.id AND ${visibleSnapCondition(2)})::int as "snapCount",
+    EXISTS (
+        SELECT 1 FROM follows f WHERE f.follower_id = $2 AND f.followee_id = u.id
+    ) as "followedByMe",
+    EXISTS (
+        SELECT 1 FROM user_blocks b WHERE b.blocker_id = $2 AND b.blocked_id = u.id AND b.kind = 'block'
+    ) as "blockedByMe",
+    EXISTS (
+        SELECT 1 FROM user_blocks b WHERE b.blocker_id = $2 AND b.blocked_id = u.id AND b.kind = 'mute'
+    ) as "mutedByMe"`;
+
+// Active users who have not blocked the viewer bound to $2
+const PROFILE_VISIBLE = `u.username = $1 AND u.is_active IS NOT FALSE
+    AND NOT EXISTS (
+        SELECT 1 FROM user_blocks b WHERE b.blocker_id = u.id AND b.blocked_id = $2 AND b.kind = 'block'
+    )`;
+
+// Set a user's avatar columns, returning the ones they replace
+async function replaceAvatar(userId, backend, renditions, url) {
+    const result = await db.query(
+        `UPDATE users u
+         SET avatar_backend = $2, avatar_renditions = $3, profile_picture_url = $4, updated_at = NOW()
+         FROM (SELECT id, avatar_backend, avatar_renditions FROM users WHERE id = $1) old
+         WHERE u.id = old.id
+         RETURNING old.avatar_backend, old.avatar_renditions`,
+        [userId, backend, renditions ? JSON.stringify(renditions) : null, url]
+    );
+    return result.rows[0] || null;
+}
+
+const profiles = {
+    async find(username, viewerId) {
+        const result = await db.query(
+            `SELECT ${PROFILE_COLUMNS} FROM users u WHERE ${PROFILE_VISIBLE}`,
+            [username, viewerId || null]
+        );
+        return result.rows[0] || null;
+    },
+
+    async findId(username, viewerId) {
+        const result = await db.query(
+            `SELECT u.id FROM users u WHERE ${PROFILE_VISIBLE}`,
+            [username, viewerId || null]
+        );
+        return result.rows.length > 0 ? result.rows[0].id : null;
+    },
+
+    async findOwn(userId) {
+        const result = await db.query(
+            `SELECT ${PROFILE_COLUMNS}, u.email
+             FROM users u
+             WHERE u.id = $1`,
+            [userId, userId]
+        );
+        return result.rows[0] || null;
+    },
+
+    async update(userId, updates) {
+        // Usernames differing only in case would be confusing to tell apart
+        if (updates.username) {
+            const taken = await db.query(
+                'SELECT 1 FROM users WHERE LOWER(username) = LOWER($1) AND id <> $2',
+                [updates.username, userId]
+            );
+            if (taken.rows.length > 0) throw duplicateError('username');
+        }
+
+        const columns = Object.keys(updates);
+        const assignments = columns.map((column, i) => `${column} = $${i + 2}`).join(', ');
+        try {
+            const result = await db.query(
+                `UPDATE users SET ${assignments}, updated_at = NOW()
+                 WHERE id = $1
+                 RETURNING id, username, display_name as "displayName", bio, profile_picture_url as "profilePictureUrl"`,
+                [userId, ...columns.map(column => updates[column])]
+            );
+            return result.rows[0] || null;
+        } catch (error) {
+            // Lost a race with someone claiming the same name
+            if (error.code === '23505') throw duplicateError('username');
+            throw error;
+        }
+    },
+
+    async setAvatar(userId, { backend, renditions, url }) {
+        return replaceAvatar(userId, backend, renditions, url);
+    },
+
+    async clearAvatar(userId) {
+        return replaceAvatar(userId, null, null, null);
+    },
+
+    async findAvatar(userId) {
+        const result = await db.query(
+            `SELECT avatar_backend, avatar_renditions
+             FROM users
+             WHERE id = $1 AND is_active IS NOT FALSE AND avatar_renditions IS NOT NULL`,
+            [userId]
+        );
+        return result.rows[0] || null;
+    }
+};
+
+// Snaps (aliased `s`) that belong to a story the viewer bound to
+// `$<viewerParam>` may watch, posted after `$<sinceParam>`
+function storySnapCondition(viewerParam, sinceParam) {
+    return `${visibleSnapCondition(viewerParam)}
+        AND NOT s.view_once
+        AND s.created_at > $${sinceParam}`;
+}
+
+const stories = {
+    async rings(viewerId, since) {
+        const result = await db.query(
+            `SELECT
+                u.id as "userId",
+                u.username,
+                u.display_name as "displayName",
+                u.profile_picture_url as "profilePictureUrl",
+                COUNT(*)::int as "itemCount",
+                MAX(s.created_at) as "latestAt",
+                BOOL_OR(sv.snap_id IS NULL) AND u.id <> $1 as "hasUnseen"
+            FROM snaps s
+            JOIN users u ON u.id = s.user_id
+            LEFT JOIN story_views sv ON sv.snap_id = s.id AND sv.viewer_id = $1
+            WHERE ${storySnapCondition(1, 2)}
+              AND ${notMutedCondition('s.user_id', 1)}
+              AND (s.user_id = $1 OR EXISTS (
+                  SELECT 1 FROM follows f WHERE f.follower_id = $1 AND f.followee_id = s.user_id
+              ))
+            GROUP BY u.id
+            ORDER BY u.id = $1 DESC, "hasUnseen" DESC, "latestAt" DESC`,
+            [viewerId, since]
+        );
+        return result.rows;
+    },
+
+    async findItem(snapId, viewerId, since) {
+        const result = await db.query(
+            `SELECT s.id, s.user_id FROM snaps s WHERE s.id = $1 AND ${storySnapCondition(2, 3)}`,
+            [snapId, viewerId, since]
+        );
+        return result.rows[0] || null;
+    },
+
+    async markSeen(snapId, viewerId) {
+        await db.query(
+            `INSERT INTO story_views (snap_id, viewer_id)
+             VALUES ($1, $2)
+             ON CONFLICT DO NOTHING`,
+            [snapId, viewerId]
+        );
+    },
+
+    async viewers(snapId) {
+        const result = await db.query(
+            `SELECT
+                u.id,
+                u.username,
+                u.display_name as "displayName",
+                u.profile_picture_url as "profilePictureUrl",
+                sv.viewed_at as "viewedAt"
+            FROM story_views sv
+            JOIN users u ON u.id = sv.viewer_id AND u.is_active IS NOT FALSE
+            WHERE sv.snap_id = $1
+            ORDER BY sv.viewed_at DESC`,
+            [snapId]
+        );
+        return result.rows;
+    },
+
+    async ring(username, viewerId, since) {
+        const result = await db.query(
+            `SELECT
+                s.id,
+                s.image_url as "imageUrl",
+                '/api/snaps/image/' || s.id || '?size=feed' as "feedImageUrl",
+                '/api/snaps/image/' || s.id || '?size=poster' as "posterUrl",
+                s.media_type as "mediaType",
+                s.duration_seconds as duration,
+                s.width,
+                s.height,
+                s.caption,
+                s.location,
+                s.created_at as "createdAt",
+                s.expires_at as "expiresAt",
+                (s.user_id = $1 OR EXISTS (
+                    SELECT 1 FROM story_views sv WHERE sv.snap_id = s.id AND sv.viewer_id = $1
+                )) as seen,
+                CASE WHEN s.user_id = $1 THEN (
+                    SELECT COUNT(*) FROM story_views sv WHERE sv.snap_id = s.id
+                )::int END as "viewCount"
+            FROM snaps s
+            JOIN users u ON u.id = s.user_id
+            WHERE u.username = $2 AND ${storySnapCondition(1, 3)}
+            ORDER BY s.created_at ASC, s.id ASC`,
+            [viewerId, username, since]
+        );
+        return result.rows;
+    }
+};
+
+const direct = {
+    async findRecipients(usernames, senderId) {
+        const result = await db.query(
+            `SELECT
+                u.id,
+                u.username,
+                EXISTS (
+                    SELECT 1 FROM user_blocks b
+                    WHERE b.blocker_id = $2 AND b.blocked_id = u.id AND b.kind = 'block'
+                ) AS blocked_by_sender
+             FROM users u
+             WHERE u.username = ANY($1::varchar[]) AND u.is_active IS NOT FALSE
+               AND NOT EXISTS (
+                   SELECT 1 FROM user_blocks b
+                   WHERE b.blocker_id = u.id AND b.blocked_id = $2 AND b.kind = 'block'
+               )`,
+            [usernames, senderId]
+        );
+        return result.rows;
+    },
+
+    async markDelivered(recipientId) {
+        const result = await db.query(
+            `UPDATE snap_recipients r
+             SET delivered_at = NOW()
+             FROM snaps s
+             WHERE s.id = r.snap_id
+               AND r.recipient_id = $1
+               AND r.delivered_at IS NULL
+               AND r.opened_at IS NULL
+               AND s.expires_at > NOW()
+               AND s.hidden_at IS NULL
+               AND ${notBlockedCondition('s.user_id', 1)}
+             RETURNING r.snap_id, r.delivered_at, s.user_id`,
+            [recipientId]
+        );
+        return result.rows;
+    },
+
+    async inbox(recipientId) {
+        const result = await db.query(
+            `SELECT
+                s.id,
+                s.media_type as "mediaType",
+                s.duration_seconds as duration,
+                s.created_at as "createdAt",
+                s.expires_at as "expiresAt",
+                u.id as sender_id,
+                u.username as sender_username,
+                u.display_name as sender_display_name,
+                u.profile_picture_url as sender_profile_picture_url
+            FROM snap_recipients r
+            JOIN snaps s ON s.id = r.snap_id
+            JOIN users u ON u.id = s.user_id AND u.is_active IS NOT FALSE
+            WHERE r.recipient_id = $1
+              AND ${notBlockedCondition('s.user_id', 1)}
+              AND r.opened_at IS NULL
+              AND s.expires_at > NOW()
+              AND s.hidden_at IS NULL
+            ORDER BY s.created_at DESC`,
+            [recipientId]
+        );
+        return result.rows;
+    },
+
+    async sent(senderId, limit) {
+        const result = await db.query(
+            `SELECT
+                s.id,
+                s.caption,
+                s.media_type as "mediaType",
+                s.created_at as "createdAt",
+                s.expires_at as "expiresAt",
+                json_agg(json_build_object(
+                    'id', u.id,
+                    'username', u.username,
+                    'status', CASE
+                        WHEN r.opened_at IS NOT NULL THEN 'opened'
+                        WHEN r.delivered_at IS NOT NULL THEN 'delivered'
+                        ELSE 'sent'
+                    END,
+                    'deliveredAt', r.delivered_at,
+                    'openedAt', r.opened_at
+                ) ORDER BY u.username) as recipients
+            FROM snaps s
+            JOIN snap_recipients r ON r.snap_id = s.id
+            JOIN users u ON u.id = r.recipient_id
+            WHERE s.user_id = $1 AND s.is_direct AND s.expires_at > NOW()
+            GROUP BY s.id
+            ORDER BY s.created_at DESC
+            LIMIT $2`,
+            [senderId, limit]
+        );
+        return result.rows;
+    },
+
+    open(snapId, recipientId, { tokenHash, viewSeconds }) {
+        return withTransaction(async (client) => {
+            // Serialize opens of the same snap so exactly one sees itself as the last
+            await client.query('SELECT 1 FROM snaps WHERE id = $1 FOR UPDATE', [snapId]);
+
+            const opened = await client.query(
+                `UPDATE snap_recipients r
+                 SET opened_at = NOW(), delivered_at = COALESCE(r.delivered_at, NOW()), view_token_hash = $3
+                 FROM snaps s
+                 WHERE s.id = r.snap_id
+                   AND r.snap_id = $1
+                   AND r.recipient_id = $2
+                   AND r.opened_at IS NULL
+                   AND s.expires_at > NOW()
+                   AND s.hidden_at IS NULL
+                   AND ${notBlockedCondition('s.user_id', 2)}
+                 RETURNING
+                    r.opened_at,
+                    s.user_id,
+                    s.caption,
+                    s.location,
+                    s.media_type,
+                    s.duration_seconds,
+                    s.width,
+                    s.height`,
+                [snapId, recipientId, tokenHash]
+            );
+            if (opened.rows.length === 0) return null;
+
+            // The last recipient to open it starts the countdown to reaping
+            await client.query(
+                `UPDATE snaps
+                 SET expires_at = LEAST(expires_at, NOW() + make_interval(secs => $2))
+                 WHERE id = $1
+                   AND NOT EXISTS (
+                       SELECT 1 FROM snap_recipients WHERE snap_id = $1 AND opened_at IS NULL
+                   )`,
+                [snapId, viewSeconds]
+            );
+            return opened.rows[0];
+        });
+    },
+
+    async findMedia(snapId, { tokenHash, viewSeconds }) {
+        const result = await db.query(
+            `SELECT s.storage_backend, s.storage_key, s.renditions, s.mime_type
+             FROM snap_recipients r
+             JOIN snaps s ON s.id = r.snap_id
+             WHERE r.snap_id = $1
+               AND r.view_token_hash = $2
+               AND r.opened_at > NOW() - make_interval(secs => $3)
+               AND s.hidden_at IS NULL`,
+            [snapId, tokenHash, viewSeconds]
+        );
+        return result.rows[0] || null;
+    }
+};
+
+const moderation = {
+    report({ snapId, reporterId, reason, details }) {
+        return withTransaction(async (client) => {
+            const snapResult = await client.query(
+                `SELECT s.id, s.user_id
+                 FROM snaps s
+                 WHERE s.id = $1
+                   AND (
+                       (${visibleSnapCondition(2)})
+                       OR (s.is_direct AND s.hidden_at IS NULL AND EXISTS (
+                           SELECT 1 FROM snap_recipients r WHERE r.snap_id = s.id AND r.recipient_id = $2
+                       ))
+                   )`,
+                [snapId, reporterId]
+            );
+            const snap = snapResult.rows[0];
+            if (!snap) return { status: 'not_found' };
+            if (snap.user_id === reporterId) return { status: 'own_snap' };
+
+            const inserted = await client.query(
+                `INSERT INTO snap_reports (snap_id, reporter_id, reason, details)
+                 VALUES ($1, $2, $3, $4)
+                 ON CONFLICT (snap_id, reporter_id) DO NOTHING
+                 RETURNING id`,
+                [snap.id, reporterId, reason, details || null]
+            );
+            if (inserted.rows.length === 0) return { status: 'duplicate' };
+
+            return { status: 'reported', hidden: await autoHideIfReported(client, snap.id) };
+        });
+    },
+
+    async history(userId) {
+        const result = await db.query(
+            `SELECT
+                id,
+                snap_id as "snapId",
+                action,
+                reason,
+                created_at as "createdAt",
+                appeal_status as "appealStatus",
+                appealed_at as "appealedAt",
+                appeal_resolved_at as "appealResolvedAt",
+                appeal_status = 'none' AND action = ANY($2::varchar[]) as "canAppeal"
+            FROM moderation_actions
+            WHERE user_id = $1
+            ORDER BY created_at DESC, id DESC`,
+            [userId, APPEALABLE_ACTIONS]
+        );
+        return result.rows;
+    },
+
+    async appeal(actionId, userId, message) {
+        const result = await db.query(
+            `UPDATE moderation_actions
+             SET appeal_status = 'pending', appeal_message = $3, appealed_at = NOW()
+             WHERE id = $1 AND user_id = $2 AND appeal_status = 'none' AND action = ANY($4::varchar[])
+             RETURNING id, action, appeal_status as "appealStatus", appealed_at as "appealedAt"`,
+            [actionId, userId, message, APPEALABLE_ACTIONS]
+        );
+        if (result.rows.length > 0) return { status: 'ok', appeal: result.rows[0] };
+
+        const existing = await db.query(
+            'SELECT 1 FROM moderation_actions WHERE id = $1 AND user_id = $2',
+            [actionId, userId]
+        );
+        return { status: existing.rows.length > 0 ? 'not_appealable' : 'not_found' };
+    }
+};
+
+// Record an admin action. Runs on the caller's client so it commits or
+// rolls back together with the change it describes.
+async function recordAudit(client, { actorId, action, targetType, targetId, details }) {
+    await client.query(
+        `INSERT INTO admin_audit_log (actor_id, action, target_type, target_id, details)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [actorId, action, targetType, targetId, details ? JSON.stringify(details) : null]
+    );
+}
+
+// Delete a snap inside the caller's transaction. Returns the deleted row, or
+// null when there was none.
+async function deleteSnapRow(client, snapId) {
+    const result = await client.query(
+        `DELETE FROM snaps
+         WHERE id = $1
+         RETURNING id, user_id, caption, hashtags, created_at, is_public, storage_backend, storage_key, renditions`,
+        [snapId]
+    );
+    return result.rows[0] || null;
+}
+
+// Warn, suspend or reinstate a user inside the caller's transaction and
+// record it. Throws a moderationError with status 400 for admins and 409
+// when the account is already in that state.
+async function applyUserAction(client, { userId, snapId = null, moderatorId, action, reason }) {
+    const target = await client.query('SELECT role FROM users WHERE id = $1 FOR UPDATE', [userId]);
+    if (target.rows.length === 0) {
+        throw moderationError(404, 'User not found');
+    }
+    if (action === 'suspend' && target.rows[0].role === 'admin') {
+        throw moderationError(400, 'Admins cannot be suspended');
+    }
+    if (action !== 'warn' && !(await setUserSuspended(client, userId, action === 'suspend'))) {
+        throw moderationError(409, action === 'suspend' ? 'User is already suspended' : 'User is not suspended');
+    }
+    return recordModerationAction(client, { userId, snapId, moderatorId, action, reason });
+}
+
+const admin = {
+    async listSnaps() {
+        const result = await db.query(
+            `SELECT
+                s.id,
+                s.caption,
+                s.hashtags,
+                s.location,
+                s.created_at,
+                s.expires_at,
+                s.is_public,
+                s.image_url as image_path,
+                '/api/admin/snaps/' || s.id || '/media?size=thumb' as thumbnail_path,
+                '/api/admin/snaps/' || s.id || '/media' as media_path,
+                s.media_type,
+                s.hidden_at,
+                (SELECT COUNT(*) FROM snap_reports r WHERE r.snap_id = s.id AND r.status = 'open')::int as open_report_count,
+                u.id as uploader_id,
+                u.username as uploader_username
+            FROM snaps s
+            LEFT JOIN users u ON s.user_id = u.id
+            ORDER BY s.created_at DESC`
+        );
+        return result.rows;
+    },
+
+    updateSnap(snapId, { caption, hashtags }, actorId) {
+        return withTransaction(async (client) => {
+            const existing = await client.query(
+                'SELECT caption, hashtags FROM snaps WHERE id = $1 FOR UPDATE',
+                [snapId]
+            );
+            if (existing.rows.length === 0) return false;
+
+            const before = existing.rows[0];
+            const after = {
+                caption: caption !== undefined ? caption : before.caption,
+                hashtags: hashtags !== undefined ? hashtags : before.hashtags
+            };
+
+            await client.query(
+                'UPDATE snaps SET caption = $1, hashtags = $2 WHERE id = $3',
+                [after.caption, after.hashtags, snapId]
+            );
+            await syncSnapHashtags(client, snapId, after.hashtags);
+
+            await recordAudit(client, {
+                actorId,
+                action: 'snap.update',
+                targetType: 'snap',
+                targetId: snapId,
+                details: { before, after }
+            });
+            return true;
+        });
+    },
+
+    deleteSnap(snapId, actorId) {
+        return withTransaction(async (client) => {
+            const deleted = await deleteSnapRow(client, snapId);
+            if (!deleted) return null;
+
+            const { renditions, ...snap } = deleted;
+            await recordAudit(client, {
+                actorId,
+                action: 'snap.delete',
+                targetType: 'snap',
+                targetId: snapId,
+                details: { snap }
+            });
+            return deleted;
+        });
+    },
+
+    async findMedia(snapId) {
+        const result = await db.query(
+            `SELECT storage_backend, storage_key, renditions, mime_type,
+                    CASE WHEN storage_key IS NULL THEN image_data END AS image_data
+             FROM snaps WHERE id = $1`,
+            [snapId]
+        );
+        return result.rows[0] || null;
+    },
+
+    async listReports(status, limit) {
+        const result = await db.query(
+            `SELECT
+                s.id as snap_id,
+                s.caption,
+                s.media_type,
+                s.is_direct,
+                s.hidden_at,
+                s.created_at,
+                s.expires_at,
+                '/api/admin/snaps/' || s.id || '/media?size=thumb' as thumbnail_path,
+                u.id as owner_id,
+                u.username as owner_username,
+                u.is_active as owner_is_active,
+                (SELECT COUNT(*) FROM moderation_actions m
+                 WHERE m.user_id = u.id AND m.action IN ('hide', 'delete', 'warn', 'suspend')
+                   AND m.appeal_status <> 'overturned')::int as owner_action_count,
+                COUNT(*)::int as report_count,
+                (SELECT json_object_agg(reasons.reason, reasons.count)
+                 FROM (
+                     SELECT r2.reason, COUNT(*)::int as count
+                     FROM snap_reports r2
+                     WHERE r2.snap_id = s.id AND r2.status = $1
+                     GROUP BY r2.reason
+                 ) reasons) as reasons,
+                MIN(r.created_at) as first_reported_at,
+                MAX(r.created_at) as last_reported_at
+            FROM snap_reports r
+            JOIN snaps s ON s.id = r.snap_id
+            JOIN users u ON u.id = s.user_id
+            WHERE r.status = $1
+            GROUP BY s.id, u.id
+            ORDER BY report_count DESC, first_reported_at ASC
+            LIMIT $2`,
+            [status, limit]
+        );
+        return result.rows;
+    },
+
+    async listSnapReports(snapId) {
+        const result = await db.query(
+            `SELECT
+                r.id,
+                r.reason,
+                r.details,
+                r.status,
+                r.created_at,
+                r.resolved_at,
+                reporter.username as reporter_username,
+                resolver.username as resolved_by_username
+            FROM snap_reports r
+            LEFT JOIN users reporter ON reporter.id = r.reporter_id
+            LEFT JOIN users resolver ON resolver.id = r.resolved_by
+            WHERE r.snap_id = $1
+            ORDER BY r.created_at DESC, r.id DESC`,
+            [snapId]
+        );
+        return result.rows;
+    },
+
+    actOnReport({ snapId, action, reason, moderatorId }) {
+        return withTransaction(async (client) => {
+            const existing = await client.query(
+                'SELECT id, user_id, is_public FROM snaps WHERE id = $1 FOR UPDATE',
+                [snapId]
+            );
+            if (existing.rows.length === 0) return null;
+
+            const snap = existing.rows[0];
+            let recorded = null;
+            let hidden = null;
+            let deleted = null;
+
+            if (action === 'dismiss') {
+                await resolveReports(client, snap.id, 'dismissed', moderatorId);
+                if (await setSnapHidden(client, snap.id, false)) {
+                    await recordModerationAction(client, {
+                        userId: snap.user_id, snapId: snap.id, moderatorId, action: 'unhide', reason
+                    });
+                }
+            } else {
+                await resolveReports(client, snap.id, 'actioned', moderatorId);
+
+                if (action === 'hide') {
+                    hidden = await setSnapHidden(client, snap.id, true);
+                    if (hidden) {
+                        recorded = await recordModerationAction(client, {
+                            userId: snap.user_id, snapId: snap.id, moderatorId, action, reason
+                        });
+                    }
+                } else if (action === 'delete') {
+                    recorded = await recordModerationAction(client, {
+                        userId: snap.user_id, snapId: snap.id, moderatorId, action, reason
+                    });
+                    deleted = await deleteSnapRow(client, snap.id);
+                } else {
+                    recorded = await applyUserAction(client, {
+                        userId: snap.user_id, snapId: snap.id, moderatorId, action, reason
+                    });
+                }
+            }
+
+            await recordAudit(client, {
+                actorId: moderatorId,
+                action: `moderation.${action}`,
+                targetType: 'snap',
+                targetId: snap.id,
+                details: { userId: snap.user_id, reason }
+            });
+            return { snap, recorded, hidden, deleted };
+        });
+    },
+
+    moderateUser({ userId, action, reason, moderatorId }) {
+        return withTransaction(async (client) => {
+            const recorded = await applyUserAction(client, { userId, moderatorId, action, reason });
+            await recordAudit(client, {
+                actorId: moderatorId,
+                action: `moderation.${action}`,
+                targetType: 'user',
+                targetId: userId,
+                details: { reason }
+            });
+            return recorded;
+        });
+    },
+
+    async userModeration(userId) {
+        const userResult = await db.query(
+            `SELECT
+                u.id,
+                u.username,
+                u.role,
+                u.is_active,
+                u.deactivated_at,
+                u.created_at,
+                (SELECT COUNT(*) FROM snap_reports r JOIN snaps s ON s.id = r.snap_id
+                 WHERE s.user_id = u.id)::int as reports_received,
+                (SELECT COUNT(*) FROM snap_reports r JOIN snaps s ON s.id = r.snap_id
+                 WHERE s.user_id = u.id AND r.status = 'open')::int as open_reports_received,
+                (SELECT COUNT(*) FROM snap_reports r WHERE r.reporter_id = u.id)::int as reports_filed
+            FROM users u
+            WHERE u.id = $1`,
+            [userId]
+        );
+        if (userResult.rows.length === 0) return null;
+
+        const actions = await db.query(
+            `SELECT
+                m.id,
+                m.snap_id,
+                m.action,
+                m.reason,
+                m.created_at,
+                m.appeal_status,
+                m.appeal_message,
+                m.appealed_at,
+                m.appeal_resolved_at,
+                moderator.username as moderator_username
+            FROM moderation_actions m
+            LEFT JOIN users moderator ON moderator.id = m.moderator_id
+            WHERE m.user_id = $1
+            ORDER BY m.created_at DESC, m.id DESC`,
+            [userId]
+        );
+        return { user: userResult.rows[0], actions: actions.rows };
+    },
+
+    async listAppeals(status, limit) {
+        const result = await db.query(
+            `SELECT
+                m.id,
+                m.user_id,
+                u.username,
+                m.snap_id,
+                m.action,
+                m.reason,
+                m.created_at,
+                m.appeal_status,
+                m.appeal_message,
+                m.appealed_at,
+                m.appeal_resolved_at
+            FROM moderation_actions m
+            JOIN users u ON u.id = m.user_id
+            WHERE m.appeal_status = $1
+            ORDER BY m.appealed_at ASC
+            LIMIT $2`,
+            [status, limit]
+        );
+        return result.rows;
+    },
+
+    decideAppeal({ actionId, decision, moderatorId }) {
+        return withTransaction(async (client) => {
+            const result = await client.query(
+                `UPDATE moderation_actions
+                 SET appeal_status = $2, appeal_resolved_at = NOW(), appeal_resolved_by = $3
+                 WHERE id = $1 AND appeal_status = 'pending'
+                 RETURNING id, user_id, snap_id, action, reason, appeal_status, appeal_resolved_at`,
+                [actionId, decision, moderatorId]
+            );
+            if (result.rows.length === 0) return null;
+
+            const appeal = result.rows[0];
+            const undo = { reason: `Appeal ${appeal.id} overturned`, moderatorId };
+            if (decision === 'overturned') {
+                if (appeal.action === 'hide' && appeal.snap_id && await setSnapHidden(client, appeal.snap_id, false)) {
+                    await recordModerationAction(client, {
+                        userId: appeal.user_id, snapId: appeal.snap_id, action: 'unhide', ...undo
+                    });
+                } else if (appeal.action === 'suspend' && await setUserSuspended(client, appeal.user_id, false)) {
+                    await recordModerationAction(client, {
+                        userId: appeal.user_id, snapId: appeal.snap_id, action: 'unsuspend', ...undo
+                    });
+                }
+            }
+
+            await recordAudit(client, {
+                actorId: moderatorId,
+                action: `appeal.${decision}`,
+                targetType: 'user',
+                targetId: appeal.user_id,
+                details: { moderationActionId: appeal.id, action: appeal.action }
+            });
+            return appeal;
+        });
+    },
+
+    async auditLog(limit) {
+        const result = await db.query(
+            `SELECT
+                a.id,
+                a.action,
+                a.target_type,
+                a.target_id,
+                a.details,
+                a.created_at,
+                u.username as actor_username
+            FROM admin_audit_log a
+            LEFT JOIN users u ON a.actor_id = u.id
+            ORDER BY a.created_at DESC
+            LIMIT $1`,
+            [limit]
+        );
+        return result.rows;
+    }
+};
+
+function createPostgresRepositories() {
+    return {
+        users,
+        sessions,
+        snaps,
+        hashtags,
+        likes,
+        comments,
+        views,
+        follows,
+        blocks,
+        profiles,
+        stories,
+        direct,
+        moderation,
+        admin,
+        ping: () => db.query('SELECT 1'),
+        close: () => db.pool.end()
+    };
+}
+
+module.exports = { createPostgresRepositories };
@@ -0,0 +1,1759 @@
+// repositories-sqlite.js - SQLite implementation of the repositories
+// (see repositories.js for the interface)
+//
+// Meant for local development and tests without a PostgreSQL server. The
+// schema below is created on first use and mirrors the PostgreSQL one, except:
+//   - timestamps are stored as ISO 8601 text in UTC, which sorts like time
+//   - booleans come back as 0/1 and JSON columns as text, so rows are
+//     converted before they are returned
+//   - one process owns the file and transactions run one at a time, so
+//     nothing needs locking rows
+//   - report, moderation action and audit log ids are integers, returned as
+//     strings like PostgreSQL's bigints
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+
+const { duplicateError } = require('./repositories');
+const { parseHashtags } = require('./hashtags');
+const { APPEALABLE_ACTIONS, REPORT_AUTO_HIDE_THRESHOLD, moderationError } = require('./moderation');
+
+// Bumped whenever the schema below changes
+const SCHEMA_VERSION = 2;
+
+// The current time in the format every timestamp column uses
+const NOW = `strftime('%Y-%m-%dT%H:%M:%fZ', 'now')`;
+
+const SCHEMA = `
+    CREATE TABLE users (
+        id TEXT PRIMARY KEY,
+        username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'user',
+        is_active INTEGER NOT NULL DEFAULT 1,
+        deactivated_at TEXT,
+        display_name TEXT,
+        bio TEXT,
+        profile_picture_url TEXT,
+        avatar_backend TEXT,
+        avatar_renditions TEXT,
+        last_login TEXT,
+        created_at TEXT NOT NULL DEFAULT (${NOW}),
+        updated_at TEXT NOT NULL DEFAULT (${NOW})
+    );
+
+    CREATE TABLE sessions (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        user_agent TEXT,
+        ip_address TEXT,
+        created_at TEXT NOT NULL DEFAULT (${NOW}),
+        last_used_at TEXT,
+        expires_at TEXT NOT NULL,
+        revoked_at TEXT,
+        revoked_reason TEXT
+    );
+    CREATE INDEX idx_sessions_user_id ON sessions(user_id);
+
+    CREATE TABLE refresh_tokens (
+        token_hash TEXT PRIMARY KEY,
+        session_id TEXT NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+        created_at TEXT NOT NULL DEFAULT (${NOW}),
+        used_at TEXT
+    );
+
+    CREATE TABLE snaps (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        caption TEXT,
+        hashtags TEXT,
+        location TEXT,
+        storage_backend TEXT,
+        storage_key TEXT,
+        mime_type TEXT,
+        image_url TEXT,
+        image_data BLOB,
+        expires_at TEXT NOT NULL,
+        view_once INTEGER NOT NULL DEFAULT 0,
+        is_public INTEGER NOT NULL DEFAULT 1,
+        is_direct INTEGER NOT NULL DEFAULT 0,
+        hidden_at TEXT,
+        width INTEGER,
+        height INTEGER,
+        renditions TEXT,
+        media_type TEXT NOT NULL DEFAULT 'image',
+        duration_seconds REAL,
+        view_count INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL DEFAULT (${NOW})
+    );
+    CREATE INDEX idx_snaps_created_at ON snaps(created_at, id);
+    CREATE INDEX idx_snaps_expires_at ON snaps(expires_at);
+    CREATE INDEX idx_snaps_user_id ON snaps(user_id);
+
+    CREATE TABLE snaps_hashtags (
+        snap_id TEXT NOT NULL REFERENCES snaps(id) ON DELETE CASCADE,
+        hashtag TEXT NOT NULL,
+        PRIMARY KEY (snap_id, hashtag)
+    );
+    CREATE INDEX idx_snaps_hashtags_hashtag ON snaps_hashtags(hashtag);
+
+    CREATE TABLE follows (
+        follower_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        followee_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        created_at TEXT NOT NULL DEFAULT (${NOW}),
+        PRIMARY KEY (follower_id, followee_id)
+    );
+    CREATE INDEX idx_follows_followee_id ON follows(followee_id);
+
+    CREATE TABLE user_blocks (
+        blocker_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        blocked_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        kind TEXT NOT NULL,
+        created_at TEXT NOT NULL DEFAULT (${NOW}),
+        PRIMARY KEY (blocker_id, blocked_id)
+    );
+    CREATE INDEX idx_user_blocks_blocked_id ON user_blocks(blocked_id);
+
+    CREATE TABLE snap_likes (
+        snap_id TEXT NOT NULL REFERENCES snaps(id) ON DELETE CASCADE,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        created_at TEXT NOT NULL DEFAULT (${NOW}),
+        PRIMARY KEY (snap_id, user_id)
+    );
+
+    CREATE TABLE snap_comments (
+        id TEXT PRIMARY KEY,
+        snap_id TEXT NOT NULL REFERENCES snaps(id) ON DELETE CASCADE,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        body TEXT NOT NULL,
+        created_at TEXT NOT NULL DEFAULT (${NOW})
+    );
+    CREATE INDEX idx_snap_comments_snap_id_created_at ON snap_comments(snap_id, created_at);
+
+    CREATE TABLE snap_views (
+        snap_id TEXT NOT NULL REFERENCES snaps(id) ON DELETE CASCADE,
+        viewer_key TEXT NOT NULL,
+        viewer_id TEXT REFERENCES users(id) ON DELETE SET NULL,
+        source TEXT NOT NULL,
+        completed INTEGER NOT NULL DEFAULT 0,
+        watched_seconds REAL,
+        first_viewed_at TEXT NOT NULL DEFAULT (${NOW}),
+        last_viewed_at TEXT NOT NULL DEFAULT (${NOW}),
+        PRIMARY KEY (snap_id, viewer_key)
+    );
+
+    CREATE TABLE story_views (
+        snap_id TEXT NOT NULL REFERENCES snaps(id) ON DELETE CASCADE,
+        viewer_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        viewed_at TEXT NOT NULL DEFAULT (${NOW}),
+        PRIMARY KEY (snap_id, viewer_id)
+    );
+
+    CREATE TABLE snap_recipients (
+        snap_id TEXT NOT NULL REFERENCES snaps(id) ON DELETE CASCADE,
+        recipient_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        created_at TEXT NOT NULL DEFAULT (${NOW}),
+        delivered_at TEXT,
+        opened_at TEXT,
+        view_token_hash TEXT,
+        PRIMARY KEY (snap_id, recipient_id)
+    );
+    CREATE INDEX idx_snap_recipients_recipient_id ON snap_recipients(recipient_id);
+
+    CREATE TABLE snap_reports (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        snap_id TEXT NOT NULL REFERENCES snaps(id) ON DELETE CASCADE,
+        reporter_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        reason TEXT NOT NULL,
+        details TEXT,
+        status TEXT NOT NULL DEFAULT 'open',
+        created_at TEXT NOT NULL DEFAULT (${NOW}),
+        resolved_at TEXT,
+        resolved_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+        UNIQUE (snap_id, reporter_id)
+    );
+
+    CREATE TABLE moderation_actions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        snap_id TEXT,
+        moderator_id TEXT REFERENCES users(id) ON DELETE SET NULL,
+        action TEXT NOT NULL,
+        reason TEXT,
+        appeal_status TEXT NOT NULL DEFAULT 'none',
+        appeal_message TEXT,
+        appealed_at TEXT,
+        appeal_resolved_at TEXT,
+        appeal_resolved_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+        created_at TEXT NOT NULL DEFAULT (${NOW})
+    );
+    CREATE INDEX idx_moderation_actions_user_id ON moderation_actions(user_id, created_at);
+
+    CREATE TABLE admin_audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        actor_id TEXT REFERENCES users(id) ON DELETE SET NULL,
+        action TEXT NOT NULL,
+        target_type TEXT NOT NULL,
+        target_id TEXT,
+        details TEXT,
+        created_at TEXT NOT NULL DEFAULT (${NOW})
+    );
+`;
+
+// Open the database and create the schema if it is new. A file that holds
+// some other schema (such as the legacy snapchat.db) is refused rather than
+// written to.
+function openDatabase(filename) {
+    const db = new Database(filename);
+
+    const version = db.pragma('user_version', { simple: true });
+    if (version === 0) {
+        const tables = db.prepare(`SELECT COUNT(*) AS count FROM sqlite_master WHERE type = 'table'`).get();
+        if (tables.count > 0) {
+            db.close();
+            throw new Error(`${filename} holds tables this app did not create; point DATABASE_URL at a new SQLite file`);
+        }
+        db.transaction(() => {
+            db.exec(SCHEMA);
+            db.pragma(`user_version = ${SCHEMA_VERSION}`);
+        })();
+    } else if (version !== SCHEMA_VERSION) {
+        db.close();
+        throw new Error(`${filename} has schema version ${version}; this app expects ${SCHEMA_VERSION}`);
+    }
+
+    db.pragma('foreign_keys = ON');
+    db.pragma('journal_mode = WAL');
+    return db;
+}
+
+// Timestamps bound as parameters use the same format as NOW
+const toTimestamp = (value) => new Date(value).toISOString();
+
+// SQLite hands back integers for booleans
+function toBooleans(row, columns) {
+    for (const column of columns) {
+        if (row[column] !== undefined && row[column] !== null) row[column] = Boolean(row[column]);
+    }
+    return row;
+}
+
+// A json_group_array() of hashtags, or null when there are none as in PostgreSQL
+function toHashtagList(value) {
+    const list = value ? JSON.parse(value) : [];
+    return list.length > 0 ? list : null;
+}
+
+// SQL condition that is true unless the user in `userColumn` and the viewer
+// bound to @viewerId have blocked each other; see notBlockedCondition
+const notBlocked = (userColumn) => `NOT EXISTS (
+        SELECT 1 FROM user_blocks ub
+        WHERE ub.kind = 'block'
+          AND ((ub.blocker_id = ${userColumn} AND ub.blocked_id = @viewerId)
+            OR (ub.blocker_id = @viewerId AND ub.blocked_id = ${userColumn}))
+    )`;
+
+// SQL condition that is true unless the viewer bound to @viewerId muted the
+// user in `userColumn`
+const notMuted = (userColumn) => `NOT EXISTS (
+        SELECT 1 FROM user_blocks um
+        WHERE um.kind = 'mute' AND um.blocker_id = @viewerId AND um.blocked_id = ${userColumn}
+    )`;
+
+// SQL condition (on snaps aliased as `s`) for snaps the viewer bound to
+// @viewerId may see; the SQLite counterpart of visibleSnapCondition
+const VISIBLE_SNAP = `s.expires_at > ${NOW}
+    AND NOT s.is_direct
+    AND s.hidden_at IS NULL
+    AND EXISTS (SELECT 1 FROM users owner WHERE owner.id = s.user_id AND owner.is_active)
+    AND ${notBlocked('s.user_id')}
+    AND (
+        s.is_public
+        OR s.user_id = @viewerId
+        OR EXISTS (SELECT 1 FROM follows f WHERE f.follower_id = @viewerId AND f.followee_id = s.user_id)
+    )`;
+
+// Extra condition for each feed
+const FEED_CONDITIONS = {
+    all: '1',
+    home: `(s.user_id = @viewerId OR EXISTS (
+        SELECT 1 FROM follows f WHERE f.follower_id = @viewerId AND f.followee_id = s.user_id
+    ))`,
+    discover: 's.is_public',
+    hashtag: 'EXISTS (SELECT 1 FROM snaps_hashtags h WHERE h.snap_id = s.id AND h.hashtag = @hashtag)',
+    profile: 's.user_id = @userId'
+};
+
+// Columns shared by findVisible and listFeed, in the shape the API returns
+const SNAP_COLUMNS = `
+    s.id,
+    s.caption,
+    s.hashtags,
+    s.location,
+    (SELECT json_group_array(h.hashtag) FROM snaps_hashtags h WHERE h.snap_id = s.id) as hashtag_list,
+    (SELECT COUNT(*) FROM snap_likes l WHERE l.snap_id = s.id) as "likeCount",
+    (SELECT COUNT(*) FROM snap_comments c WHERE c.snap_id = s.id) as "commentCount",
+    s.view_count as "viewCount",
+    EXISTS (SELECT 1 FROM snap_likes l WHERE l.snap_id = s.id AND l.user_id = @viewerId) as "likedByMe",
+    s.image_url as "imageUrl",
+    '/api/snaps/image/' || s.id || '?size=feed' as "feedImageUrl",
+    '/api/snaps/image/' || s.id || '?size=thumb' as "thumbnailUrl",
+    '/api/snaps/image/' || s.id || '?size=poster' as "posterUrl",
+    s.media_type as "mediaType",
+    s.duration_seconds as duration,
+    s.width,
+    s.height,
+    s.created_at as "createdAt",
+    s.expires_at as "expiresAt",
+    s.view_once as "viewOnce",
+    u.username,
+    u.profile_picture_url as "profilePictureUrl"`;
+
+function toSnap(row) {
+    row.hashtag_list = toHashtagList(row.hashtag_list);
+    return toBooleans(row, ['likedByMe', 'viewOnce', 'isPublic', 'is_public', 'view_once']);
+}
+
+// Public profile columns, with counts, for the viewer bound to @viewerId
+const PROFILE_COLUMNS = `
+    u.id,
+    u.username,
+    u.display_name as "displayName",
+    u.bio,
+    u.profile_picture_url as "profilePictureUrl",
+    u.created_at as "createdAt",
+    (SELECT COUNT(*) FROM follows f
+     JOIN users fu ON fu.id = f.follower_id AND fu.is_active
+     WHERE f.followee_id = u.id) as "followerCount",
+    (SELECT COUNT(*) FROM follows f
+     JOIN users fu ON fu.id = f.followee_id AND fu.is_active
+     WHERE f.follower_id = u.id) as "followingCount",
+    (SELECT COUNT(*) FROM snaps s
+     WHERE s.user_id = u.id AND ${VISIBLE_SNAP}) as "snapCount",
+    EXISTS (
+        SELECT 1 FROM follows f WHERE f.follower_id = @viewerId AND f.followee_id = u.id
+    ) as "followedByMe",
+    EXISTS (
+        SELECT 1 FROM user_blocks b WHERE b.blocker_id = @viewerId AND b.blocked_id = u.id AND b.kind = 'block'
+    ) as "blockedByMe",
+    EXISTS (
+        SELECT 1 FROM user_blocks b WHERE b.blocker_id = @viewerId AND b.blocked_id = u.id AND b.kind = 'mute'
+    ) as "mutedByMe"`;
+
+// Active users named @username who have not blocked the viewer
+const PROFILE_VISIBLE = `u.username = @username COLLATE BINARY AND u.is_active
+    AND NOT EXISTS (
+        SELECT 1 FROM user_blocks b WHERE b.blocker_id = u.id AND b.blocked_id = @viewerId AND b.kind = 'block'
+    )`;
+
+const toProfile = (row) => toBooleans(row, ['followedByMe', 'blockedByMe', 'mutedByMe']);
+
+// Snaps (aliased `s`) that belong to a story the viewer may watch, posted
+// after @since
+const STORY_SNAP = `${VISIBLE_SNAP}
+    AND NOT s.view_once
+    AND s.created_at > @since`;
+
+function createSqliteRepositories({ filename }) {
+    const db = openDatabase(filename);
+
+    const users = {
+        async findById(id) {
+            const row = db.prepare(
+                'SELECT id, username, email, role, is_active, deactivated_at FROM users WHERE id = ?'
+            ).get(id);
+            return row ? toBooleans(row, ['is_active']) : null;
+        },
+
+        async findByUsername(username) {
+            // Match exactly as PostgreSQL does, despite the column's NOCASE collation
+            const row = db.prepare(
+                `SELECT id, username, email, role, password_hash, is_active, deactivated_at
+                 FROM users WHERE username = ? COLLATE BINARY`
+            ).get(username);
+            return row ? toBooleans(row, ['is_active']) : null;
+        },
+
+        async findTaken(username, email) {
+            const row = db.prepare(
+                `SELECT
+                    EXISTS (SELECT 1 FROM users WHERE username = @username) AS username_taken,
+                    EXISTS (SELECT 1 FROM users WHERE email = @email) AS email_taken`
+            ).get({ username, email });
+            const taken = [];
+            if (row.username_taken) taken.push('username');
+            if (row.email_taken) taken.push('email');
+            return taken;
+        },
+
+        async create({ username, email, passwordHash }) {
+            const id = crypto.randomUUID();
+            try {
+                db.prepare('INSERT INTO users (id, username, password_hash, email) VALUES (?, ?, ?, ?)')
+                    .run(id, username, passwordHash, email);
+            } catch (error) {
+                if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+                    throw duplicateError(error.message.includes('users.email') ? 'email' : 'username');
+                }
+                throw error;
+            }
+            return { id, username };
+        },
+
+        async reactivate(id) {
+            const result = db.prepare(
+                `UPDATE users SET is_active = 1, deactivated_at = NULL, updated_at = ${NOW}
+                 WHERE id = ? AND is_active = 0 AND deactivated_at IS NOT NULL`
+            ).run(id);
+            return result.changes > 0;
+        },
+
+        async findPasswordHash(id) {
+            const row = db.prepare('SELECT password_hash FROM users WHERE id = ?').get(id);
+            return row ? row.password_hash : null;
+        },
+
+        // A suspended account keeps its suspension, as in PostgreSQL
+        async deactivate(id) {
+            db.prepare(
+                `UPDATE users SET is_active = 0, deactivated_at = ${NOW}, updated_at = ${NOW}
+                 WHERE id = ? AND is_active`
+            ).run(id);
+        }
+    };
+
+    const insertRefreshToken = db.prepare('INSERT INTO refresh_tokens (token_hash, session_id) VALUES (?, ?)');
+
+    const startSession = db.transaction(({ userId, userAgent, ipAddress, ttlDays, tokenHash }) => {
+        const id = crypto.randomUUID();
+        db.prepare(
+            `INSERT INTO sessions (id, user_id, user_agent, ip_address, expires_at)
+             VALUES (?, ?, ?, ?, strftime('%Y-%m-%dT%H:%M:%fZ', 'now', ?))`
+        ).run(id, userId, userAgent, ipAddress, `+${ttlDays} days`);
+        insertRefreshToken.run(tokenHash, id);
+        db.prepare(`UPDATE users SET last_login = ${NOW} WHERE id = ?`).run(userId);
+        return id;
+    });
+
+    const rotateToken = db.transaction((tokenHash, nextHash) => {
+        const row = db.prepare(
+            `SELECT
+                rt.session_id,
+                rt.used_at,
+                s.revoked_at,
+                s.expires_at < ${NOW} AS expired,
+                u.id AS user_id,
+                u.username,
+                u.is_active
+            FROM refresh_tokens rt
+            JOIN sessions s ON s.id = rt.session_id
+            JOIN users u ON u.id = s.user_id
+            WHERE rt.token_hash = ?`
+        ).get(tokenHash);
+
+        if (!row || row.revoked_at || row.expired || !row.is_active) {
+            return { status: 'invalid' };
+        }
+
+        if (row.used_at) {
+            db.prepare(
+                `UPDATE sessions SET revoked_at = ${NOW}, revoked_reason = 'refresh_token_reuse' WHERE id = ?`
+            ).run(row.session_id);
+            return { status: 'reused', sessionId: row.session_id };
+        }
+
+        db.prepare(`UPDATE refresh_tokens SET used_at = ${NOW} WHERE token_hash = ?`).run(tokenHash);
+        db.prepare(`UPDATE sessions SET last_used_at = ${NOW} WHERE id = ?`).run(row.session_id);
+        insertRefreshToken.run(nextHash, row.session_id);
+
+        return {
+            status: 'ok',
+            sessionId: row.session_id,
+            user: { id: row.user_id, username: row.username }
+        };
+    });
+
+    const sessions = {
+        async start(session) {
+            return startSession(session);
+        },
+
+        async rotate(tokenHash, nextHash) {
+            return rotateToken(tokenHash, nextHash);
+        },
+
+        async findIdByToken(tokenHash) {
+            const row = db.prepare('SELECT session_id FROM refresh_tokens WHERE token_hash = ?').get(tokenHash);
+            return row ? row.session_id : null;
+        },
+
+        async listActive(userId) {
+            return db.prepare(
+                `SELECT
+                    id,
+                    user_agent as "userAgent",
+                    ip_address as "ipAddress",
+                    created_at as "createdAt",
+                    last_used_at as "lastUsedAt",
+                    expires_at as "expiresAt"
+                FROM sessions
+                WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ${NOW}
+                ORDER BY COALESCE(last_used_at, created_at) DESC`
+            ).all(userId);
+        },
+
+        async isLive(sessionId) {
+            const row = db.prepare(
+                `SELECT 1 FROM sessions s
+                 JOIN users u ON u.id = s.user_id AND u.is_active
+                 WHERE s.id = ? AND s.revoked_at IS NULL AND s.expires_at > ${NOW}`
+            ).get(sessionId || null);
+            return Boolean(row);
+        },
+
+        async revoke(sessionId, reason, userId = null) {
+            const result = db.prepare(
+                `UPDATE sessions SET revoked_at = ${NOW}, revoked_reason = @reason
+                 WHERE id = @sessionId AND revoked_at IS NULL AND (@userId IS NULL OR user_id = @userId)`
+            ).run({ sessionId, reason, userId });
+            return result.changes > 0;
+        },
+
+        async revokeAll(userId, reason) {
+            const result = db.prepare(
+                `UPDATE sessions SET revoked_at = ${NOW}, revoked_reason = ?
+                 WHERE user_id = ? AND revoked_at IS NULL`
+            ).run(reason, userId);
+            return result.changes;
+        }
+    };
+
+    const createSnap = db.transaction((snap, tags, recipientIds) => {
+        db.prepare(
+            `INSERT INTO snaps (
+                id, user_id, caption, hashtags, location, storage_backend, storage_key,
+                mime_type, image_url, expires_at, view_once, is_public, width, height,
+                renditions, media_type, duration_seconds, is_direct
+            ) VALUES (
+                @id, @user_id, @caption, @hashtags, @location, @storage_backend, @storage_key,
+                @mime_type, @image_url, @expires_at, @view_once, @is_public, @width, @height,
+                @renditions, @media_type, @duration_seconds, @is_direct
+            )`
+        ).run({
+            ...snap,
+            expires_at: toTimestamp(snap.expires_at),
+            view_once: snap.view_once ? 1 : 0,
+            is_public: snap.is_public ? 1 : 0,
+            is_direct: snap.is_direct ? 1 : 0,
+            renditions: JSON.stringify(snap.renditions)
+        });
+
+        const insertTag = db.prepare('INSERT OR IGNORE INTO snaps_hashtags (snap_id, hashtag) VALUES (?, ?)');
+        for (const tag of tags) insertTag.run(snap.id, tag);
+
+        const insertRecipient = db.prepare('INSERT INTO snap_recipients (snap_id, recipient_id) VALUES (?, ?)');
+        for (const recipientId of recipientIds) insertRecipient.run(snap.id, recipientId);
+
+        return db.prepare('SELECT created_at, is_public FROM snaps WHERE id = ?').get(snap.id);
+    });
+
+    // WHERE clause and parameters shared by listFeed and countFeed
+    function feedWhere({ feed, viewerId, showMuted }) {
+        const muted = showMuted ? '1' : notMuted('s.user_id');
+        return {
+            where: `${VISIBLE_SNAP} AND ${muted} AND ${FEED_CONDITIONS[feed.name]}`,
+            params: {
+                viewerId: viewerId || null,
+                hashtag: feed.hashtag !== undefined ? feed.hashtag : null,
+                userId: feed.userId !== undefined ? feed.userId : null
+            }
+        };
+    }
+
+    // The recipients are read before the delete cascades to them
+    const selectExpired = db.prepare(
+        `SELECT s.id, s.user_id, s.is_public, s.is_direct, s.storage_backend, s.storage_key, s.renditions,
+            (SELECT json_group_array(r.recipient_id) FROM snap_recipients r WHERE r.snap_id = s.id) AS recipient_ids
+         FROM snaps s
+         WHERE s.expires_at <= ${NOW}
+         LIMIT ?`
+    );
+    const deleteSnap = db.prepare('DELETE FROM snaps WHERE id = ?');
+
+    const deleteExpired = db.transaction((batchSize) => {
+        const expired = [];
+        let batch;
+        do {
+            batch = selectExpired.all(batchSize);
+            for (const row of batch) deleteSnap.run(row.id);
+            expired.push(...batch);
+        } while (batch.length === batchSize);
+        return expired.map(row => ({
+            ...toBooleans(row, ['is_public', 'is_direct']),
+            renditions: row.renditions ? JSON.parse(row.renditions) : null,
+            recipient_ids: JSON.parse(row.recipient_ids)
+        }));
+    });
+
+    const snaps = {
+        async create(snap, { hashtags, recipientIds = [] }) {
+            return toBooleans(createSnap(snap, parseHashtags(hashtags), recipientIds), ['is_public']);
+        },
+
+        async findVisible(id, viewerId) {
+            const row = db.prepare(
+                `SELECT ${SNAP_COLUMNS}
+                FROM snaps s
+                JOIN users u ON s.user_id = u.id
+                WHERE s.id = @id AND ${VISIBLE_SNAP}`
+            ).get({ id, viewerId: viewerId || null });
+            return row ? toSnap(row) : null;
+        },
+
+        async findAccessible(id, viewerId) {
+            const row = db.prepare(
+                `SELECT s.id, s.user_id, s.is_public FROM snaps s WHERE s.id = @id AND ${VISIBLE_SNAP}`
+            ).get({ id, viewerId: viewerId || null });
+            return row ? toBooleans(row, ['is_public']) : null;
+        },
+
+        async findOwn(id, ownerId) {
+            return db.prepare(
+                `SELECT id, user_id, view_count, media_type, created_at
+                 FROM snaps WHERE id = ? AND user_id = ?`
+            ).get(id, ownerId) || null;
+        },
+
+        async findMedia(id, viewerId) {
+            const row = db.prepare(
+                `SELECT s.user_id, s.storage_backend, s.storage_key, s.renditions, s.mime_type, s.expires_at, s.view_once,
+                        CASE WHEN s.storage_key IS NULL THEN s.image_data END AS image_data
+                 FROM snaps s
+                 JOIN users u ON u.id = s.user_id AND u.is_active
+                 WHERE s.id = @id AND ${VISIBLE_SNAP}`
+            ).get({ id, viewerId: viewerId || null });
+            if (!row) return null;
+            row.renditions = row.renditions ? JSON.parse(row.renditions) : null;
+            return toBooleans(row, ['view_once']);
+        },
+
+        async claimViewOnce(id) {
+            const result = db.prepare(
+                `UPDATE snaps SET expires_at = ${NOW} WHERE id = ? AND expires_at > ${NOW}`
+            ).run(id);
+            return result.changes > 0;
+        },
+
+        async listFeed({ feed, viewerId, showMuted, position, direction, limit, offset }) {
+            const { where, params } = feedWhere({ feed, viewerId, showMuted });
+            params.limit = limit;
+            params.offset = offset || 0;
+
+            let keyset = '1';
+            if (position) {
+                params.positionCreatedAt = toTimestamp(position.createdAt);
+                params.positionId = position.id;
+                keyset = `(s.created_at, s.id) ${direction === 'newer' ? '>' : '<'} (@positionCreatedAt, @positionId)`;
+            }
+            const order = direction === 'newer' ? 'ASC' : 'DESC';
+
+            const rows = db.prepare(
+                `SELECT * FROM (
+                    SELECT
+                        ${SNAP_COLUMNS},
+                        s.is_public as "isPublic",
+                        s.created_at,
+                        s.expires_at,
+                        s.view_once,
+                        s.is_public,
+                        s.image_url,
+                        s.media_type,
+                        s.duration_seconds,
+                        s.view_count,
+                        s.created_at as cursor_created_at,
+                        u.id as user_id,
+                        u.profile_picture_url
+                    FROM snaps s
+                    LEFT JOIN users u ON s.user_id = u.id
+                    WHERE ${where} AND ${keyset}
+                    ORDER BY s.created_at ${order}, s.id ${order}
+                    LIMIT @limit OFFSET @offset
+                )
+                ORDER BY created_at DESC, id DESC`
+            ).all(params);
+            return rows.map(toSnap);
+        },
+
+        async countFeed(query) {
+            const { where, params } = feedWhere(query);
+            return db.prepare(`SELECT COUNT(*) AS count FROM snaps s WHERE ${where}`).get(params).count;
+        },
+
+        // One process owns the file, so there is no other instance to wait for
+        async deleteExpired(batchSize) {
+            return deleteExpired(batchSize);
+        }
+    };
+
+    const hashtags = {
+        async trending({ since, limit }) {
+            return db.prepare(
+                `SELECT
+                    h.hashtag,
+                    COUNT(DISTINCT s.user_id) as "userCount",
+                    COUNT(*) as "snapCount"
+                FROM snaps_hashtags h
+                JOIN snaps s ON s.id = h.snap_id
+                JOIN users u ON u.id = s.user_id AND u.is_active
+                WHERE s.created_at > @since
+                  AND s.expires_at > ${NOW}
+                  AND s.hidden_at IS NULL
+                  AND s.is_public
+                GROUP BY h.hashtag
+                ORDER BY "userCount" DESC, "snapCount" DESC, h.hashtag
+                LIMIT @limit`
+            ).all({ since: toTimestamp(since), limit });
+        },
+
+        async autocomplete(prefix, limit) {
+            return db.prepare(
+                `SELECT h.hashtag, COUNT(*) as "snapCount"
+                FROM snaps_hashtags h
+                JOIN snaps s ON s.id = h.snap_id
+                JOIN users u ON u.id = s.user_id AND u.is_active
+                WHERE h.hashtag LIKE @prefix || '%' ESCAPE '\\'
+                  AND s.expires_at > ${NOW}
+                  AND s.hidden_at IS NULL
+                  AND s.is_public
+                GROUP BY h.hashtag
+                ORDER BY "snapCount" DESC, h.hashtag
+                LIMIT @limit`
+            ).all({ prefix: prefix.replace(/[\\%_]/g, '\\$&'), limit });
+        }
+    };
+
+    const likes = {
+        async add(snapId, userId) {
+            const row = db.prepare(
+                `INSERT INTO snap_likes (snap_id, user_id) VALUES (?, ?)
+                 ON CONFLICT DO NOTHING
+                 RETURNING created_at`
+            ).get(snapId, userId);
+            return row ? row.created_at : null;
+        },
+
+        async remove(snapId, userId) {
+            return db.prepare('DELETE FROM snap_likes WHERE snap_id = ? AND user_id = ?').run(snapId, userId).changes > 0;
+        },
+
+        async count(snapId) {
+            return db.prepare('SELECT COUNT(*) AS count FROM snap_likes WHERE snap_id = ?').get(snapId).count;
+        }
+    };
+
+    const comments = {
+        async list(snapId, viewerId, { limit, offset }) {
+            return db.prepare(
+                `SELECT
+                    c.id,
+                    c.body,
+                    c.created_at as "createdAt",
+                    u.id as "userId",
+                    u.username,
+                    u.profile_picture_url as "profilePictureUrl"
+                FROM snap_comments c
+                JOIN users u ON c.user_id = u.id
+                WHERE c.snap_id = @snapId AND ${notBlocked('c.user_id')}
+                ORDER BY c.created_at ASC, c.id ASC
+                LIMIT @limit OFFSET @offset`
+            ).all({ snapId, viewerId: viewerId || null, limit, offset });
+        },
+
+        async count(snapId) {
+            return db.prepare('SELECT COUNT(*) AS count FROM snap_comments WHERE snap_id = ?').get(snapId).count;
+        },
+
+        async add(snapId, userId, body) {
+            return db.prepare(
+                `INSERT INTO snap_comments (id, snap_id, user_id, body) VALUES (?, ?, ?, ?)
+                 RETURNING id, body, created_at`
+            ).get(crypto.randomUUID(), snapId, userId, body);
+        },
+
+        async findAuthorId(id, snapId) {
+            const row = db.prepare('SELECT user_id FROM snap_comments WHERE id = ? AND snap_id = ?').get(id, snapId);
+            return row ? row.user_id : null;
+        },
+
+        async remove(id) {
+            db.prepare('DELETE FROM snap_comments WHERE id = ?').run(id);
+        }
+    };
+
+    // Without xmax to tell an insert from an update, look before writing
+    const recordView = db.transaction(({ snapId, viewerKey, viewerId, source, completed, watchedSeconds }) => {
+        const existing = db.prepare('SELECT 1 FROM snap_views WHERE snap_id = ? AND viewer_key = ?').get(snapId, viewerKey);
+        if (existing) {
+            db.prepare(
+                `UPDATE snap_views
+                 SET completed = completed OR @completed,
+                     watched_seconds = CASE
+                         WHEN watched_seconds IS NULL THEN @watchedSeconds
+                         WHEN @watchedSeconds IS NULL THEN watched_seconds
+                         ELSE MAX(watched_seconds, @watchedSeconds)
+                     END,
+                     last_viewed_at = ${NOW}
+                 WHERE snap_id = @snapId AND viewer_key = @viewerKey`
+            ).run({ snapId, viewerKey, completed: completed ? 1 : 0, watchedSeconds });
+        } else {
+            db.prepare(
+                `INSERT INTO snap_views (snap_id, viewer_key, viewer_id, source, completed, watched_seconds)
+                 VALUES (?, ?, ?, ?, ?, ?)`
+            ).run(snapId, viewerKey, viewerId, source, completed ? 1 : 0, watchedSeconds);
+            db.prepare('UPDATE snaps SET view_count = view_count + 1 WHERE id = ?').run(snapId);
+        }
+
+        const snap = db.prepare('SELECT view_count FROM snaps WHERE id = ?').get(snapId);
+        return { counted: !existing, viewCount: snap ? snap.view_count : null };
+    });
+
+    const views = {
+        async record(view) {
+            return recordView(view);
+        },
+
+        async insights(snapId) {
+            const totals = db.prepare(
+                `SELECT
+                    COUNT(*) as "uniqueViewers",
+                    COUNT(viewer_id) as "signedInViewers",
+                    COUNT(*) FILTER (WHERE completed) as "completedViews",
+                    AVG(watched_seconds) as "averageWatchedSeconds"
+                FROM snap_views
+                WHERE snap_id = ?`
+            ).get(snapId);
+            const viewsOverTime = db.prepare(
+                `SELECT strftime('%Y-%m-%dT%H:00:00.000Z', first_viewed_at) as hour, COUNT(*) as views
+                 FROM snap_views
+                 WHERE snap_id = ?
+                 GROUP BY hour
+                 ORDER BY hour ASC`
+            ).all(snapId);
+            const sources = db.prepare(
+                `SELECT source, COUNT(*) as views
+                 FROM snap_views
+                 WHERE snap_id = ?
+                 GROUP BY source
+                 ORDER BY views DESC, source ASC`
+            ).all(snapId);
+            return { ...totals, viewsOverTime, sources };
+        }
+    };
+
+    const follows = {
+        async findUser(username, viewerId) {
+            const row = db.prepare(
+                `SELECT
+                    u.id,
+                    u.username,
+                    EXISTS (
+                        SELECT 1 FROM user_blocks b
+                        WHERE b.blocker_id = @viewerId AND b.blocked_id = u.id AND b.kind = 'block'
+                    ) as blocked_by_viewer
+                 FROM users u
+                 WHERE u.username = @username COLLATE BINARY AND u.is_active
+                   AND NOT EXISTS (
+                       SELECT 1 FROM user_blocks b
+                       WHERE b.blocker_id = u.id AND b.blocked_id = @viewerId AND b.kind = 'block'
+                   )`
+            ).get({ username, viewerId: viewerId || null });
+            return row ? toBooleans(row, ['blocked_by_viewer']) : null;
+        },
+
+        async add(followerId, followeeId) {
+            const row = db.prepare(
+                `INSERT INTO follows (follower_id, followee_id) VALUES (?, ?)
+                 ON CONFLICT DO NOTHING
+                 RETURNING created_at`
+            ).get(followerId, followeeId);
+            return row ? row.created_at : null;
+        },
+
+        async remove(followerId, followeeId) {
+            return db.prepare('DELETE FROM follows WHERE follower_id = ? AND followee_id = ?')
+                .run(followerId, followeeId).changes > 0;
+        },
+
+        async list(userId, direction, viewerId, { limit, offset }) {
+            const [matchColumn, listColumn] = direction === 'followers'
+                ? ['followee_id', 'follower_id']
+                : ['follower_id', 'followee_id'];
+            const params = { userId, viewerId: viewerId || null, limit, offset };
+            const from = `FROM follows f
+                JOIN users u ON u.id = f.${listColumn}
+                WHERE f.${matchColumn} = @userId AND u.is_active AND ${notBlocked('u.id')}`;
+
+            const users = db.prepare(
+                `SELECT
+                    u.id,
+                    u.username,
+                    u.profile_picture_url as "profilePictureUrl",
+                    f.created_at as "followedAt",
+                    EXISTS (
+                        SELECT 1 FROM follows mine
+                        WHERE mine.follower_id = @viewerId AND mine.followee_id = u.id
+                    ) as "followedByMe"
+                ${from}
+                ORDER BY f.created_at DESC
+                LIMIT @limit OFFSET @offset`
+            ).all(params);
+            const { count } = db.prepare(`SELECT COUNT(*) AS count ${from}`).get(params);
+            return { users: users.map(row => toBooleans(row, ['followedByMe'])), totalItems: count };
+        },
+
+        async followingIds(userId) {
+            return db.prepare('SELECT followee_id FROM follows WHERE follower_id = ?').all(userId)
+                .map(row => row.followee_id);
+        }
+    };
+
+    const block = db.transaction((blockerId, blockedId) => {
+        db.prepare(
+            `INSERT INTO user_blocks (blocker_id, blocked_id, kind) VALUES (?, ?, 'block')
+             ON CONFLICT (blocker_id, blocked_id) DO UPDATE SET kind = 'block', created_at = ${NOW}
+             WHERE user_blocks.kind <> 'block'`
+        ).run(blockerId, blockedId);
+        return db.prepare(
+            `DELETE FROM follows
+             WHERE (follower_id = @blockerId AND followee_id = @blockedId)
+                OR (follower_id = @blockedId AND followee_id = @blockerId)
+             RETURNING follower_id, followee_id`
+        ).all({ blockerId, blockedId });
+    });
+
+    const blocks = {
+        async findUser(username) {
+            return db.prepare('SELECT id, username FROM users WHERE username = ? COLLATE BINARY').get(username) || null;
+        },
+
+        async block(blockerId, blockedId) {
+            return block(blockerId, blockedId);
+        },
+
+        async unblock(blockerId, blockedId) {
+            return db.prepare(`DELETE FROM user_blocks WHERE blocker_id = ? AND blocked_id = ? AND kind = 'block'`)
+                .run(blockerId, blockedId).changes > 0;
+        },
+
+        async mute(muterId, mutedId) {
+            return db.prepare(
+                `INSERT INTO user_blocks (blocker_id, blocked_id, kind) VALUES (?, ?, 'mute')
+                 ON CONFLICT (blocker_id, blocked_id) DO NOTHING`
+            ).run(muterId, mutedId).changes > 0;
+        },
+
+        async unmute(muterId, mutedId) {
+            return db.prepare(`DELETE FROM user_blocks WHERE blocker_id = ? AND blocked_id = ? AND kind = 'mute'`)
+                .run(muterId, mutedId).changes > 0;
+        },
+
+        async isBlockedBetween(userId, otherId) {
+            const row = db.prepare(
+                `SELECT 1 FROM user_blocks
+                 WHERE kind = 'block'
+                   AND ((blocker_id = @userId AND blocked_id = @otherId) OR (blocker_id = @otherId AND blocked_id = @userId))`
+            ).get({ userId, otherId });
+            return Boolean(row);
+        },
+
+        async list(userId) {
+            return db.prepare(
+                `SELECT
+                    b.kind,
+                    u.id,
+                    u.username,
+                    u.display_name as "displayName",
+                    u.profile_picture_url as "profilePictureUrl",
+                    b.created_at as "since"
+                FROM user_blocks b
+                JOIN users u ON u.id = b.blocked_id
+                WHERE b.blocker_id = ?
+                ORDER BY b.created_at DESC`
+            ).all(userId);
+        },
+
+        async blockedIds(userId) {
+            return db.prepare(
+                `SELECT blocked_id AS id FROM user_blocks WHERE kind = 'block' AND blocker_id = @userId
+                 UNION
+                 SELECT blocker_id FROM user_blocks WHERE kind = 'block' AND blocked_id = @userId`
+            ).all({ userId }).map(row => row.id);
+        },
+
+        async mutedIds(userId) {
+            return db.prepare(`SELECT blocked_id FROM user_blocks WHERE kind = 'mute' AND blocker_id = ?`).all(userId)
+                .map(row => row.blocked_id);
+        }
+    };
+
+    // Set a user's avatar columns, returning the ones they replace
+    const replaceAvatar = db.transaction((userId, backend, renditions, url) => {
+        const previous = db.prepare('SELECT avatar_backend, avatar_renditions FROM users WHERE id = ?').get(userId);
+        if (!previous) return null;
+
+        db.prepare(
+            `UPDATE users
+             SET avatar_backend = ?, avatar_renditions = ?, profile_picture_url = ?, updated_at = ${NOW}
+             WHERE id = ?`
+        ).run(backend, renditions ? JSON.stringify(renditions) : null, url, userId);
+        return {
+            avatar_backend: previous.avatar_backend,
+            avatar_renditions: previous.avatar_renditions ? JSON.parse(previous.avatar_renditions) : null
+        };
+    });
+
+    const profiles = {
+        async find(username, viewerId) {
+            const row = db.prepare(`SELECT ${PROFILE_COLUMNS} FROM users u WHERE ${PROFILE_VISIBLE}`)
+                .get({ username, viewerId: viewerId || null });
+            return row ? toProfile(row) : null;
+        },
+
+        async findId(username, viewerId) {
+            const row = db.prepare(`SELECT u.id FROM users u WHERE ${PROFILE_VISIBLE}`)
+                .get({ username, viewerId: viewerId || null });
+            return row ? row.id : null;
+        },
+
+        async findOwn(userId) {
+            const row = db.prepare(`SELECT ${PROFILE_COLUMNS}, u.email FROM users u WHERE u.id = @viewerId`)
+                .get({ viewerId: userId });
+            return row ? toProfile(row) : null;
+        },
+
+        // The username column ignores case, so a name taken in any letter
+        // case fails the unique constraint
+        async update(userId, updates) {
+            const assignments = Object.keys(updates).map(column => `${column} = @${column}`).join(', ');
+            try {
+                return db.prepare(
+                    `UPDATE users SET ${assignments}, updated_at = ${NOW}
+                     WHERE id = @userId
+                     RETURNING id, username, display_name as "displayName", bio, profile_picture_url as "profilePictureUrl"`
+                ).get({ ...updates, userId }) || null;
+            } catch (error) {
+                if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') throw duplicateError('username');
+                throw error;
+            }
+        },
+
+        async setAvatar(userId, { backend, renditions, url }) {
+            return replaceAvatar(userId, backend, renditions, url);
+        },
+
+        async clearAvatar(userId) {
+            return replaceAvatar(userId, null, null, null);
+        },
+
+        async findAvatar(userId) {
+            const row = db.prepare(
+                `SELECT avatar_backend, avatar_renditions
+                 FROM users
+                 WHERE id = ? AND is_active AND avatar_renditions IS NOT NULL`
+            ).get(userId);
+            if (!row) return null;
+            row.avatar_renditions = JSON.parse(row.avatar_renditions);
+            return row;
+        }
+    };
+
+    const stories = {
+        async rings(viewerId, since) {
+            return db.prepare(
+                `SELECT
+                    u.id as "userId",
+                    u.username,
+                    u.display_name as "displayName",
+                    u.profile_picture_url as "profilePictureUrl",
+                    COUNT(*) as "itemCount",
+                    MAX(s.created_at) as "latestAt",
+                    MAX(sv.snap_id IS NULL) AND u.id <> @viewerId as "hasUnseen"
+                FROM snaps s
+                JOIN users u ON u.id = s.user_id
+                LEFT JOIN story_views sv ON sv.snap_id = s.id AND sv.viewer_id = @viewerId
+                WHERE ${STORY_SNAP}
+                  AND ${notMuted('s.user_id')}
+                  AND (s.user_id = @viewerId OR EXISTS (
+                      SELECT 1 FROM follows f WHERE f.follower_id = @viewerId AND f.followee_id = s.user_id
+                  ))
+                GROUP BY u.id
+                ORDER BY u.id = @viewerId DESC, "hasUnseen" DESC, "latestAt" DESC`
+            ).all({ viewerId, since: toTimestamp(since) }).map(row => toBooleans(row, ['hasUnseen']));
+        },
+
+        async findItem(snapId, viewerId, since) {
+            return db.prepare(`SELECT s.id, s.user_id FROM snaps s WHERE s.id = @snapId AND ${STORY_SNAP}`)
+                .get({ snapId, viewerId, since: toTimestamp(since) }) || null;
+        },
+
+        async markSeen(snapId, viewerId) {
+            db.prepare('INSERT INTO story_views (snap_id, viewer_id) VALUES (?, ?) ON CONFLICT DO NOTHING')
+                .run(snapId, viewerId);
+        },
+
+        async viewers(snapId) {
+            return db.prepare(
+                `SELECT
+                    u.id,
+                    u.username,
+                    u.display_name as "displayName",
+                    u.profile_picture_url as "profilePictureUrl",
+                    sv.viewed_at as "viewedAt"
+                FROM story_views sv
+                JOIN users u ON u.id = sv.viewer_id AND u.is_active
+                WHERE sv.snap_id = ?
+                ORDER BY sv.viewed_at DESC`
+            ).all(snapId);
+        },
+
+        async ring(username, viewerId, since) {
+            return db.prepare(
+                `SELECT
+                    s.id,
+                    s.image_url as "imageUrl",
+                    '/api/snaps/image/' || s.id || '?size=feed' as "feedImageUrl",
+                    '/api/snaps/image/' || s.id || '?size=poster' as "posterUrl",
+                    s.media_type as "mediaType",
+                    s.duration_seconds as duration,
+                    s.width,
+                    s.height,
+                    s.caption,
+                    s.location,
+                    s.created_at as "createdAt",
+                    s.expires_at as "expiresAt",
+                    (s.user_id = @viewerId OR EXISTS (
+                        SELECT 1 FROM story_views sv WHERE sv.snap_id = s.id AND sv.viewer_id = @viewerId
+                    )) as seen,
+                    CASE WHEN s.user_id = @viewerId THEN (
+                        SELECT COUNT(*) FROM story_views sv WHERE sv.snap_id = s.id
+                    ) END as "viewCount"
+                FROM snaps s
+                JOIN users u ON u.id = s.user_id
+                WHERE u.username = @username COLLATE BINARY AND ${STORY_SNAP}
+                ORDER BY s.created_at ASC, s.id ASC`
+            ).all({ username, viewerId, since: toTimestamp(since) }).map(row => toBooleans(row, ['seen']));
+        }
+    };
+
+    // Live, unhidden direct snap (aliased `s`) from someone not blocked either
+    // way with the recipient bound to @viewerId
+    const DIRECT_SNAP_LIVE = `s.expires_at > ${NOW} AND s.hidden_at IS NULL AND ${notBlocked('s.user_id')}`;
+
+    const openDirectSnap = db.transaction((snapId, recipientId, tokenHash, viewSeconds) => {
+        const opened = db.prepare(
+            `UPDATE snap_recipients
+             SET opened_at = ${NOW}, delivered_at = COALESCE(delivered_at, ${NOW}), view_token_hash = @tokenHash
+             WHERE snap_id = @snapId
+               AND recipient_id = @viewerId
+               AND opened_at IS NULL
+               AND EXISTS (SELECT 1 FROM snaps s WHERE s.id = snap_recipients.snap_id AND ${DIRECT_SNAP_LIVE})
+             RETURNING opened_at`
+        ).get({ snapId, viewerId: recipientId, tokenHash });
+        if (!opened) return null;
+
+        // The last recipient to open it starts the countdown to reaping
+        db.prepare(
+            `UPDATE snaps
+             SET expires_at = MIN(expires_at, strftime('%Y-%m-%dT%H:%M:%fZ', 'now', @window))
+             WHERE id = @snapId
+               AND NOT EXISTS (
+                   SELECT 1 FROM snap_recipients WHERE snap_id = @snapId AND opened_at IS NULL
+               )`
+        ).run({ snapId, window: `+${viewSeconds} seconds` });
+
+        const snap = db.prepare(
+            `SELECT user_id, caption, location, media_type, duration_seconds, width, height
+             FROM snaps WHERE id = ?`
+        ).get(snapId);
+        return { opened_at: opened.opened_at, ...snap };
+    });
+
+    const direct = {
+        async findRecipients(usernames, senderId) {
+            return db.prepare(
+                `SELECT
+                    u.id,
+                    u.username,
+                    EXISTS (
+                        SELECT 1 FROM user_blocks b
+                        WHERE b.blocker_id = @senderId AND b.blocked_id = u.id AND b.kind = 'block'
+                    ) AS blocked_by_sender
+                 FROM users u
+                 WHERE u.username COLLATE BINARY IN (SELECT value FROM json_each(@usernames)) AND u.is_active
+                   AND NOT EXISTS (
+                       SELECT 1 FROM user_blocks b
+                       WHERE b.blocker_id = u.id AND b.blocked_id = @senderId AND b.kind = 'block'
+                   )`
+            ).all({ usernames: JSON.stringify(usernames), senderId })
+                .map(row => toBooleans(row, ['blocked_by_sender']));
+        },
+
+        async markDelivered(recipientId) {
+            return db.prepare(
+                `UPDATE snap_recipients
+                 SET delivered_at = ${NOW}
+                 WHERE recipient_id = @viewerId
+                   AND delivered_at IS NULL
+                   AND opened_at IS NULL
+                   AND EXISTS (SELECT 1 FROM snaps s WHERE s.id = snap_recipients.snap_id AND ${DIRECT_SNAP_LIVE})
+                 RETURNING snap_id, delivered_at, (SELECT user_id FROM snaps WHERE id = snap_id) AS user_id`
+            ).all({ viewerId: recipientId });
+        },
+
+        async inbox(recipientId) {
+            return db.prepare(
+                `SELECT
+                    s.id,
+                    s.media_type as "mediaType",
+                    s.duration_seconds as duration,
+                    s.created_at as "createdAt",
+                    s.expires_at as "expiresAt",
+                    u.id as sender_id,
+                    u.username as sender_username,
+                    u.display_name as sender_display_name,
+                    u.profile_picture_url as sender_profile_picture_url
+                FROM snap_recipients r
+                JOIN snaps s ON s.id = r.snap_id
+                JOIN users u ON u.id = s.user_id AND u.is_active
+                WHERE r.recipient_id = @viewerId
+                  AND r.opened_at IS NULL
+                  AND ${DIRECT_SNAP_LIVE}
+                ORDER BY s.created_at DESC`
+            ).all({ viewerId: recipientId });
+        },
+
+        async sent(senderId, limit) {
+            return db.prepare(
+                `SELECT
+                    s.id,
+                    s.caption,
+                    s.media_type as "mediaType",
+                    s.created_at as "createdAt",
+                    s.expires_at as "expiresAt",
+                    json_group_array(json_object(
+                        'id', u.id,
+                        'username', u.username,
+                        'status', CASE
+                            WHEN r.opened_at IS NOT NULL THEN 'opened'
+                            WHEN r.delivered_at IS NOT NULL THEN 'delivered'
+                            ELSE 'sent'
+                        END,
+                        'deliveredAt', r.delivered_at,
+                        'openedAt', r.opened_at
+                    ) ORDER BY u.username) as recipients
+                FROM snaps s
+                JOIN snap_recipients r ON r.snap_id = s.id
+                JOIN users u ON u.id = r.recipient_id
+                WHERE s.user_id = ? AND s.is_direct AND s.expires_at > ${NOW}
+                GROUP BY s.id
+                ORDER BY s.created_at DESC
+                LIMIT ?`
+            ).all(senderId, limit).map(row => ({ ...row, recipients: JSON.parse(row.recipients) }));
+        },
+
+        async open(snapId, recipientId, { tokenHash, viewSeconds }) {
+            return openDirectSnap(snapId, recipientId, tokenHash, viewSeconds);
+        },
+
+        async findMedia(snapId, { tokenHash, viewSeconds }) {
+            const row = db.prepare(
+                `SELECT s.storage_backend, s.storage_key, s.renditions, s.mime_type
+                 FROM snap_recipients r
+                 JOIN snaps s ON s.id = r.snap_id
+                 WHERE r.snap_id = @snapId
+                   AND r.view_token_hash = @tokenHash
+                   AND r.opened_at > strftime('%Y-%m-%dT%H:%M:%fZ', 'now', @window)
+                   AND s.hidden_at IS NULL`
+            ).get({ snapId, tokenHash, window: `-${viewSeconds} seconds` });
+            if (!row) return null;
+            row.renditions = row.renditions ? JSON.parse(row.renditions) : null;
+            return row;
+        }
+    };
+
+    // Moderation helpers, the counterparts of those in moderation.js. They
+    // run inside the caller's transaction.
+    function recordModerationAction({ userId, snapId = null, moderatorId = null, action, reason = null }) {
+        return db.prepare(
+            `INSERT INTO moderation_actions (user_id, snap_id, moderator_id, action, reason)
+             VALUES (?, ?, ?, ?, ?)
+             RETURNING CAST(id AS TEXT) AS id, user_id, snap_id, action, reason, appeal_status, created_at`
+        ).get(userId, snapId, moderatorId, action, reason);
+    }
+
+    function setSnapHidden(snapId, hidden) {
+        const row = db.prepare(
+            hidden
+                ? `UPDATE snaps SET hidden_at = ${NOW} WHERE id = ? AND hidden_at IS NULL RETURNING id, user_id, is_public`
+                : 'UPDATE snaps SET hidden_at = NULL WHERE id = ? AND hidden_at IS NOT NULL RETURNING id, user_id, is_public'
+        ).get(snapId);
+        return row ? toBooleans(row, ['is_public']) : null;
+    }
+
+    function setUserSuspended(userId, suspended) {
+        const result = db.prepare(
+            suspended
+                ? `UPDATE users SET is_active = 0, deactivated_at = NULL, updated_at = ${NOW}
+                   WHERE id = ? AND (is_active OR deactivated_at IS NOT NULL)`
+                : `UPDATE users SET is_active = 1, updated_at = ${NOW}
+                   WHERE id = ? AND NOT is_active AND deactivated_at IS NULL`
+        ).run(userId);
+        return result.changes > 0;
+    }
+
+    function resolveReports(snapId, status, moderatorId) {
+        db.prepare(
+            `UPDATE snap_reports
+             SET status = ?, resolved_at = ${NOW}, resolved_by = ?
+             WHERE snap_id = ? AND status = 'open'`
+        ).run(status, moderatorId, snapId);
+    }
+
+    function autoHideIfReported(snapId) {
+        const { count } = db.prepare(
+            `SELECT COUNT(*) AS count FROM snap_reports WHERE snap_id = ? AND status = 'open'`
+        ).get(snapId);
+        if (count < REPORT_AUTO_HIDE_THRESHOLD) return null;
+
+        const snap = setSnapHidden(snapId, true);
+        if (!snap) return null;
+
+        recordModerationAction({
+            userId: snap.user_id,
+            snapId,
+            action: 'hide',
+            reason: `Automatically hidden after ${count} reports`
+        });
+        return snap;
+    }
+
+    function recordAudit({ actorId, action, targetType, targetId, details }) {
+        db.prepare(
+            `INSERT INTO admin_audit_log (actor_id, action, target_type, target_id, details)
+             VALUES (?, ?, ?, ?, ?)`
+        ).run(actorId, action, targetType, targetId, details ? JSON.stringify(details) : null);
+    }
+
+    function deleteSnapRow(snapId) {
+        const row = db.prepare(
+            `DELETE FROM snaps
+             WHERE id = ?
+             RETURNING id, user_id, caption, hashtags, created_at, is_public, storage_backend, storage_key, renditions`
+        ).get(snapId);
+        if (!row) return null;
+        row.renditions = row.renditions ? JSON.parse(row.renditions) : null;
+        return toBooleans(row, ['is_public']);
+    }
+
+    // See applyUserAction in repositories-pg.js
+    function applyUserAction({ userId, snapId = null, moderatorId, action, reason }) {
+        const target = db.prepare('SELECT role FROM users WHERE id = ?').get(userId);
+        if (!target) {
+            throw moderationError(404, 'User not found');
+        }
+        if (action === 'suspend' && target.role === 'admin') {
+            throw moderationError(400, 'Admins cannot be suspended');
+        }
+        if (action !== 'warn' && !setUserSuspended(userId, action === 'suspend')) {
+            throw moderationError(409, action === 'suspend' ? 'User is already suspended' : 'User is not suspended');
+        }
+        return recordModerationAction({ userId, snapId, moderatorId, action, reason });
+    }
+
+    const reportSnap = db.transaction(({ snapId, reporterId, reason, details }) => {
+        const snap = db.prepare(
+            `SELECT s.id, s.user_id
+             FROM snaps s
+             WHERE s.id = @snapId
+               AND (
+                   (${VISIBLE_SNAP})
+                   OR (s.is_direct AND s.hidden_at IS NULL AND EXISTS (
+                       SELECT 1 FROM snap_recipients r WHERE r.snap_id = s.id AND r.recipient_id = @viewerId
+                   ))
+               )`
+        ).get({ snapId, viewerId: reporterId });
+        if (!snap) return { status: 'not_found' };
+        if (snap.user_id === reporterId) return { status: 'own_snap' };
+
+        const inserted = db.prepare(
+            `INSERT INTO snap_reports (snap_id, reporter_id, reason, details)
+             VALUES (?, ?, ?, ?)
+             ON CONFLICT (snap_id, reporter_id) DO NOTHING`
+        ).run(snap.id, reporterId, reason, details || null);
+        if (inserted.changes === 0) return { status: 'duplicate' };
+
+        return { status: 'reported', hidden: autoHideIfReported(snap.id) };
+    });
+
+    const moderation = {
+        async report(report) {
+            return reportSnap(report);
+        },
+
+        async history(userId) {
+            return db.prepare(
+                `SELECT
+                    CAST(id AS TEXT) AS id,
+                    snap_id as "snapId",
+                    action,
+                    reason,
+                    created_at as "createdAt",
+                    appeal_status as "appealStatus",
+                    appealed_at as "appealedAt",
+                    appeal_resolved_at as "appealResolvedAt",
+                    appeal_status = 'none' AND action IN (SELECT value FROM json_each(@appealable)) as "canAppeal"
+                FROM moderation_actions
+                WHERE user_id = @userId
+                ORDER BY created_at DESC, moderation_actions.id DESC`
+            ).all({ userId, appealable: JSON.stringify(APPEALABLE_ACTIONS) }).map(row => toBooleans(row, ['canAppeal']));
+        },
+
+        async appeal(actionId, userId, message) {
+            const appeal = db.prepare(
+                `UPDATE moderation_actions
+                 SET appeal_status = 'pending', appeal_message = @message, appealed_at = ${NOW}
+                 WHERE id = @actionId AND user_id = @userId AND appeal_status = 'none'
+                   AND action IN (SELECT value FROM json_each(@appealable))
+                 RETURNING CAST(id AS TEXT) AS id, action, appeal_status as "appealStatus", appealed_at as "appealedAt"`
+            ).get({ actionId, userId, message, appealable: JSON.stringify(APPEALABLE_ACTIONS) });
+            if (appeal) return { status: 'ok', appeal };
+
+            const existing = db.prepare('SELECT 1 FROM moderation_actions WHERE id = ? AND user_id = ?').get(actionId, userId);
+            return { status: existing ? 'not_appealable' : 'not_found' };
+        }
+    };
+
+    const editSnap = db.transaction((snapId, { caption, hashtags }, actorId) => {
+        const before = db.prepare('SELECT caption, hashtags FROM snaps WHERE id = ?').get(snapId);
+        if (!before) return false;
+
+        const after = {
+            caption: caption !== undefined ? caption : before.caption,
+            hashtags: hashtags !== undefined ? hashtags : before.hashtags
+        };
+
+        db.prepare('UPDATE snaps SET caption = ?, hashtags = ? WHERE id = ?').run(after.caption, after.hashtags, snapId);
+        db.prepare('DELETE FROM snaps_hashtags WHERE snap_id = ?').run(snapId);
+        const insertTag = db.prepare('INSERT OR IGNORE INTO snaps_hashtags (snap_id, hashtag) VALUES (?, ?)');
+        for (const tag of parseHashtags(after.hashtags)) insertTag.run(snapId, tag);
+
+        recordAudit({ actorId, action: 'snap.update', targetType: 'snap', targetId: snapId, details: { before, after } });
+        return true;
+    });
+
+    const removeSnap = db.transaction((snapId, actorId) => {
+        const deleted = deleteSnapRow(snapId);
+        if (!deleted) return null;
+
+        const { renditions, ...snap } = deleted;
+        recordAudit({ actorId, action: 'snap.delete', targetType: 'snap', targetId: snapId, details: { snap } });
+        return deleted;
+    });
+
+    const actOnReport = db.transaction(({ snapId, action, reason, moderatorId }) => {
+        const existing = db.prepare('SELECT id, user_id, is_public FROM snaps WHERE id = ?').get(snapId);
+        if (!existing) return null;
+
+        const snap = toBooleans(existing, ['is_public']);
+        let recorded = null;
+        let hidden = null;
+        let deleted = null;
+
+        if (action === 'dismiss') {
+            resolveReports(snap.id, 'dismissed', moderatorId);
+            if (setSnapHidden(snap.id, false)) {
+                recordModerationAction({ userId: snap.user_id, snapId: snap.id, moderatorId, action: 'unhide', reason });
+            }
+        } else {
+            resolveReports(snap.id, 'actioned', moderatorId);
+
+            if (action === 'hide') {
+                hidden = setSnapHidden(snap.id, true);
+                if (hidden) {
+                    recorded = recordModerationAction({ userId: snap.user_id, snapId: snap.id, moderatorId, action, reason });
+                }
+            } else if (action === 'delete') {
+                recorded = recordModerationAction({ userId: snap.user_id, snapId: snap.id, moderatorId, action, reason });
+                deleted = deleteSnapRow(snap.id);
+            } else {
+                recorded = applyUserAction({ userId: snap.user_id, snapId: snap.id, moderatorId, action, reason });
+            }
+        }
+
+        recordAudit({
+            actorId: moderatorId,
+            action: `moderation.${action}`,
+            targetType: 'snap',
+            targetId: snap.id,
+            details: { userId: snap.user_id, reason }
+        });
+        return { snap, recorded, hidden, deleted };
+    });
+
+    const moderateUser = db.transaction(({ userId, action, reason, moderatorId }) => {
+        const recorded = applyUserAction({ userId, moderatorId, action, reason });
+        recordAudit({
+            actorId: moderatorId,
+            action: `moderation.${action}`,
+            targetType: 'user',
+            targetId: userId,
+            details: { reason }
+        });
+        return recorded;
+    });
+
+    const decideAppeal = db.transaction(({ actionId, decision, moderatorId }) => {
+        const appeal = db.prepare(
+            `UPDATE moderation_actions
+             SET appeal_status = ?, appeal_resolved_at = ${NOW}, appeal_resolved_by = ?
+             WHERE id = ? AND appeal_status = 'pending'
+             RETURNING CAST(id AS TEXT) AS id, user_id, snap_id, action, reason, appeal_status, appeal_resolved_at`
+        ).get(decision, moderatorId, actionId);
+        if (!appeal) return null;
+
+        const undo = { reason: `Appeal ${appeal.id} overturned`, moderatorId };
+        if (decision === 'overturned') {
+            if (appeal.action === 'hide' && appeal.snap_id && setSnapHidden(appeal.snap_id, false)) {
+                recordModerationAction({ userId: appeal.user_id, snapId: appeal.snap_id, action: 'unhide', ...undo });
+            } else if (appeal.action === 'suspend' && setUserSuspended(appeal.user_id, false)) {
+                recordModerationAction({ userId: appeal.user_id, snapId: appeal.snap_id, action: 'unsuspend', ...undo });
+            }
+        }
+
+        recordAudit({
+            actorId: moderatorId,
+            action: `appeal.${decision}`,
+            targetType: 'user',
+            targetId: appeal.user_id,
+            details: { moderationActionId: appeal.id, action: appeal.action }
+        });
+        return appeal;
+    });
+
+    const admin = {
+        async listSnaps() {
+            return db.prepare(
+                `SELECT
+                    s.id,
+                    s.caption,
+                    s.hashtags,
+                    s.location,
+                    s.created_at,
+                    s.expires_at,
+                    s.is_public,
+                    s.image_url as image_path,
+                    '/api/admin/snaps/' || s.id || '/media?size=thumb' as thumbnail_path,
+                    '/api/admin/snaps/' || s.id || '/media' as media_path,
+                    s.media_type,
+                    s.hidden_at,
+                    (SELECT COUNT(*) FROM snap_reports r WHERE r.snap_id = s.id AND r.status = 'open') as open_report_count,
+                    u.id as uploader_id,
+                    u.username as uploader_username
+                FROM snaps s
+                LEFT JOIN users u ON s.user_id = u.id
+                ORDER BY s.created_at DESC`
+            ).all().map(row => toBooleans(row, ['is_public']));
+        },
+
+        async updateSnap(snapId, changes, actorId) {
+            return editSnap(snapId, changes, actorId);
+        },
+
+        async deleteSnap(snapId, actorId) {
+            return removeSnap(snapId, actorId);
+        },
+
+        async findMedia(snapId) {
+            const row = db.prepare(
+                `SELECT storage_backend, storage_key, renditions, mime_type,
+                        CASE WHEN storage_key IS NULL THEN image_data END AS image_data
+                 FROM snaps WHERE id = ?`
+            ).get(snapId);
+            if (!row) return null;
+            row.renditions = row.renditions ? JSON.parse(row.renditions) : null;
+            return row;
+        },
+
+        async listReports(status, limit) {
+            return db.prepare(
+                `SELECT
+                    s.id as snap_id,
+                    s.caption,
+                    s.media_type,
+                    s.is_direct,
+                    s.hidden_at,
+                    s.created_at,
+                    s.expires_at,
+                    '/api/admin/snaps/' || s.id || '/media?size=thumb' as thumbnail_path,
+                    u.id as owner_id,
+                    u.username as owner_username,
+                    u.is_active as owner_is_active,
+                    (SELECT COUNT(*) FROM moderation_actions m
+                     WHERE m.user_id = u.id AND m.action IN ('hide', 'delete', 'warn', 'suspend')
+                       AND m.appeal_status <> 'overturned') as owner_action_count,
+                    COUNT(*) as report_count,
+                    (SELECT json_group_object(reasons.reason, reasons.count)
+                     FROM (
+                         SELECT r2.reason, COUNT(*) as count
+                         FROM snap_reports r2
+                         WHERE r2.snap_id = s.id AND r2.status = @status
+                         GROUP BY r2.reason
+                     ) reasons) as reasons,
+                    MIN(r.created_at) as first_reported_at,
+                    MAX(r.created_at) as last_reported_at
+                FROM snap_reports r
+                JOIN snaps s ON s.id = r.snap_id
+                JOIN users u ON u.id = s.user_id
+                WHERE r.status = @status
+                GROUP BY s.id, u.id
+                ORDER BY report_count DESC, first_reported_at ASC
+                LIMIT @limit`
+            ).all({ status, limit }).map(row => ({
+                ...toBooleans(row, ['is_direct', 'owner_is_active']),
+                reasons: JSON.parse(row.reasons)
+            }));
+        },
+
+        async listSnapReports(snapId) {
+            return db.prepare(
+                `SELECT
+                    CAST(r.id AS TEXT) as id,
+                    r.reason,
+                    r.details,
+                    r.status,
+                    r.created_at,
+                    r.resolved_at,
+                    reporter.username as reporter_username,
+                    resolver.username as resolved_by_username
+                FROM snap_reports r
+                LEFT JOIN users reporter ON reporter.id = r.reporter_id
+                LEFT JOIN users resolver ON resolver.id = r.resolved_by
+                WHERE r.snap_id = ?
+                ORDER BY r.created_at DESC, r.id DESC`
+            ).all(snapId);
+        },
+
+        async actOnReport(request) {
+            return actOnReport(request);
+        },
+
+        async moderateUser(request) {
+            return moderateUser(request);
+        },
+
+        async userModeration(userId) {
+            const user = db.prepare(
+                `SELECT
+                    u.id,
+                    u.username,
+                    u.role,
+                    u.is_active,
+                    u.deactivated_at,
+                    u.created_at,
+                    (SELECT COUNT(*) FROM snap_reports r JOIN snaps s ON s.id = r.snap_id
+                     WHERE s.user_id = u.id) as reports_received,
+                    (SELECT COUNT(*) FROM snap_reports r JOIN snaps s ON s.id = r.snap_id
+                     WHERE s.user_id = u.id AND r.status = 'open') as open_reports_received,
+                    (SELECT COUNT(*) FROM snap_reports r WHERE r.reporter_id = u.id) as reports_filed
+                FROM users u
+                WHERE u.id = ?`
+            ).get(userId);
+            if (!user) return null;
+
+            const actions = db.prepare(
+                `SELECT
+                    CAST(m.id AS TEXT) as id,
+                    m.snap_id,
+                    m.action,
+                    m.reason,
+                    m.created_at,
+                    m.appeal_status,
+                    m.appeal_message,
+                    m.appealed_at,
+                    m.appeal_resolved_at,
+                    moderator.username as moderator_username
+                FROM moderation_actions m
+                LEFT JOIN users moderator ON moderator.id = m.moderator_id
+                WHERE m.user_id = ?
+                ORDER BY m.created_at DESC, m.id DESC`
+            ).all(userId);
+            return { user: toBooleans(user, ['is_active']), actions };
+        },
+
+        async listAppeals(status, limit) {
+            return db.prepare(
+                `SELECT
+                    CAST(m.id AS TEXT) as id,
+                    m.user_id,
+                    u.username,
+                    m.snap_id,
+                    m.action,
+                    m.reason,
+                    m.created_at,
+                    m.appeal_status,
+                    m.appeal_message,
+                    m.appealed_at,
+                    m.appeal_resolved_at
+                FROM moderation_actions m
+                JOIN users u ON u.id = m.user_id
+                WHERE m.appeal_status = ?
+                ORDER BY m.appealed_at ASC
+                LIMIT ?`
+            ).all(status, limit);
+        },
+
+        async decideAppeal(request) {
+            return decideAppeal(request);
+        },
+
+        async auditLog(limit) {
+            return db.prepare(
+                `SELECT
+                    CAST(a.id AS TEXT) as id,
+                    a.action,
+                    a.target_type,
+                    a.target_id,
+                    a.details,
+                    a.created_at,
+                    u.username as actor_username
+                FROM admin_audit_log a
+                LEFT JOIN users u ON a.actor_id = u.id
+                ORDER BY a.created_at DESC
+                LIMIT ?`
+            ).all(limit).map(row => ({ ...row, details: row.details ? JSON.parse(row.details) : null }));
+        }
+    };
+
+    return {
+        users,
+        sessions,
+        snaps,
+        hashtags,
+        likes,
+        comments,
+        views,
+        follows,
+        blocks,
+        profiles,
+        stories,
+        direct,
+        moderation,
+        admin,
+        // The better-sqlite3 handle, for tests that set up rows directly
+        database: db,
+        ping: async () => db.prepare('SELECT 1').get(),
+        close: async () => db.close()
+    };
+}
+
+module.exports = { createSqliteRepositories };
@@ -1,32 +1,70 @@
-// run-migration.js
-const { exec } = require('child_process');
-const path = require('path');
+// run-migration.js - Command line entry point for migrator.js
+//
+// Usage:
+//   node run-migration.js up [--to <version>] [--dry-run]
+//   node run-migration.js down [--steps <n>] [--dry-run]
+//   node run-migration.js status
+const { pool } = require('./db-pg');
+const { migrateUp, migrateDown, getStatus } = require('./migrator');
+const { parseDatabaseUrl } = require('./repositories');
 
-console.log('Running database migrations...');
+function parseArgs(argv) {
+    const [command = 'up', ...rest] = argv;
+    const options = { dryRun: false };
 
-// Run the migration script
-const migrationScript = path.join(__dirname, 'migrations', '001_initial_schema.js');
-
-// Use double quotes around the path to handle spaces on Windows
-const command = `node "${migrationScript}"`;
-console.log('Executing command:', command);
+    for (let i = 0; i < rest.length; i++) {
+        const arg = rest[i];
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '--steps') {
+            options.steps = parseInt(rest[++i], 10);
+        } else if (arg === '--to') {
+            options.to = rest[++i];
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
 
-const migrate = exec(command, { shell: true }, (error, stdout, stderr) => {
-    if (error) {
-        console.error('Error running migration:', error);
-        process.exit(1);
+    if (options.steps !== undefined && !(options.steps > 0)) {
+        throw new Error('--steps must be a positive number');
     }
-    
-    if (stderr) {
-        console.error('Migration stderr:', stderr);
+
+    return { command, options };
+}
+
+async function main() {
+    const { command, options } = parseArgs(process.argv.slice(2));
+
+    if (parseDatabaseUrl().driver !== 'postgres') {
+        throw new Error('Migrations only apply to PostgreSQL; SQLite databases create their schema on first use');
     }
-    
-    if (stdout) {
-        console.log('Migration output:', stdout);
+
+    switch (command) {
+        case 'up':
+            console.log(options.dryRun ? 'Pending migrations (dry run):' : 'Running database migrations...');
+            await migrateUp(pool, options);
+            break;
+        case 'down':
+            console.log(options.dryRun ? 'Migrations to revert (dry run):' : 'Reverting database migrations...');
+            await migrateDown(pool, options);
+            break;
+        case 'status': {
+            const migrations = await getStatus(pool);
+            for (const m of migrations) {
+                const state = m.applied ? `applied ${m.appliedAt.toISOString()}` : 'pending';
+                console.log(`${m.version}_${m.name}`.padEnd(40), state);
+            }
+            break;
+        }
+        default:
+            throw new Error(`Unknown command: ${command} (expected up, down or status)`);
     }
-    
-    console.log('Migrations completed successfully!');
-});
+}
 
-migrate.stdout.pipe(process.stdout);
-migrate.stderr.pipe(process.stderr);
+main()
+    .then(() => pool.end())
+    .catch(async (error) => {
+        console.error('Migration error:', error.message);
+        await pool.end();
+        process.exit(1);
+    });
@@ -0,0 +1,153 @@
+// schema-check.js - Compare the live PostgreSQL schema with the one declared in schema.js
+//
+// Columns and foreign keys are read from information_schema, indexes from
+// pg_indexes (information_schema does not cover them). Column defaults and
+// check constraints are not compared.
+const { EXPECTED_SCHEMA } = require('./schema');
+
+// Column type as schema.js spells it, e.g. 'character varying(50)' or 'text[]'
+function columnType({ data_type, udt_name, character_maximum_length }) {
+    if (data_type === 'ARRAY') return `${udt_name.replace(/^_/, '')}[]`;
+    if (character_maximum_length) return `${data_type}(${character_maximum_length})`;
+    return data_type;
+}
+
+// Read the tables of the public schema from a pool or client:
+// { [table]: { columns: { [name]: 'type [not null]' }, indexes: { [name]: '[unique ]definition' },
+//   foreignKeys: ['column -> table(column) ON DELETE rule'] } }
+async function introspectSchema(db) {
+    const schema = {};
+    const table = (name) => schema[name] || (schema[name] = { columns: {}, indexes: {}, foreignKeys: [] });
+
+    const tables = await db.query(
+        `SELECT table_name FROM information_schema.tables
+         WHERE table_schema = 'public' AND table_type = 'BASE TABLE'`
+    );
+    for (const row of tables.rows) table(row.table_name);
+
+    const columns = await db.query(
+        `SELECT c.table_name, c.column_name, c.data_type, c.udt_name, c.character_maximum_length, c.is_nullable
+         FROM information_schema.columns c
+         JOIN information_schema.tables t
+           ON t.table_schema = c.table_schema AND t.table_name = c.table_name AND t.table_type = 'BASE TABLE'
+         WHERE c.table_schema = 'public'
+         ORDER BY c.table_name, c.ordinal_position`
+    );
+    for (const row of columns.rows) {
+        table(row.table_name).columns[row.column_name] = columnType(row) + (row.is_nullable === 'NO' ? ' not null' : '');
+    }
+
+    // indexdef reads 'CREATE [UNIQUE] INDEX name ON public.table USING btree (...)'
+    const indexes = await db.query(
+        `SELECT tablename, indexname, indexdef FROM pg_indexes WHERE schemaname = 'public' ORDER BY indexname`
+    );
+    for (const row of indexes.rows) {
+        const unique = /^CREATE UNIQUE INDEX/.test(row.indexdef);
+        const definition = row.indexdef.replace(/^.* USING /, '');
+        table(row.tablename).indexes[row.indexname] = (unique ? 'unique ' : '') + definition;
+    }
+
+    const foreignKeys = await db.query(
+        `SELECT
+            tc.table_name,
+            kcu.column_name,
+            ccu.table_name AS ref_table,
+            ccu.column_name AS ref_column,
+            rc.delete_rule
+         FROM information_schema.table_constraints tc
+         JOIN information_schema.key_column_usage kcu
+           ON kcu.constraint_schema = tc.constraint_schema AND kcu.constraint_name = tc.constraint_name
+         JOIN information_schema.referential_constraints rc
+           ON rc.constraint_schema = tc.constraint_schema AND rc.constraint_name = tc.constraint_name
+         JOIN information_schema.constraint_column_usage ccu
+           ON ccu.constraint_schema = tc.constraint_schema AND ccu.constraint_name = tc.constraint_name
+         WHERE tc.constraint_type = 'FOREIGN KEY' AND tc.table_schema = 'public'
+         ORDER BY tc.table_name, kcu.column_name`
+    );
+    for (const row of foreignKeys.rows) {
+        table(row.table_name).foreignKeys.push(
+            `${row.column_name} -> ${row.ref_table}(${row.ref_column}) ON DELETE ${row.delete_rule}`
+        );
+    }
+
+    return schema;
+}
+
+// Differences between an expected and an actual schema, each
+// { table, kind, name, expected, actual, message }. Empty when they match.
+function diffSchema(expected, actual) {
+    const drift = [];
+    const report = (table, kind, name, expectedValue, actualValue, message) => {
+        drift.push({ table, kind, name, expected: expectedValue, actual: actualValue, message });
+    };
+
+    for (const [tableName, expectedTable] of Object.entries(expected)) {
+        const actualTable = actual[tableName];
+        if (!actualTable) {
+            report(tableName, 'missing_table', tableName, null, null, `table ${tableName} is missing`);
+            continue;
+        }
+
+        for (const [column, type] of Object.entries(expectedTable.columns)) {
+            const actualType = actualTable.columns[column];
+            if (actualType === undefined) {
+                report(tableName, 'missing_column', column, type, null, `column ${tableName}.${column} (${type}) is missing`);
+            } else if (actualType !== type) {
+                report(tableName, 'column_type', column, type, actualType,
+                    `column ${tableName}.${column} is ${actualType}, expected ${type}`);
+            }
+        }
+        for (const [column, type] of Object.entries(actualTable.columns)) {
+            if (!(column in expectedTable.columns)) {
+                report(tableName, 'extra_column', column, null, type, `column ${tableName}.${column} (${type}) is not expected`);
+            }
+        }
+
+        const expectedIndexes = expectedTable.indexes || {};
+        for (const [index, definition] of Object.entries(expectedIndexes)) {
+            const actualDefinition = actualTable.indexes[index];
+            if (actualDefinition === undefined) {
+                report(tableName, 'missing_index', index, definition, null, `index ${index} on ${tableName} is missing`);
+            } else if (actualDefinition !== definition) {
+                report(tableName, 'index_definition', index, definition, actualDefinition,
+                    `index ${index} on ${tableName} is ${actualDefinition}, expected ${definition}`);
+            }
+        }
+        for (const [index, definition] of Object.entries(actualTable.indexes)) {
+            if (!(index in expectedIndexes)) {
+                report(tableName, 'extra_index', index, null, definition, `index ${index} on ${tableName} is not expected`);
+            }
+        }
+
+        const expectedKeys = expectedTable.foreignKeys || [];
+        for (const key of expectedKeys) {
+            if (!actualTable.foreignKeys.includes(key)) {
+                report(tableName, 'missing_foreign_key', key, key, null, `foreign key ${tableName}.${key} is missing`);
+            }
+        }
+        for (const key of actualTable.foreignKeys) {
+            if (!expectedKeys.includes(key)) {
+                report(tableName, 'extra_foreign_key', key, null, key, `foreign key ${tableName}.${key} is not expected`);
+            }
+        }
+    }
+
+    for (const tableName of Object.keys(actual)) {
+        if (!expected[tableName]) {
+            report(tableName, 'extra_table', tableName, null, null, `table ${tableName} is not expected`);
+        }
+    }
+
+    return drift;
+}
+
+// Compare the database behind `db` with schema.js. Resolves to the drift list.
+async function checkSchema(db, expected = EXPECTED_SCHEMA) {
+    return diffSchema(expected, await introspectSchema(db));
+}
+
+module.exports = {
+    introspectSchema,
+    diffSchema,
+    checkSchema
+};
@@ -0,0 +1,341 @@
+// schema.js - The PostgreSQL schema the app expects once every migration has run
+//
+// check-schema.js compares a live database with this declaration (see
+// schema-check.js). Update it in the same change as any migration; the test
+// suite fails while the two disagree.
+//
+// Per table:
+//   columns      name -> type as information_schema reports it, plus ' not null'
+//   indexes      name -> definition after USING in pg_indexes, prefixed 'unique '
+//   foreignKeys  'column -> table(column) ON DELETE rule'
+const EXPECTED_SCHEMA = {
+    admin_audit_log: {
+        columns: {
+            id: 'bigint not null',
+            actor_id: 'uuid',
+            action: 'character varying(50) not null',
+            target_type: 'character varying(50) not null',
+            target_id: 'uuid',
+            details: 'jsonb',
+            created_at: 'timestamp with time zone not null'
+        },
+        indexes: {
+            admin_audit_log_pkey: 'unique btree (id)',
+            idx_admin_audit_log_created_at: 'btree (created_at DESC)'
+        },
+        foreignKeys: [
+            'actor_id -> users(id) ON DELETE SET NULL'
+        ]
+    },
+    follows: {
+        columns: {
+            follower_id: 'uuid not null',
+            followee_id: 'uuid not null',
+            created_at: 'timestamp with time zone not null'
+        },
+        indexes: {
+            follows_pkey: 'unique btree (follower_id, followee_id)',
+            idx_follows_followee_id: 'btree (followee_id)'
+        },
+        foreignKeys: [
+            'followee_id -> users(id) ON DELETE CASCADE',
+            'follower_id -> users(id) ON DELETE CASCADE'
+        ]
+    },
+    media_objects: {
+        columns: {
+            key: 'character varying(512) not null',
+            data: 'bytea not null',
+            content_type: 'character varying(100)',
+            size: 'integer not null',
+            created_at: 'timestamp with time zone not null'
+        },
+        indexes: {
+            media_objects_pkey: 'unique btree (key)'
+        },
+        foreignKeys: []
+    },
+    moderation_actions: {
+        columns: {
+            id: 'bigint not null',
+            user_id: 'uuid not null',
+            snap_id: 'uuid',
+            moderator_id: 'uuid',
+            action: 'character varying(20) not null',
+            reason: 'text',
+            appeal_status: 'character varying(20) not null',
+            appeal_message: 'text',
+            appealed_at: 'timestamp with time zone',
+            appeal_resolved_at: 'timestamp with time zone',
+            appeal_resolved_by: 'uuid',
+            created_at: 'timestamp with time zone not null'
+        },
+        indexes: {
+            idx_moderation_actions_pending_appeals: `btree (appealed_at) WHERE ((appeal_status)::text = 'pending'::text)`,
+            idx_moderation_actions_user_id: 'btree (user_id, created_at DESC)',
+            moderation_actions_pkey: 'unique btree (id)'
+        },
+        foreignKeys: [
+            'appeal_resolved_by -> users(id) ON DELETE SET NULL',
+            'moderator_id -> users(id) ON DELETE SET NULL',
+            'user_id -> users(id) ON DELETE CASCADE'
+        ]
+    },
+    rate_limits: {
+        columns: {
+            key: 'character varying(255) not null',
+            count: 'integer not null',
+            reset_at: 'timestamp with time zone not null'
+        },
+        indexes: {
+            idx_rate_limits_reset_at: 'btree (reset_at)',
+            rate_limits_pkey: 'unique btree (key)'
+        },
+        foreignKeys: []
+    },
+    refresh_tokens: {
+        columns: {
+            token_hash: 'character(64) not null',
+            session_id: 'uuid not null',
+            created_at: 'timestamp with time zone not null',
+            used_at: 'timestamp with time zone'
+        },
+        indexes: {
+            idx_refresh_tokens_session_id: 'btree (session_id)',
+            refresh_tokens_pkey: 'unique btree (token_hash)'
+        },
+        foreignKeys: [
+            'session_id -> sessions(id) ON DELETE CASCADE'
+        ]
+    },
+    schema_migrations: {
+        columns: {
+            version: 'character varying(32) not null',
+            name: 'character varying(255) not null',
+            applied_at: 'timestamp with time zone not null'
+        },
+        indexes: {
+            schema_migrations_pkey: 'unique btree (version)'
+        },
+        foreignKeys: []
+    },
+    sessions: {
+        columns: {
+            id: 'uuid not null',
+            user_id: 'uuid not null',
+            user_agent: 'character varying(512)',
+            ip_address: 'character varying(64)',
+            created_at: 'timestamp with time zone not null',
+            last_used_at: 'timestamp with time zone',
+            expires_at: 'timestamp with time zone not null',
+            revoked_at: 'timestamp with time zone',
+            revoked_reason: 'character varying(50)'
+        },
+        indexes: {
+            idx_sessions_user_id: 'btree (user_id)',
+            sessions_pkey: 'unique btree (id)'
+        },
+        foreignKeys: [
+            'user_id -> users(id) ON DELETE CASCADE'
+        ]
+    },
+    snap_comments: {
+        columns: {
+            id: 'uuid not null',
+            snap_id: 'uuid not null',
+            user_id: 'uuid not null',
+            body: 'text not null',
+            created_at: 'timestamp with time zone not null'
+        },
+        indexes: {
+            idx_snap_comments_snap_id_created_at: 'btree (snap_id, created_at)',
+            snap_comments_pkey: 'unique btree (id)'
+        },
+        foreignKeys: [
+            'snap_id -> snaps(id) ON DELETE CASCADE',
+            'user_id -> users(id) ON DELETE CASCADE'
+        ]
+    },
+    snap_likes: {
+        columns: {
+            snap_id: 'uuid not null',
+            user_id: 'uuid not null',
+            created_at: 'timestamp with time zone not null'
+        },
+        indexes: {
+            snap_likes_pkey: 'unique btree (snap_id, user_id)'
+        },
+        foreignKeys: [
+            'snap_id -> snaps(id) ON DELETE CASCADE',
+            'user_id -> users(id) ON DELETE CASCADE'
+        ]
+    },
+    snap_recipients: {
+        columns: {
+            snap_id: 'uuid not null',
+            recipient_id: 'uuid not null',
+            created_at: 'timestamp with time zone not null',
+            delivered_at: 'timestamp with time zone',
+            opened_at: 'timestamp with time zone',
+            view_token_hash: 'character(64)'
+        },
+        indexes: {
+            idx_snap_recipients_unopened: 'btree (recipient_id, created_at DESC) WHERE (opened_at IS NULL)',
+            snap_recipients_pkey: 'unique btree (snap_id, recipient_id)'
+        },
+        foreignKeys: [
+            'recipient_id -> users(id) ON DELETE CASCADE',
+            'snap_id -> snaps(id) ON DELETE CASCADE'
+        ]
+    },
+    snap_reports: {
+        columns: {
+            id: 'bigint not null',
+            snap_id: 'uuid not null',
+            reporter_id: 'uuid not null',
+            reason: 'character varying(30) not null',
+            details: 'text',
+            status: 'character varying(20) not null',
+            created_at: 'timestamp with time zone not null',
+            resolved_at: 'timestamp with time zone',
+            resolved_by: 'uuid'
+        },
+        indexes: {
+            idx_snap_reports_open: `btree (snap_id) WHERE ((status)::text = 'open'::text)`,
+            snap_reports_pkey: 'unique btree (id)',
+            snap_reports_snap_id_reporter_id_key: 'unique btree (snap_id, reporter_id)'
+        },
+        foreignKeys: [
+            'reporter_id -> users(id) ON DELETE CASCADE',
+            'resolved_by -> users(id) ON DELETE SET NULL',
+            'snap_id -> snaps(id) ON DELETE CASCADE'
+        ]
+    },
+    snap_views: {
+        columns: {
+            snap_id: 'uuid not null',
+            viewer_key: 'character varying(100) not null',
+            viewer_id: 'uuid',
+            source: 'character varying(20) not null',
+            completed: 'boolean not null',
+            watched_seconds: 'real',
+            first_viewed_at: 'timestamp with time zone not null',
+            last_viewed_at: 'timestamp with time zone not null'
+        },
+        indexes: {
+            idx_snap_views_snap_id_first_viewed_at: 'btree (snap_id, first_viewed_at)',
+            snap_views_pkey: 'unique btree (snap_id, viewer_key)'
+        },
+        foreignKeys: [
+            'snap_id -> snaps(id) ON DELETE CASCADE',
+            'viewer_id -> users(id) ON DELETE SET NULL'
+        ]
+    },
+    snaps: {
+        columns: {
+            id: 'uuid not null',
+            user_id: 'uuid not null',
+            image_url: 'character varying(512) not null',
+            caption: 'text',
+            location: 'character varying(255)',
+            created_at: 'timestamp with time zone not null',
+            expires_at: 'timestamp with time zone',
+            view_count: 'integer not null',
+            is_public: 'boolean',
+            image_data: 'bytea',
+            mime_type: 'character varying(50)',
+            hashtags: 'text',
+            storage_backend: 'character varying(20)',
+            storage_key: 'character varying(512)',
+            view_once: 'boolean not null',
+            width: 'integer',
+            height: 'integer',
+            renditions: 'jsonb',
+            media_type: 'character varying(10) not null',
+            duration_seconds: 'real',
+            is_direct: 'boolean not null',
+            hidden_at: 'timestamp with time zone'
+        },
+        indexes: {
+            idx_snaps_created_at_id: 'btree (created_at DESC, id DESC)',
+            idx_snaps_expires_at: 'btree (expires_at)',
+            idx_snaps_public_created_at_id: 'btree (created_at DESC, id DESC) WHERE is_public',
+            idx_snaps_user_id_created_at_id: 'btree (user_id, created_at DESC, id DESC)',
+            snaps_pkey: 'unique btree (id)'
+        },
+        foreignKeys: [
+            'user_id -> users(id) ON DELETE CASCADE'
+        ]
+    },
+    snaps_hashtags: {
+        columns: {
+            snap_id: 'uuid not null',
+            hashtag: 'character varying(100) not null'
+        },
+        indexes: {
+            idx_snaps_hashtags_hashtag_pattern: 'btree (hashtag text_pattern_ops)',
+            snaps_hashtags_pkey: 'unique btree (snap_id, hashtag)'
+        },
+        foreignKeys: [
+            'snap_id -> snaps(id) ON DELETE CASCADE'
+        ]
+    },
+    story_views: {
+        columns: {
+            snap_id: 'uuid not null',
+            viewer_id: 'uuid not null',
+            viewed_at: 'timestamp with time zone not null'
+        },
+        indexes: {
+            idx_story_views_snap_id_viewed_at: 'btree (snap_id, viewed_at DESC)',
+            story_views_pkey: 'unique btree (snap_id, viewer_id)'
+        },
+        foreignKeys: [
+            'snap_id -> snaps(id) ON DELETE CASCADE',
+            'viewer_id -> users(id) ON DELETE CASCADE'
+        ]
+    },
+    user_blocks: {
+        columns: {
+            blocker_id: 'uuid not null',
+            blocked_id: 'uuid not null',
+            kind: 'character varying(10) not null',
+            created_at: 'timestamp with time zone not null'
+        },
+        indexes: {
+            idx_user_blocks_blocked_id: 'btree (blocked_id)',
+            user_blocks_pkey: 'unique btree (blocker_id, blocked_id)'
+        },
+        foreignKeys: [
+            'blocked_id -> users(id) ON DELETE CASCADE',
+            'blocker_id -> users(id) ON DELETE CASCADE'
+        ]
+    },
+    users: {
+        columns: {
+            id: 'uuid not null',
+            username: 'character varying(50) not null',
+            email: 'character varying(255) not null',
+            password_hash: 'character varying(255) not null',
+            created_at: 'timestamp with time zone not null',
+            updated_at: 'timestamp with time zone not null',
+            last_login: 'timestamp with time zone',
+            profile_picture_url: 'character varying(512)',
+            bio: 'text',
+            is_active: 'boolean',
+            role: 'character varying(20) not null',
+            display_name: 'character varying(50)',
+            avatar_backend: 'character varying(20)',
+            avatar_renditions: 'jsonb',
+            deactivated_at: 'timestamp with time zone'
+        },
+        indexes: {
+            users_email_key: 'unique btree (email)',
+            users_pkey: 'unique btree (id)',
+            users_username_key: 'unique btree (username)'
+        },
+        foreignKeys: []
+    }
+};
+
+module.exports = { EXPECTED_SCHEMA };
@@ -3,79 +3,124 @@ const http = require('http');
 const path = require('path');
 const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
+const cookieParser = require('cookie-parser');
 const fs = require('fs');
 require('dotenv').config();
 
 // Import our custom modules with PostgreSQL support
 const db = require('./db-pg');
-const { initSocket, emitNewSnap } = require('./socket');
-
-// JWT Secret
-const JWT_SECRET = process.env.JWT_SECRET || 'your_jwt_secret_here';
+const { getRepositories } = require('./repositories');
+const { initSocket, emitSnapCreated, emitSnapExpired, emitDirectSnapReceived, emitStoryUpdated } = require('./socket');
+const { authenticateToken, optionalAuth } = require('./auth');
+const { getStorage, sendStoredObject, snapMediaKey } = require('./storage');
+const { IMAGE_SIZES, DEFAULT_IMAGE_SIZE, processImage, storeSnapImage, pickRendition, snapMediaKeys } = require('./images');
+const { VIDEO_CONTAINERS, processVideoPoster } = require('./videos');
+const { parseRecipientUsernames, resolveRecipients } = require('./direct-snaps');
+const adminRoutes = require('./admin-routes');
+const interactionRoutes = require('./interaction-routes');
+const feedRoutes = require('./feed-routes');
+const followRoutes = require('./follow-routes');
+const hashtagRoutes = require('./hashtag-routes');
+const sessionRoutes = require('./session-routes');
+const directRoutes = require('./direct-routes');
+const storyRoutes = require('./story-routes');
+const profileRoutes = require('./profile-routes');
+const moderationRoutes = require('./moderation-routes');
+const blockRoutes = require('./block-routes');
+const { ACCESS_TOKEN_TTL, startSession } = require('./sessions');
+const {
+    rateLimit,
+    sendTooManyRequests,
+    loginLockedUntil,
+    recordLoginFailure,
+    clearLoginFailures
+} = require('./rate-limit');
+const { rules, validate, sendError, errorEnvelope } = require('./validation');
+const { checkSchema } = require('./schema-check');
+const { createHealthRoutes } = require('./health-routes');
+const {
+    trackRequests,
+    uploadSize,
+    cleanupRuns,
+    cleanupDeleted,
+    cleanupMediaErrors,
+    cleanupLastRun
+} = require('./metrics');
+const { logger, requestContext } = require('./logger');
 
 const app = express();
 const server = http.createServer(app);
 const PORT = process.env.PORT || 3000;
 
 // --- Cleanup Job ---
-// Function to delete expired snaps (older than 12 hours)
+const CLEANUP_BATCH_SIZE = 500;
+
+// Delete snaps whose expires_at has passed, remove their stored media and
+// tell open feeds to drop them. Returns the number of snaps removed.
 async function cleanupExpiredSnaps() {
-    const client = await db.pool.connect();
+    let expired;
     try {
-        await client.query('BEGIN');
-        
-        // Delete snaps that are older than 12 hours
-        const result = await client.query(
-            `DELETE FROM snaps 
-             WHERE created_at < NOW() - INTERVAL '12 hours' 
-             RETURNING id, image_url`
-        );
-        
-        // Log the cleanup
-        if (result.rowCount > 0) {
-            console.log(`[${new Date().toISOString()}] Cleaned up ${result.rowCount} expired snaps`);
-            
-            // If you want to clean up the image files as well, uncomment this:
-            /*
-            for (const row of result.rows) {
-                if (row.image_url) {
-                    const filePath = path.join(__dirname, 'public', row.image_url);
-                    try {
-                        fs.unlinkSync(filePath);
-                        console.log(`Deleted file: ${filePath}`);
-                    } catch (err) {
-                        console.error(`Error deleting file ${filePath}:`, err);
-                    }
-                }
+        // null when another instance is already cleaning up
+        expired = await getRepositories().snaps.deleteExpired(CLEANUP_BATCH_SIZE);
+    } catch (error) {
+        logger.error('Error during snap cleanup', { err: error });
+        cleanupRuns.inc({ result: 'error' });
+        return 0;
+    }
+    
+    cleanupRuns.inc({ result: expired ? 'ok' : 'skipped' });
+    cleanupLastRun.set({}, Date.now() / 1000);
+    if (!expired || expired.length === 0) return 0;
+    cleanupDeleted.inc({}, expired.length);
+    logger.info('Cleaned up expired snaps', { count: expired.length });
+    
+    // The rows are gone, so a failed media delete only leaves an orphaned object
+    for (const row of expired) {
+        for (const key of snapMediaKeys(row)) {
+            try {
+                await getStorage(row.storage_backend).delete(key);
+            } catch (err) {
+                logger.error('Error deleting expired snap media', { key, err });
+                cleanupMediaErrors.inc();
             }
-            */
         }
-        
-        await client.query('COMMIT');
-    } catch (error) {
-        await client.query('ROLLBACK');
-        console.error('Error during snap cleanup:', error);
-    } finally {
-        client.release();
     }
+    
+    emitSnapExpired(expired.map(row => ({
+        id: row.id,
+        userId: row.user_id,
+        isPublic: row.is_public,
+        isDirect: row.is_direct,
+        recipientIds: row.recipient_ids
+    })));
+    return expired.length;
 }
 
-// Run cleanup immediately on server start
-cleanupExpiredSnaps().catch(console.error);
-
-// Schedule cleanup to run every hour
-const CLEANUP_INTERVAL = 60 * 60 * 1000; // 1 hour
-setInterval(cleanupExpiredSnaps, CLEANUP_INTERVAL);
+// Cleanup runs every 5 minutes by default, so short-lived snaps leave open feeds promptly
+const CLEANUP_INTERVAL = parseInt(process.env.CLEANUP_INTERVAL_MS) || 5 * 60 * 1000;
 
 // --- Socket.IO Initialization ---
-initSocket(server);
+initSocket(server, {
+    getFollowing: (userId) => getRepositories().follows.followingIds(userId),
+    getBlocked: (userId) => getRepositories().blocks.blockedIds(userId),
+    getMuted: (userId) => getRepositories().blocks.mutedIds(userId)
+});
 
 // --- Middleware ---
+// Behind a reverse proxy, TRUST_PROXY (e.g. 1 for one hop) makes req.ip the
+// client's address, which rate limiting and view counting key on
+if (process.env.TRUST_PROXY) {
+    const hops = parseInt(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+// Request ids and access logs first, so every later log entry carries the id
+app.use(requestContext);
+app.use(trackRequests);
+app.use(errorEnvelope);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
-app.use(express.static('public'));
+app.use(cookieParser());
 
 // --- File Upload Setup ---
 const uploadDir = path.join(__dirname, 'public', 'uploads');
@@ -85,6 +130,11 @@ if (!fs.existsSync(uploadDir)) {
     fs.mkdirSync(uploadDir, { recursive: true });
 }
 
+// --- Health and Metrics ---
+// /healthz, /readyz and /metrics, ahead of the static files
+app.use(createHealthRoutes({ uploadDir }));
+app.use(express.static('public'));
+
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
         cb(null, uploadDir);
@@ -96,22 +146,62 @@ const storage = multer.diskStorage({
     }
 });
 
+// Images may be up to 10MB; videos up to MAX_VIDEO_SIZE (50MB by default)
+const MAX_IMAGE_SIZE = 10 * 1024 * 1024;
+const MAX_VIDEO_SIZE = parseInt(process.env.MAX_VIDEO_SIZE) || 50 * 1024 * 1024;
+const MAX_UPLOAD_SIZE = Math.max(MAX_IMAGE_SIZE, MAX_VIDEO_SIZE);
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
 const upload = multer({
     storage: storage,
-    limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+    limits: { fileSize: MAX_UPLOAD_SIZE },
     fileFilter: (req, file, cb) => {
-        const allowedTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
-        if (allowedTypes.includes(file.mimetype)) {
+        if (IMAGE_TYPES.includes(file.mimetype) || VIDEO_CONTAINERS[file.mimetype]) {
             cb(null, true);
         } else {
-            cb(new Error('Invalid file type. Only JPG, PNG, and GIF are allowed.'));
+            const error = new Error('Invalid file type. Only JPG, PNG, GIF, WebP, MP4 and WebM are allowed.');
+            error.status = 400;
+            cb(error);
         }
     }
 });
 
+// Lifetimes an uploader can choose. A view-once snap disappears after its
+// first view, or after 24 hours if nobody opens it.
+const HOUR = 60 * 60 * 1000;
+const SNAP_LIFETIMES = {
+    '1h': HOUR,
+    '12h': 12 * HOUR,
+    '24h': 24 * HOUR,
+    '7d': 7 * 24 * HOUR,
+    'view_once': 24 * HOUR
+};
+const DEFAULT_SNAP_LIFETIME = '12h';
+
+const MAX_CAPTION_LENGTH = 2200;
+
+// Form fields an upload accepts alongside the file. `recipients` is parsed by
+// direct-snaps.js.
+const uploadSchema = {
+    body: {
+        caption: rules.string({ max: MAX_CAPTION_LENGTH, optional: true }),
+        hashtags: rules.string({ max: 1000, optional: true, default: '' }),
+        location: rules.string({ max: 255, optional: true, default: '' }),
+        lifetime: rules.oneOf(Object.keys(SNAP_LIFETIMES), { optional: true, default: DEFAULT_SNAP_LIFETIME }),
+        visibility: rules.oneOf(['public', 'followers'], { optional: true, default: 'public' })
+    }
+};
+
+// Remove a rejected upload's temporary file
+const discardUpload = (req) => {
+    if (req.file) {
+        try { fs.unlinkSync(req.file.path); } catch (e) {}
+    }
+};
+
 // --- Helper Functions ---
 const handleDatabaseError = (res, error) => {
-    console.error('Database error:', error);
+    logger.error('Database error', { err: error });
     res.status(500).json({
         success: false,
         message: 'A database error occurred',
@@ -119,20 +209,6 @@ const handleDatabaseError = (res, error) => {
     });
 };
 
-// Authentication middleware
-const authenticateToken = (req, res, next) => {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-    
-    if (!token) return res.sendStatus(401);
-    
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-        if (err) return res.sendStatus(403);
-        req.user = user;
-        next();
-    });
-};
-
 // --- Routes ---
 
 // Serve the index page
@@ -150,43 +226,56 @@ app.get('/feed', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'feed.html'));
 });
 
+// Serve the admin dashboard
+app.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
+// What signup accepts: see validation.js for the username, password and
+// email policies
+const signupSchema = {
+    body: {
+        username: rules.username(),
+        password: rules.password(),
+        email: rules.email()
+    }
+};
+
+const TAKEN_MESSAGES = {
+    username: 'Username already exists',
+    email: 'An account with this email already exists'
+};
+
+// Answer 409 naming the fields already taken by another account
+function sendAccountConflict(res, fields) {
+    return sendError(res, 409, TAKEN_MESSAGES[fields[0]], {
+        errors: fields.map(field => ({ location: 'body', field, code: 'taken', message: TAKEN_MESSAGES[field] }))
+    });
+}
+
 // User registration
-app.post('/api/signup', async (req, res) => {
+app.post('/api/signup', rateLimit('signup_ip'), validate(signupSchema), async (req, res) => {
     try {
-        const { username, password, email = `${username}@example.com` } = req.body;
-        
-        if (!username || !password) {
-            return res.status(400).json({ 
-                success: false, 
-                message: 'Username and password are required' 
-            });
-        }
+        const { username, password, email } = req.body;
         
-        // Check if user already exists
-        const userExists = await db.query('SELECT id FROM users WHERE username = $1', [username]);
-        if (userExists.rows.length > 0) {
-            return res.status(400).json({ 
-                success: false, 
-                message: 'Username already exists' 
-            });
+        // Usernames and emails are unique regardless of case
+        const taken = await getRepositories().users.findTaken(username, email);
+        if (taken.length > 0) {
+            return sendAccountConflict(res, taken);
         }
         
         // Hash password
         const hashedPassword = await bcrypt.hash(password, 10);
         
-        // Create user with email (default to username@example.com if not provided)
-        const result = await db.query(
-            'INSERT INTO users (username, password_hash, email) VALUES ($1, $2, $3) RETURNING id, username',
-            [username, hashedPassword, email]
-        );
+        const user = await getRepositories().users.create({ username, email, passwordHash: hashedPassword });
         
-        // Generate JWT
-        const user = result.rows[0];
-        const token = jwt.sign({ id: user.id, username: user.username }, JWT_SECRET, { expiresIn: '24h' });
+        // Start a session: access token in the body, refresh token in a cookie
+        const token = await startSession(user, req, res);
         
         res.status(201).json({
             success: true,
             token,
+            expiresIn: ACCESS_TOKEN_TTL,
             user: {
                 id: user.id,
                 username: user.username
@@ -194,7 +283,11 @@ app.post('/api/signup', async (req, res) => {
         });
         
     } catch (error) {
-        console.error('Signup error:', error);
+        // Lost a race with another signup for the same username or email
+        if (error.code === 'DUPLICATE') {
+            return sendAccountConflict(res, [error.field]);
+        }
+        logger.error('Signup error', { err: error });
         res.status(500).json({
             success: false,
             message: 'Error creating account',
@@ -204,51 +297,66 @@ app.post('/api/signup', async (req, res) => {
 });
 
 // User login
-app.post('/api/login', async (req, res) => {
+// Login only checks that credentials were given; the password policy applies
+// to new passwords, not to accounts created before it
+const loginSchema = {
+    body: {
+        username: rules.string({ max: 255 }),
+        password: rules.string({ max: 1024, trim: false })
+    }
+};
+
+app.post('/api/login', rateLimit('login_ip'), validate(loginSchema), async (req, res) => {
     try {
         const { username, password } = req.body;
         
-        if (!username || !password) {
-            console.log('Login attempt missing username or password');
-            return res.status(400).json({ 
-                success: false, 
-                message: 'Username and password are required' 
-            });
+        // Accounts with too many recent failures are locked for a while,
+        // whether or not the password is right this time
+        const lockedUntil = await loginLockedUntil(username);
+        if (lockedUntil) {
+            logger.warn('Login locked', { username });
+            return sendTooManyRequests(res, lockedUntil, 'Too many failed login attempts. Please try again later.');
         }
         
-        console.log(`Login attempt for user: ${username}`);
-        
         // Find user
-        const result = await db.query(
-            'SELECT id, username, password_hash FROM users WHERE username = $1',
-            [username]
-        );
+        const user = await getRepositories().users.findByUsername(username);
         
-        if (result.rows.length === 0) {
-            console.log(`User not found: ${username}`);
+        if (!user) {
+            logger.info('Login failed: unknown user', { username });
+            await recordLoginFailure(username);
             return res.status(401).json({ 
                 success: false, 
                 message: 'Invalid username or password' 
             });
         }
         
-        const user = result.rows[0];
-        console.log(`User found: ${user.username} (ID: ${user.id})`);
-        
         // Verify password
-        console.log('Verifying password...');
         const validPassword = await bcrypt.compare(password, user.password_hash);
         
         if (!validPassword) {
-            console.log('Invalid password for user:', username);
+            logger.info('Login failed: wrong password', { username, userId: user.id });
+            await recordLoginFailure(username);
             return res.status(401).json({ 
                 success: false, 
                 message: 'Invalid username or password' 
             });
         }
         
-        // Generate JWT
-        const token = jwt.sign({ id: user.id, username: user.username }, JWT_SECRET, { expiresIn: '24h' });
+        // Accounts their owner deactivated come back on the next login;
+        // suspended accounts stay locked. reactivate() checks again, so a
+        // suspension that lands after the lookup still holds.
+        if (user.is_active === false) {
+            const reactivated = Boolean(user.deactivated_at) && await getRepositories().users.reactivate(user.id);
+            if (!reactivated) {
+                return res.status(403).json({ success: false, message: 'This account has been disabled' });
+            }
+            logger.info('Reactivated account', { userId: user.id, username: user.username });
+        }
+        
+        await clearLoginFailures(username);
+        
+        // Start a session: access token in the body, refresh token in a cookie
+        const token = await startSession(user, req, res);
         
         // Get user data (excluding password)
         const userData = {
@@ -260,11 +368,12 @@ app.post('/api/login', async (req, res) => {
         res.json({
             success: true,
             token,
+            expiresIn: ACCESS_TOKEN_TTL,
             user: userData
         });
         
     } catch (error) {
-        console.error('Login error:', error);
+        logger.error('Login error', { err: error });
         res.status(500).json({
             success: false,
             message: 'Error during login',
@@ -274,136 +383,145 @@ app.post('/api/login', async (req, res) => {
 });
 
 // Upload a new snap
-app.post('/api/snaps', authenticateToken, upload.single('image'), async (req, res) => {
-    console.log('Processing upload for user ID:', req.user.id);
+app.post('/api/snaps', authenticateToken, rateLimit('upload_ip', 'upload_user'), upload.single('image'), validate(uploadSchema, { onInvalid: discardUpload }), async (req, res) => {
     const { caption } = req.body;
     const userId = req.user.id;
     
-    console.log('Caption:', caption);
-    console.log('User ID:', userId);
-    
-    console.log('=== UPLOAD REQUEST RECEIVED ===');
-    console.log('Headers:', req.headers);
-    console.log('Files:', req.files);
-    console.log('File:', req.file);
-    console.log('Body:', req.body);
-    console.log('User:', req.user);
-    
     if (!req.file) {
-        console.error('No file was uploaded');
         return res.status(400).json({ success: false, message: 'No image file provided' });
     }
     
-    console.log('Uploaded file details:', {
+    const isVideo = Boolean(VIDEO_CONTAINERS[req.file.mimetype]);
+    if (!isVideo && req.file.size > MAX_IMAGE_SIZE) {
+        try { fs.unlinkSync(req.file.path); } catch (e) {}
+        return res.status(400).json({ success: false, message: 'Images can be at most 10MB' });
+    }
+    
+    logger.debug('Processing upload', {
+        userId,
         originalname: req.file.originalname,
         mimetype: req.file.mimetype,
-        size: req.file.size,
-        path: req.file.path
+        size: req.file.size
     });
 
-    const { hashtags = '', location = '' } = req.body;
-    const client = await db.pool.connect();
+    const { location, lifetime, visibility } = req.body;
+    
+    // A snap with recipients is sent to them directly instead of being posted.
+    // Each recipient can open it once, so it is never view-once as a whole.
+    const recipientUsernames = parseRecipientUsernames(req.body.recipients);
+    const isDirect = recipientUsernames.length > 0;
+    const viewOnce = lifetime === 'view_once' && !isDirect;
+    
+    const repositories = getRepositories();
+    const storage = getStorage();
+    const storedKeys = [];
     
     try {
-        await client.query('BEGIN');
-        
-        // Set expiration time to 12 hours from now
-        const expiresAt = new Date();
-        expiresAt.setHours(expiresAt.getHours() + 12);
-        
-        // Get user from JWT token
-        const token = req.headers['authorization']?.split(' ')[1];
-        if (!token) {
-            return res.status(401).json({ success: false, message: 'Authentication required' });
-        }
-        
-        // Verify token and get user ID
-        const decoded = jwt.verify(token, JWT_SECRET);
-        const userId = decoded.id; // Changed from decoded.userId to decoded.id
-        
-        // Get user details
-        const userResult = await client.query(
-            'SELECT id, username FROM users WHERE id = $1', 
-            [userId]
-        );
-        
-        if (userResult.rows.length === 0) {
+        // Set expiration time from the chosen lifetime
+        const expiresAt = new Date(Date.now() + SNAP_LIFETIMES[lifetime]);
+        
+        // Get user details. The token was checked before the upload was read,
+        // so look again: the account may have been suspended meanwhile.
+        const user = await repositories.users.findById(userId);
+        if (!user) {
+            discardUpload(req);
             return res.status(404).json({ success: false, message: 'User not found' });
         }
+        if (user.is_active === false) {
+            discardUpload(req);
+            return res.status(403).json({ success: false, message: 'This account has been disabled' });
+        }
         
-        const username = userResult.rows[0].username;
-        
-        // Read the image file
-        const imageData = fs.readFileSync(req.file.path);
-        // Get hashtags from the request body (default to empty string if not provided)
-        const hashtags = req.body.hashtags || '';
-        
-        // Insert the snap with the raw hashtags string and expiration time
-        const result = await client.query(
-            `INSERT INTO snaps (
-                user_id, 
-                caption, 
-                hashtags,
-                location, 
-                image_data, 
-                mime_type,
-                image_url,
-                expires_at
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-            RETURNING id, created_at`,
-            [
-                userId, 
-                caption, 
-                hashtags,  
-                location, 
-                imageData, 
-                req.file.mimetype,
-                `/api/snaps/image/${Date.now()}-${req.file.originalname}`,  // Virtual URL
-                expiresAt
-            ]
-        );
-        
-        // Process and insert individual hashtags into snaps_hashtags
-        if (hashtags) {
-            const snapId = result.rows[0].id;
-            // Split hashtags by space or comma and clean them up
-            const tags = hashtags.split(/[\s,]+/).filter(tag => tag.startsWith('#'));
-            
-            for (const tag of tags) {
-                try {
-                    // Insert each hashtag into snaps_hashtags
-                    await client.query(
-                        `INSERT INTO snaps_hashtags (snap_id, hashtag) 
-                         VALUES ($1, $2) 
-                         ON CONFLICT DO NOTHING`,
-                        [snapId, tag]
-                    );
-                } catch (error) {
-                    console.error('Error inserting hashtag:', tag, error);
-                }
-            }
+        const username = user.username;
+        const recipients = isDirect ? await resolveRecipients(userId, recipientUsernames) : [];
+        
+        const { hashtags } = req.body;
+        
+        // Store the media and its renditions in the configured backend before
+        // recording the snap. Images are stripped of metadata and resized;
+        // videos are kept as uploaded and get poster frames. Media not meant
+        // for everyone (direct, followers-only and view-once snaps) gets
+        // private keys, which never have a public URL.
+        const snapId = uuidv4();
+        const isPublic = visibility === 'public' && !isDirect;
+        const isPrivate = !isPublic || viewOnce;
+        let media;
+        if (isVideo) {
+            media = await processVideoPoster(storage, snapId, req.file.path, req.file.mimetype, storedKeys, { isPrivate });
+            media.storageKey = snapMediaKey(snapId, req.file.mimetype, new Date(), null, { isPrivate });
+            await storage.put(media.storageKey, fs.readFileSync(req.file.path), { contentType: req.file.mimetype });
+            storedKeys.push(media.storageKey);
+        } else {
+            const processed = await processImage(fs.readFileSync(req.file.path), req.file.mimetype);
+            const stored = await storeSnapImage(storage, snapId, req.file.mimetype, processed, storedKeys, { isPrivate });
+            media = { ...stored, width: processed.width, height: processed.height, duration: null };
         }
+        const imageUrl = storage.publicUrl(media.storageKey) || `/api/snaps/image/${snapId}`;
+        
+        // Record the snap with the raw hashtags string, its individual tags
+        // and its recipients together
+        const created = await repositories.snaps.create({
+            id: snapId,
+            user_id: userId,
+            caption,
+            hashtags,
+            location,
+            storage_backend: storage.name,
+            storage_key: media.storageKey,
+            mime_type: req.file.mimetype,
+            image_url: imageUrl,
+            expires_at: expiresAt,
+            view_once: viewOnce,
+            is_public: isPublic,
+            width: media.width,
+            height: media.height,
+            renditions: media.renditions,
+            media_type: isVideo ? 'video' : 'image',
+            duration_seconds: media.duration,
+            is_direct: isDirect
+        }, { hashtags, recipientIds: recipients.map(recipient => recipient.id) });
         
         // Remove the temporary file
         fs.unlinkSync(req.file.path);
+        uploadSize.observe({ media_type: isVideo ? 'video' : 'image' }, req.file.size);
         
-        const snapId = result.rows[0].id;
-        console.log('Snap uploaded successfully with ID:', snapId);
+        logger.info('Snap uploaded', { snapId, userId, mediaType: isVideo ? 'video' : 'image', size: req.file.size });
         
         const snap = {
             id: snapId,
+            userId: userId,
             username: username,
-            imageUrl: `/api/snaps/image/${snapId}`,  // New endpoint to serve images
+            imageUrl: imageUrl,
+            mediaType: isVideo ? 'video' : 'image',
+            duration: media.duration,
+            width: media.width,
+            height: media.height,
             caption: caption,
             location: location,
-            createdAt: result.rows[0].created_at
+            createdAt: created.created_at,
+            expiresAt: expiresAt,
+            viewOnce: viewOnce,
+            isPublic: created.is_public,
+            isDirect: isDirect
         };
         
-        await client.query('COMMIT');
-        
-        // Notify connected clients about the new snap
-        if (emitNewSnap) {
-            emitNewSnap(snap);
+        if (isDirect) {
+            // Only the recipients hear about a direct snap, and they get no media URL
+            snap.recipients = recipients;
+            delete snap.imageUrl;
+            emitDirectSnapReceived(recipients.map(recipient => recipient.id), {
+                snapId,
+                from: { id: userId, username },
+                mediaType: snap.mediaType,
+                createdAt: snap.createdAt,
+                expiresAt: snap.expiresAt
+            });
+        } else {
+            // Notify the clients allowed to see the new snap
+            emitSnapCreated(snap);
+            
+            // Every snap except a view-once one also joins the owner's story
+            if (!viewOnce) emitStoryUpdated(snap);
         }
         
         res.status(201).json({
@@ -417,165 +535,110 @@ app.post('/api/snaps', authenticateToken, upload.single('image'), async (req, re
             try { fs.unlinkSync(req.file.path); } catch (e) {}
         }
         
-        await client.query('ROLLBACK');
-        console.error('Error uploading snap:', error);
-        console.error('Error details:', {
-            name: error.name,
-            message: error.message,
-            stack: error.stack
-        });
+        // Remove the stored images if the snap was never recorded
+        for (const key of storedKeys) {
+            storage.delete(key).catch(err => logger.error('Error removing stored image', { err }));
+        }
+        
+        if (error.status === 400) {
+            return sendError(res, 400, error.message);
+        }
+        
+        logger.error('Error uploading snap', { err: error });
         res.status(500).json({ 
             success: false, 
             message: 'Failed to upload snap',
             error: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
-    } finally {
-        client.release();
     }
 });
 
-// Serve image data from database
-app.get('/api/snaps/image/:id', async (req, res) => {
+// Sizes the media route serves. For video snaps 'full' is the video and
+// 'poster' its full-size poster frame; for image snaps 'poster' is the image.
+const MEDIA_SIZES = [...Object.keys(IMAGE_SIZES), 'poster'];
+
+// Sizes that show a snap whole. Fetching one of these opens a view-once snap;
+// other users get no smaller rendition of it.
+const OPENING_SIZES = ['full', 'poster'];
+
+// Serve snap media from the snap's storage backend. ?size=thumb|feed|full|poster
+// picks a rendition (default full); WebP is served to clients that accept it.
+// Byte ranges are honoured so video players can seek. Requests carrying a
+// token get a 404 for snaps of users blocked either way with them.
+const mediaSchema = {
+    params: { id: rules.uuid() },
+    query: { size: rules.oneOf(MEDIA_SIZES, { optional: true, default: DEFAULT_IMAGE_SIZE }) }
+};
+
+app.get('/api/snaps/image/:id', optionalAuth, validate(mediaSchema, { notFound: 'Image not found' }), async (req, res) => {
     try {
-        const result = await db.query(
-            'SELECT image_data, mime_type FROM snaps WHERE id = $1',
-            [req.params.id]
-        );
+        const { size } = req.query;
+        const viewerId = req.user ? req.user.id : null;
+        
+        const snaps = getRepositories().snaps;
+        const row = await snaps.findMedia(req.params.id, viewerId);
 
-        if (result.rows.length === 0) {
+        if (!row) {
             return res.status(404).send('Image not found');
         }
 
-        const { image_data, mime_type } = result.rows[0];
+        const { storage_backend, storage_key, expires_at, view_once, image_data } = row;
+        // Only clients that name WebP get it; a bare */* may not decode it
+        const acceptsWebp = (req.get('accept') || '').includes('image/webp');
+        const rendition = pickRendition(row, size, acceptsWebp);
+        
+        // A view-once snap expires as it is opened; only the request that
+        // claims it gets the image. Its owner looking at it does not open it,
+        // and nobody else gets a thumbnail or feed rendition of it.
+        const opening = view_once && row.user_id !== viewerId;
+        if (opening && !OPENING_SIZES.includes(size)) {
+            return res.status(404).send('Image not found');
+        }
+        if (opening && !(await snaps.claimViewOnce(req.params.id))) {
+            return res.status(404).send('Image not found');
+        }
         
         // Set appropriate headers
-        res.set('Content-Type', mime_type);
-        res.set('Cache-Control', 'public, max-age=31536000'); // Cache for 1 year
-        res.send(image_data);
-        
-    } catch (error) {
-        console.error('Error serving image:', error);
-        res.status(500).send('Error serving image');
-    }
-});
-
-// Get paginated feed of snaps
-app.get('/api/feed', async (req, res) => {
-    const client = await db.pool.connect();
-    try {
-        console.log('\n=== /api/feed request received ===');
-        const page = Math.max(1, parseInt(req.query.page) || 1);
-        const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 10));
-        const offset = (page - 1) * limit;
-        
-        console.log(`Fetching snaps - page: ${page}, limit: ${limit}, offset: ${offset}`);
-        
-        // First, get the basic snap data with user info
-        const result = await db.query(
-            `WITH snap_data AS (
-                SELECT 
-                    s.id, 
-                    s.caption,
-                    s.hashtags,
-                    s.location,
-                    s.created_at,
-                    u.id as user_id,
-                    u.username,
-                    u.profile_picture_url
-                FROM snaps s
-                LEFT JOIN users u ON s.user_id = u.id
-                ORDER BY s.created_at DESC
-                LIMIT $1 OFFSET $2
-            )
-            SELECT 
-                sd.*,
-                (
-                    SELECT json_agg(h.hashtag)
-                    FROM snaps_hashtags h
-                    WHERE h.snap_id = sd.id
-                ) as hashtag_list,
-                '/api/snaps/image/' || sd.id as "imageUrl",
-                sd.created_at as "createdAt",
-                sd.profile_picture_url as "profilePictureUrl"
-            FROM snap_data sd`,
-            [limit, offset]
-        );
-        
-        console.log('\nRaw query result rows:', JSON.stringify(result.rows, null, 2));
-        
-        // Process the rows to ensure proper format
-        const processedSnaps = result.rows.map(row => {
-            const snap = { ...row };
-            
-            // Ensure hashtag_list is an array
-            if (!Array.isArray(snap.hashtag_list)) {
-                snap.hashtag_list = [];
-                
-                // If we have a hashtags string but no list, parse it
-                if (snap.hashtags && typeof snap.hashtags === 'string') {
-                    snap.hashtag_list = snap.hashtags.split(/\s+/).filter(tag => tag.startsWith('#'));
-                }
-            }
-            
-            console.log(`Processed snap ${snap.id}:`, {
-                id: snap.id,
-                caption: snap.caption,
-                hashtags: snap.hashtags,
-                hashtag_list: snap.hashtag_list
-            });
-            
-            return snap;
-        });
+        res.set('Content-Type', rendition.mimeType);
+        res.set('Vary', 'Accept');
+        if (view_once) {
+            res.set('Cache-Control', 'no-store');
+        } else {
+            // Cache until the snap expires
+            const maxAge = Math.max(0, Math.floor((new Date(expires_at) - Date.now()) / 1000));
+            res.set('Cache-Control', `public, max-age=${maxAge}`);
+        }
         
-        // Get total count for pagination
-        const countResult = await db.query('SELECT COUNT(*) FROM snaps');
-        const totalSnaps = parseInt(countResult.rows[0].count);
-        const totalPages = Math.ceil(totalSnaps / limit);
+        // Rows not yet moved by migrate-media.js still carry their bytes
+        if (!storage_key) {
+            if (!image_data) return res.status(404).send('Image not found');
+            return res.send(image_data);
+        }
         
-        console.log(`\nSending response with ${processedSnaps.length} snaps`);
+        const storage = getStorage(storage_backend);
+        const publicUrl = !view_once && storage.publicUrl(rendition.key);
+        if (publicUrl) {
+            return res.redirect(publicUrl);
+        }
         
-        res.json({
-            success: true,
-            snaps: processedSnaps,
-            pagination: {
-                page,
-                limit,
-                totalItems: totalSnaps,
-                totalPages
-            }
-        });
+        // A view-once snap can only be opened once, so it is then sent whole
+        const sent = await sendStoredObject(req, res, storage, rendition.key, { ranges: !opening });
+        if (!sent) {
+            return res.status(404).send('Image not found');
+        }
         
     } catch (error) {
-        console.error('Error fetching feed:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to fetch feed',
-            error: process.env.NODE_ENV === 'development' ? error.message : undefined
-        });
+        logger.error('Error serving image', { err: error });
+        res.status(500).send('Error serving image');
     }
 });
 
 // Get a single snap by ID
-app.get('/api/snaps/:id', async (req, res) => {
+app.get('/api/snaps/:id', optionalAuth, validate({ params: { id: rules.uuid() } }, { notFound: 'Snap not found' }), async (req, res) => {
     try {
-        const result = await db.query(
-            `SELECT 
-                s.id, 
-                s.image_url as "imageUrl",
-                s.caption,
-                s.hashtags,
-                (SELECT array_agg(hashtag) FROM snaps_hashtags sh WHERE sh.snap_id = s.id) as hashtag_list,
-                s.location,
-                s.created_at as "createdAt",
-                u.username,
-                u.profile_picture_url as "profilePictureUrl"
-            FROM snaps s
-            JOIN users u ON s.user_id = u.id
-            WHERE s.id = $1`,
-            [req.params.id]
-        );
-        
-        if (result.rows.length === 0) {
+        const snap = await getRepositories().snaps.findVisible(req.params.id, req.user ? req.user.id : null);
+        
+        if (!snap) {
             return res.status(404).json({
                 success: false,
                 message: 'Snap not found'
@@ -584,11 +647,11 @@ app.get('/api/snaps/:id', async (req, res) => {
         
         res.json({
             success: true,
-            snap: result.rows[0]
+            snap
         });
         
     } catch (error) {
-        console.error('Error fetching snap:', error);
+        logger.error('Error fetching snap', { err: error });
         res.status(500).json({
             success: false,
             message: 'Failed to fetch snap',
@@ -597,9 +660,56 @@ app.get('/api/snaps/:id', async (req, res) => {
     }
 });
 
+// Likes, comments and views
+app.use('/api/snaps', interactionRoutes);
+
+// Feeds
+app.use('/api/feed', feedRoutes);
+
+// Follow graph
+app.use('/api/users', followRoutes);
+
+// Hashtag search and trending tags
+app.use('/api/hashtags', hashtagRoutes);
+
+// Admin dashboard API
+app.use('/api/admin', adminRoutes);
+
+// Token refresh, logout and sessions
+app.use('/api', sessionRoutes);
+
+// Blocking and muting users
+app.use('/api', blockRoutes);
+
+// Profiles, profile pictures and account settings
+app.use('/api', profileRoutes);
+
+// Direct snaps: inbox, opening and delivery status
+app.use('/api/direct', directRoutes);
+
+// Stories
+app.use('/api/stories', storyRoutes);
+
+// Reporting snaps and appealing moderation
+app.use('/api', moderationRoutes);
+
 // Error handling middleware
 app.use((err, req, res, next) => {
-    console.error('Error:', err);
+    // Bodies express.json() could not parse or would not accept
+    if (err.type === 'entity.parse.failed') {
+        return sendError(res, 400, 'Request body is not valid JSON', { code: 'INVALID_JSON' });
+    }
+    if (err.type === 'entity.too.large') {
+        return sendError(res, 413, 'Request body is too large');
+    }
+    
+    // Rejected uploads: too large or of a type the file filter refuses
+    if (err instanceof multer.MulterError || err.status === 400) {
+        const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+        return sendError(res, tooLarge ? 413 : 400, tooLarge ? 'The uploaded file is too large' : err.message);
+    }
+    
+    logger.error('Unhandled error', { err });
     res.status(500).json({
         success: false,
         message: 'An unexpected error occurred',
@@ -607,14 +717,47 @@ app.use((err, req, res, next) => {
     });
 });
 
-// Start the server
-server.listen(PORT, () => {
-    console.log(`Server is running on http://localhost:${PORT}`);
-});
+// --- Schema Check ---
+// SCHEMA_CHECK compares the PostgreSQL schema with schema.js before serving:
+// 'off' (default) skips it, 'warn' logs any drift and 'strict' refuses to start
+const SCHEMA_CHECK_MODES = ['off', 'warn', 'strict'];
+
+async function checkSchemaOnStartup(mode = process.env.SCHEMA_CHECK || 'off') {
+    if (!SCHEMA_CHECK_MODES.includes(mode)) {
+        throw new Error(`SCHEMA_CHECK must be one of: ${SCHEMA_CHECK_MODES.join(', ')}`);
+    }
+    if (mode === 'off' || getRepositories().driver !== 'postgres') return;
+
+    const drift = await checkSchema(db);
+    for (const difference of drift) {
+        logger.warn('Schema drift', { table: difference.table, kind: difference.kind, detail: difference.message });
+    }
+    if (drift.length > 0 && mode === 'strict') {
+        throw new Error(`Database schema has drifted from schema.js in ${drift.length} places; see npm run check-schema`);
+    }
+}
+
+// Start the server and the cleanup job when run directly. Tests import the
+// app and listen on a port of their own.
+if (require.main === module) {
+    checkSchemaOnStartup()
+        .then(() => {
+            cleanupExpiredSnaps().catch(err => logger.error('Error during snap cleanup', { err }));
+            setInterval(cleanupExpiredSnaps, CLEANUP_INTERVAL);
+
+            server.listen(PORT, () => {
+                logger.info(`Server is running on http://localhost:${PORT}`);
+            });
+        })
+        .catch(error => {
+            logger.error('Not starting', { err: error });
+            process.exit(1);
+        });
+}
 
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
-    console.error('Unhandled Rejection:', err);
+    logger.error('Unhandled Rejection', { err });
 });
 
-module.exports = { app, server };
+module.exports = { app, server, cleanupExpiredSnaps };
@@ -0,0 +1,123 @@
+// session-routes.js - Token refresh, logout and session management (mounted at /api)
+const express = require('express');
+
+const { getRepositories } = require('./repositories');
+const { authenticateToken } = require('./auth');
+const {
+    ACCESS_TOKEN_TTL,
+    refreshSession,
+    sessionIdFromCookie,
+    revokeSession,
+    revokeUserSessions,
+    clearRefreshCookie
+} = require('./sessions');
+const { rateLimit } = require('./rate-limit');
+const { rules, validate } = require('./validation');
+const { logger } = require('./logger');
+
+const router = express.Router();
+
+// Exchange the refresh cookie for a new access token (and a new refresh cookie)
+router.post('/auth/refresh', rateLimit('refresh_ip'), async (req, res) => {
+    try {
+        const refreshed = await refreshSession(req, res);
+        if (!refreshed) {
+            clearRefreshCookie(res);
+            return res.status(401).json({ success: false, message: 'Session expired. Please log in again.' });
+        }
+
+        res.json({
+            success: true,
+            token: refreshed.accessToken,
+            expiresIn: ACCESS_TOKEN_TTL,
+            user: refreshed.user
+        });
+    } catch (error) {
+        logger.error('Token refresh error', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Error refreshing session',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Log out of this device. Works with just the refresh cookie, so an expired
+// access token does not stop a logout.
+router.post('/logout', async (req, res) => {
+    try {
+        const sessionId = await sessionIdFromCookie(req);
+        if (sessionId) {
+            await revokeSession(sessionId, 'logout');
+        }
+
+        clearRefreshCookie(res);
+        res.json({ success: true, message: 'Logged out' });
+    } catch (error) {
+        logger.error('Logout error', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Error during logout',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Log out of every device
+router.post('/logout-all', authenticateToken, async (req, res) => {
+    try {
+        const revoked = await revokeUserSessions(req.user.id, 'logout_all');
+
+        clearRefreshCookie(res);
+        res.json({ success: true, message: 'Logged out of all devices', revoked });
+    } catch (error) {
+        logger.error('Logout-all error', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Error logging out of all devices',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// List my active sessions
+router.get('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const active = await getRepositories().sessions.listActive(req.user.id);
+
+        const sessions = active.map(session => ({
+            ...session,
+            current: session.id === req.user.sid
+        }));
+
+        res.json({ success: true, sessions });
+    } catch (error) {
+        logger.error('Error fetching sessions', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch sessions',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Revoke one of my sessions, e.g. a lost phone
+router.delete('/sessions/:id', authenticateToken, validate({ params: { id: rules.uuid() } }, { notFound: 'Session not found' }), async (req, res) => {
+    try {
+        const revoked = await revokeSession(req.params.id, 'revoked_by_user', req.user.id);
+        if (!revoked) {
+            return res.status(404).json({ success: false, message: 'Session not found' });
+        }
+
+        res.json({ success: true, message: 'Session revoked' });
+    } catch (error) {
+        logger.error('Error revoking session', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke session',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,109 @@
+// sessions.js - Login sessions, short-lived access tokens and rotating refresh tokens
+//
+// Logging in starts a session. The client gets a short-lived JWT access token
+// in the response body and a refresh token in an httpOnly cookie. Each refresh
+// spends the refresh token and issues a new one; presenting a spent token again
+// means it was copied, so the whole session is revoked.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const { getRepositories } = require('./repositories');
+const { JWT_SECRET } = require('./auth');
+const { disconnectUser } = require('./socket');
+const { logger } = require('./logger');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const SESSION_TTL_DAYS = parseInt(process.env.SESSION_TTL_DAYS) || 30;
+const REFRESH_COOKIE = 'refresh_token';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+function signAccessToken(user, sessionId) {
+    return jwt.sign({ id: user.id, username: user.username, sid: sessionId }, JWT_SECRET, {
+        expiresIn: ACCESS_TOKEN_TTL
+    });
+}
+
+function setRefreshCookie(res, token) {
+    res.cookie(REFRESH_COOKIE, token, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'strict',
+        path: '/api',
+        maxAge: SESSION_TTL_DAYS * 24 * 60 * 60 * 1000
+    });
+}
+
+function clearRefreshCookie(res) {
+    res.clearCookie(REFRESH_COOKIE, { path: '/api' });
+}
+
+const newRefreshToken = () => crypto.randomBytes(32).toString('base64url');
+
+// Start a session for a user who just proved their identity. Sets the refresh
+// cookie and returns the access token.
+async function startSession(user, req, res) {
+    const refreshToken = newRefreshToken();
+    const sessionId = await getRepositories().sessions.start({
+        userId: user.id,
+        userAgent: (req.get('user-agent') || '').slice(0, 512),
+        ipAddress: req.ip,
+        ttlDays: SESSION_TTL_DAYS,
+        tokenHash: hashToken(refreshToken)
+    });
+
+    setRefreshCookie(res, refreshToken);
+    return signAccessToken(user, sessionId);
+}
+
+// Spend the refresh token from the request cookie and issue a new pair.
+// Returns { accessToken, user } or null when the token is missing, unknown,
+// expired, revoked or being reused.
+async function refreshSession(req, res) {
+    const presented = req.cookies && req.cookies[REFRESH_COOKIE];
+    if (!presented) return null;
+
+    const refreshToken = newRefreshToken();
+    const result = await getRepositories().sessions.rotate(hashToken(presented), hashToken(refreshToken));
+
+    if (result.status === 'reused') {
+        // A spent token came back: someone else holds a copy of it
+        logger.warn('Refresh token reuse detected; revoked the session', { sessionId: result.sessionId });
+        return null;
+    }
+    if (result.status !== 'ok') return null;
+
+    setRefreshCookie(res, refreshToken);
+    return { accessToken: signAccessToken(result.user, result.sessionId), user: result.user };
+}
+
+// Id of the session the request's refresh cookie belongs to, if any
+async function sessionIdFromCookie(req) {
+    const presented = req.cookies && req.cookies[REFRESH_COOKIE];
+    if (!presented) return null;
+
+    return getRepositories().sessions.findIdByToken(hashToken(presented));
+}
+
+// Revoke one session. Only revokes sessions of `userId` when it is given.
+function revokeSession(sessionId, reason, userId = null) {
+    return getRepositories().sessions.revoke(sessionId, reason, userId);
+}
+
+// Revoke every active session of a user and close their open sockets
+async function revokeUserSessions(userId, reason) {
+    const revoked = await getRepositories().sessions.revokeAll(userId, reason);
+    disconnectUser(userId);
+    return revoked;
+}
+
+module.exports = {
+    ACCESS_TOKEN_TTL,
+    signAccessToken,
+    startSession,
+    refreshSession,
+    sessionIdFromCookie,
+    revokeSession,
+    revokeUserSessions,
+    clearRefreshCookie
+};
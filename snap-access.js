@@ -0,0 +1,33 @@
+// snap-access.js - Which snaps a viewer is allowed to see and interact with
+const { notBlockedCondition } = require('./blocks');
+
+// SQL condition (on snaps aliased as `s`) that is true when the viewer whose
+// id is bound to `$<viewerParam>` may see the snap. Anonymous viewers bind NULL.
+// Snaps that are not public are visible to their owner and the owner's followers.
+// Snaps of deactivated accounts and snaps hidden by moderation are hidden from
+// everyone, snaps of users who blocked the viewer (or whom the viewer blocked)
+// are hidden from the viewer, and direct snaps never appear here: recipients
+// open them through direct-routes.js.
+function visibleSnapCondition(viewerParam) {
+    const viewer = `$${viewerParam}`;
+    return `s.expires_at > NOW()
+        AND NOT s.is_direct
+        AND s.hidden_at IS NULL
+        AND EXISTS (
+            SELECT 1 FROM users owner
+            WHERE owner.id = s.user_id AND owner.is_active IS NOT FALSE
+        )
+        AND ${notBlockedCondition('s.user_id', viewerParam)}
+        AND (
+            s.is_public
+            OR s.user_id = ${viewer}
+            OR EXISTS (
+                SELECT 1 FROM follows f
+                WHERE f.follower_id = ${viewer} AND f.followee_id = s.user_id
+            )
+        )`;
+}
+
+module.exports = {
+    visibleSnapCondition
+};
@@ -1,36 +1,274 @@
 // socket.js - Socket.IO setup and event handling
 const { Server } = require('socket.io');
 
+const { verifyAccessToken } = require('./auth');
+const { logger, currentRequestId } = require('./logger');
+
 let io;
 
-// Initialize Socket.IO with the HTTP server
-function initSocket(server) {
+// Events sent to clients
+const EVENTS = {
+    SNAP_CREATED: 'snap_created',
+    SNAP_DELETED: 'snap_deleted',
+    SNAP_EXPIRED: 'snap_expired',
+    SNAP_LIKED: 'snap_liked',
+    COMMENT_ADDED: 'comment_added',
+    COMMENT_DELETED: 'comment_deleted',
+    NOTIFICATION: 'notification',
+    DIRECT_SNAP_RECEIVED: 'direct_snap_received',
+    DIRECT_SNAP_STATUS: 'direct_snap_status',
+    STORY_UPDATED: 'story_updated'
+};
+
+// Room names. Every socket joins its own user room and the follower room of
+// each user it follows, so emitting to followerRoom(id) reaches id's followers.
+// It also joins the block room of every user it is blocked with either way and
+// the mute room of every user it muted; events are sent `.except()` those.
+const userRoom = (userId) => `user:${userId}`;
+const followerRoom = (userId) => `followers:${userId}`;
+const blockRoom = (userId) => `blocks:${userId}`;
+const muteRoom = (userId) => `muters:${userId}`;
+
+// Read the JWT from the handshake: `io({ auth: { token } })`, or an
+// Authorization header for non-browser clients
+function getHandshakeToken(handshake) {
+    if (handshake.auth && handshake.auth.token) return handshake.auth.token;
+    const authHeader = handshake.headers && handshake.headers['authorization'];
+    return authHeader && authHeader.split(' ')[1];
+}
+
+// Initialize Socket.IO with the HTTP server.
+// `getFollowing(userId)` resolves to the ids of the users `userId` follows,
+// `getBlocked(userId)` to those blocked with them either way and
+// `getMuted(userId)` to those they muted.
+function initSocket(server, {
+    getFollowing = async () => [],
+    getBlocked = async () => [],
+    getMuted = async () => []
+} = {}) {
     io = new Server(server, {
         cors: {
-            origin: '*', // In production, replace with your frontend URL
+            origin: process.env.CORS_ORIGIN || '*',
             methods: ['GET', 'POST']
         }
     });
 
-    io.on('connection', (socket) => {
-        console.log('A user connected');
+    // Only sockets carrying a valid access token of a live session may connect
+    io.use(async (socket, next) => {
+        const token = getHandshakeToken(socket.handshake);
+        if (!token) return next(new Error('Authentication required'));
+
+        try {
+            const user = await verifyAccessToken(token);
+            if (!user) return next(new Error('Invalid token'));
+            socket.user = user;
+            next();
+        } catch (error) {
+            logger.error('Socket token check error', { err: error });
+            next(new Error('Could not check the token'));
+        }
+    });
+
+    io.on('connection', async (socket) => {
+        const { id: userId, username } = socket.user;
+        const log = logger.child({ socketId: socket.id, userId });
+        log.info('Socket connected', { username });
 
-        socket.on('disconnect', () => {
-            console.log('User disconnected');
+        socket.join(userRoom(userId));
+        try {
+            const [following, blocked, muted] = await Promise.all([
+                getFollowing(userId),
+                getBlocked(userId),
+                getMuted(userId)
+            ]);
+            following.forEach(followeeId => socket.join(followerRoom(followeeId)));
+            blocked.forEach(otherId => socket.join(blockRoom(otherId)));
+            muted.forEach(mutedId => socket.join(muteRoom(mutedId)));
+        } catch (error) {
+            log.error('Error joining follower rooms', { err: error });
+        }
+
+        socket.on('disconnect', (reason) => {
+            log.info('Socket disconnected', { reason });
         });
     });
 
     return io;
 }
 
-// Emit a new snap to all connected clients
+// Emit `payload` to `target`, tagged with the id of the HTTP request that
+// caused it (when there is one) so clients can correlate it with the logs
+function send(target, event, payload) {
+    const requestId = currentRequestId();
+    target.emit(event, requestId ? { ...payload, requestId } : payload);
+}
+
+// Sockets allowed to see a snap: everyone for public snaps, otherwise only
+// the owner and their followers; never users blocked with the owner
+function snapAudience(snap) {
+    if (snap.isPublic !== false) return io.except(blockRoom(snap.userId));
+    return io.to([userRoom(snap.userId), followerRoom(snap.userId)]).except(blockRoom(snap.userId));
+}
+
+// Announce a new snap to everyone allowed to see it
+function emitSnapCreated(snap) {
+    if (!io) return;
+    send(snapAudience(snap).except(muteRoom(snap.userId)), EVENTS.SNAP_CREATED, snap);
+
+    // Clients written before the typed events listen for new_snap
+    if (snap.isPublic !== false) {
+        send(io.except([blockRoom(snap.userId), muteRoom(snap.userId)]), 'new_snap', snap);
+    }
+}
+
+// Kept for existing callers; prefer emitSnapCreated
 function emitNewSnap(snapData) {
-    if (io) {
-        io.emit('new_snap', snapData);
+    emitSnapCreated(snapData);
+}
+
+// Tell the snap's audience it was removed
+function emitSnapDeleted(snap) {
+    if (!io) return;
+    send(snapAudience(snap), EVENTS.SNAP_DELETED, { snapId: snap.id });
+}
+
+// Tell each expired snap's audience to remove it: the snap's sender and
+// recipients for direct snaps. `snaps` are { id, userId, isPublic, isDirect,
+// recipientIds }; snaps with the same audience share one event.
+function emitSnapExpired(snaps) {
+    if (!io) return;
+    const groups = new Map();
+    for (const snap of snaps) {
+        const key = snap.isDirect ? `direct:${snap.id}` : `${snap.userId}:${snap.isPublic !== false}`;
+        if (!groups.has(key)) groups.set(key, { snap, snapIds: [] });
+        groups.get(key).snapIds.push(snap.id);
     }
+
+    for (const { snap, snapIds } of groups.values()) {
+        const target = snap.isDirect
+            ? io.to([snap.userId, ...snap.recipientIds].map(userRoom))
+            : snapAudience(snap);
+        send(target, EVENTS.SNAP_EXPIRED, { snapIds });
+    }
+}
+
+// Broadcast a like change on a snap
+function emitSnapLiked(snap, payload) {
+    if (!io) return;
+    send(snapAudience(snap).except(blockRoom(payload.userId)), EVENTS.SNAP_LIKED, { snapId: snap.id, ...payload });
+}
+
+// Broadcast a new comment on a snap
+function emitCommentAdded(snap, comment, commentCount) {
+    if (!io) return;
+    send(snapAudience(snap).except(blockRoom(comment.userId)), EVENTS.COMMENT_ADDED, { snapId: snap.id, comment, commentCount });
+}
+
+// Broadcast a removed comment on a snap
+function emitCommentDeleted(snap, commentId, commentCount) {
+    if (!io) return;
+    send(snapAudience(snap), EVENTS.COMMENT_DELETED, { snapId: snap.id, commentId, commentCount });
+}
+
+// Move a user's open sockets into or out of another user's follower room
+// after a follow or unfollow
+function syncFollowerRoom(followerId, followeeId, following) {
+    if (!io) return;
+    const sockets = io.in(userRoom(followerId));
+    if (following) {
+        sockets.socketsJoin(followerRoom(followeeId));
+    } else {
+        sockets.socketsLeave(followerRoom(followeeId));
+    }
+}
+
+// Move both users' open sockets into or out of each other's block room after
+// a block or unblock
+function syncBlockRoom(userId, otherId, blocked) {
+    if (!io) return;
+    for (const [a, b] of [[userId, otherId], [otherId, userId]]) {
+        const sockets = io.in(userRoom(a));
+        if (blocked) {
+            sockets.socketsJoin(blockRoom(b));
+        } else {
+            sockets.socketsLeave(blockRoom(b));
+        }
+    }
+}
+
+// Move a user's open sockets into or out of another user's mute room after a
+// mute or unmute
+function syncMuteRoom(muterId, mutedId, muted) {
+    if (!io) return;
+    const sockets = io.in(userRoom(muterId));
+    if (muted) {
+        sockets.socketsJoin(muteRoom(mutedId));
+    } else {
+        sockets.socketsLeave(muteRoom(mutedId));
+    }
+}
+
+// Send a notification to one user's sockets only
+function emitNotification(userId, notification) {
+    if (!io) return;
+    send(io.to(userRoom(userId)), EVENTS.NOTIFICATION, notification);
+}
+
+// Tell a snap's audience that its owner's story ring has a new item
+function emitStoryUpdated(snap) {
+    if (!io) return;
+    send(snapAudience(snap).except(muteRoom(snap.userId)), EVENTS.STORY_UPDATED, {
+        userId: snap.userId,
+        username: snap.username,
+        snapId: snap.id,
+        createdAt: snap.createdAt
+    });
+}
+
+// Tell the recipients of a direct snap that it arrived
+function emitDirectSnapReceived(recipientIds, payload) {
+    if (!io || recipientIds.length === 0) return;
+    send(io.to(recipientIds.map(userRoom)), EVENTS.DIRECT_SNAP_RECEIVED, payload);
+}
+
+// Tell the sender of a direct snap that a recipient received or opened it
+function emitDirectSnapStatus(senderId, payload) {
+    if (!io) return;
+    send(io.to(userRoom(senderId)), EVENTS.DIRECT_SNAP_STATUS, payload);
+}
+
+// Close every open socket of a user, e.g. once their sessions are revoked
+function disconnectUser(userId) {
+    if (!io) return;
+    io.in(userRoom(userId)).disconnectSockets(true);
+}
+
+// Number of open Socket.IO connections
+function getConnectionCount() {
+    return io ? io.engine.clientsCount : 0;
 }
 
 module.exports = {
+    EVENTS,
+    userRoom,
+    followerRoom,
+    blockRoom,
+    muteRoom,
     initSocket,
-    emitNewSnap
+    emitNewSnap,
+    emitSnapCreated,
+    emitSnapDeleted,
+    emitSnapExpired,
+    emitSnapLiked,
+    emitCommentAdded,
+    emitCommentDeleted,
+    emitNotification,
+    emitDirectSnapReceived,
+    emitDirectSnapStatus,
+    emitStoryUpdated,
+    syncFollowerRoom,
+    syncBlockRoom,
+    syncMuteRoom,
+    disconnectUser,
+    getConnectionCount
 };
@@ -0,0 +1,291 @@
+// storage.js - Pluggable media storage backends
+//
+// Every adapter implements:
+//   put(key, data, { contentType })  store a Buffer under `key`
+//   get(key, { start, end })         -> { stream, size } or null when missing;
+//                                    start/end (inclusive) read a byte range
+//   stat(key)                        -> { size } or null when missing
+//   delete(key)                      remove the object (missing keys are ignored)
+//   publicUrl(key)                   direct URL for the object, or null when
+//                                    it must be served through the API
+//
+// Keys under PRIVATE_KEY_PREFIX (direct, followers-only and view-once snaps)
+// never get a public URL. With a public S3 bucket, grant public reads on
+// snaps/ and avatars/ only, so these objects cannot be fetched by guessing
+// their key.
+//
+// The backend used for new uploads is chosen by STORAGE_BACKEND
+// (local, database or s3). Snaps record which backend holds their media, so
+// rows written before a switch stay readable.
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+require('dotenv').config();
+
+const db = require('./db-pg');
+const { logger } = require('./logger');
+
+const PRIVATE_KEY_PREFIX = 'private/';
+
+const isPrivateKey = (key) => key.startsWith(PRIVATE_KEY_PREFIX);
+
+// Bytes in an inclusive start/end range of an object of `size` bytes
+function rangeLength(size, start = 0, end = size - 1) {
+    return Math.max(0, Math.min(end, size - 1) - start + 1);
+}
+
+// Local filesystem. Files live outside public/ so they are only reachable
+// through the media route.
+function createLocalStorage({ rootDir = process.env.MEDIA_DIR || path.join(__dirname, 'media') } = {}) {
+    const resolve = (key) => {
+        const filePath = path.resolve(rootDir, key);
+        if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+
+    return {
+        name: 'local',
+
+        async put(key, data) {
+            const filePath = resolve(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, data);
+        },
+
+        async get(key, { start, end } = {}) {
+            try {
+                const stat = await fs.promises.stat(resolve(key));
+                const stream = fs.createReadStream(resolve(key), { start, end });
+                return { stream, size: rangeLength(stat.size, start, end) };
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        async stat(key) {
+            try {
+                const stat = await fs.promises.stat(resolve(key));
+                return { size: stat.size };
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        async delete(key) {
+            try {
+                await fs.promises.unlink(resolve(key));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        },
+
+        publicUrl() {
+            return null;
+        }
+    };
+}
+
+// PostgreSQL. Bytes live in media_objects so the snaps table stays small.
+function createDatabaseStorage({ database = db } = {}) {
+    return {
+        name: 'database',
+
+        async put(key, data, { contentType } = {}) {
+            await database.query(
+                `INSERT INTO media_objects (key, data, content_type, size)
+                 VALUES ($1, $2, $3, $4)
+                 ON CONFLICT (key) DO UPDATE
+                 SET data = EXCLUDED.data, content_type = EXCLUDED.content_type, size = EXCLUDED.size`,
+                [key, data, contentType || null, data.length]
+            );
+        },
+
+        async get(key, { start, end } = {}) {
+            const result = await database.query('SELECT data FROM media_objects WHERE key = $1', [key]);
+            if (result.rows.length === 0) return null;
+            const { data } = result.rows[0];
+            const bytes = start === undefined ? data : data.subarray(start, end === undefined ? undefined : end + 1);
+            return { stream: Readable.from([bytes]), size: bytes.length };
+        },
+
+        async stat(key) {
+            const result = await database.query('SELECT size FROM media_objects WHERE key = $1', [key]);
+            return result.rows[0] ? { size: result.rows[0].size } : null;
+        },
+
+        async delete(key) {
+            await database.query('DELETE FROM media_objects WHERE key = $1', [key]);
+        },
+
+        publicUrl() {
+            return null;
+        }
+    };
+}
+
+// S3 or any S3-compatible service (MinIO, R2, ...). Set S3_ENDPOINT and
+// S3_FORCE_PATH_STYLE=true for self-hosted stand-ins.
+function createS3Storage({
+    bucket = process.env.S3_BUCKET,
+    region = process.env.S3_REGION || 'us-east-1',
+    endpoint = process.env.S3_ENDPOINT,
+    forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true',
+    accessKeyId = process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+    publicBaseUrl = process.env.S3_PUBLIC_URL
+} = {}) {
+    const { S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+    if (!bucket) {
+        throw new Error('S3_BUCKET is required when STORAGE_BACKEND=s3');
+    }
+
+    const client = new S3Client({
+        region,
+        endpoint,
+        forcePathStyle,
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+
+    return {
+        name: 's3',
+
+        async put(key, data, { contentType } = {}) {
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: data,
+                ContentType: contentType
+            }));
+        },
+
+        async get(key, { start, end } = {}) {
+            const range = start === undefined ? undefined : `bytes=${start}-${end === undefined ? '' : end}`;
+            try {
+                const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key, Range: range }));
+                return { stream: result.Body, size: result.ContentLength };
+            } catch (error) {
+                if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+                throw error;
+            }
+        },
+
+        async stat(key) {
+            try {
+                const result = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+                return { size: result.ContentLength };
+            } catch (error) {
+                if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return null;
+                throw error;
+            }
+        },
+
+        async delete(key) {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        },
+
+        publicUrl(key) {
+            if (!publicBaseUrl || isPrivateKey(key)) return null;
+            return `${publicBaseUrl.replace(/\/$/, '')}/${key}`;
+        }
+    };
+}
+
+const factories = {
+    local: createLocalStorage,
+    database: createDatabaseStorage,
+    s3: createS3Storage
+};
+
+const instances = new Map();
+
+// Get the adapter for a backend name, creating it on first use
+function getStorage(name = process.env.STORAGE_BACKEND || 'local') {
+    if (!factories[name]) {
+        throw new Error(`Unknown storage backend: ${name}`);
+    }
+    if (!instances.has(name)) {
+        instances.set(name, factories[name]());
+    }
+    return instances.get(name);
+}
+
+const MEDIA_EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/gif': '.gif',
+    'image/webp': '.webp',
+    'video/mp4': '.mp4',
+    'video/webm': '.webm'
+};
+
+// Stream a stored object as the response to `req`. A single byte range is
+// answered with 206 unless `ranges` is false, so video players can seek.
+// Content-Type and caching headers are left to the caller. Resolves to false
+// (nothing sent) when the object is missing.
+async function sendStoredObject(req, res, storage, key, { ranges = true } = {}) {
+    const stat = await storage.stat(key);
+    if (!stat) return false;
+
+    res.set('Accept-Ranges', ranges ? 'bytes' : 'none');
+    const requested = ranges ? req.range(stat.size, { combine: true }) : undefined;
+    if (requested === -1) {
+        res.set('Content-Range', `bytes */${stat.size}`);
+        res.status(416).end();
+        return true;
+    }
+
+    // Multiple ranges are rare enough to answer with the whole object
+    let range;
+    if (Array.isArray(requested) && requested.type === 'bytes' && requested.length === 1) {
+        range = requested[0];
+    }
+
+    const object = await storage.get(key, range);
+    if (!object) return false;
+
+    if (range) {
+        res.status(206);
+        res.set('Content-Range', `bytes ${range.start}-${range.end}/${stat.size}`);
+    }
+    if (object.size !== undefined) res.set('Content-Length', object.size);
+    object.stream.on('error', (err) => {
+        logger.error('Error streaming stored object', { key, err });
+        res.destroy(err);
+    });
+    object.stream.pipe(res);
+    return true;
+}
+
+// Storage key for a snap's media, e.g. snaps/2024/05/<id>.jpg, or
+// snaps/2024/05/<id>_thumb.webp for a smaller rendition. Media only its
+// recipients, followers or a single viewer may see goes under private/snaps/...
+function snapMediaKey(snapId, mimeType, createdAt = new Date(), size = null, { isPrivate = false } = {}) {
+    const year = createdAt.getUTCFullYear();
+    const month = String(createdAt.getUTCMonth() + 1).padStart(2, '0');
+    const suffix = size ? `_${size}` : '';
+    const prefix = isPrivate ? PRIVATE_KEY_PREFIX : '';
+    return `${prefix}snaps/${year}/${month}/${snapId}${suffix}${MEDIA_EXTENSIONS[mimeType] || ''}`;
+}
+
+// Storage key for a profile picture, e.g. avatars/<userId>/<version>_thumb.webp.
+// Each upload gets a new version so cached copies of the old one never linger.
+function avatarMediaKey(userId, version, mimeType, size = null) {
+    const suffix = size ? `_${size}` : '';
+    return `avatars/${userId}/${version}${suffix}${MEDIA_EXTENSIONS[mimeType] || ''}`;
+}
+
+module.exports = {
+    PRIVATE_KEY_PREFIX,
+    getStorage,
+    sendStoredObject,
+    snapMediaKey,
+    avatarMediaKey,
+    createLocalStorage,
+    createDatabaseStorage,
+    createS3Storage
+};
@@ -0,0 +1,114 @@
+// story-routes.js - Stories: each user's snaps from the last 24 hours (mounted at /api/stories)
+//
+// A story is not stored separately. A user's story ring is every snap of
+// theirs the viewer may see that was posted in the last STORY_WINDOW, oldest
+// first, so posting a snap adds it to the story. View-once and direct snaps
+// are never part of a story.
+const express = require('express');
+
+const { getRepositories } = require('./repositories');
+const { authenticateToken } = require('./auth');
+const { recordSnapView } = require('./views');
+const { logger } = require('./logger');
+const { rules, validate } = require('./validation');
+
+const router = express.Router();
+
+const STORY_WINDOW = 24 * 60 * 60 * 1000;
+
+// Story items are snaps posted after this
+const storySince = () => new Date(Date.now() - STORY_WINDOW);
+
+const snapNotFound = (res) => res.status(404).json({ success: false, message: 'Story not found' });
+
+const validateStoryItem = validate({ params: { snapId: rules.uuid() } }, { notFound: 'Story not found' });
+
+// Active story rings of the people I follow, plus my own first. Rings with
+// something I have not seen come before fully seen ones, newest first. Users
+// I muted are left out.
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const stories = await getRepositories().stories.rings(req.user.id, storySince());
+
+        res.json({ success: true, stories });
+    } catch (error) {
+        logger.error('Error fetching stories', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch stories',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Mark a story item as seen by me (idempotent). My own items are not
+// recorded. Seeing an item also counts as a view of the snap.
+router.post('/:snapId/seen', authenticateToken, validateStoryItem, async (req, res) => {
+    try {
+        const { stories } = getRepositories();
+        const snap = await stories.findItem(req.params.snapId, req.user.id, storySince());
+        if (!snap) return snapNotFound(res);
+
+        if (snap.user_id !== req.user.id) {
+            await stories.markSeen(req.params.snapId, req.user.id);
+            await recordSnapView(snap, req, { source: 'story' });
+        }
+
+        res.json({ success: true, seen: true });
+    } catch (error) {
+        logger.error('Error marking story seen', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to mark story as seen',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Who has seen one of my story items, most recent first
+router.get('/:snapId/viewers', authenticateToken, validateStoryItem, async (req, res) => {
+    try {
+        const { snaps, stories } = getRepositories();
+        if (!(await snaps.findOwn(req.params.snapId, req.user.id))) {
+            return snapNotFound(res);
+        }
+
+        const viewers = await stories.viewers(req.params.snapId);
+
+        res.json({ success: true, viewerCount: viewers.length, viewers });
+    } catch (error) {
+        logger.error('Error fetching story viewers', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch story viewers',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// One user's story ring, oldest item first, with what I have already seen.
+// The owner also gets each item's viewer count.
+router.get('/:username', authenticateToken, async (req, res) => {
+    try {
+        const items = await getRepositories().stories.ring(req.params.username, req.user.id, storySince());
+        if (items.length === 0) return snapNotFound(res);
+
+        res.json({
+            success: true,
+            story: {
+                username: req.params.username,
+                hasUnseen: items.some(item => !item.seen),
+                items
+            }
+        });
+    } catch (error) {
+        logger.error('Error fetching story', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch story',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
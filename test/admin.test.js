@@ -0,0 +1,61 @@
+// test/admin.test.js - The admin API
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    startServer,
+    stopServer,
+    resetDatabase,
+    makeAdmin,
+    request,
+    createUser,
+    uploadSnap
+} = require('./helpers');
+
+let admin;
+let alice;
+
+before(async () => {
+    await startServer();
+    await resetDatabase();
+    admin = await createUser('root');
+    await makeAdmin(admin.user.id);
+    alice = await createUser('alice');
+});
+
+after(stopServer);
+
+describe('PUT /api/admin/snap/:id', () => {
+    let snapId;
+
+    before(async () => {
+        const { body } = await uploadSnap(alice.token, { caption: 'Before', hashtags: '#old' });
+        snapId = body.snap.id;
+    });
+
+    const update = (json, token = admin.token) =>
+        request(`/api/admin/snap/${snapId}`, { method: 'PUT', token, json });
+
+    it('updates the caption and hashtags', async () => {
+        assert.equal((await update({ caption: 'After', hashtags: '#new' })).status, 200);
+
+        const { body } = await request(`/api/snaps/${snapId}`);
+        assert.equal(body.snap.caption, 'After');
+        assert.deepEqual(body.snap.hashtag_list, ['#new']);
+    });
+
+    it('rejects fields an upload would not accept', async () => {
+        for (const json of [{ caption: 'x'.repeat(2201) }, { hashtags: '#a'.repeat(501) }, { caption: 42 }]) {
+            const { status, body } = await update(json);
+            assert.equal(status, 400);
+            assert.equal(body.code, 'VALIDATION_ERROR');
+        }
+
+        const { body } = await request(`/api/snaps/${snapId}`);
+        assert.equal(body.snap.caption, 'After');
+    });
+
+    it('is only for admins', async () => {
+        assert.equal((await update({ caption: 'Mine now' }, alice.token)).status, 403);
+    });
+});
@@ -0,0 +1,338 @@
+// test/auth.test.js - Signup, login and token checks
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { accountKey, getRateLimitStore, recordLoginFailure } = require('../rate-limit');
+const {
+    postgresOnly,
+    startServer,
+    stopServer,
+    resetDatabase,
+    setUserActive,
+    makeAdmin,
+    request,
+    createUser,
+    uploadSnap,
+    openSocket,
+    nextEvent
+} = require('./helpers');
+
+before(async () => {
+    await startServer();
+    await resetDatabase();
+});
+
+after(stopServer);
+
+describe('POST /api/signup', () => {
+    it('creates an account and starts a session', async () => {
+        const { status, headers, body } = await request('/api/signup', {
+            method: 'POST',
+            json: { username: 'alice', password: 'correct-horse-1', email: 'Alice@Example.com' }
+        });
+
+        assert.equal(status, 201);
+        assert.equal(body.success, true);
+        assert.equal(body.user.username, 'alice');
+        assert.ok(body.token);
+        assert.match(headers.get('set-cookie') || '', /refresh/i);
+    });
+
+    it('rejects usernames, passwords and emails that break the policy', async () => {
+        const { status, body } = await request('/api/signup', {
+            method: 'POST',
+            json: { username: 'a!', password: 'short', email: 'not-an-email' }
+        });
+
+        assert.equal(status, 400);
+        assert.equal(body.code, 'VALIDATION_ERROR');
+        assert.deepEqual(
+            body.errors.map(error => [error.field, error.code]),
+            [['username', 'invalid_format'], ['password', 'too_short'], ['email', 'invalid_email']]
+        );
+    });
+
+    it('requires a letter and a digit in passwords', async () => {
+        const { status, body } = await request('/api/signup', {
+            method: 'POST',
+            json: { username: 'bob', password: 'onlyletters', email: 'bob@example.com' }
+        });
+
+        assert.equal(status, 400);
+        assert.equal(body.errors[0].code, 'too_weak');
+    });
+
+    it('requires an email', async () => {
+        const { status, body } = await request('/api/signup', {
+            method: 'POST',
+            json: { username: 'carol', password: 'correct-horse-1' }
+        });
+
+        assert.equal(status, 400);
+        assert.deepEqual(body.errors.map(error => error.field), ['email']);
+    });
+
+    it('refuses a username taken in any letter case', async () => {
+        const { status, body } = await request('/api/signup', {
+            method: 'POST',
+            json: { username: 'ALICE', password: 'correct-horse-1', email: 'other@example.com' }
+        });
+
+        assert.equal(status, 409);
+        assert.equal(body.code, 'CONFLICT');
+        assert.equal(body.errors[0].field, 'username');
+    });
+
+    it('refuses an email that is already in use', async () => {
+        const { status, body } = await request('/api/signup', {
+            method: 'POST',
+            json: { username: 'alice2', password: 'correct-horse-1', email: 'alice@example.COM' }
+        });
+
+        assert.equal(status, 409);
+        assert.equal(body.errors[0].field, 'email');
+    });
+
+    it('answers malformed JSON with a 400', async () => {
+        const { status, body } = await request('/api/signup', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: '{"username":'
+        });
+
+        assert.equal(status, 400);
+        assert.equal(body.code, 'INVALID_JSON');
+    });
+});
+
+describe('POST /api/login', () => {
+    before(() => createUser('dave'));
+
+    it('logs in with the right password', async () => {
+        const { status, body } = await request('/api/login', {
+            method: 'POST',
+            json: { username: 'dave', password: 'correct-horse-1' }
+        });
+
+        assert.equal(status, 200);
+        assert.equal(body.user.username, 'dave');
+        assert.equal(body.user.email, 'dave@example.com');
+        assert.ok(body.token);
+    });
+
+    it('rejects a wrong password', async () => {
+        const { status, body } = await request('/api/login', {
+            method: 'POST',
+            json: { username: 'dave', password: 'wrong-horse-1' }
+        });
+
+        assert.equal(status, 401);
+        assert.equal(body.code, 'UNAUTHORIZED');
+    });
+
+    it('requires both fields', async () => {
+        const { status, body } = await request('/api/login', { method: 'POST', json: { username: 'dave' } });
+
+        assert.equal(status, 400);
+        assert.equal(body.errors[0].field, 'password');
+    });
+});
+
+// Default policy: locked after 5 failures for 60 seconds, doubling from there
+describe('failed login lockout', () => {
+    const login = (username, password) => request('/api/login', {
+        method: 'POST',
+        json: { username, password }
+    });
+
+    // Seconds until the lock ends, as announced by a 429 response
+    const retryAfter = (response) => {
+        assert.equal(response.status, 429);
+        assert.equal(response.body.code, 'RATE_LIMITED');
+        assert.equal(response.headers.get('retry-after'), String(response.body.retryAfter));
+        return response.body.retryAfter;
+    };
+
+    before(() => createUser('heidi'));
+
+    it('locks the account once the threshold is reached, even for the right password', async () => {
+        for (let i = 0; i < 5; i++) {
+            assert.equal((await login('heidi', 'wrong-horse-1')).status, 401);
+        }
+
+        const locked = await login('heidi', 'correct-horse-1');
+        const seconds = retryAfter(locked);
+        assert.ok(seconds > 55 && seconds <= 60, `Retry-After was ${seconds}`);
+    });
+
+    it('doubles the lock with each failure after it ends', async () => {
+        // Let the first lock run out
+        await getRateLimitStore().reset(`login_lock:${accountKey('heidi')}`);
+        assert.equal((await login('heidi', 'wrong-horse-1')).status, 401);
+        const seconds = retryAfter(await login('heidi', 'correct-horse-1'));
+        assert.ok(seconds > 115 && seconds <= 120, `Retry-After was ${seconds}`);
+    });
+
+    it('counts concurrent failures separately', async () => {
+        await Promise.all(Array.from({ length: 4 }, () => recordLoginFailure('ivan')));
+        const failures = await getRateLimitStore().get(`login_failures:${accountKey('ivan')}`);
+
+        assert.equal(failures.count, 4);
+    });
+
+    it('counts usernames in any letter case as one account', async () => {
+        await recordLoginFailure('Oscar');
+        await recordLoginFailure('OSCAR');
+
+        assert.equal((await getRateLimitStore().get(`login_failures:${accountKey('oscar')}`)).count, 2);
+    });
+
+    it('fits the longest usernames in the shared table', postgresOnly, async () => {
+        const store = getRateLimitStore('database');
+        const key = `login_failures:${accountKey('x'.repeat(255))}`;
+
+        assert.equal((await store.increment(key, 60 * 1000, { sliding: true })).count, 1);
+        await store.reset(key);
+    });
+
+    it('counts concurrent failures in the shared table', postgresOnly, async () => {
+        const store = getRateLimitStore('database');
+        await store.reset('login_failures:judy');
+        const hits = await Promise.all(Array.from({ length: 4 }, () => (
+            store.increment('login_failures:judy', 60 * 1000, { sliding: true })
+        )));
+
+        assert.deepEqual(hits.map(hit => hit.count).sort(), [1, 2, 3, 4]);
+    });
+
+    it('forgets failures after a successful login', async () => {
+        await getRateLimitStore().reset(`login_lock:${accountKey('heidi')}`);
+        assert.equal((await login('heidi', 'correct-horse-1')).status, 200);
+
+        assert.equal(await getRateLimitStore().get(`login_failures:${accountKey('heidi')}`), null);
+        assert.equal((await login('heidi', 'wrong-horse-1')).status, 401);
+    });
+});
+
+describe('access tokens', () => {
+    it('are required by protected routes', async () => {
+        const { status, body } = await request('/api/me');
+
+        assert.equal(status, 401);
+        assert.equal(body.code, 'UNAUTHORIZED');
+    });
+
+    it('are rejected when invalid', async () => {
+        const { status, body } = await request('/api/me', { token: 'not-a-token' });
+
+        assert.equal(status, 403);
+        assert.equal(body.code, 'INVALID_TOKEN');
+    });
+
+    it('identify the user', async () => {
+        const { token } = await createUser('erin');
+        const { status, body } = await request('/api/me', { token });
+
+        assert.equal(status, 200);
+        assert.equal(body.user.username, 'erin');
+    });
+});
+
+describe('revoked sessions', () => {
+    it('refuse their access tokens', async () => {
+        const { token } = await createUser('ivan');
+        assert.equal((await request('/api/sessions', { token })).status, 200);
+
+        assert.equal((await request('/api/logout-all', { method: 'POST', token })).status, 200);
+
+        const { status, body } = await request('/api/sessions', { token });
+        assert.equal(status, 403);
+        assert.equal(body.code, 'INVALID_TOKEN');
+    });
+
+    it('close their open sockets', async () => {
+        const { token } = await createUser('judy');
+        const socket = await openSocket(token);
+        try {
+            const disconnected = nextEvent(socket, 'disconnect');
+            await request('/api/logout-all', { method: 'POST', token });
+            await disconnected;
+
+            await assert.rejects(openSocket(token), /Invalid token/);
+        } finally {
+            socket.close();
+        }
+    });
+
+    it('end with the account', async () => {
+        const { token, user } = await createUser('karl');
+        await setUserActive(user.id, false);
+
+        assert.equal((await request('/api/sessions', { token })).status, 403);
+        assert.equal((await uploadSnap(token)).status, 403);
+        await assert.rejects(openSocket(token), /Invalid token/);
+    });
+});
+
+describe('suspended accounts', () => {
+    const login = (username) => request('/api/login', {
+        method: 'POST',
+        json: { username, password: 'correct-horse-1' }
+    });
+
+    it('stay locked after their owner deactivated them', async () => {
+        const admin = await createUser('grace');
+        await makeAdmin(admin.user.id);
+        const frank = await createUser('frank');
+
+        const deactivated = await request('/api/me/deactivate', {
+            method: 'POST',
+            token: frank.token,
+            json: { password: 'correct-horse-1' }
+        });
+        assert.equal(deactivated.status, 200);
+
+        const suspended = await request(`/api/admin/users/${frank.user.id}/moderation`, {
+            method: 'POST',
+            token: admin.token,
+            json: { action: 'suspend' }
+        });
+        assert.equal(suspended.status, 200);
+
+        const refused = await login('frank');
+        assert.equal(refused.status, 403);
+        assert.equal(refused.body.token, undefined);
+
+        const reinstated = await request(`/api/admin/users/${frank.user.id}/moderation`, {
+            method: 'POST',
+            token: admin.token,
+            json: { action: 'unsuspend' }
+        });
+        assert.equal(reinstated.status, 200);
+        assert.equal((await login('frank')).status, 200);
+    });
+
+    it('lose their access tokens and sockets at once', async () => {
+        const admin = await createUser('mallory');
+        await makeAdmin(admin.user.id);
+        const leo = await createUser('leo');
+        const socket = await openSocket(leo.token);
+
+        try {
+            const disconnected = nextEvent(socket, 'disconnect');
+            const suspended = await request(`/api/admin/users/${leo.user.id}/moderation`, {
+                method: 'POST',
+                token: admin.token,
+                json: { action: 'suspend' }
+            });
+            assert.equal(suspended.status, 200);
+            await disconnected;
+
+            const { status, body } = await request('/api/me', { token: leo.token });
+            assert.equal(status, 403);
+            assert.equal(body.code, 'INVALID_TOKEN');
+        } finally {
+            socket.close();
+        }
+    });
+});
@@ -0,0 +1,155 @@
+// test/blocks.test.js - Blocking and muting users
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    startServer,
+    stopServer,
+    resetDatabase,
+    request,
+    createUser,
+    uploadSnap,
+    openSocket,
+    nextEvent
+} = require('./helpers');
+
+let alice;
+let bob;
+let carol;
+
+before(async () => {
+    await startServer();
+    await resetDatabase();
+    alice = await createUser('alice');
+    bob = await createUser('bob');
+    carol = await createUser('carol');
+});
+
+after(stopServer);
+
+const follow = (token, username) => request(`/api/users/${username}/follow`, { method: 'POST', token });
+const block = (token, username, method = 'POST') => request(`/api/users/${username}/block`, { method, token });
+const mute = (token, username, method = 'POST') => request(`/api/users/${username}/mute`, { method, token });
+const feedIds = async (path, token) => (await request(path, { token })).body.snaps.map(snap => snap.id);
+const blocks = async (token) => (await request('/api/me/blocks', { token })).body;
+
+describe('blocking a user', () => {
+    let snapId;
+
+    before(async () => {
+        await follow(alice.token, 'bob');
+        await follow(bob.token, 'alice');
+        snapId = (await uploadSnap(alice.token)).body.snap.id;
+
+        assert.equal((await block(alice.token, 'bob')).status, 200);
+    });
+
+    it('is idempotent and refuses yourself and unknown users', async () => {
+        assert.equal((await block(alice.token, 'bob')).status, 200);
+        assert.equal((await block(alice.token, 'alice')).status, 400);
+        assert.equal((await block(alice.token, 'nobody')).status, 404);
+        assert.equal((await block(null, 'bob')).status, 401);
+    });
+
+    it('removes follows both ways', async () => {
+        const { body } = await request('/api/users/alice/followers');
+        assert.deepEqual(body.users, []);
+        assert.deepEqual((await request('/api/users/alice/following')).body.users, []);
+    });
+
+    it('hides my profile and snaps from them', async () => {
+        assert.equal((await request('/api/users/alice', { token: bob.token })).status, 404);
+        assert.ok(!(await feedIds('/api/feed', bob.token)).includes(snapId));
+        assert.equal((await request(`/api/snaps/${snapId}`, { token: bob.token })).status, 404);
+        assert.equal((await request(`/api/snaps/image/${snapId}`, { token: bob.token })).status, 404);
+
+        assert.equal((await request('/api/users/alice', { token: carol.token })).status, 200);
+        assert.equal((await request(`/api/snaps/${snapId}`, { token: carol.token })).status, 200);
+    });
+
+    it('keeps them from reaching me', async () => {
+        assert.equal((await follow(bob.token, 'alice')).status, 404);
+        assert.equal((await request(`/api/snaps/${snapId}/like`, { method: 'POST', token: bob.token })).status, 404);
+        const comment = await request(`/api/snaps/${snapId}/comments`, {
+            method: 'POST',
+            token: bob.token,
+            json: { body: 'Hello?' }
+        });
+        assert.equal(comment.status, 404);
+        assert.equal((await uploadSnap(bob.token, { recipients: 'alice' })).status, 400);
+    });
+
+    it('keeps me from following or messaging them until I unblock', async () => {
+        assert.equal((await follow(alice.token, 'bob')).status, 400);
+        assert.equal((await uploadSnap(alice.token, { recipients: 'bob' })).status, 400);
+    });
+
+    it('keeps their live updates from me', async () => {
+        const blocker = await openSocket(alice.token);
+        const saw = [];
+        blocker.on('snap_created', snap => saw.push(snap.id));
+        try {
+            await uploadSnap(bob.token);
+
+            // carol's snap reaches alice after anything sent before it
+            const created = nextEvent(blocker, 'snap_created');
+            const { body } = await uploadSnap(carol.token);
+            await created;
+            assert.deepEqual(saw, [body.snap.id]);
+        } finally {
+            blocker.disconnect();
+        }
+    });
+
+    it('is listed and can be undone', async () => {
+        assert.deepEqual((await blocks(alice.token)).blocked.map(user => user.username), ['bob']);
+
+        assert.equal((await block(alice.token, 'bob', 'DELETE')).status, 200);
+        assert.deepEqual((await blocks(alice.token)).blocked, []);
+        assert.equal((await request('/api/users/alice', { token: bob.token })).status, 200);
+        assert.equal((await request(`/api/snaps/${snapId}`, { token: bob.token })).status, 200);
+        assert.equal((await follow(bob.token, 'alice')).status, 200);
+    });
+});
+
+describe('muting a user', () => {
+    let snapId;
+
+    before(async () => {
+        await follow(carol.token, 'bob');
+        snapId = (await uploadSnap(bob.token)).body.snap.id;
+
+        assert.equal((await mute(carol.token, 'bob')).status, 200);
+    });
+
+    it('takes their snaps out of my feeds', async () => {
+        assert.ok(!(await feedIds('/api/feed', carol.token)).includes(snapId));
+        assert.ok(!(await feedIds('/api/feed/home', carol.token)).includes(snapId));
+        assert.ok(!(await feedIds('/api/feed/discover', carol.token)).includes(snapId));
+    });
+
+    it('still shows their profile and snaps', async () => {
+        const { status, body } = await request('/api/users/bob', { token: carol.token });
+        assert.equal(status, 200);
+        assert.ok(body.snaps.some(snap => snap.id === snapId));
+        assert.equal((await request(`/api/snaps/${snapId}`, { token: carol.token })).status, 200);
+    });
+
+    it('is listed apart from blocks and can be undone', async () => {
+        const listed = await blocks(carol.token);
+        assert.deepEqual(listed.muted.map(user => user.username), ['bob']);
+        assert.deepEqual(listed.blocked, []);
+
+        assert.equal((await mute(carol.token, 'bob', 'DELETE')).status, 200);
+        assert.ok((await feedIds('/api/feed', carol.token)).includes(snapId));
+    });
+
+    it('becomes a block when I block them', async () => {
+        await mute(carol.token, 'bob');
+        await block(carol.token, 'bob');
+
+        const listed = await blocks(carol.token);
+        assert.deepEqual(listed.muted, []);
+        assert.deepEqual(listed.blocked.map(user => user.username), ['bob']);
+    });
+});
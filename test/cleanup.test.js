@@ -0,0 +1,108 @@
+// test/cleanup.test.js - Removing expired snaps
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const {
+    cleanupExpiredSnaps,
+    startServer,
+    stopServer,
+    resetDatabase,
+    updateSnapTimes,
+    findSnapRow,
+    snapHashtags,
+    request,
+    createUser,
+    uploadSnap,
+    openSocket,
+    nextEvent
+} = require('./helpers');
+
+const { snapMediaKeys } = require('../images');
+
+// Where the local storage backend keeps an object
+const mediaPath = (key) => path.join(process.env.MEDIA_DIR, key);
+
+const expire = (id) => updateSnapTimes(id, { expiresAt: new Date(Date.now() - 60 * 1000) });
+
+let alice;
+
+before(async () => {
+    await startServer();
+    await resetDatabase();
+    alice = await createUser('alice');
+});
+
+after(stopServer);
+
+describe('cleanupExpiredSnaps', () => {
+    it('does nothing when no snap has expired', async () => {
+        await uploadSnap(alice.token);
+
+        assert.equal(await cleanupExpiredSnaps(), 0);
+    });
+
+    it('deletes expired snaps with their media and tells clients', async () => {
+        const { body: keep } = await uploadSnap(alice.token);
+        const { body: gone } = await uploadSnap(alice.token, { hashtags: '#old' });
+        await expire(gone.snap.id);
+
+        const keys = snapMediaKeys(await findSnapRow(gone.snap.id));
+        assert.ok(keys.length > 1);
+        for (const key of keys) {
+            assert.ok(fs.existsSync(mediaPath(key)), `${key} should exist before cleanup`);
+        }
+
+        const socket = await openSocket(alice.token);
+        try {
+            const expired = nextEvent(socket, 'snap_expired');
+
+            assert.equal(await cleanupExpiredSnaps(), 1);
+            assert.deepEqual((await expired).snapIds, [gone.snap.id]);
+        } finally {
+            socket.disconnect();
+        }
+
+        assert.ok(await findSnapRow(keep.snap.id));
+        assert.equal(await findSnapRow(gone.snap.id), null);
+
+        assert.deepEqual(await snapHashtags(gone.snap.id), []);
+
+        for (const key of keys) {
+            assert.ok(!fs.existsSync(mediaPath(key)), `${key} should be removed`);
+        }
+
+        assert.equal((await request(`/api/snaps/${gone.snap.id}`)).status, 404);
+        assert.equal((await request(`/api/snaps/${keep.snap.id}`)).status, 200);
+    });
+
+    it('only tells the audience of each snap', async () => {
+        const bob = await createUser('bob');
+        const { body: open } = await uploadSnap(alice.token);
+        const { body: hidden } = await uploadSnap(alice.token, { visibility: 'followers' });
+        await expire(open.snap.id);
+        await expire(hidden.snap.id);
+
+        const [owner, stranger] = [await openSocket(alice.token), await openSocket(bob.token)];
+        const seen = new Map([[owner, []], [stranger, []]]);
+        for (const [socket, snapIds] of seen) {
+            socket.on('snap_expired', payload => snapIds.push(...payload.snapIds));
+        }
+        try {
+            assert.equal(await cleanupExpiredSnaps(), 2);
+
+            // Events reach a socket in order, so a later snap means every
+            // snap_expired has arrived
+            const created = Promise.all([nextEvent(owner, 'snap_created'), nextEvent(stranger, 'snap_created')]);
+            await uploadSnap(alice.token);
+            await created;
+
+            assert.deepEqual(seen.get(stranger), [open.snap.id]);
+            assert.deepEqual(seen.get(owner).sort(), [open.snap.id, hidden.snap.id].sort());
+        } finally {
+            owner.disconnect();
+            stranger.disconnect();
+        }
+    });
+});
@@ -0,0 +1,127 @@
+// test/direct.test.js - Sending, listing and opening direct snaps
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    startServer,
+    stopServer,
+    resetDatabase,
+    request,
+    createUser,
+    uploadSnap,
+    openSocket,
+    nextEvent
+} = require('./helpers');
+
+let alice;
+let bob;
+let carol;
+
+before(async () => {
+    await startServer();
+    await resetDatabase();
+    alice = await createUser('alice');
+    bob = await createUser('bob');
+    carol = await createUser('carol');
+});
+
+after(stopServer);
+
+const open = (id, token) => request(`/api/direct/${id}/open`, { method: 'POST', token });
+const inbox = async (token) => (await request('/api/direct/inbox', { token })).body.inbox;
+
+describe('sending direct snaps', () => {
+    it('refuses unknown recipients and the sender', async () => {
+        for (const recipients of ['nobody', 'alice', 'bob, nobody']) {
+            const { status, body } = await uploadSnap(alice.token, { recipients });
+            assert.equal(status, 400, recipients);
+            assert.equal(body.success, false);
+        }
+        assert.deepEqual(await inbox(bob.token), []);
+    });
+
+    it('keeps them out of feeds and the public image route', async () => {
+        const { status, body } = await uploadSnap(alice.token, { recipients: 'bob' });
+        assert.equal(status, 201);
+        const id = body.snap.id;
+
+        const { body: feed } = await request('/api/feed', { token: bob.token });
+        assert.ok(!feed.snaps.some(snap => snap.id === id));
+        assert.equal((await request(`/api/snaps/${id}`, { token: bob.token })).status, 404);
+        assert.equal((await request(`/api/snaps/image/${id}`, { token: bob.token })).status, 404);
+        assert.equal((await request(`/api/snaps/image/${id}`, { token: alice.token })).status, 404);
+    });
+});
+
+describe('the inbox', () => {
+    it('groups unopened snaps by sender and reports delivery', async () => {
+        const sender = await openSocket(carol.token);
+        const recipient = await openSocket(bob.token);
+        try {
+            const received = nextEvent(recipient, 'direct_snap_received');
+            const { body } = await uploadSnap(carol.token, { recipients: 'bob' });
+            assert.equal((await received).snapId, body.snap.id);
+
+            const delivered = nextEvent(sender, 'direct_snap_status');
+            const entries = await inbox(bob.token);
+            assert.deepEqual(entries.map(entry => [entry.sender.username, entry.unopenedCount]), [['carol', 1], ['alice', 1]]);
+
+            const status = await delivered;
+            assert.equal(status.snapId, body.snap.id);
+            assert.equal(status.status, 'delivered');
+        } finally {
+            sender.disconnect();
+            recipient.disconnect();
+        }
+    });
+});
+
+describe('opening a direct snap', () => {
+    let snapId;
+
+    before(async () => {
+        snapId = (await uploadSnap(alice.token, { recipients: 'bob carol', caption: 'Just for you' })).body.snap.id;
+    });
+
+    it('works once per recipient', async () => {
+        const first = await open(snapId, bob.token);
+        assert.equal(first.status, 200);
+        assert.equal(first.body.snap.caption, 'Just for you');
+        assert.equal(first.headers.get('cache-control'), 'no-store');
+
+        const media = await request(first.body.snap.mediaUrl);
+        assert.equal(media.status, 200);
+        assert.match(media.headers.get('content-type'), /^image\//);
+
+        const second = await open(snapId, bob.token);
+        assert.equal(second.status, 404);
+        assert.ok(!(await inbox(bob.token)).some(entry => entry.snaps.some(snap => snap.id === snapId)));
+    });
+
+    it('is refused to everyone else', async () => {
+        const dave = await createUser('dave');
+        assert.equal((await open(snapId, dave.token)).status, 404);
+        assert.equal((await open(snapId, alice.token)).status, 404);
+        assert.equal((await open('not-a-uuid', bob.token)).status, 404);
+    });
+
+    it('needs the token handed out on opening', async () => {
+        assert.equal((await request(`/api/direct/${snapId}/media?token=guess`)).status, 404);
+        assert.equal((await request(`/api/direct/${snapId}/media`)).status, 400);
+    });
+
+    it('shows the sender who opened it', async () => {
+        const sender = await openSocket(alice.token);
+        try {
+            const opened = nextEvent(sender, 'direct_snap_status');
+            assert.equal((await open(snapId, carol.token)).status, 200);
+            assert.equal((await opened).status, 'opened');
+        } finally {
+            sender.disconnect();
+        }
+
+        const { body } = await request('/api/direct/sent', { token: alice.token });
+        const sent = body.snaps.find(snap => snap.id === snapId);
+        assert.deepEqual(sent.recipients.map(r => [r.username, r.status]), [['bob', 'opened'], ['carol', 'opened']]);
+    });
+});
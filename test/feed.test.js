@@ -0,0 +1,142 @@
+// test/feed.test.js - Feed pagination and hashtag lists
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    startServer,
+    stopServer,
+    resetDatabase,
+    updateSnapTimes,
+    request,
+    createUser,
+    uploadSnap
+} = require('./helpers');
+
+const MINUTE = 60 * 1000;
+
+const SNAP_COUNT = 5;
+
+// Ids of alice's snaps, newest first
+let snapIds = [];
+
+before(async () => {
+    await startServer();
+    await resetDatabase();
+    const alice = await createUser('alice');
+
+    for (let i = 0; i < SNAP_COUNT; i++) {
+        const { body } = await uploadSnap(alice.token, { caption: `Snap ${i}`, hashtags: `#all #snap${i}` });
+        snapIds.unshift(body.snap.id);
+    }
+
+    // Spread the snaps out so their order does not depend on timing
+    for (const [index, id] of snapIds.entries()) {
+        await updateSnapTimes(id, { createdAt: new Date(Date.now() - index * MINUTE) });
+    }
+});
+
+after(stopServer);
+
+describe('GET /api/feed', () => {
+    it('lists snaps newest first with their hashtags', async () => {
+        const { status, body } = await request('/api/feed');
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.snaps.map(snap => snap.id), snapIds);
+        for (const snap of body.snaps) {
+            const number = snap.caption.split(' ')[1];
+            assert.deepEqual([...snap.hashtag_list].sort(), ['#all', `#snap${number}`]);
+            assert.equal(snap.username, 'alice');
+        }
+    });
+
+    it('walks every page with cursors', async () => {
+        const seen = [];
+        let cursor = null;
+        let pages = 0;
+
+        do {
+            const query = cursor ? `?limit=2&cursor=${encodeURIComponent(cursor)}` : '?limit=2';
+            const { status, body } = await request(`/api/feed${query}`);
+            assert.equal(status, 200);
+            assert.ok(body.snaps.length <= 2);
+            seen.push(...body.snaps.map(snap => snap.id));
+            cursor = body.nextCursor;
+            assert.equal(body.pagination.hasMore, Boolean(cursor));
+            pages++;
+        } while (cursor && pages < 10);
+
+        assert.equal(pages, 3);
+        assert.deepEqual(seen, snapIds);
+    });
+
+    it('picks up newer snaps with since', async () => {
+        const { body: first } = await request('/api/feed?limit=2');
+        const { body: newer } = await request(`/api/feed?since=${encodeURIComponent(first.prevCursor)}`);
+
+        assert.equal(newer.snaps.length, 0);
+        assert.equal(newer.prevCursor, first.prevCursor);
+    });
+
+    it('supports page numbers with totals', async () => {
+        const { status, body } = await request('/api/feed?page=2&limit=2');
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.snaps.map(snap => snap.id), snapIds.slice(2, 4));
+        assert.equal(body.pagination.page, 2);
+        assert.equal(body.pagination.totalItems, SNAP_COUNT);
+        assert.equal(body.pagination.totalPages, 3);
+    });
+
+    it('rejects malformed cursors', async () => {
+        const { status, body } = await request('/api/feed?cursor=garbage');
+
+        assert.equal(status, 400);
+        assert.equal(body.success, false);
+    });
+
+    it('lists every bad paging parameter', async () => {
+        const { status, body } = await request('/api/feed?limit=500&page=0');
+
+        assert.equal(status, 400);
+        assert.equal(body.code, 'VALIDATION_ERROR');
+        assert.deepEqual(body.errors.map(error => [error.field, error.code]), [
+            ['limit', 'out_of_range'],
+            ['page', 'out_of_range']
+        ]);
+    });
+
+    it('leaves out expired snaps', async () => {
+        await updateSnapTimes(snapIds[0], { expiresAt: new Date(Date.now() - 1000) });
+        try {
+            const { body } = await request('/api/feed');
+            assert.deepEqual(body.snaps.map(snap => snap.id), snapIds.slice(1));
+        } finally {
+            await updateSnapTimes(snapIds[0], { expiresAt: new Date(Date.now() + 60 * MINUTE) });
+        }
+    });
+});
+
+describe('GET /api/hashtags/:tag/snaps', () => {
+    it('lists the snaps carrying a tag, in any letter case', async () => {
+        const { status, body } = await request('/api/hashtags/SNAP3/snaps');
+
+        assert.equal(status, 200);
+        assert.equal(body.snaps.length, 1);
+        assert.equal(body.snaps[0].caption, 'Snap 3');
+    });
+
+    it('paginates like the feed', async () => {
+        const { body } = await request('/api/hashtags/all/snaps?limit=3');
+
+        assert.equal(body.snaps.length, 3);
+        assert.ok(body.nextCursor);
+    });
+});
+
+describe('unknown API paths', () => {
+    it('answer 404', async () => {
+        assert.equal((await request('/api/nothing-here')).status, 404);
+        assert.equal((await request('/api/nothing-here', { method: 'POST', json: {} })).status, 404);
+    });
+});
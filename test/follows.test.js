@@ -0,0 +1,121 @@
+// test/follows.test.js - Following users and the home and discover feeds
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    startServer,
+    stopServer,
+    resetDatabase,
+    request,
+    createUser,
+    uploadSnap,
+    openSocket,
+    nextEvent
+} = require('./helpers');
+
+let alice;
+let bob;
+let carol;
+
+before(async () => {
+    await startServer();
+    await resetDatabase();
+    alice = await createUser('alice');
+    bob = await createUser('bob');
+    carol = await createUser('carol');
+});
+
+after(stopServer);
+
+const follow = (token, username, method = 'POST') =>
+    request(`/api/users/${username}/follow`, { method, token });
+const feedIds = async (path, token) => (await request(path, { token })).body.snaps.map(snap => snap.id);
+const listedNames = async (path) => (await request(path)).body.users.map(user => user.username);
+
+describe('following', () => {
+    it('is idempotent and listed on both sides', async () => {
+        assert.equal((await follow(bob.token, 'alice')).status, 200);
+        const again = await follow(bob.token, 'alice');
+        assert.equal(again.status, 200);
+        assert.equal(again.body.following, true);
+        await follow(carol.token, 'alice');
+
+        assert.deepEqual((await listedNames('/api/users/alice/followers')).sort(), ['bob', 'carol']);
+        assert.deepEqual(await listedNames('/api/users/bob/following'), ['alice']);
+    });
+
+    it('can be undone', async () => {
+        const { status, body } = await follow(carol.token, 'alice', 'DELETE');
+
+        assert.equal(status, 200);
+        assert.equal(body.following, false);
+        assert.deepEqual(await listedNames('/api/users/alice/followers'), ['bob']);
+    });
+
+    it('refuses yourself and unknown users', async () => {
+        assert.equal((await follow(alice.token, 'alice')).status, 400);
+        assert.equal((await follow(alice.token, 'nobody')).status, 404);
+        assert.equal((await follow(null, 'alice')).status, 401);
+    });
+});
+
+describe('home and discover feeds', () => {
+    let publicSnap;
+    let followersSnap;
+    let carolSnap;
+    let bobSnap;
+
+    before(async () => {
+        // bob follows alice (see above), nobody follows carol
+        publicSnap = (await uploadSnap(alice.token)).body.snap.id;
+        followersSnap = (await uploadSnap(alice.token, { visibility: 'followers' })).body.snap.id;
+        carolSnap = (await uploadSnap(carol.token)).body.snap.id;
+        bobSnap = (await uploadSnap(bob.token)).body.snap.id;
+    });
+
+    it('home shows my snaps and those of people I follow', async () => {
+        const ids = await feedIds('/api/feed/home', bob.token);
+
+        assert.deepEqual(ids.sort(), [publicSnap, followersSnap, bobSnap].sort());
+    });
+
+    it('home needs a token', async () => {
+        assert.equal((await request('/api/feed/home')).status, 401);
+    });
+
+    it('discover shows public snaps from everyone', async () => {
+        const ids = await feedIds('/api/feed/discover');
+
+        assert.deepEqual(ids.sort(), [publicSnap, carolSnap, bobSnap].sort());
+    });
+
+    it('keeps followers-only snaps from everyone else', async () => {
+        assert.ok(!(await feedIds('/api/feed', carol.token)).includes(followersSnap));
+        assert.ok(!(await feedIds('/api/feed/discover', carol.token)).includes(followersSnap));
+        assert.equal((await request(`/api/snaps/${followersSnap}`, { token: carol.token })).status, 404);
+        assert.equal((await request(`/api/snaps/image/${followersSnap}`, { token: carol.token })).status, 404);
+
+        assert.equal((await request(`/api/snaps/image/${followersSnap}`, { token: bob.token })).status, 200);
+    });
+
+    it('announces followers-only snaps to followers alone', async () => {
+        const follower = await openSocket(bob.token);
+        const stranger = await openSocket(carol.token);
+        const strangerSaw = [];
+        stranger.on('snap_created', snap => strangerSaw.push(snap.id));
+        try {
+            const created = nextEvent(follower, 'snap_created');
+            const { body } = await uploadSnap(alice.token, { visibility: 'followers' });
+            assert.equal((await created).id, body.snap.id);
+
+            // A public snap reaches the stranger after anything sent before it
+            const publicCreated = nextEvent(stranger, 'snap_created');
+            const { body: later } = await uploadSnap(alice.token);
+            await publicCreated;
+            assert.deepEqual(strangerSaw, [later.snap.id]);
+        } finally {
+            follower.disconnect();
+            stranger.disconnect();
+        }
+    });
+});
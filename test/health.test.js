@@ -0,0 +1,115 @@
+// test/health.test.js - Liveness, readiness and metrics endpoints
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('../db-pg');
+const {
+    cleanupExpiredSnaps,
+    postgresOnly,
+    startServer,
+    stopServer,
+    resetDatabase,
+    request,
+    createUser,
+    uploadSnap,
+    openSocket
+} = require('./helpers');
+
+let alice;
+
+before(async () => {
+    await startServer();
+    await resetDatabase();
+    alice = await createUser('alice');
+});
+
+after(stopServer);
+
+describe('GET /healthz', () => {
+    it('answers while the process is up', async () => {
+        const { status, body } = await request('/healthz');
+
+        assert.equal(status, 200);
+        assert.equal(body.status, 'ok');
+        assert.equal(typeof body.uptime, 'number');
+    });
+});
+
+describe('GET /readyz', () => {
+    it('reports every check when ready', async () => {
+        const { status, body } = await request('/readyz');
+
+        assert.equal(status, 200);
+        assert.equal(body.status, 'ready');
+        assert.deepEqual(Object.keys(body.checks).sort(), ['database', 'migrations', 'uploads']);
+        for (const check of Object.values(body.checks)) {
+            assert.equal(check.ok, true);
+        }
+    });
+
+    it('answers 503 while a migration is pending', postgresOnly, async () => {
+        const { rows: [latest] } = await db.query(
+            'DELETE FROM schema_migrations WHERE version = (SELECT MAX(version) FROM schema_migrations) RETURNING *'
+        );
+        try {
+            const { status, body } = await request('/readyz');
+
+            assert.equal(status, 503);
+            assert.equal(body.code, 'SERVICE_UNAVAILABLE');
+            assert.equal(body.checks.database.ok, true);
+            assert.equal(body.checks.migrations.ok, false);
+            assert.match(body.checks.migrations.error, new RegExp(latest.version));
+        } finally {
+            await db.query(
+                'INSERT INTO schema_migrations (version, name, applied_at) VALUES ($1, $2, $3)',
+                [latest.version, latest.name, latest.applied_at]
+            );
+        }
+    });
+});
+
+describe('GET /metrics', () => {
+    const metrics = async () => {
+        const { status, headers, body } = await request('/metrics');
+        assert.equal(status, 200);
+        assert.match(headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+        return body.toString();
+    };
+
+    it('times requests by route pattern', async () => {
+        await request('/api/feed');
+
+        assert.match(await metrics(), /^http_request_duration_seconds_count\{method="GET",route="\/api\/feed",status="200"\} \d+$/m);
+    });
+
+    it('records upload sizes and cleanup runs', async () => {
+        const { status } = await uploadSnap(alice.token);
+        assert.equal(status, 201);
+        await cleanupExpiredSnaps();
+
+        const text = await metrics();
+        assert.match(text, /^snap_upload_size_bytes_count\{media_type="image"\} 1$/m);
+        assert.match(text, /^snap_cleanup_runs_total\{result="ok"\} \d+$/m);
+        assert.match(text, /^snap_cleanup_last_run_timestamp_seconds \d+/m);
+    });
+
+    it('counts open sockets', async () => {
+        const socket = await openSocket(alice.token);
+        try {
+            assert.match(await metrics(), /^socket_connections 1$/m);
+        } finally {
+            socket.disconnect();
+        }
+    });
+
+    it('needs the token when METRICS_TOKEN is set', async () => {
+        process.env.METRICS_TOKEN = 'scrape-secret';
+        try {
+            assert.equal((await request('/metrics')).status, 401);
+            assert.equal((await request('/metrics', { token: 'wrong' })).status, 401);
+            assert.equal((await request('/metrics', { token: 'scrape-secret' })).status, 200);
+        } finally {
+            delete process.env.METRICS_TOKEN;
+        }
+    });
+});
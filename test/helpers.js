@@ -0,0 +1,199 @@
+// test/helpers.js - Shared setup for the API tests
+//
+// Run through test/run.js, which points PG_* at a migrated throwaway database
+// or DATABASE_URL at an in-memory SQLite one before this file loads the app.
+const sharp = require('sharp');
+const { io: connectSocket } = require('socket.io-client');
+
+const db = require('../db-pg');
+const { getRepositories } = require('../repositories');
+const { app, server, cleanupExpiredSnaps } = require('../server-pg');
+
+const repositories = getRepositories();
+const sqlite = repositories.driver === 'sqlite' ? repositories.database : null;
+
+// it() options for tests of features only the PostgreSQL driver has
+// (migrations, schema checks, the database media store, ...)
+const postgresOnly = { skip: sqlite ? 'needs the PostgreSQL driver' : false };
+
+let baseUrl = null;
+
+// Listen on a free port. Returns the base URL, e.g. http://127.0.0.1:43121
+async function startServer() {
+    if (!baseUrl) {
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    }
+    return baseUrl;
+}
+
+async function stopServer() {
+    await new Promise(resolve => {
+        server.close(() => resolve());
+        server.closeAllConnections();
+    });
+    await repositories.close();
+}
+
+// Empty every table except the migration ledger
+async function resetDatabase() {
+    if (sqlite) {
+        // Children first, so foreign keys never point at a deleted row
+        for (const table of [
+            'admin_audit_log', 'moderation_actions', 'snap_reports', 'snap_recipients', 'story_views',
+            'snap_views', 'snap_comments', 'snap_likes', 'snaps_hashtags', 'snaps', 'user_blocks', 'follows',
+            'refresh_tokens', 'sessions', 'users', 'sqlite_sequence'
+        ]) {
+            sqlite.prepare(`DELETE FROM ${table}`).run();
+        }
+        return;
+    }
+
+    const result = await db.query(
+        `SELECT tablename FROM pg_tables
+         WHERE schemaname = 'public' AND tablename <> 'schema_migrations'`
+    );
+    const tables = result.rows.map(row => `"${row.tablename}"`).join(', ');
+    if (tables) await db.query(`TRUNCATE ${tables} RESTART IDENTITY CASCADE`);
+}
+
+// Move a snap in time: `createdAt` and `expiresAt` are Dates
+async function updateSnapTimes(id, { createdAt, expiresAt }) {
+    for (const [column, value] of [['created_at', createdAt], ['expires_at', expiresAt]]) {
+        if (!value) continue;
+        if (sqlite) {
+            sqlite.prepare(`UPDATE snaps SET ${column} = ? WHERE id = ?`).run(value.toISOString(), id);
+        } else {
+            await db.query(`UPDATE snaps SET ${column} = $2 WHERE id = $1`, [id, value]);
+        }
+    }
+}
+
+// Deactivate or reactivate an account behind the API's back
+async function setUserActive(id, active) {
+    if (sqlite) {
+        sqlite.prepare('UPDATE users SET is_active = ? WHERE id = ?').run(active ? 1 : 0, id);
+    } else {
+        await db.query('UPDATE users SET is_active = $2 WHERE id = $1', [id, active]);
+    }
+}
+
+// Give an account the admin role
+async function makeAdmin(id) {
+    if (sqlite) {
+        sqlite.prepare(`UPDATE users SET role = 'admin' WHERE id = ?`).run(id);
+    } else {
+        await db.query(`UPDATE users SET role = 'admin' WHERE id = $1`, [id]);
+    }
+}
+
+// The stored row of a snap ({ id, storage_key, renditions }), or null
+async function findSnapRow(id) {
+    if (sqlite) {
+        const row = sqlite.prepare('SELECT id, storage_key, renditions FROM snaps WHERE id = ?').get(id);
+        return row ? { ...row, renditions: JSON.parse(row.renditions) } : null;
+    }
+    const result = await db.query('SELECT id, storage_key, renditions FROM snaps WHERE id = $1', [id]);
+    return result.rows[0] || null;
+}
+
+// The snaps_hashtags entries of a snap, sorted
+async function snapHashtags(id) {
+    if (sqlite) {
+        return sqlite.prepare('SELECT hashtag FROM snaps_hashtags WHERE snap_id = ? ORDER BY hashtag').all(id)
+            .map(row => row.hashtag);
+    }
+    const result = await db.query('SELECT hashtag FROM snaps_hashtags WHERE snap_id = $1 ORDER BY hashtag', [id]);
+    return result.rows.map(row => row.hashtag);
+}
+
+// Call the API. `json` is sent as a JSON body, `form` (a FormData) as
+// multipart and `body` as is. Resolves to { status, headers, body } with the
+// body parsed when the response is JSON, or as a Buffer otherwise.
+async function request(path, { method = 'GET', token, json, form, body, headers = {} } = {}) {
+    const options = { method, headers: { ...headers }, redirect: 'manual' };
+    if (token) options.headers.Authorization = `Bearer ${token}`;
+    if (json !== undefined) {
+        options.headers['Content-Type'] = 'application/json';
+        options.body = JSON.stringify(json);
+    } else {
+        options.body = form || body;
+    }
+
+    const response = await fetch(`${baseUrl}${path}`, options);
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return {
+        status: response.status,
+        headers: response.headers,
+        body: isJson ? await response.json() : Buffer.from(await response.arrayBuffer())
+    };
+}
+
+// Sign up a user and return { token, user }
+async function createUser(username, { password = 'correct-horse-1', email = `${username}@example.com` } = {}) {
+    const { status, body } = await request('/api/signup', { method: 'POST', json: { username, password, email } });
+    if (status !== 201) {
+        throw new Error(`Signup of ${username} failed with ${status}: ${JSON.stringify(body)}`);
+    }
+    return { token: body.token, user: body.user };
+}
+
+// A small solid-colour PNG
+function testImage({ width = 64, height = 48, color = { r: 200, g: 40, b: 40 } } = {}) {
+    return sharp({ create: { width, height, channels: 3, background: color } }).png().toBuffer();
+}
+
+// Upload a snap as a multipart form, like the upload page does. `fields` are
+// extra form fields (caption, hashtags, lifetime, ...).
+async function uploadSnap(token, fields = {}, { image, filename = 'snap.png', type = 'image/png' } = {}) {
+    const form = new FormData();
+    form.append('image', new Blob([image || await testImage()], { type }), filename);
+    for (const [name, value] of Object.entries(fields)) {
+        form.append(name, value);
+    }
+    return request('/api/snaps', { method: 'POST', token, form });
+}
+
+// Connect a Socket.IO client with an access token; resolves once connected
+function openSocket(token) {
+    return new Promise((resolve, reject) => {
+        const socket = connectSocket(baseUrl, { auth: { token }, transports: ['websocket'], reconnection: false });
+        socket.once('connect', () => resolve(socket));
+        socket.once('connect_error', reject);
+    });
+}
+
+// Resolve with the next `event` on a socket, or reject after `timeoutMs`
+function nextEvent(socket, event, timeoutMs = 2000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            socket.off(event, onEvent);
+            reject(new Error(`Timed out waiting for ${event}`));
+        }, timeoutMs);
+        const onEvent = (payload) => {
+            clearTimeout(timer);
+            resolve(payload);
+        };
+        socket.once(event, onEvent);
+    });
+}
+
+module.exports = {
+    app,
+    cleanupExpiredSnaps,
+    postgresOnly,
+    startServer,
+    stopServer,
+    resetDatabase,
+    updateSnapTimes,
+    setUserActive,
+    makeAdmin,
+    findSnapRow,
+    snapHashtags,
+    request,
+    createUser,
+    testImage,
+    uploadSnap,
+    openSocket,
+    nextEvent
+};
@@ -0,0 +1,159 @@
+// test/interactions.test.js - Likes and comments on snaps
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    startServer,
+    stopServer,
+    resetDatabase,
+    request,
+    createUser,
+    uploadSnap,
+    openSocket,
+    nextEvent
+} = require('./helpers');
+
+let alice;
+let bob;
+let carol;
+
+before(async () => {
+    await startServer();
+    await resetDatabase();
+    alice = await createUser('alice');
+    bob = await createUser('bob');
+    carol = await createUser('carol');
+});
+
+after(stopServer);
+
+const getSnap = async (id, token) => (await request(`/api/snaps/${id}`, { token })).body.snap;
+
+describe('likes', () => {
+    let snapId;
+
+    before(async () => {
+        snapId = (await uploadSnap(alice.token)).body.snap.id;
+    });
+
+    const like = (token, method = 'POST') => request(`/api/snaps/${snapId}/like`, { method, token });
+
+    it('counts each user once and shows who liked', async () => {
+        assert.equal((await like(bob.token)).body.likeCount, 1);
+        const again = await like(bob.token);
+        assert.equal(again.status, 200);
+        assert.equal(again.body.likeCount, 1);
+
+        assert.equal((await getSnap(snapId, bob.token)).likedByMe, true);
+        const seenByCarol = await getSnap(snapId, carol.token);
+        assert.equal(seenByCarol.likeCount, 1);
+        assert.equal(seenByCarol.likedByMe, false);
+
+        const { body: feed } = await request('/api/feed', { token: bob.token });
+        const card = feed.snaps.find(snap => snap.id === snapId);
+        assert.equal(card.likeCount, 1);
+        assert.equal(card.likedByMe, true);
+    });
+
+    it('can be taken back', async () => {
+        const { status, body } = await like(bob.token, 'DELETE');
+
+        assert.equal(status, 200);
+        assert.equal(body.liked, false);
+        assert.equal(body.likeCount, 0);
+        assert.equal((await getSnap(snapId, bob.token)).likedByMe, false);
+    });
+
+    it('require a token', async () => {
+        assert.equal((await like(null)).status, 401);
+    });
+
+    it('tell the owner and update open feeds', async () => {
+        const owner = await openSocket(alice.token);
+        const viewer = await openSocket(carol.token);
+        try {
+            const notified = nextEvent(owner, 'notification');
+            const liked = nextEvent(viewer, 'snap_liked');
+            await like(bob.token);
+
+            const notification = await notified;
+            assert.equal(notification.type, 'like');
+            assert.equal(notification.from.username, 'bob');
+            const update = await liked;
+            assert.equal(update.snapId, snapId);
+            assert.equal(update.likeCount, 1);
+        } finally {
+            owner.disconnect();
+            viewer.disconnect();
+        }
+    });
+
+    it('answer 404 for snaps the user cannot see', async () => {
+        const { body } = await uploadSnap(alice.token, { visibility: 'followers' });
+        const { status } = await request(`/api/snaps/${body.snap.id}/like`, { method: 'POST', token: carol.token });
+
+        assert.equal(status, 404);
+    });
+});
+
+describe('comments', () => {
+    let snapId;
+
+    before(async () => {
+        snapId = (await uploadSnap(alice.token)).body.snap.id;
+    });
+
+    const comment = (token, body) =>
+        request(`/api/snaps/${snapId}/comments`, { method: 'POST', token, json: { body } });
+    const removeComment = (token, commentId) =>
+        request(`/api/snaps/${snapId}/comments/${commentId}`, { method: 'DELETE', token });
+
+    it('are listed oldest first with a count', async () => {
+        const first = await comment(bob.token, 'First!');
+        assert.equal(first.status, 201);
+        assert.equal(first.body.commentCount, 1);
+        await comment(carol.token, 'Second');
+
+        const { status, body } = await request(`/api/snaps/${snapId}/comments`);
+        assert.equal(status, 200);
+        assert.deepEqual(body.comments.map(c => [c.username, c.body]), [['bob', 'First!'], ['carol', 'Second']]);
+        assert.equal(body.pagination.totalItems, 2);
+        assert.equal((await getSnap(snapId)).commentCount, 2);
+    });
+
+    it('must have text', async () => {
+        for (const text of ['', '   ', 'x'.repeat(501)]) {
+            const { status, body } = await comment(bob.token, text);
+            assert.equal(status, 400);
+            assert.equal(body.errors[0].field, 'body');
+        }
+    });
+
+    it('can be deleted by their author or the snap owner only', async () => {
+        const { body: byBob } = await comment(bob.token, 'Delete me');
+        const { body: byCarol } = await comment(carol.token, 'Me too');
+
+        assert.equal((await removeComment(carol.token, byBob.comment.id)).status, 403);
+        assert.equal((await removeComment(bob.token, byBob.comment.id)).status, 200);
+        const { status, body } = await removeComment(alice.token, byCarol.comment.id);
+        assert.equal(status, 200);
+        assert.equal(body.commentCount, 2);
+
+        assert.equal((await removeComment(alice.token, byCarol.comment.id)).status, 404);
+    });
+
+    it('reach open feeds as they are added', async () => {
+        const viewer = await openSocket(carol.token);
+        try {
+            const added = nextEvent(viewer, 'comment_added');
+            await comment(bob.token, 'Live');
+
+            const { comment: live, commentCount } = await added;
+            assert.equal(live.body, 'Live');
+            assert.equal(live.username, 'bob');
+            assert.equal(commentCount, 3);
+        } finally {
+            viewer.disconnect();
+        }
+    });
+});
@@ -0,0 +1,161 @@
+// test/moderation.test.js - Reporting snaps, the moderation queue and appeals
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { REPORT_AUTO_HIDE_THRESHOLD } = require('../moderation');
+const {
+    startServer,
+    stopServer,
+    resetDatabase,
+    makeAdmin,
+    request,
+    createUser,
+    uploadSnap
+} = require('./helpers');
+
+let admin;
+let alice;
+let bob;
+
+before(async () => {
+    await startServer();
+    await resetDatabase();
+    admin = await createUser('root');
+    await makeAdmin(admin.user.id);
+    alice = await createUser('alice');
+    bob = await createUser('bob');
+});
+
+after(stopServer);
+
+const report = (snapId, token, json = { reason: 'spam' }) =>
+    request(`/api/snaps/${snapId}/report`, { method: 'POST', token, json });
+const actOn = (snapId, json) =>
+    request(`/api/admin/reports/${snapId}/action`, { method: 'POST', token: admin.token, json });
+const history = async (token) => (await request('/api/me/moderation', { token })).body.actions;
+
+describe('reporting a snap', () => {
+    let snapId;
+
+    before(async () => {
+        snapId = (await uploadSnap(alice.token)).body.snap.id;
+    });
+
+    it('files one report per user', async () => {
+        const first = await report(snapId, bob.token, { reason: 'spam', details: 'Same ad every hour' });
+        assert.equal(first.status, 201);
+        assert.equal(first.body.alreadyReported, false);
+
+        const again = await report(snapId, bob.token);
+        assert.equal(again.status, 200);
+        assert.equal(again.body.alreadyReported, true);
+    });
+
+    it('needs a known reason', async () => {
+        const { status, body } = await report(snapId, bob.token, { reason: 'boring' });
+
+        assert.equal(status, 400);
+        assert.equal(body.errors[0].field, 'reason');
+    });
+
+    it('refuses my own snaps and snaps I cannot see', async () => {
+        assert.equal((await report(snapId, alice.token)).status, 400);
+
+        const hidden = (await uploadSnap(alice.token, { visibility: 'followers' })).body.snap.id;
+        assert.equal((await report(hidden, bob.token)).status, 404);
+    });
+
+    it('puts the snap in the moderation queue', async () => {
+        const { status, body } = await request('/api/admin/reports', { token: admin.token });
+
+        assert.equal(status, 200);
+        const queued = body.reports.find(entry => entry.snap_id === snapId);
+        assert.equal(queued.report_count, 1);
+        assert.deepEqual(queued.reasons, { spam: 1 });
+        assert.equal(queued.owner_username, 'alice');
+    });
+
+    it('keeps the queue from other users', async () => {
+        assert.equal((await request('/api/admin/reports', { token: bob.token })).status, 403);
+    });
+});
+
+describe('automatic hiding', () => {
+    it(`hides a snap after ${REPORT_AUTO_HIDE_THRESHOLD} reports until a moderator dismisses them`, async () => {
+        const snapId = (await uploadSnap(alice.token)).body.snap.id;
+        for (let i = 0; i < REPORT_AUTO_HIDE_THRESHOLD; i++) {
+            const reporter = await createUser(`reporter${i}`);
+            assert.equal((await report(snapId, reporter.token)).status, 201);
+        }
+
+        assert.equal((await request(`/api/snaps/${snapId}`)).status, 404);
+        assert.equal((await history(alice.token))[0].action, 'hide');
+
+        assert.equal((await actOn(snapId, { action: 'dismiss' })).status, 200);
+        assert.equal((await request(`/api/snaps/${snapId}`)).status, 200);
+    });
+});
+
+describe('moderator actions', () => {
+    it('delete a reported snap', async () => {
+        const snapId = (await uploadSnap(alice.token)).body.snap.id;
+        await report(snapId, bob.token, { reason: 'hate' });
+
+        const { status, body } = await actOn(snapId, { action: 'delete', reason: 'Hate speech' });
+        assert.equal(status, 200);
+        assert.equal(body.action.action, 'delete');
+        assert.equal((await request(`/api/snaps/${snapId}`)).status, 404);
+        assert.equal((await request(`/api/admin/reports/${snapId}`, { token: admin.token })).body.reports.length, 0);
+    });
+
+    it('warn the owner, who can appeal once', async () => {
+        const snapId = (await uploadSnap(alice.token)).body.snap.id;
+        await report(snapId, bob.token);
+        const { body } = await actOn(snapId, { action: 'warn', reason: 'Spam' });
+        const actionId = body.action.id;
+
+        const [warning] = await history(alice.token);
+        assert.equal(warning.action, 'warn');
+        assert.equal(warning.canAppeal, true);
+
+        const appeal = (message) => request(`/api/me/moderation/${actionId}/appeal`, {
+            method: 'POST',
+            token: alice.token,
+            json: { message }
+        });
+        assert.equal((await appeal('It was not spam')).status, 200);
+        assert.equal((await appeal('Really')).status, 409);
+
+        const { body: appeals } = await request('/api/admin/appeals', { token: admin.token });
+        assert.ok(appeals.appeals.some(entry => String(entry.id) === String(actionId)));
+
+        const decided = await request(`/api/admin/appeals/${actionId}`, {
+            method: 'POST',
+            token: admin.token,
+            json: { decision: 'overturned' }
+        });
+        assert.equal(decided.status, 200);
+        assert.equal((await history(alice.token))[0].appealStatus, 'overturned');
+    });
+
+    it('suspend the owner and keep their history', async () => {
+        const carol = await createUser('carol');
+        const snapId = (await uploadSnap(carol.token)).body.snap.id;
+        await report(snapId, bob.token, { reason: 'violence' });
+
+        assert.equal((await actOn(snapId, { action: 'suspend' })).status, 200);
+
+        assert.equal((await request('/api/me/moderation', { token: carol.token })).status, 403);
+        assert.equal((await request(`/api/snaps/${snapId}`)).status, 404);
+        const login = await request('/api/login', {
+            method: 'POST',
+            json: { username: 'carol', password: 'correct-horse-1' }
+        });
+        assert.equal(login.status, 403);
+
+        const { body } = await request(`/api/admin/users/${carol.user.id}/moderation`, { token: admin.token });
+        assert.equal(body.user.is_active, false);
+        assert.equal(body.user.reports_received, 1);
+        assert.deepEqual(body.actions.map(action => action.action), ['suspend']);
+    });
+});
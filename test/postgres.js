@@ -0,0 +1,108 @@
+// test/postgres.js - A disposable PostgreSQL database for the test suite
+//
+// By default a throwaway server is started from the embedded-postgres package
+// in a temporary directory and removed afterwards. To use a server you already
+// run instead, set TEST_PG_HOST (and TEST_PG_PORT, TEST_PG_USER,
+// TEST_PG_PASSWORD as needed): a uniquely named database is created on it for
+// the run and dropped at the end.
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Client } = require('pg');
+
+// Ask the OS for a port nobody is listening on
+function findFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.unref();
+        probe.on('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+async function withAdminClient(connection, fn) {
+    const client = new Client({ ...connection, database: 'postgres' });
+    await client.connect();
+    try {
+        return await fn(client);
+    } finally {
+        await client.end();
+    }
+}
+
+// Create a database on a server started elsewhere
+async function useExternalServer() {
+    const connection = {
+        host: process.env.TEST_PG_HOST,
+        port: parseInt(process.env.TEST_PG_PORT) || 5432,
+        user: process.env.TEST_PG_USER || 'postgres',
+        password: process.env.TEST_PG_PASSWORD || ''
+    };
+    const database = `snapclone_test_${crypto.randomBytes(4).toString('hex')}`;
+
+    await withAdminClient(connection, client => client.query(`CREATE DATABASE ${database}`));
+
+    return {
+        connection: { ...connection, database },
+        async stop() {
+            await withAdminClient(connection, client => client.query(`DROP DATABASE IF EXISTS ${database}`));
+        }
+    };
+}
+
+// Start a private server in a temporary directory. Postgres refuses to run as
+// root, so under root embedded-postgres runs it as a `postgres` system user
+// (created if missing), which must be able to read node_modules.
+async function startEmbeddedServer() {
+    const { default: EmbeddedPostgres } = await import('embedded-postgres');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapclone-pg-'));
+    fs.chmodSync(dir, 0o777);
+    const connection = {
+        host: '127.0.0.1',
+        port: await findFreePort(),
+        user: 'postgres',
+        password: crypto.randomBytes(12).toString('hex'),
+        database: 'snapclone_test'
+    };
+
+    const server = new EmbeddedPostgres({
+        databaseDir: path.join(dir, 'data'),
+        port: connection.port,
+        user: connection.user,
+        password: connection.password,
+        persistent: false,
+        createPostgresUser: typeof process.getuid === 'function' && process.getuid() === 0,
+        onLog: () => {}
+    });
+
+    try {
+        await server.initialise();
+        await server.start();
+        await server.createDatabase(connection.database);
+    } catch (error) {
+        await server.stop().catch(() => {});
+        fs.rmSync(dir, { recursive: true, force: true });
+        throw error;
+    }
+
+    return {
+        connection,
+        async stop() {
+            await server.stop();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+// Returns { connection, stop } where connection holds pg connection settings
+function startPostgres() {
+    return process.env.TEST_PG_HOST ? useExternalServer() : startEmbeddedServer();
+}
+
+module.exports = { startPostgres };
@@ -0,0 +1,165 @@
+// test/profiles.test.js - Profiles, profile pictures and deactivation
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+
+const {
+    startServer,
+    stopServer,
+    resetDatabase,
+    request,
+    createUser,
+    testImage,
+    uploadSnap
+} = require('./helpers');
+
+let alice;
+let bob;
+
+before(async () => {
+    await startServer();
+    await resetDatabase();
+    alice = await createUser('alice');
+    bob = await createUser('bob');
+});
+
+after(stopServer);
+
+const updateMe = (token, json) => request('/api/me', { method: 'PATCH', token, json });
+
+describe('GET /api/users/:username', () => {
+    let publicSnap;
+    let followersSnap;
+
+    before(async () => {
+        publicSnap = (await uploadSnap(alice.token)).body.snap.id;
+        followersSnap = (await uploadSnap(alice.token, { visibility: 'followers' })).body.snap.id;
+    });
+
+    it('shows the profile and the snaps the viewer may see', async () => {
+        const { status, body } = await request('/api/users/alice', { token: bob.token });
+
+        assert.equal(status, 200);
+        assert.equal(body.user.username, 'alice');
+        assert.equal(body.user.isMe, false);
+        assert.equal(body.user.snapCount, 1);
+        assert.deepEqual(body.snaps.map(snap => snap.id), [publicSnap]);
+    });
+
+    it('shows followers-only snaps to followers and the owner', async () => {
+        await request('/api/users/alice/follow', { method: 'POST', token: bob.token });
+
+        const { body } = await request('/api/users/alice', { token: bob.token });
+        assert.equal(body.user.followerCount, 1);
+        assert.equal(body.user.followedByMe, true);
+        assert.deepEqual(body.snaps.map(snap => snap.id).sort(), [publicSnap, followersSnap].sort());
+
+        const { body: own } = await request('/api/users/alice', { token: alice.token });
+        assert.equal(own.user.isMe, true);
+        assert.equal(own.user.snapCount, 2);
+    });
+
+    it('answers 404 for unknown users', async () => {
+        assert.equal((await request('/api/users/nobody')).status, 404);
+    });
+});
+
+describe('PATCH /api/me', () => {
+    it('updates and clears the display name and bio', async () => {
+        const { status, body } = await updateMe(alice.token, { displayName: 'Alice A.', bio: 'Hi there' });
+        assert.equal(status, 200);
+        assert.equal(body.user.displayName, 'Alice A.');
+        assert.equal(body.user.bio, 'Hi there');
+
+        const cleared = await updateMe(alice.token, { bio: '' });
+        assert.equal(cleared.body.user.bio, null);
+        assert.equal(cleared.body.user.displayName, 'Alice A.');
+    });
+
+    it('rejects values over the limits', async () => {
+        const { status, body } = await updateMe(alice.token, { bio: 'x'.repeat(301) });
+
+        assert.equal(status, 400);
+        assert.equal(body.errors[0].field, 'bio');
+    });
+
+    it('renames the account and hands out a token with the new name', async () => {
+        const dave = await createUser('dave');
+        const { status, body } = await updateMe(dave.token, { username: 'david' });
+
+        assert.equal(status, 200);
+        assert.equal(body.user.username, 'david');
+        assert.ok(body.token);
+        assert.equal((await request('/api/me', { token: body.token })).body.user.username, 'david');
+        assert.equal((await request('/api/users/dave')).status, 404);
+    });
+
+    it('refuses a username taken in any letter case', async () => {
+        const { status } = await updateMe(bob.token, { username: 'ALICE' });
+
+        assert.equal(status, 409);
+    });
+});
+
+describe('profile pictures', () => {
+    const uploadAvatar = async (token, image) => {
+        const form = new FormData();
+        form.append('avatar', new Blob([image], { type: 'image/png' }), 'me.png');
+        return request('/api/me/avatar', { method: 'PUT', token, form });
+    };
+
+    it('are resized and served from the profile URL', async () => {
+        const { status, body } = await uploadAvatar(bob.token, await testImage({ width: 900, height: 900 }));
+        assert.equal(status, 200);
+
+        const avatar = await request(`${body.profilePictureUrl}&size=thumb`);
+        assert.equal(avatar.status, 200);
+        assert.equal((await sharp(avatar.body).metadata()).width, 128);
+        assert.equal((await request('/api/users/bob')).body.user.profilePictureUrl, body.profilePictureUrl);
+    });
+
+    it('reject files that are not images', async () => {
+        const form = new FormData();
+        form.append('avatar', new Blob(['plain text'], { type: 'text/plain' }), 'me.txt');
+
+        assert.equal((await request('/api/me/avatar', { method: 'PUT', token: bob.token, form })).status, 400);
+    });
+
+    it('can be removed', async () => {
+        const { body: before } = await request('/api/users/bob');
+        assert.equal((await request('/api/me/avatar', { method: 'DELETE', token: bob.token })).status, 200);
+
+        assert.equal((await request('/api/users/bob')).body.user.profilePictureUrl, null);
+        assert.equal((await request(before.user.profilePictureUrl)).status, 404);
+    });
+});
+
+describe('POST /api/me/deactivate', () => {
+    const deactivate = (token, password = 'correct-horse-1') =>
+        request('/api/me/deactivate', { method: 'POST', token, json: { password } });
+
+    it('needs the password', async () => {
+        const erin = await createUser('erin');
+
+        assert.equal((await deactivate(erin.token, 'wrong-horse-1')).status, 401);
+        assert.equal((await request('/api/users/erin')).status, 200);
+    });
+
+    it('hides the account and its snaps until the next login', async () => {
+        const frank = await createUser('frank');
+        const snapId = (await uploadSnap(frank.token)).body.snap.id;
+
+        assert.equal((await deactivate(frank.token)).status, 200);
+        assert.equal((await request('/api/users/frank')).status, 404);
+        assert.equal((await request(`/api/snaps/${snapId}`)).status, 404);
+        assert.ok(!(await request('/api/feed')).body.snaps.some(snap => snap.id === snapId));
+
+        const login = await request('/api/login', {
+            method: 'POST',
+            json: { username: 'frank', password: 'correct-horse-1' }
+        });
+        assert.equal(login.status, 200);
+        assert.equal((await request('/api/users/frank')).status, 200);
+        assert.equal((await request(`/api/snaps/${snapId}`)).status, 200);
+    });
+});
@@ -0,0 +1,102 @@
+// test/s3-server.js - A minimal in-memory S3 stand-in for storage tests
+//
+// Understands the path-style requests the s3 storage adapter makes
+// (PUT, GET with an optional byte range, HEAD and DELETE on /<bucket>/<key>),
+// so createS3Storage can be exercised without a real service. Objects live in
+// `objects`, keyed by "<bucket>/<key>".
+const http = require('http');
+
+// Undo aws-chunked encoding: "<hex size>[;chunk-signature=...]\r\n<data>\r\n"
+// repeated, ending with a zero-size chunk and optional trailing checksums
+function decodeAwsChunked(body) {
+    const chunks = [];
+    let offset = 0;
+    while (offset < body.length) {
+        const lineEnd = body.indexOf('\r\n', offset);
+        const size = parseInt(body.subarray(offset, lineEnd).toString().split(';')[0], 16);
+        if (!size) break;
+        chunks.push(body.subarray(lineEnd + 2, lineEnd + 2 + size));
+        offset = lineEnd + 2 + size + 2;
+    }
+    return Buffer.concat(chunks);
+}
+
+function sendError(res, status, code) {
+    res.writeHead(status, { 'Content-Type': 'application/xml' });
+    res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${code}</Message></Error>`);
+}
+
+function handle(objects, req, res, body) {
+    const key = decodeURIComponent(new URL(req.url, 'http://localhost').pathname.slice(1));
+
+    if (req.method === 'PUT') {
+        const chunked = (req.headers['content-encoding'] || '').includes('aws-chunked') ||
+            (req.headers['x-amz-content-sha256'] || '').startsWith('STREAMING-');
+        objects.set(key, {
+            data: chunked ? decodeAwsChunked(body) : body,
+            contentType: req.headers['content-type'] || 'application/octet-stream'
+        });
+        res.writeHead(200, { ETag: '"mock"' });
+        return res.end();
+    }
+
+    if (req.method === 'DELETE') {
+        objects.delete(key);
+        res.writeHead(204);
+        return res.end();
+    }
+
+    const object = objects.get(key);
+    if (!object) {
+        if (req.method === 'HEAD') {
+            res.writeHead(404);
+            return res.end();
+        }
+        return sendError(res, 404, 'NoSuchKey');
+    }
+
+    const headers = { 'Content-Type': object.contentType, 'Accept-Ranges': 'bytes', ETag: '"mock"' };
+    if (req.method === 'HEAD') {
+        res.writeHead(200, { ...headers, 'Content-Length': object.data.length });
+        return res.end();
+    }
+
+    const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
+    if (range) {
+        const start = Number(range[1]);
+        const end = Math.min(range[2] ? Number(range[2]) : object.data.length - 1, object.data.length - 1);
+        const bytes = object.data.subarray(start, end + 1);
+        res.writeHead(206, {
+            ...headers,
+            'Content-Length': bytes.length,
+            'Content-Range': `bytes ${start}-${end}/${object.data.length}`
+        });
+        return res.end(bytes);
+    }
+
+    res.writeHead(200, { ...headers, 'Content-Length': object.data.length });
+    res.end(object.data);
+}
+
+// Start the server on a free local port. Resolves with { endpoint, objects, stop }.
+function startS3Server() {
+    const objects = new Map();
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => handle(objects, req, res, Buffer.concat(chunks)));
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                endpoint: `http://127.0.0.1:${server.address().port}`,
+                objects,
+                stop: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+module.exports = { startS3Server };
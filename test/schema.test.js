@@ -0,0 +1,95 @@
+// test/schema.test.js - Schema drift detection against the migrated database
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const db = require('../db-pg');
+const { parseDatabaseUrl } = require('../repositories');
+const { checkSchema, diffSchema } = require('../schema-check');
+
+const postgresOnly = { skip: parseDatabaseUrl().driver !== 'postgres' && 'needs the PostgreSQL driver' };
+
+after(() => db.pool.end());
+
+// Run `fn` with a client inside a transaction that is always rolled back
+async function inRolledBackTransaction(fn) {
+    const client = await db.pool.connect();
+    try {
+        await client.query('BEGIN');
+        return await fn(client);
+    } finally {
+        await client.query('ROLLBACK');
+        client.release();
+    }
+}
+
+describe('checkSchema', postgresOnly, () => {
+    it('finds no drift once every migration has run', async () => {
+        assert.deepEqual(await checkSchema(db), []);
+    });
+
+    it('reports changed columns, indexes and foreign keys', async () => {
+        const drift = await inRolledBackTransaction(async (client) => {
+            await client.query('ALTER TABLE snaps DROP COLUMN location');
+            await client.query('ALTER TABLE snaps ADD COLUMN legacy_path TEXT');
+            await client.query('ALTER TABLE snaps ALTER COLUMN caption TYPE VARCHAR(100)');
+            await client.query('DROP INDEX idx_snaps_expires_at');
+            await client.query('CREATE INDEX idx_snaps_caption ON snaps (caption)');
+            await client.query('ALTER TABLE snaps_hashtags DROP CONSTRAINT snaps_hashtags_snap_id_fkey');
+            await client.query('CREATE TABLE scratch (id INTEGER)');
+            return checkSchema(client);
+        });
+
+        const found = drift.map(({ table, kind, name }) => `${table} ${kind} ${name}`).sort();
+        assert.deepEqual(found, [
+            'scratch extra_table scratch',
+            'snaps column_type caption',
+            'snaps extra_column legacy_path',
+            'snaps extra_index idx_snaps_caption',
+            'snaps missing_column location',
+            'snaps missing_index idx_snaps_expires_at',
+            'snaps_hashtags missing_foreign_key snap_id -> snaps(id) ON DELETE CASCADE'
+        ]);
+
+        const caption = drift.find(difference => difference.kind === 'column_type');
+        assert.equal(caption.expected, 'text');
+        assert.equal(caption.actual, 'character varying(100)');
+    });
+});
+
+describe('check-schema.js', postgresOnly, () => {
+    it('exits cleanly when the schema matches', async () => {
+        const { code, stdout } = await new Promise((resolve) => {
+            execFile(process.execPath, [path.join(__dirname, '..', 'check-schema.js')], (error, stdout) => {
+                resolve({ code: error ? error.code : 0, stdout });
+            });
+        });
+
+        assert.equal(code, 0);
+        assert.match(stdout, /matches schema\.js/);
+    });
+});
+
+describe('diffSchema', () => {
+    const expected = {
+        users: { columns: { id: 'uuid not null' }, indexes: {}, foreignKeys: [] }
+    };
+
+    it('reports a missing table once, without listing its columns', () => {
+        const drift = diffSchema(expected, {});
+
+        assert.equal(drift.length, 1);
+        assert.equal(drift[0].kind, 'missing_table');
+    });
+
+    it('reports a column that became nullable', () => {
+        const drift = diffSchema(expected, {
+            users: { columns: { id: 'uuid' }, indexes: {}, foreignKeys: [] }
+        });
+
+        assert.deepEqual(drift.map(difference => difference.message), [
+            'column users.id is uuid, expected uuid not null'
+        ]);
+    });
+});
@@ -0,0 +1,280 @@
+// test/snaps.test.js - Uploading, fetching and serving snaps
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const {
+    startServer,
+    stopServer,
+    resetDatabase,
+    snapHashtags,
+    request,
+    createUser,
+    findSnapRow,
+    setUserActive,
+    testImage,
+    uploadSnap
+} = require('./helpers');
+
+const UPLOAD_DIR = path.join(__dirname, '..', 'public', 'uploads');
+const MISSING_ID = '00000000-0000-4000-8000-000000000000';
+
+const uploadedFiles = () => fs.readdirSync(UPLOAD_DIR);
+
+let alice;
+let bob;
+
+before(async () => {
+    await startServer();
+    await resetDatabase();
+    alice = await createUser('alice');
+    bob = await createUser('bob');
+});
+
+after(stopServer);
+
+describe('POST /api/snaps', () => {
+    it('stores an uploaded image with its details', async () => {
+        const { status, body } = await uploadSnap(alice.token, {
+            caption: 'At the beach',
+            hashtags: '#Beach #sunset',
+            location: 'Goa',
+            lifetime: '24h'
+        }, { image: await testImage({ width: 120, height: 80 }) });
+
+        assert.equal(status, 201);
+        const { snap } = body;
+        assert.equal(snap.username, 'alice');
+        assert.equal(snap.caption, 'At the beach');
+        assert.equal(snap.location, 'Goa');
+        assert.equal(snap.mediaType, 'image');
+        assert.equal(snap.width, 120);
+        assert.equal(snap.height, 80);
+        assert.equal(snap.isPublic, true);
+
+        const hoursToExpiry = (new Date(snap.expiresAt) - Date.now()) / (60 * 60 * 1000);
+        assert.ok(hoursToExpiry > 23.9 && hoursToExpiry <= 24);
+
+        assert.deepEqual(await snapHashtags(snap.id), ['#beach', '#sunset']);
+    });
+
+    it('leaves no temporary file behind', async () => {
+        const before = uploadedFiles();
+        const { status } = await uploadSnap(alice.token);
+
+        assert.equal(status, 201);
+        assert.deepEqual(uploadedFiles(), before);
+    });
+
+    it('requires a token', async () => {
+        const { status } = await uploadSnap(null);
+
+        assert.equal(status, 401);
+    });
+
+    it('requires a file', async () => {
+        const form = new FormData();
+        form.append('caption', 'No picture');
+        const { status, body } = await request('/api/snaps', { method: 'POST', token: alice.token, form });
+
+        assert.equal(status, 400);
+        assert.equal(body.success, false);
+    });
+
+    it('rejects files that are not images or videos', async () => {
+        const { status, body } = await uploadSnap(alice.token, {}, {
+            image: Buffer.from('just some text'),
+            filename: 'notes.txt',
+            type: 'text/plain'
+        });
+
+        assert.equal(status, 400);
+        assert.match(body.message, /Invalid file type/);
+    });
+
+    it('rejects an unknown lifetime and removes the upload', async () => {
+        const before = uploadedFiles();
+        const { status, body } = await uploadSnap(alice.token, { lifetime: '3y' });
+
+        assert.equal(status, 400);
+        assert.equal(body.code, 'VALIDATION_ERROR');
+        assert.equal(body.errors[0].field, 'lifetime');
+        assert.deepEqual(uploadedFiles(), before);
+    });
+
+    it('stores view-once media under private keys', async () => {
+        const { body } = await uploadSnap(alice.token, { lifetime: 'view_once' });
+        const row = await findSnapRow(body.snap.id);
+
+        assert.match(row.storage_key, /^private\/snaps\//);
+        for (const formats of Object.values(row.renditions)) {
+            for (const key of Object.values(formats)) assert.match(key, /^private\//);
+        }
+        assert.equal(body.snap.imageUrl, `/api/snaps/image/${body.snap.id}`);
+    });
+
+    it('stores direct snap media under private keys', async () => {
+        const { status, body } = await uploadSnap(alice.token, { recipients: 'bob' });
+        assert.equal(status, 201);
+
+        assert.match((await findSnapRow(body.snap.id)).storage_key, /^private\/snaps\//);
+    });
+});
+
+describe('GET /api/snaps/:id', () => {
+    let snapId;
+
+    before(async () => {
+        const { body } = await uploadSnap(alice.token, { caption: 'Hello', hashtags: '#hello' });
+        snapId = body.snap.id;
+    });
+
+    it('returns a visible snap', async () => {
+        const { status, body } = await request(`/api/snaps/${snapId}`);
+
+        assert.equal(status, 200);
+        assert.equal(body.snap.id, snapId);
+        assert.equal(body.snap.caption, 'Hello');
+        assert.equal(body.snap.username, 'alice');
+        assert.deepEqual(body.snap.hashtag_list, ['#hello']);
+        assert.equal(body.snap.likeCount, 0);
+    });
+
+    it('answers 404 for unknown and malformed ids', async () => {
+        for (const id of [MISSING_ID, 'not-a-uuid']) {
+            const { status, body } = await request(`/api/snaps/${id}`);
+            assert.equal(status, 404);
+            assert.equal(body.code, 'NOT_FOUND');
+        }
+    });
+
+    it('only shows followers-only snaps to followers', async () => {
+        const { body: upload } = await uploadSnap(alice.token, { visibility: 'followers' });
+        const id = upload.snap.id;
+
+        assert.equal((await request(`/api/snaps/${id}`)).status, 404);
+        assert.equal((await request(`/api/snaps/${id}`, { token: bob.token })).status, 404);
+        assert.equal((await request(`/api/snaps/${id}`, { token: alice.token })).status, 200);
+
+        await request('/api/users/alice/follow', { method: 'POST', token: bob.token });
+        assert.equal((await request(`/api/snaps/${id}`, { token: bob.token })).status, 200);
+    });
+});
+
+describe('GET /api/snaps/image/:id', () => {
+    let snapId;
+
+    before(async () => {
+        const { body } = await uploadSnap(alice.token, {}, { image: await testImage({ width: 1600, height: 1200 }) });
+        snapId = body.snap.id;
+    });
+
+    it('serves the full image by default', async () => {
+        const { status, headers, body } = await request(`/api/snaps/image/${snapId}`);
+
+        assert.equal(status, 200);
+        assert.match(headers.get('content-type'), /^image\//);
+        const { width, height } = await sharp(body).metadata();
+        assert.deepEqual([width, height], [1600, 1200]);
+    });
+
+    it('serves smaller renditions', async () => {
+        const { status, body } = await request(`/api/snaps/image/${snapId}?size=thumb`);
+
+        assert.equal(status, 200);
+        const { width } = await sharp(body).metadata();
+        assert.ok(width < 1600);
+    });
+
+    it('serves WebP to clients that accept it', async () => {
+        const { status, headers } = await request(`/api/snaps/image/${snapId}?size=feed`, {
+            headers: { Accept: 'image/webp,*/*' }
+        });
+
+        assert.equal(status, 200);
+        assert.equal(headers.get('content-type'), 'image/webp');
+    });
+
+    it('rejects unknown sizes', async () => {
+        const { status, body } = await request(`/api/snaps/image/${snapId}?size=huge`);
+
+        assert.equal(status, 400);
+        assert.equal(body.errors[0].field, 'size');
+    });
+
+    it('stops serving media once its owner is deactivated', async () => {
+        const carol = await createUser('carol');
+        const { body: upload } = await uploadSnap(carol.token);
+        const url = `/api/snaps/image/${upload.snap.id}`;
+        assert.equal((await request(url)).status, 200);
+
+        await setUserActive(carol.user.id, false);
+        assert.equal((await request(url)).status, 404);
+        assert.equal((await request(url, { token: alice.token })).status, 404);
+    });
+
+    it('serves followers-only media to its owner alone', async () => {
+        const dave = await createUser('dave');
+        const { body: upload } = await uploadSnap(alice.token, { visibility: 'followers' });
+        const url = `/api/snaps/image/${upload.snap.id}`;
+
+        assert.match((await findSnapRow(upload.snap.id)).storage_key, /^private\/snaps\//);
+        assert.equal((await request(url)).status, 404);
+        assert.equal((await request(`${url}?size=thumb`, { token: dave.token })).status, 404);
+        assert.equal((await request(url, { token: alice.token })).status, 200);
+    });
+
+    it('serves followers-only media to followers', async () => {
+        const erin = await createUser('erin');
+        const { body: upload } = await uploadSnap(alice.token, { visibility: 'followers' });
+        const url = `/api/snaps/image/${upload.snap.id}`;
+        assert.equal((await request(url, { token: erin.token })).status, 404);
+
+        await request('/api/users/alice/follow', { method: 'POST', token: erin.token });
+        assert.equal((await request(url, { token: erin.token })).status, 200);
+    });
+
+    it('answers 404 for unknown and malformed ids', async () => {
+        assert.equal((await request(`/api/snaps/image/${MISSING_ID}`)).status, 404);
+        assert.equal((await request('/api/snaps/image/not-a-uuid')).status, 404);
+    });
+
+    it('serves a view-once snap only once', async () => {
+        const { body: upload } = await uploadSnap(alice.token, { lifetime: 'view_once' });
+        const url = `/api/snaps/image/${upload.snap.id}`;
+
+        const first = await request(url);
+        assert.equal(first.status, 200);
+        assert.equal(first.headers.get('cache-control'), 'no-store');
+        assert.equal((await request(url)).status, 404);
+    });
+
+    it('opens a view-once snap only when another user fetches it whole', async () => {
+        const { body: upload } = await uploadSnap(alice.token, { lifetime: 'view_once' });
+        const url = `/api/snaps/image/${upload.snap.id}`;
+
+        // The owner sees every size without opening it
+        assert.equal((await request(url, { token: alice.token })).status, 200);
+        const thumb = await request(`${url}?size=thumb`, { token: alice.token });
+        assert.equal(thumb.status, 200);
+        assert.equal(thumb.headers.get('cache-control'), 'no-store');
+
+        assert.equal((await request(url, { token: bob.token })).status, 200);
+        assert.equal((await request(url, { token: bob.token })).status, 404);
+        assert.equal((await request(`${url}?size=thumb`, { token: alice.token })).status, 404);
+    });
+
+    it('refuses smaller renditions of a view-once snap to other users', async () => {
+        const { body: upload } = await uploadSnap(alice.token, { lifetime: 'view_once' });
+        const url = `/api/snaps/image/${upload.snap.id}`;
+
+        assert.equal((await request(`${url}?size=feed`, { token: bob.token })).status, 404);
+        assert.equal((await request(`${url}?size=feed`, { token: bob.token })).status, 404);
+        assert.equal((await request(`${url}?size=thumb`)).status, 404);
+
+        // Still unopened
+        assert.equal((await request(url, { token: bob.token })).status, 200);
+    });
+});
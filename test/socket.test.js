@@ -0,0 +1,86 @@
+// test/socket.test.js - Realtime events for new snaps
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    startServer,
+    stopServer,
+    resetDatabase,
+    request,
+    createUser,
+    uploadSnap,
+    openSocket,
+    nextEvent
+} = require('./helpers');
+
+let alice;
+let bob;
+let carol;
+const sockets = [];
+
+async function connect(user) {
+    const socket = await openSocket(user.token);
+    sockets.push(socket);
+    return socket;
+}
+
+before(async () => {
+    await startServer();
+    await resetDatabase();
+    alice = await createUser('alice');
+    bob = await createUser('bob');
+    carol = await createUser('carol');
+    await request('/api/users/alice/follow', { method: 'POST', token: bob.token });
+});
+
+after(async () => {
+    for (const socket of sockets) socket.disconnect();
+    await stopServer();
+});
+
+describe('socket connections', () => {
+    it('require a valid token', async () => {
+        await assert.rejects(openSocket(undefined), /Authentication required/);
+        await assert.rejects(openSocket('not-a-token'), /Invalid token/);
+    });
+});
+
+describe('new_snap', () => {
+    it('is sent to everyone when a public snap is uploaded', async () => {
+        const [bobSocket, carolSocket] = await Promise.all([connect(bob), connect(carol)]);
+        const events = Promise.all([
+            nextEvent(bobSocket, 'new_snap'),
+            nextEvent(carolSocket, 'new_snap'),
+            nextEvent(carolSocket, 'snap_created')
+        ]);
+
+        const { body } = await uploadSnap(alice.token, { caption: 'Live' });
+        const [toBob, toCarol, created] = await events;
+
+        for (const snap of [toBob, toCarol, created]) {
+            assert.equal(snap.id, body.snap.id);
+            assert.equal(snap.username, 'alice');
+            assert.equal(snap.caption, 'Live');
+        }
+    });
+
+    it('is not sent for followers-only snaps, which only reach followers', async () => {
+        const [bobSocket, carolSocket] = await Promise.all([connect(bob), connect(carol)]);
+        const toCarol = [];
+        carolSocket.on('new_snap', snap => toCarol.push(snap.id));
+        carolSocket.on('snap_created', snap => toCarol.push(snap.id));
+        const toBob = nextEvent(bobSocket, 'snap_created');
+
+        const { body: hidden } = await uploadSnap(alice.token, { visibility: 'followers' });
+        assert.equal((await toBob).id, hidden.snap.id);
+
+        // Events reach a socket in order, so once carol hears of a later
+        // public snap she would already have heard of the followers-only one
+        const nextPublic = nextEvent(carolSocket, 'new_snap');
+        const { body: shown } = await uploadSnap(alice.token);
+        await nextPublic;
+
+        assert.ok(toCarol.includes(shown.snap.id));
+        assert.ok(!toCarol.includes(hidden.snap.id));
+    });
+});
@@ -0,0 +1,231 @@
+// test/storage.test.js - Media storage adapters, keys and the media migration
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const db = require('../db-pg');
+const {
+    createLocalStorage,
+    createDatabaseStorage,
+    createS3Storage,
+    getStorage,
+    snapMediaKey
+} = require('../storage');
+const { startS3Server } = require('./s3-server');
+const {
+    postgresOnly,
+    startServer,
+    stopServer,
+    resetDatabase,
+    request,
+    createUser,
+    findSnapRow,
+    testImage,
+    uploadSnap
+} = require('./helpers');
+
+const CREATED_AT = new Date('2024-05-17T12:00:00Z');
+const SNAP_ID = '3f0c2a9e-8f3b-4d7a-9a51-2c6e1b7d4f10';
+const BYTES = Buffer.from('0123456789abcdefghij');
+
+before(async () => {
+    await startServer();
+    await resetDatabase();
+});
+
+after(stopServer);
+
+async function readAll(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+// The checks every adapter has to pass. `setup()` resolves with the adapter
+// and is called once before the checks.
+function behavesLikeStorage(setup) {
+    let storage;
+    const key = `snaps/2024/05/${SNAP_ID}.jpg`;
+
+    before(async () => {
+        storage = await setup();
+    });
+
+    it('stores and reads back an object', async () => {
+        await storage.put(key, BYTES, { contentType: 'image/jpeg' });
+        const object = await storage.get(key);
+
+        assert.deepEqual(await readAll(object.stream), BYTES);
+    });
+
+    it('reads an inclusive byte range', async () => {
+        const object = await storage.get(key, { start: 2, end: 5 });
+
+        assert.equal(object.size, 4);
+        assert.equal((await readAll(object.stream)).toString(), '2345');
+    });
+
+    it('reports the size with stat', async () => {
+        assert.deepEqual(await storage.stat(key), { size: BYTES.length });
+    });
+
+    it('deletes objects and ignores missing ones', async () => {
+        await storage.delete(key);
+        await storage.delete(key);
+
+        assert.equal(await storage.stat(key), null);
+        assert.equal(await storage.get(key), null);
+    });
+}
+
+describe('snapMediaKey', () => {
+    it('files snaps by month', () => {
+        assert.equal(snapMediaKey(SNAP_ID, 'image/jpeg', CREATED_AT), `snaps/2024/05/${SNAP_ID}.jpg`);
+        assert.equal(snapMediaKey(SNAP_ID, 'image/webp', CREATED_AT, 'thumb'), `snaps/2024/05/${SNAP_ID}_thumb.webp`);
+    });
+
+    it('puts private media under private/', () => {
+        assert.equal(
+            snapMediaKey(SNAP_ID, 'image/jpeg', CREATED_AT, null, { isPrivate: true }),
+            `private/snaps/2024/05/${SNAP_ID}.jpg`
+        );
+    });
+});
+
+describe('createLocalStorage', () => {
+    let rootDir;
+
+    behavesLikeStorage(async () => {
+        rootDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'snap-media-'));
+        return createLocalStorage({ rootDir });
+    });
+
+    after(() => fs.promises.rm(rootDir, { recursive: true, force: true }));
+
+    it('has no public URLs', () => {
+        assert.equal(createLocalStorage({ rootDir }).publicUrl('snaps/a.jpg'), null);
+    });
+
+    it('refuses keys outside its directory', async () => {
+        await assert.rejects(createLocalStorage({ rootDir }).put('../escape.jpg', BYTES), /Invalid storage key/);
+    });
+});
+
+describe('createDatabaseStorage', postgresOnly, () => {
+    behavesLikeStorage(() => createDatabaseStorage());
+
+    it('has no public URLs', () => {
+        assert.equal(createDatabaseStorage().publicUrl('snaps/a.jpg'), null);
+    });
+});
+
+describe('createS3Storage', () => {
+    let s3;
+    const connect = (options = {}) => createS3Storage({
+        bucket: 'media',
+        endpoint: s3.endpoint,
+        forcePathStyle: true,
+        accessKeyId: 'test',
+        secretAccessKey: 'test',
+        ...options
+    });
+
+    behavesLikeStorage(async () => {
+        s3 = await startS3Server();
+        return connect();
+    });
+
+    after(() => s3.stop());
+
+    it('stores objects in its bucket with their content type', async () => {
+        await connect().put('snaps/2024/05/b.png', BYTES, { contentType: 'image/png' });
+
+        const object = s3.objects.get('media/snaps/2024/05/b.png');
+        assert.deepEqual(object.data, BYTES);
+        assert.equal(object.contentType, 'image/png');
+    });
+
+    it('has public URLs only with S3_PUBLIC_URL', () => {
+        assert.equal(connect().publicUrl('snaps/2024/05/a.jpg'), null);
+        assert.equal(
+            connect({ publicBaseUrl: 'https://cdn.example.com/' }).publicUrl('snaps/2024/05/a.jpg'),
+            'https://cdn.example.com/snaps/2024/05/a.jpg'
+        );
+    });
+
+    it('never exposes private keys', () => {
+        assert.equal(connect({ publicBaseUrl: 'https://cdn.example.com' }).publicUrl('private/snaps/2024/05/a.jpg'), null);
+    });
+});
+
+describe('migrate-media.js', postgresOnly, () => {
+    const runMigration = (...args) => new Promise((resolve, reject) => {
+        execFile(process.execPath, [path.join(__dirname, '..', 'migrate-media.js'), ...args], (error, stdout, stderr) => {
+            if (error) return reject(new Error(`${error.message}\n${stderr}`));
+            resolve(stdout);
+        });
+    });
+
+    let alice;
+    let image;
+
+    // A snap as it was stored before storage backends existed
+    async function legacySnap(fields = {}) {
+        const { body } = await uploadSnap(alice.token, fields);
+        const row = await findSnapRow(body.snap.id);
+        for (const key of [row.storage_key, ...Object.values(row.renditions).flatMap(Object.values)]) {
+            await getStorage('local').delete(key);
+        }
+        await db.query(
+            `UPDATE snaps SET storage_key = NULL, renditions = NULL, image_data = $2, mime_type = 'image/png'
+             WHERE id = $1`,
+            [body.snap.id, image]
+        );
+        return body.snap.id;
+    }
+
+    before(async () => {
+        alice = await createUser('alice');
+        image = await testImage();
+    });
+
+    it('only counts the snaps with --dry-run', async () => {
+        const id = await legacySnap();
+
+        assert.match(await runMigration('--dry-run'), /^1 snaps \(\d+ bytes\) still stored/);
+        const { rows: [row] } = await db.query('SELECT storage_key, image_data FROM snaps WHERE id = $1', [id]);
+        assert.equal(row.storage_key, null);
+        assert.ok(row.image_data);
+    });
+
+    it('moves stored bytes to the backend and clears them', async () => {
+        const privateId = await legacySnap({ lifetime: 'view_once' });
+
+        const output = await runMigration('--backend', 'local', '--batch-size', '1');
+        assert.match(output, /Moved 2 snaps to the local backend/);
+
+        const { rows } = await db.query(
+            'SELECT id, storage_backend, storage_key, image_url, image_data, created_at FROM snaps WHERE storage_backend = $1',
+            ['local']
+        );
+        assert.equal(rows.length, 2);
+        for (const row of rows) {
+            const isPrivate = row.id === privateId;
+            assert.equal(row.storage_key, snapMediaKey(row.id, 'image/png', row.created_at, null, { isPrivate }));
+            assert.equal(row.image_data, null);
+            assert.equal(row.image_url, `/api/snaps/image/${row.id}`);
+        }
+
+        const publicId = rows.find(row => row.id !== privateId).id;
+        const { status, body } = await request(`/api/snaps/image/${publicId}`);
+        assert.equal(status, 200);
+        assert.deepEqual(body, image);
+    });
+
+    it('has nothing left to move on a second run', async () => {
+        assert.match(await runMigration(), /^0 snaps/);
+    });
+});
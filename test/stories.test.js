@@ -0,0 +1,113 @@
+// test/stories.test.js - Story rings, seen tracking and story viewers
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    startServer,
+    stopServer,
+    resetDatabase,
+    updateSnapTimes,
+    request,
+    createUser,
+    uploadSnap,
+    openSocket,
+    nextEvent
+} = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+let alice;
+let bob;
+let carol;
+
+before(async () => {
+    await startServer();
+    await resetDatabase();
+    alice = await createUser('alice');
+    bob = await createUser('bob');
+    carol = await createUser('carol');
+});
+
+after(stopServer);
+
+const rings = async (token) => (await request('/api/stories', { token })).body.stories;
+const seen = (snapId, token) => request(`/api/stories/${snapId}/seen`, { method: 'POST', token });
+
+describe('stories', () => {
+    let first;
+    let second;
+
+    before(async () => {
+        await request('/api/users/alice/follow', { method: 'POST', token: bob.token });
+
+        first = (await uploadSnap(alice.token, { caption: 'One' })).body.snap.id;
+        second = (await uploadSnap(alice.token, { caption: 'Two' })).body.snap.id;
+        await updateSnapTimes(first, { createdAt: new Date(Date.now() - HOUR) });
+
+        // Neither view-once snaps nor snaps older than a day are part of it
+        await uploadSnap(alice.token, { lifetime: 'view_once' });
+        const old = (await uploadSnap(alice.token, { lifetime: '7d' })).body.snap.id;
+        await updateSnapTimes(old, { createdAt: new Date(Date.now() - 25 * HOUR) });
+    });
+
+    it('lists the rings of people I follow, mine first', async () => {
+        await uploadSnap(bob.token);
+
+        const stories = await rings(bob.token);
+        assert.deepEqual(stories.map(ring => [ring.username, ring.itemCount, ring.hasUnseen]), [
+            ['bob', 1, false],
+            ['alice', 2, true]
+        ]);
+    });
+
+    it('leaves out people I do not follow', async () => {
+        assert.deepEqual(await rings(carol.token), []);
+    });
+
+    it('plays a ring oldest first and tracks what I have seen', async () => {
+        assert.equal((await seen(first, bob.token)).status, 200);
+        assert.equal((await seen(first, bob.token)).status, 200);
+
+        const { status, body } = await request('/api/stories/alice', { token: bob.token });
+        assert.equal(status, 200);
+        assert.deepEqual(body.story.items.map(item => [item.id, item.seen]), [[first, true], [second, false]]);
+        assert.equal(body.story.hasUnseen, true);
+
+        await seen(second, bob.token);
+        const alicesRing = (await rings(bob.token)).find(ring => ring.username === 'alice');
+        assert.equal(alicesRing.hasUnseen, false);
+    });
+
+    it('shows the owner who has seen each item', async () => {
+        const { body } = await request(`/api/stories/${first}/viewers`, { token: alice.token });
+        assert.equal(body.viewerCount, 1);
+        assert.equal(body.viewers[0].username, 'bob');
+
+        assert.equal((await request(`/api/stories/${first}/viewers`, { token: bob.token })).status, 404);
+
+        const { body: own } = await request('/api/stories/alice', { token: alice.token });
+        assert.equal(own.story.items[0].viewCount, 1);
+    });
+
+    it('keeps followers-only items from strangers', async () => {
+        const hidden = (await uploadSnap(alice.token, { visibility: 'followers' })).body.snap.id;
+
+        const { body } = await request('/api/stories/alice', { token: carol.token });
+        assert.ok(!body.story.items.some(item => item.id === hidden));
+        assert.equal((await seen(hidden, carol.token)).status, 404);
+    });
+
+    it('tells followers when a ring grows', async () => {
+        const follower = await openSocket(bob.token);
+        try {
+            const updated = nextEvent(follower, 'story_updated');
+            const { body } = await uploadSnap(alice.token);
+
+            const event = await updated;
+            assert.equal(event.username, 'alice');
+            assert.equal(event.snapId, body.snap.id);
+        } finally {
+            follower.disconnect();
+        }
+    });
+});
@@ -0,0 +1,62 @@
+// test/views.test.js - Counting snap views
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { POLICIES } = require('../rate-limit');
+const {
+    startServer,
+    stopServer,
+    resetDatabase,
+    request,
+    createUser,
+    uploadSnap
+} = require('./helpers');
+
+let alice;
+let bob;
+let snapId;
+
+before(async () => {
+    await startServer();
+    await resetDatabase();
+    alice = await createUser('alice');
+    bob = await createUser('bob');
+    snapId = (await uploadSnap(alice.token)).body.snap.id;
+});
+
+after(stopServer);
+
+describe('POST /api/snaps/:id/view', () => {
+    const view = (options = {}) =>
+        request(`/api/snaps/${snapId}/view`, { method: 'POST', json: { source: 'feed' }, ...options });
+
+    it('counts each viewer once', async () => {
+        const first = await view({ token: bob.token });
+        assert.equal(first.status, 200);
+        assert.equal(first.body.counted, true);
+        assert.equal(first.body.viewCount, 1);
+
+        const again = await view({ token: bob.token });
+        assert.equal(again.body.counted, false);
+        assert.equal(again.body.viewCount, 1);
+    });
+
+    it('does not count owners viewing their own snaps', async () => {
+        const { body } = await view({ token: alice.token });
+        assert.equal(body.counted, false);
+    });
+
+    it('caps anonymous views per IP, whatever the user agent', async () => {
+        let status;
+        for (let i = 0; i <= POLICIES.view_ip.max && status !== 429; i++) {
+            ({ status } = await view({ headers: { 'User-Agent': `browser-${i}` } }));
+        }
+        assert.equal(status, 429);
+
+        // Signed-in viewers are counted per account instead
+        const carol = await createUser('carol');
+        const { status: signedIn, body } = await view({ token: carol.token });
+        assert.equal(signedIn, 200);
+        assert.equal(body.counted, true);
+    });
+});
@@ -0,0 +1,275 @@
+// validation.js - Request validation and the API's error envelope
+//
+// Every JSON error response has the shape
+//   { success: false, code, message, errors? }
+// `code` is machine-readable (see ERROR_CODES); `errors` lists the problems
+// with individual fields as { location, field, code, message }.
+//
+// Routes declare what they accept with validate():
+//   validate({
+//       params: { id: rules.uuid() },
+//       query: { size: rules.oneOf(['thumb', 'full'], { optional: true }) },
+//       body: { email: rules.email() }
+//   }, { notFound: 'Snap not found' })
+// Malformed path parameters answer 404 (they cannot name anything that
+// exists); problems with the query string or body answer 400 with every field
+// error at once. Checked values are written back, trimmed and converted, so
+// handlers can use req.body / req.query directly.
+const { validate: isUuid } = require('uuid');
+
+const { decodeCursor } = require('./cursor');
+
+const ERROR_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    413: 'PAYLOAD_TOO_LARGE',
+    429: 'RATE_LIMITED',
+    500: 'INTERNAL_ERROR',
+    503: 'SERVICE_UNAVAILABLE'
+};
+
+function errorCodeForStatus(status) {
+    return ERROR_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+}
+
+// Send an error in the standard envelope. `extra` may carry `code` (to be more
+// specific than the status) and `errors`.
+function sendError(res, status, message, extra = {}) {
+    return res.status(status).json({
+        success: false,
+        code: errorCodeForStatus(status),
+        message,
+        ...extra
+    });
+}
+
+// Middleware giving every `{ success: false }` JSON body a `code` derived
+// from its status, so handlers that only set a message still answer with the
+// full envelope, and the request id (see logger.js) to quote when reporting it
+function errorEnvelope(req, res, next) {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        if (body && body.success === false && res.statusCode >= 400) {
+            body = { success: false, code: errorCodeForStatus(res.statusCode), ...body, requestId: req.id };
+        }
+        return json(body);
+    };
+    next();
+}
+
+// Account policies, shared by signup and profile edits
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.]{3,30}$/;
+const PASSWORD_MIN_LENGTH = 8;
+// bcrypt ignores everything past 72 bytes
+const PASSWORD_MAX_BYTES = 72;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const EMAIL_MAX_LENGTH = 255;
+
+// A rule checks one value. `check(value, label)` returns { value } with the
+// converted value, or { error: { code, message } }. Rules are required unless
+// created with { optional: true }; missing optional values take `default`.
+// `label` names the field in messages (derived from its name by default).
+function rule(check, { optional = false, default: defaultValue, label } = {}) {
+    return { check, optional, defaultValue, label };
+}
+
+const fail = (code, message) => ({ error: { code, message } });
+// Blank text counts as missing
+const isMissing = (value) => value === undefined || value === null ||
+    (typeof value === 'string' && value.trim() === '');
+
+const rules = {
+    // Text, trimmed unless { trim: false }
+    string({ min = 0, max = Infinity, pattern, patternMessage, trim = true, ...options } = {}) {
+        return rule((value, label) => {
+            if (typeof value !== 'string') return fail('invalid_type', `${label} must be text`);
+            const text = trim ? value.trim() : value;
+            if (text.length < min) return fail('too_short', `${label} must be at least ${min} characters`);
+            if (text.length > max) return fail('too_long', `${label} must be at most ${max} characters`);
+            if (pattern && !pattern.test(text)) {
+                return fail('invalid_format', patternMessage || `${label} is not in a valid format`);
+            }
+            return { value: text };
+        }, options);
+    },
+
+    // Whole numbers; numeric strings are accepted for query strings and forms
+    integer({ min = -Infinity, max = Infinity, ...options } = {}) {
+        return rule((value, label) => {
+            const number = typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+            if (!Number.isInteger(number)) return fail('invalid_type', `${label} must be a whole number`);
+            if (number < min || number > max) {
+                return fail('out_of_range', `${label} must be between ${min} and ${max}`);
+            }
+            return { value: number };
+        }, options);
+    },
+
+    // Decimals, from JSON numbers only
+    number({ min = -Infinity, max = Infinity, ...options } = {}) {
+        return rule((value, label) => {
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                return fail('invalid_type', `${label} must be a number`);
+            }
+            if (value < min || value > max) {
+                return fail('out_of_range', `${label} must be between ${min} and ${max}`);
+            }
+            return { value };
+        }, options);
+    },
+
+    // JSON booleans, or 'true'/'false' from forms and query strings
+    boolean(options = {}) {
+        return rule((value, label) => {
+            if (typeof value === 'boolean') return { value };
+            if (value === 'true' || value === 'false') return { value: value === 'true' };
+            return fail('invalid_type', `${label} must be true or false`);
+        }, options);
+    },
+
+    uuid(options = {}) {
+        return rule((value, label) => (
+            typeof value === 'string' && isUuid(value)
+                ? { value }
+                : fail('invalid_id', `${label} is not a valid id`)
+        ), options);
+    },
+
+    // A pagination cursor from cursor.js, kept as sent
+    cursor(options = {}) {
+        return rule((value, label) => {
+            try {
+                decodeCursor(value);
+                return { value };
+            } catch (error) {
+                return fail('invalid_cursor', `Invalid ${label.toLowerCase()}`);
+            }
+        }, options);
+    },
+
+    oneOf(values, options = {}) {
+        return rule((value, label) => (
+            values.includes(value)
+                ? { value }
+                : fail('invalid_choice', `Invalid ${label.toLowerCase()}. Choose one of: ${values.join(', ')}`)
+        ), options);
+    },
+
+    username(options = {}) {
+        return rules.string({
+            pattern: USERNAME_PATTERN,
+            patternMessage: 'Usernames are 3-30 letters, digits, underscores or dots',
+            ...options
+        });
+    },
+
+    // At least PASSWORD_MIN_LENGTH characters with a letter and a digit.
+    // Never trimmed: spaces are part of the password.
+    password(options = {}) {
+        return rule((value, label) => {
+            if (typeof value !== 'string') return fail('invalid_type', `${label} must be text`);
+            if (value.length < PASSWORD_MIN_LENGTH) {
+                return fail('too_short', `${label} must be at least ${PASSWORD_MIN_LENGTH} characters`);
+            }
+            if (Buffer.byteLength(value) > PASSWORD_MAX_BYTES) {
+                return fail('too_long', `${label} must be at most ${PASSWORD_MAX_BYTES} bytes`);
+            }
+            if (!/[a-zA-Z]/.test(value) || !/\d/.test(value)) {
+                return fail('too_weak', `${label} must contain at least one letter and one number`);
+            }
+            return { value };
+        }, options);
+    },
+
+    // Lower-cased so addresses compare equal however they were typed
+    email(options = {}) {
+        return rule((value, label) => {
+            if (typeof value !== 'string') return fail('invalid_type', `${label} must be text`);
+            const email = value.trim().toLowerCase();
+            if (email.length > EMAIL_MAX_LENGTH || !EMAIL_PATTERN.test(email)) {
+                return fail('invalid_email', `${label} must be a valid email address`);
+            }
+            return { value: email };
+        }, options);
+    }
+};
+
+// "displayName" -> "Display name"
+function labelFor(field) {
+    const words = field.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/_/g, ' ').toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// Check `source` against a schema of rules. Returns { values, errors }.
+function checkSchema(schema, source, location) {
+    const values = {};
+    const errors = [];
+
+    for (const [field, { check, optional, defaultValue, label = labelFor(field) }] of Object.entries(schema)) {
+        const raw = source[field];
+        if (isMissing(raw)) {
+            if (optional) {
+                if (defaultValue !== undefined) values[field] = defaultValue;
+                continue;
+            }
+            errors.push({ location, field, code: 'required', message: `${label} is required` });
+            continue;
+        }
+
+        const result = check(raw, label);
+        if (result.error) {
+            errors.push({ location, field, ...result.error });
+        } else {
+            values[field] = result.value;
+        }
+    }
+
+    return { values, errors };
+}
+
+// Build middleware validating req.params, req.query and req.body.
+// Options: `notFound` is the 404 message for malformed params; `onInvalid(req)`
+// runs before a rejection is sent (e.g. to remove an uploaded file).
+function validate({ params, query, body } = {}, { notFound = 'Not found', onInvalid } = {}) {
+    return (req, res, next) => {
+        if (params && checkSchema(params, req.params, 'params').errors.length > 0) {
+            if (onInvalid) onInvalid(req);
+            return sendError(res, 404, notFound);
+        }
+
+        const errors = [];
+        for (const [location, schema] of [['query', query], ['body', body]]) {
+            if (!schema) continue;
+            const result = checkSchema(schema, req[location] || {}, location);
+            errors.push(...result.errors);
+            req[location] = { ...req[location], ...result.values };
+        }
+
+        if (errors.length > 0) {
+            if (onInvalid) onInvalid(req);
+            return sendError(res, 400, errors[0].message, { code: 'VALIDATION_ERROR', errors });
+        }
+        next();
+    };
+}
+
+// Handler for router.param() rejecting ids that are not UUIDs with a 404
+function uuidParam(notFound = 'Not found') {
+    return (req, res, next, value) => (
+        isUuid(value) ? next() : sendError(res, 404, notFound)
+    );
+}
+
+module.exports = {
+    ERROR_CODES,
+    USERNAME_PATTERN,
+    rules,
+    validate,
+    uuidParam,
+    sendError,
+    errorEnvelope,
+    errorCodeForStatus
+};
@@ -0,0 +1,135 @@
+// videos.js - Probe uploaded video snaps and extract their poster frames
+//
+// Videos are stored as uploaded (no transcoding). ffprobe checks that the file
+// really is an mp4/webm within the allowed duration, and ffmpeg grabs a frame
+// that goes through the image pipeline as the poster. A video snap's
+// renditions therefore hold poster images under poster/feed/thumb, while its
+// storage_key points at the video itself.
+//
+// Both tools must be installed on the server; FFPROBE_PATH and FFMPEG_PATH
+// override where they are looked up.
+const { execFile } = require('child_process');
+require('dotenv').config();
+
+const { processImage, storeSnapImage } = require('./images');
+
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const MAX_VIDEO_DURATION_SECONDS = parseFloat(process.env.MAX_VIDEO_DURATION_SECONDS) || 60;
+const TOOL_TIMEOUT_MS = 30 * 1000;
+
+// ffprobe's format_name for each accepted upload type
+const VIDEO_CONTAINERS = {
+    'video/mp4': 'mp4',
+    'video/webm': 'webm'
+};
+
+const POSTER_MIME_TYPE = 'image/jpeg';
+
+function run(command, args, options = {}) {
+    return new Promise((resolve, reject) => {
+        execFile(command, args, { timeout: TOOL_TIMEOUT_MS, maxBuffer: 20 * 1024 * 1024, ...options }, (error, stdout) => {
+            if (error && error.code === 'ENOENT') {
+                return reject(new Error(`${command} is not installed; it is required for video snaps`));
+            }
+            if (error) return reject(invalidVideo('The uploaded file is not a readable video'));
+            resolve(stdout);
+        });
+    });
+}
+
+function invalidVideo(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// Duration and display size of a video file. Throws an error with status 400
+// when the file is not a video of the claimed type or runs too long.
+async function probeVideo(filePath, mimeType) {
+    const output = await run(FFPROBE_PATH, [
+        '-v', 'error',
+        '-print_format', 'json',
+        '-show_format',
+        '-show_streams',
+        filePath
+    ]);
+
+    let info;
+    try {
+        info = JSON.parse(output);
+    } catch (error) {
+        throw invalidVideo('The uploaded file is not a readable video');
+    }
+
+    const formatNames = ((info.format && info.format.format_name) || '').split(',');
+    const stream = (info.streams || []).find(s => s.codec_type === 'video');
+    if (!stream || !formatNames.includes(VIDEO_CONTAINERS[mimeType])) {
+        throw invalidVideo(`The uploaded file is not a valid ${mimeType} video`);
+    }
+
+    const duration = parseFloat(info.format.duration || stream.duration);
+    if (!(duration > 0)) {
+        throw invalidVideo('Could not read the video duration');
+    }
+    if (duration > MAX_VIDEO_DURATION_SECONDS) {
+        throw invalidVideo(`Videos can be at most ${MAX_VIDEO_DURATION_SECONDS} seconds long`);
+    }
+
+    // Phone videos are often stored sideways with a rotation flag
+    const rotation = Math.abs(parseInt(
+        (stream.tags && stream.tags.rotate) ||
+        ((stream.side_data_list || []).find(d => d.rotation !== undefined) || {}).rotation
+    ) || 0);
+    const sideways = rotation % 180 === 90;
+
+    return {
+        duration,
+        width: sideways ? stream.height : stream.width,
+        height: sideways ? stream.width : stream.height
+    };
+}
+
+// A JPEG of the frame shown before the video plays
+async function extractPosterFrame(filePath, duration) {
+    const at = Math.min(0.5, duration / 2);
+    const frame = await run(FFMPEG_PATH, [
+        '-v', 'error',
+        '-ss', String(at),
+        '-i', filePath,
+        '-frames:v', '1',
+        '-f', 'image2pipe',
+        '-vcodec', 'mjpeg',
+        'pipe:1'
+    ], { encoding: 'buffer' });
+
+    if (!frame || frame.length === 0) {
+        throw invalidVideo('Could not extract a frame from the video');
+    }
+    return frame;
+}
+
+// Probe a video, then store its poster renditions. Returns the probe results
+// and the renditions map to record on the snap; every written key is pushed
+// to `storedKeys`. `isPrivate` is passed on to storeSnapImage.
+async function processVideoPoster(storage, snapId, filePath, mimeType, storedKeys = [], { isPrivate = false } = {}) {
+    const { duration, width, height } = await probeVideo(filePath, mimeType);
+    const poster = await processImage(await extractPosterFrame(filePath, duration), POSTER_MIME_TYPE);
+    const { renditions } = await storeSnapImage(storage, snapId, POSTER_MIME_TYPE, poster, storedKeys, { isPrivate });
+
+    // The full-size frame is the poster; 'full' means the video itself
+    const { full, ...smaller } = renditions;
+    return {
+        duration,
+        width: width || poster.width,
+        height: height || poster.height,
+        renditions: { poster: full, ...smaller }
+    };
+}
+
+module.exports = {
+    VIDEO_CONTAINERS,
+    MAX_VIDEO_DURATION_SECONDS,
+    probeVideo,
+    processVideoPoster
+};
@@ -0,0 +1,40 @@
+// views.js - Deduplicated snap views
+const crypto = require('crypto');
+
+const { getRepositories } = require('./repositories');
+
+// Where a view came from, as reported by the client
+const VIEW_SOURCES = ['feed', 'home', 'discover', 'hashtag', 'profile', 'story', 'link', 'other'];
+
+// Identify a viewer for deduplication. Anonymous viewers are told apart by a
+// hash of their address and user agent; the raw values are never stored.
+function viewerKey(req) {
+    if (req.user) return `user:${req.user.id}`;
+    const fingerprint = `${req.ip}|${req.get('user-agent') || ''}`;
+    return `anon:${crypto.createHash('sha256').update(fingerprint).digest('hex').slice(0, 32)}`;
+}
+
+// Record that the viewer behind `req` saw `snap` ({ id, user_id }). Each
+// viewer counts once per snap; viewing again only updates completion and
+// watch time. Owners viewing their own snaps are not counted.
+// Returns { counted, viewCount }.
+async function recordSnapView(snap, req, { source = 'other', completed = false, watchedSeconds = null } = {}) {
+    if (req.user && req.user.id === snap.user_id) {
+        return { counted: false, viewCount: null };
+    }
+
+    return getRepositories().views.record({
+        snapId: snap.id,
+        viewerKey: viewerKey(req),
+        viewerId: req.user ? req.user.id : null,
+        source,
+        completed,
+        watchedSeconds
+    });
+}
+
+module.exports = {
+    VIEW_SOURCES,
+    viewerKey,
+    recordSnapView
+};